@@ -1,5 +1,7 @@
 import PayrollService from '../services/payrollService.js';
 import db from '../database/db.js';
+import { mpesaDisbursementService } from '../services/mpesaDisbursementService.js';
+import activityLogger from '../services/activityLogger.js';
 
 const PayrollController = {
     getSettings: (req, res) => {
@@ -115,6 +117,28 @@ const PayrollController = {
         }
     },
 
+    // Queue B2C salary transfers for the run's M-Pesa employees and start sending them
+    disburseRun: (req, res) => {
+        try {
+            const result = PayrollService.disburseRun(req.params.id, req.user.id);
+            if (!result) {
+                return res.status(404).json({ error: 'Payroll run not found' });
+            }
+
+            activityLogger.log(req.user.id, 'disburse_payroll', {
+                run_id: result.run_id,
+                queued: result.queued.length,
+                total: result.queued.reduce((sum, item) => sum + item.amount, 0)
+            }, req.ip);
+            mpesaDisbursementService.processQueue().catch(error => console.error('M-Pesa disbursement queue error:', error.message));
+
+            res.json(result);
+        } catch (error) {
+            console.error('Error disbursing payroll run:', error);
+            res.status(500).json({ error: error.message });
+        }
+    },
+
     getRuns: (req, res) => {
         try {
             const runs = PayrollService.getRuns();
@@ -16,6 +16,8 @@ export const connectCloudDB = async () => {
         await mongoose.connect(MONGO_URI);
         isConnected = true;
         console.log("✅ Connected to QuickBiza Cloud (MongoDB)");
+        // Swaps the old unique sale index (one per sale id) for the receipt number one
+        await CloudSale.syncIndexes().catch(error => console.warn('⚠️  Could not update cloud sale indexes:', error.message));
     } catch (error) {
         console.error("❌ Failed to connect to QuickBiza Cloud:", error.message);
         // Don't crash — system works offline
@@ -83,18 +85,32 @@ const syncBase = {
 
 const SaleSchema = new mongoose.Schema({
     ...syncBase,
+    receipt_number: String,
+    invoice_number: String,
     customer_id: Number,
     subtotal: Number,
     discount_percent: Number,
     discount_amount: Number,
+    tax_amount: Number,
     total: Number,
+    amount_tendered: Number,
+    change_due: Number,
     status: String,
     cashier_id: Number,
+    idempotency_key: String,
     created_at: Date,
-    items: [{ product_id: Number, product_name: String, quantity: Number, unit_price: Number, subtotal: Number }],
-    payments: [{ method: String, amount: Number, mpesa_receipt: String, status: String }]
+    items: [{
+        product_id: Number, product_name: String, quantity: Number, unit_price: Number, subtotal: Number,
+        discount_amount: Number, tax_class: String, tax_rate: Number, tax_amount: Number, line_total: Number,
+        list_price: Number, line_discount_type: String, line_discount_value: Number, override_reason: String, approved_by: Number,
+        promotion_discount: Number,
+        modifiers: [{ group_name: String, modifier_name: String, price_delta: Number }]
+    }],
+    payments: [{ method: String, amount: Number, reference: String, mpesa_receipt: String, status: String, idempotency_key: String }]
 }, { collection: 'sync_sales' });
-SaleSchema.index({ local_id: 1, company_id: 1 }, { unique: true });
+// Every till on an account has its own sale ids, so the receipt number is what's unique
+SaleSchema.index({ local_id: 1, company_id: 1 });
+SaleSchema.index({ company_id: 1, receipt_number: 1 }, { unique: true, partialFilterExpression: { receipt_number: { $type: 'string' } } });
 
 const ProductSchema = new mongoose.Schema({
     ...syncBase,
@@ -105,6 +121,9 @@ const ProductSchema = new mongoose.Schema({
     emoji: String,
     description: String,
     active: Number,
+    tax_class: String,
+    parent_id: Number,
+    variant_options: String,
     created_at: Date
 }, { collection: 'sync_products' });
 ProductSchema.index({ local_id: 1, company_id: 1 }, { unique: true });
@@ -116,6 +135,10 @@ const CustomerSchema = new mongoose.Schema({
     email: String,
     birthday: Date,
     loyalty_points: Number,
+    loyalty_tier: String,
+    lifetime_spend: Number,
+    account_balance: Number,
+    credit_limit: Number,
     store_credit: Number,
     created_at: Date
 }, { collection: 'sync_customers' });
@@ -132,6 +155,7 @@ const OrderSchema = new mongoose.Schema({
     status: String,
     notes: String,
     created_by: Number,
+    idempotency_key: String,
     created_at: Date
 }, { collection: 'sync_orders' });
 OrderSchema.index({ local_id: 1, company_id: 1 }, { unique: true });
@@ -163,9 +187,13 @@ const PurchaseSchema = new mongoose.Schema({
     total_amount: Number,
     payment_status: String,
     amount_paid: Number,
+    tax_amount: Number,
     created_by: Number,
     created_at: Date,
-    items: [{ ingredient_id: Number, quantity: Number, unit_cost: Number, subtotal: Number }]
+    items: [{
+        ingredient_id: Number, quantity: Number, unit_cost: Number, subtotal: Number,
+        tax_class: String, tax_rate: Number, tax_amount: Number, line_total: Number
+    }]
 }, { collection: 'sync_purchases' });
 PurchaseSchema.index({ local_id: 1, company_id: 1 }, { unique: true });
 
@@ -21,6 +21,147 @@ const db = new Database(dbPath);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON'); // Ensure foreign keys are enforced // Ensure foreign keys are enforced
 
+// Tables whose CHECK constraints have grown since the first release. The SQL is kept
+// here so rebuildTableIfOutdated() can recreate them on existing installs.
+const SALES_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS sales (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER,
+      subtotal REAL NOT NULL,
+      discount_percent REAL DEFAULT 0,
+      discount_amount REAL DEFAULT 0,
+      total REAL NOT NULL,
+      amount_tendered REAL,
+      change_due REAL DEFAULT 0,
+      tax_amount REAL DEFAULT 0,
+      status TEXT DEFAULT 'completed' CHECK(status IN ('pending_payment', 'completed', 'refunded', 'partial_refund', 'cancelled')),
+      cashier_id INTEGER NOT NULL,
+      shift_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (cashier_id) REFERENCES users(id)
+    );
+  `;
+
+const PAYMENTS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sale_id INTEGER NOT NULL,
+      method TEXT NOT NULL, -- a tender in saleService.INTERNAL_TENDERS or a payment provider's id
+      amount REAL NOT NULL,
+      reference TEXT,
+      mpesa_receipt TEXT,
+      mpesa_phone TEXT,
+      mpesa_transaction_id TEXT,
+      status TEXT DEFAULT 'completed' CHECK(status IN ('pending', 'completed', 'failed', 'cancelled')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
+    );
+  `;
+
+// A customer display is paired to the POS terminal whose cart it mirrors
+const DEVICES_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_name TEXT NOT NULL,
+      device_identifier TEXT UNIQUE NOT NULL,
+      device_type TEXT CHECK(device_type IN ('desktop', 'mobile', 'tablet', 'printer', 'scanner', 'pos_terminal', 'customer_display', 'unknown')),
+      device_category TEXT DEFAULT 'software' CHECK(device_category IN ('software', 'hardware')),
+      browser TEXT,
+      ip_address TEXT,
+      user_id INTEGER,
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'disabled', 'offline')),
+      connection_type TEXT CHECK(connection_type IN ('wifi', 'ethernet', 'usb', 'bluetooth', 'unknown')),
+      paired_device_id INTEGER,
+      pairing_code TEXT,
+      pairing_expires_at DATETIME,
+      display_key TEXT,
+      last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (paired_device_id) REFERENCES devices(id) ON DELETE SET NULL
+    );
+  `;
+
+const INVENTORY_LOGS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS inventory_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL CHECK(type IN ('raw', 'finished')),
+      item_id INTEGER NOT NULL,
+      movement_type TEXT NOT NULL CHECK(movement_type IN ('sale', 'purchase', 'production', 'adjustment', 'waste', 'refund', 'return')),
+      quantity_change REAL NOT NULL,
+      quantity_after REAL NOT NULL,
+      reference_id INTEGER,
+      reference_type TEXT,
+      notes TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+  `;
+
+// Coupon codes are unique within a company, not across them
+const COUPONS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS coupons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER DEFAULT 1,
+      code TEXT NOT NULL,
+      description TEXT,
+      type TEXT NOT NULL CHECK(type IN ('percentage', 'fixed_amount', 'buy_x_get_y')),
+      value REAL NOT NULL,
+      conditions TEXT, -- JSON, same shape as promotions.conditions
+      max_uses INTEGER,
+      per_customer_limit INTEGER,
+      uses_count INTEGER DEFAULT 0,
+      customer_id INTEGER,
+      batch_id INTEGER,
+      starts_at DATE,
+      expires_at DATE,
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'disabled')),
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(code, company_id),
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (batch_id) REFERENCES coupon_batches(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+  `;
+
+// SQLite cannot ALTER a CHECK constraint, so a table whose allowed values changed is
+// copied into a fresh table and swapped in (same approach as migrate_devices_status.js).
+// Columns that older installs picked up through ALTER TABLE are carried over as-is.
+function rebuildTableIfOutdated(table, createSql, isCurrent) {
+  const existing = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  if (!existing || isCurrent(existing.sql)) return;
+
+  const tmp = `${table}_rebuild`;
+  const oldColumns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(`DROP TABLE IF EXISTS ${tmp}`);
+      db.exec(createSql.replace(`CREATE TABLE IF NOT EXISTS ${table}`, `CREATE TABLE ${tmp}`));
+
+      const newColumns = new Set(db.prepare(`PRAGMA table_info(${tmp})`).all().map(c => c.name));
+      for (const col of oldColumns) {
+        if (newColumns.has(col.name)) continue;
+        // The copy is still empty, so expression defaults like (datetime('now')) are allowed
+        const columnDefault = col.dflt_value !== null ? ` DEFAULT (${col.dflt_value})` : '';
+        db.exec(`ALTER TABLE ${tmp} ADD COLUMN ${col.name} ${col.type}${columnDefault}`);
+      }
+
+      const columns = oldColumns.map(c => c.name).join(', ');
+      db.exec(`INSERT INTO ${tmp} (${columns}) SELECT ${columns} FROM ${table}`);
+      db.exec(`DROP TABLE ${table}`);
+      db.exec(`ALTER TABLE ${tmp} RENAME TO ${table}`);
+    })();
+    console.log(`✅ Rebuilt ${table} table with updated constraints`);
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+}
+
 // Initialize database schema
 export function initializeDatabase() {
   // Users table
@@ -35,6 +176,7 @@ export function initializeDatabase() {
       status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'disabled')),
       company_id INTEGER DEFAULT 1, -- Default to 1 (Main Company/Tenant)
       profile_image TEXT,
+      pin_hash TEXT, -- manager approval PIN at the till
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       created_by INTEGER,
       last_login DATETIME,
@@ -53,6 +195,21 @@ export function initializeDatabase() {
     );
   `);
 
+  // How far below list price each role may sell a line before a manager must approve.
+  // Store-wide like app_settings: no company_id, changed only by a main-company admin.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS role_discount_caps (
+      role TEXT PRIMARY KEY,
+      max_discount_percent REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT OR IGNORE INTO role_discount_caps (role, max_discount_percent) VALUES
+      ('admin', 100),
+      ('manager', 100),
+      ('cashier', 10),
+      ('baker', 0);
+  `);
+
   // Categories table
   db.exec(`
     CREATE TABLE IF NOT EXISTS categories (
@@ -65,6 +222,21 @@ export function initializeDatabase() {
     );
   `);
 
+  // VAT classes. Zero-rated and exempt both charge nothing but are reported separately.
+  // Store-wide like app_settings: no company_id, changed only by a main-company admin.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tax_classes (
+      code TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      rate REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT OR IGNORE INTO tax_classes (code, name, rate) VALUES
+      ('standard', 'Standard (16%)', 16),
+      ('zero_rated', 'Zero-rated', 0),
+      ('exempt', 'Exempt', 0);
+  `);
+
   // Products table (finished goods)
   db.exec(`
     CREATE TABLE IF NOT EXISTS products (
@@ -76,6 +248,7 @@ export function initializeDatabase() {
       barcode TEXT,
       emoji TEXT,
       description TEXT,
+      tax_class TEXT DEFAULT 'standard',
       active INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (category_id) REFERENCES categories(id),
@@ -108,6 +281,7 @@ export function initializeDatabase() {
       name TEXT UNIQUE NOT NULL,
       unit TEXT NOT NULL,
       low_stock_threshold REAL DEFAULT 0,
+      tax_class TEXT DEFAULT 'standard',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
   `);
@@ -148,22 +322,7 @@ export function initializeDatabase() {
   `);
 
   // Inventory movement logs
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS inventory_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      type TEXT NOT NULL CHECK(type IN ('raw', 'finished')),
-      item_id INTEGER NOT NULL,
-      movement_type TEXT NOT NULL CHECK(movement_type IN ('sale', 'purchase', 'production', 'adjustment', 'waste', 'refund')),
-      quantity_change REAL NOT NULL,
-      quantity_after REAL NOT NULL,
-      reference_id INTEGER,
-      reference_type TEXT,
-      notes TEXT,
-      created_by INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (created_by) REFERENCES users(id)
-    );
-  `);
+  db.exec(INVENTORY_LOGS_TABLE_SQL);
 
   // Customers table
   db.exec(`
@@ -174,27 +333,17 @@ export function initializeDatabase() {
       email TEXT,
       birthday DATE,
       loyalty_points INTEGER DEFAULT 0,
+      loyalty_tier TEXT DEFAULT 'bronze',
+      lifetime_spend REAL DEFAULT 0,
       store_credit REAL DEFAULT 0,
+      account_balance REAL DEFAULT 0,
+      credit_limit REAL DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
   `);
 
   // Sales table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS sales (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      customer_id INTEGER,
-      subtotal REAL NOT NULL,
-      discount_percent REAL DEFAULT 0,
-      discount_amount REAL DEFAULT 0,
-      total REAL NOT NULL,
-      status TEXT DEFAULT 'completed' CHECK(status IN ('completed', 'refunded', 'partial_refund')),
-      cashier_id INTEGER NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (customer_id) REFERENCES customers(id),
-      FOREIGN KEY (cashier_id) REFERENCES users(id)
-    );
-  `);
+  db.exec(SALES_TABLE_SQL);
 
   // Sale items table
   db.exec(`
@@ -206,24 +355,129 @@ export function initializeDatabase() {
       quantity INTEGER NOT NULL,
       unit_price REAL NOT NULL,
       subtotal REAL NOT NULL,
+      discount_amount REAL DEFAULT 0,
+      tax_class TEXT,
+      tax_rate REAL DEFAULT 0,
+      tax_amount REAL DEFAULT 0,
+      line_total REAL,
+      refunded_quantity INTEGER DEFAULT 0,
+      list_price REAL, -- product price at the time; differs from unit_price on a price override
+      line_discount_type TEXT CHECK(line_discount_type IN ('percent', 'fixed')),
+      line_discount_value REAL,
+      override_reason TEXT,
+      approved_by INTEGER,
+      promotion_discount REAL DEFAULT 0,
       FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE,
       FOREIGN KEY (product_id) REFERENCES products(id)
     );
   `);
 
   // Payments table
+  db.exec(PAYMENTS_TABLE_SQL);
+
+  // Held (parked) POS carts — stock is only deducted when the cart becomes a sale
   db.exec(`
-    CREATE TABLE IF NOT EXISTS payments (
+    CREATE TABLE IF NOT EXISTS held_carts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER DEFAULT 1,
+      label TEXT,
+      items TEXT NOT NULL, -- JSON array of { id, qty }
+      customer_id INTEGER,
+      discount_percent REAL DEFAULT 0,
+      notes TEXT,
+      device_id TEXT, -- terminal that parked the cart
+      status TEXT DEFAULT 'held' CHECK(status IN ('held', 'resumed', 'completed', 'discarded')),
+      reserved_until DATETIME, -- soft stock reservation, NULL when not reserving
+      held_by INTEGER NOT NULL,
+      resumed_by INTEGER,
+      resumed_device_id TEXT,
+      resumed_at DATETIME,
+      sale_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (held_by) REFERENCES users(id),
+      FOREIGN KEY (resumed_by) REFERENCES users(id),
+      FOREIGN KEY (sale_id) REFERENCES sales(id)
+    );
+  `);
+
+  // Refunds against a sale: which lines came back and how the money went out
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS refunds (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       sale_id INTEGER NOT NULL,
-      method TEXT NOT NULL CHECK(method IN ('cash', 'mpesa', 'card')),
+      refund_to TEXT NOT NULL CHECK(refund_to IN ('original', 'store_credit')),
+      amount REAL NOT NULL,
+      tax_amount REAL DEFAULT 0,
+      reason TEXT,
+      approved_by INTEGER NOT NULL,
+      created_by INTEGER NOT NULL,
+      shift_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sale_id) REFERENCES sales(id),
+      FOREIGN KEY (approved_by) REFERENCES users(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS refund_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      refund_id INTEGER NOT NULL,
+      sale_item_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      product_name TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      amount REAL NOT NULL,
+      tax_amount REAL DEFAULT 0,
+      restocked INTEGER DEFAULT 1, -- 0 = written off as waste
+      FOREIGN KEY (refund_id) REFERENCES refunds(id) ON DELETE CASCADE,
+      FOREIGN KEY (sale_item_id) REFERENCES sale_items(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS refund_payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      refund_id INTEGER NOT NULL,
+      payment_id INTEGER, -- original tender, NULL for store credit refunds
+      method TEXT NOT NULL,
       amount REAL NOT NULL,
-      mpesa_receipt TEXT,
-      mpesa_phone TEXT,
-      mpesa_transaction_id TEXT,
       status TEXT DEFAULT 'completed' CHECK(status IN ('pending', 'completed', 'failed')),
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
+      FOREIGN KEY (refund_id) REFERENCES refunds(id) ON DELETE CASCADE,
+      FOREIGN KEY (payment_id) REFERENCES payments(id)
+    );
+  `);
+
+  // Cashier shifts (till sessions) and the cash moved in/out of the drawer during them
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS shifts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER DEFAULT 1,
+      cashier_id INTEGER NOT NULL,
+      device_id TEXT,
+      status TEXT DEFAULT 'open' CHECK(status IN ('open', 'closed')),
+      opening_float REAL NOT NULL DEFAULT 0,
+      expected_cash REAL,
+      counted_cash REAL,
+      over_short REAL,
+      notes TEXT,
+      z_report TEXT, -- JSON snapshot taken at close, reprinted as-is
+      opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_at DATETIME,
+      closed_by INTEGER,
+      FOREIGN KEY (cashier_id) REFERENCES users(id),
+      FOREIGN KEY (closed_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS shift_cash_movements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shift_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('drop', 'payout')),
+      amount REAL NOT NULL,
+      reason TEXT,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (shift_id) REFERENCES shifts(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id)
     );
   `);
 
@@ -270,6 +524,7 @@ export function initializeDatabase() {
       total_amount REAL NOT NULL,
       payment_status TEXT DEFAULT 'pending' CHECK(payment_status IN ('pending', 'partial', 'paid')),
       amount_paid REAL DEFAULT 0,
+      tax_amount REAL DEFAULT 0,
       created_by INTEGER NOT NULL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
@@ -286,6 +541,10 @@ export function initializeDatabase() {
       quantity REAL NOT NULL,
       unit_cost REAL NOT NULL,
       subtotal REAL NOT NULL,
+      tax_class TEXT,
+      tax_rate REAL DEFAULT 0,
+      tax_amount REAL DEFAULT 0,
+      line_total REAL,
       FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE,
       FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
     );
@@ -342,33 +601,231 @@ export function initializeDatabase() {
     CREATE TABLE IF NOT EXISTS promotions (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       name TEXT NOT NULL,
-      discount_percent REAL,
+      discount_percent REAL, -- legacy, superseded by type/value
+      type TEXT CHECK(type IN ('percentage', 'fixed_amount', 'buy_x_get_y')),
+      value REAL,
+      conditions TEXT, -- JSON: product_ids, category_ids, min_basket, buy_qty, get_qty
+      priority INTEGER DEFAULT 0,
+      stackable INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'active',
       start_date DATE NOT NULL,
       end_date DATE NOT NULL,
       active INTEGER DEFAULT 1,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
   `);
 
-  // Devices table
+  // Which promotion produced each discount on a sale line
   db.exec(`
-    CREATE TABLE IF NOT EXISTS devices (
+    CREATE TABLE IF NOT EXISTS sale_item_promotions (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      device_name TEXT NOT NULL,
-      device_identifier TEXT UNIQUE NOT NULL,
-      device_type TEXT CHECK(device_type IN ('desktop', 'mobile', 'tablet', 'printer', 'scanner', 'pos_terminal', 'unknown')),
-      device_category TEXT DEFAULT 'software' CHECK(device_category IN ('software', 'hardware')),
-      browser TEXT,
-      ip_address TEXT,
-      user_id INTEGER,
-      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'disabled', 'offline')),
-      connection_type TEXT CHECK(connection_type IN ('wifi', 'ethernet', 'usb', 'bluetooth', 'unknown')),
-      last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sale_id INTEGER NOT NULL,
+      sale_item_id INTEGER NOT NULL,
+      promotion_id INTEGER,
+      coupon_id INTEGER,
+      promotion_name TEXT NOT NULL,
+      discount_amount REAL NOT NULL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id)
+      FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE,
+      FOREIGN KEY (sale_item_id) REFERENCES sale_items(id) ON DELETE CASCADE,
+      FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_sale_item_promotions_promotion ON sale_item_promotions(promotion_id);
+  `);
+
+  // Loyalty programme: one settings row, tiers with earn multipliers, per-category
+  // multipliers and a points ledger. Earn rows track what is left of them so points
+  // are spent and expired oldest first.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS loyalty_settings (
+      id INTEGER PRIMARY KEY CHECK(id = 1),
+      enabled INTEGER DEFAULT 1,
+      points_per_kes REAL DEFAULT 0.01, -- 1 point per KES 100
+      point_value REAL DEFAULT 1, -- KES per point when redeemed
+      min_redeem_points INTEGER DEFAULT 100,
+      expiry_months INTEGER DEFAULT 12, -- 0 = points never expire
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT OR IGNORE INTO loyalty_settings (id) VALUES (1);
+
+    CREATE TABLE IF NOT EXISTS loyalty_tiers (
+      code TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      min_spend REAL NOT NULL DEFAULT 0, -- lifetime spend that qualifies
+      earn_multiplier REAL NOT NULL DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT OR IGNORE INTO loyalty_tiers (code, name, min_spend, earn_multiplier) VALUES
+      ('bronze', 'Bronze', 0, 1),
+      ('silver', 'Silver', 20000, 1.25),
+      ('gold', 'Gold', 50000, 1.5);
+
+    CREATE TABLE IF NOT EXISTS loyalty_category_multipliers (
+      category_id INTEGER PRIMARY KEY,
+      multiplier REAL NOT NULL DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
     );
+
+    CREATE TABLE IF NOT EXISTS loyalty_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('earn', 'redeem', 'expire', 'refund', 'reversal', 'adjustment')),
+      points INTEGER NOT NULL, -- signed
+      balance_after INTEGER NOT NULL,
+      remaining INTEGER DEFAULT 0, -- unspent points of a credit row
+      expires_at DATE,
+      sale_id INTEGER,
+      payment_id INTEGER,
+      refund_id INTEGER,
+      notes TEXT,
+      shift_id INTEGER, -- the drawer an account payment was taken into
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+      FOREIGN KEY (sale_id) REFERENCES sales(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_customer ON loyalty_ledger(customer_id);
   `);
 
+  // Customer accounts: credit sales, payments received and store credit in one
+  // signed ledger. A positive balance is owed by the customer, a negative one is
+  // store credit they can spend.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS customer_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('opening_balance', 'credit_sale', 'payment', 'refund_credit', 'store_credit_used', 'adjustment')),
+      amount REAL NOT NULL, -- signed: + the customer owes more, - they owe less
+      balance_after REAL NOT NULL,
+      method TEXT, -- how a payment was received
+      reference TEXT,
+      sale_id INTEGER,
+      payment_id INTEGER,
+      refund_id INTEGER,
+      notes TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+      FOREIGN KEY (sale_id) REFERENCES sales(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_customer_ledger_customer ON customer_ledger(customer_id, created_at);
+  `);
+
+  // Gift cards: stored value sold through a sale and spent as a tender.
+  // Every balance change is a row in gift_card_transactions.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gift_cards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER DEFAULT 1,
+      card_number TEXT NOT NULL UNIQUE,
+      balance REAL NOT NULL DEFAULT 0,
+      customer_id INTEGER,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'active', 'disabled')),
+      expires_at DATE,
+      issued_sale_id INTEGER,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (issued_sale_id) REFERENCES sales(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS gift_card_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      gift_card_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('issue', 'top_up', 'redeem', 'refund', 'expire', 'adjustment')),
+      amount REAL NOT NULL, -- signed: credits positive, debits negative
+      balance_after REAL NOT NULL,
+      sale_id INTEGER,
+      payment_id INTEGER,
+      refund_id INTEGER,
+      status TEXT DEFAULT 'completed' CHECK(status IN ('pending', 'completed')),
+      notes TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (gift_card_id) REFERENCES gift_cards(id),
+      FOREIGN KEY (sale_id) REFERENCES sales(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_card ON gift_card_transactions(gift_card_id);
+  `);
+
+  // Coupon codes. max_uses 1 is a single-use voucher, NULL is unlimited.
+  // A coupon with customer_id can only be redeemed by that customer (SMS campaigns).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS coupon_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER DEFAULT 1,
+      name TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    ${COUPONS_TABLE_SQL}
+    CREATE INDEX IF NOT EXISTS idx_coupons_batch ON coupons(batch_id);
+
+    CREATE TABLE IF NOT EXISTS coupon_redemptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      coupon_id INTEGER NOT NULL,
+      sale_id INTEGER NOT NULL,
+      customer_id INTEGER,
+      discount_amount REAL NOT NULL,
+      redeemed_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+      FOREIGN KEY (sale_id) REFERENCES sales(id),
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (redeemed_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+
+    CREATE TABLE IF NOT EXISTS sms_campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER DEFAULT 1,
+      name TEXT NOT NULL,
+      message TEXT NOT NULL,
+      batch_id INTEGER,
+      status TEXT DEFAULT 'sending' CHECK(status IN ('sending', 'completed')),
+      recipients INTEGER DEFAULT 0,
+      sent INTEGER DEFAULT 0,
+      failed INTEGER DEFAULT 0,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      FOREIGN KEY (batch_id) REFERENCES coupon_batches(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS sms_campaign_recipients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id INTEGER NOT NULL,
+      customer_id INTEGER,
+      phone TEXT NOT NULL,
+      coupon_id INTEGER,
+      message TEXT NOT NULL,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+      error TEXT,
+      sent_at DATETIME,
+      FOREIGN KEY (campaign_id) REFERENCES sms_campaigns(id) ON DELETE CASCADE,
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (coupon_id) REFERENCES coupons(id)
+    );
+  `);
+  // A use given back when its sale is cancelled or fully refunded
+  try { db.exec("ALTER TABLE coupon_redemptions ADD COLUMN released_at DATETIME"); } catch (_) { }
+  // Codes were unique across companies; the rebuild drops the batch index with the old table
+  rebuildTableIfOutdated('coupons', COUPONS_TABLE_SQL, sql => sql.includes('UNIQUE(code, company_id)'));
+  db.exec('CREATE INDEX IF NOT EXISTS idx_coupons_batch ON coupons(batch_id)');
+
+  // Devices table
+  db.exec(DEVICES_TABLE_SQL);
+
   // Notifications table
   db.exec(`
     CREATE TABLE IF NOT EXISTS notifications (
@@ -568,6 +1025,7 @@ export function initializeDatabase() {
       primary_color TEXT DEFAULT '#000000',
       logo_path TEXT,
       receipt_footer_text TEXT,
+      prices_include_tax INTEGER DEFAULT 1,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
   `);
@@ -703,10 +1161,496 @@ export function initializeDatabase() {
   try { db.exec("ALTER TABLE devices ADD COLUMN path TEXT"); } catch (_) { }
   try { db.exec("ALTER TABLE devices ADD COLUMN last_active DATETIME DEFAULT CURRENT_TIMESTAMP"); } catch (_) { }
 
+  // Idempotent create requests: the client's key is kept on the row it created,
+  // and the first response is kept so a retry gets the same answer
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      user_id INTEGER,
+      response_status INTEGER, -- NULL while the first request is still running
+      response_body TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (scope, idempotency_key)
+    );
+    DELETE FROM idempotency_keys WHERE created_at < DATETIME('now', '-30 days');
+  `);
+  try { db.exec("ALTER TABLE sales ADD COLUMN idempotency_key TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE orders ADD COLUMN idempotency_key TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE payments ADD COLUMN idempotency_key TEXT"); } catch (_) { }
+
+  // Customer displays
+  rebuildTableIfOutdated('devices', DEVICES_TABLE_SQL, sql => sql.includes("'customer_display'"));
+  try { db.exec("ALTER TABLE sales ADD COLUMN terminal_id INTEGER"); } catch (_) { }
+
+  // Receipt and invoice numbers, e.g. NRB1-T2-000123: one gap-free counter per
+  // document type, branch and terminal (0 when the sale has none)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS document_sequences (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      doc_type TEXT NOT NULL CHECK(doc_type IN ('receipt', 'invoice')),
+      branch_id INTEGER NOT NULL DEFAULT 0,
+      device_id INTEGER NOT NULL DEFAULT 0,
+      prefix TEXT NOT NULL,
+      padding INTEGER NOT NULL DEFAULT 6,
+      next_number INTEGER NOT NULL DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (doc_type, branch_id, device_id)
+    );
+  `);
+  try { db.exec("ALTER TABLE branches ADD COLUMN code TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE devices ADD COLUMN branch_id INTEGER REFERENCES branches(id)"); } catch (_) { }
+  try { db.exec("ALTER TABLE devices ADD COLUMN terminal_code TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE sales ADD COLUMN receipt_number TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE sales ADD COLUMN invoice_number TEXT"); } catch (_) { }
+  db.exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_branches_code ON branches(code) WHERE code IS NOT NULL");
+
+  // A random code for this installation, so terminals without a code of their
+  // own don't issue the same numbers as another till on the same account
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS installation (
+      id INTEGER PRIMARY KEY CHECK(id = 1),
+      code TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT OR IGNORE INTO installation (id, code) VALUES (1, 'X' || upper(hex(randomblob(3))));
+  `);
+  // Series started under the old shared fallback (MAIN-T0) carry on under this installation's code
+  db.prepare(`
+    UPDATE document_sequences
+    SET prefix = replace(prefix, 'MAIN-T0', 'MAIN-' || (SELECT code FROM installation WHERE id = 1)), updated_at = CURRENT_TIMESTAMP
+    WHERE device_id = 0 AND prefix IN ('MAIN-T0', 'INV-MAIN-T0')
+  `).run();
+
+  // Variants are products of their own (price, barcode, stock row, recipe) under a
+  // parent product; variant_options is JSON such as {"size":"L","flavour":"Vanilla"}
+  try { db.exec("ALTER TABLE products ADD COLUMN parent_id INTEGER REFERENCES products(id)"); } catch (_) { }
+  try { db.exec("ALTER TABLE products ADD COLUMN variant_options TEXT"); } catch (_) { }
+  db.exec("CREATE INDEX IF NOT EXISTS idx_products_parent ON products(parent_id) WHERE parent_id IS NOT NULL");
+
+  // Modifier groups (toppings, "no sugar") linked to products; a modifier adds to the
+  // price and can use more (or, with a negative quantity, less) of an ingredient
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS modifier_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER DEFAULT 1,
+      name TEXT NOT NULL,
+      min_select INTEGER NOT NULL DEFAULT 0,
+      max_select INTEGER, -- NULL: any number
+      active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS modifiers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      price_delta REAL NOT NULL DEFAULT 0,
+      sort_order INTEGER DEFAULT 0,
+      active INTEGER DEFAULT 1,
+      FOREIGN KEY (group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS modifier_ingredients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      modifier_id INTEGER NOT NULL,
+      ingredient_id INTEGER NOT NULL,
+      quantity REAL NOT NULL, -- per unit sold
+      FOREIGN KEY (modifier_id) REFERENCES modifiers(id) ON DELETE CASCADE,
+      FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+      UNIQUE(modifier_id, ingredient_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS product_modifier_groups (
+      product_id INTEGER NOT NULL,
+      group_id INTEGER NOT NULL,
+      sort_order INTEGER DEFAULT 0,
+      PRIMARY KEY (product_id, group_id),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS sale_item_modifiers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sale_id INTEGER NOT NULL,
+      sale_item_id INTEGER NOT NULL,
+      modifier_id INTEGER,
+      group_name TEXT NOT NULL,
+      modifier_name TEXT NOT NULL,
+      price_delta REAL NOT NULL DEFAULT 0,
+      FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE,
+      FOREIGN KEY (sale_item_id) REFERENCES sale_items(id) ON DELETE CASCADE,
+      FOREIGN KEY (modifier_id) REFERENCES modifiers(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_sale_item_modifiers_sale ON sale_item_modifiers(sale_id);
+  `);
+
+  // Categories whose lines print on a kitchen ticket (lines with modifiers always do)
+  try { db.exec("ALTER TABLE categories ADD COLUMN send_to_kitchen INTEGER DEFAULT 0"); } catch (_) { }
+
+  // M-Pesa STK Push status: Daraja's CheckoutRequestID, so a payment whose callback
+  // never arrives can be looked up with the STK Query API
+  try { db.exec("ALTER TABLE payments ADD COLUMN checkout_request_id TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE payments ADD COLUMN result_desc TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE payments ADD COLUMN query_attempts INTEGER DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE payments ADD COLUMN last_queried_at DATETIME"); } catch (_) { }
+  // Integrated card terminals: what the terminal approved, for the slip and disputes
+  try { db.exec("ALTER TABLE payments ADD COLUMN card_masked_pan TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE payments ADD COLUMN card_auth_code TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE payments ADD COLUMN card_terminal_id TEXT"); } catch (_) { }
+
+  // M-Pesa C2B: payments made straight to the Paybill/Till, held here until a
+  // cashier attaches one to a sale
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS mpesa_c2b_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trans_id TEXT NOT NULL UNIQUE, -- the M-Pesa receipt code
+      transaction_type TEXT,
+      trans_time TEXT,
+      amount REAL NOT NULL,
+      business_short_code TEXT,
+      bill_ref_number TEXT,
+      msisdn TEXT,
+      customer_name TEXT,
+      status TEXT NOT NULL DEFAULT 'unmatched' CHECK(status IN ('unmatched', 'matched')),
+      sale_id INTEGER,
+      payment_id INTEGER,
+      matched_by INTEGER,
+      matched_at DATETIME,
+      raw TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sale_id) REFERENCES sales(id),
+      FOREIGN KEY (payment_id) REFERENCES payments(id),
+      FOREIGN KEY (matched_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_mpesa_c2b_status ON mpesa_c2b_transactions(status, created_at);
+  `);
+
+  // M-Pesa B2C: money sent out to phones (M-Pesa refunds, salaries), one row per
+  // transfer. queued -> submitted -> completed | failed | timed_out
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS mpesa_disbursements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER DEFAULT 1,
+      purpose TEXT NOT NULL CHECK(purpose IN ('refund', 'salary')),
+      phone TEXT NOT NULL,
+      amount REAL NOT NULL,
+      refund_payment_id INTEGER,
+      payslip_id INTEGER,
+      status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'submitted', 'completed', 'failed', 'timed_out')),
+      attempts INTEGER DEFAULT 0,
+      originator_conversation_id TEXT UNIQUE,
+      conversation_id TEXT,
+      mpesa_receipt TEXT,
+      amount_sent REAL, -- what M-Pesa reports it sent
+      recipient_name TEXT,
+      result_code INTEGER,
+      result_desc TEXT,
+      requested_by INTEGER,
+      submitted_at DATETIME,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (refund_payment_id) REFERENCES refund_payments(id),
+      FOREIGN KEY (payslip_id) REFERENCES payslips(id),
+      FOREIGN KEY (requested_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_mpesa_disbursements_status ON mpesa_disbursements(status, created_at);
+  `);
+  // Phone salaries are sent to, when it isn't the user's own phone
+  try { db.exec("ALTER TABLE employee_payroll_data ADD COLUMN mpesa_phone TEXT"); } catch (_) { }
+  // Contact details the payroll screens read and edit on each user
+  try { db.exec("ALTER TABLE users ADD COLUMN email TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE users ADD COLUMN phone TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE users ADD COLUMN profile_picture TEXT"); } catch (_) { }
+
+  // Daily reconciliation: M-Pesa statements and card settlement files, imported to
+  // check each day's payments against what actually reached the accounts
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS settlement_imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL CHECK(source IN ('mpesa', 'card')),
+      file_name TEXT,
+      period_from DATE,
+      period_to DATE,
+      line_count INTEGER DEFAULT 0,
+      duplicate_count INTEGER DEFAULT 0, -- lines an earlier import already had
+      total REAL DEFAULT 0,
+      imported_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (imported_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS settlement_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      line_date DATE NOT NULL,
+      reference TEXT, -- M-Pesa receipt, or the card authorisation code
+      amount REAL NOT NULL,
+      counterparty TEXT, -- paying phone and name, or the masked card number
+      terminal_id TEXT,
+      details TEXT,
+      FOREIGN KEY (import_id) REFERENCES settlement_imports(id) ON DELETE CASCADE
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_settlement_lines_reference ON settlement_lines(source, line_date, reference) WHERE reference IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_settlement_lines_date ON settlement_lines(source, line_date);
+
+    -- Payment callbacks turned away: failed verification, or naming a payment we never started
+    CREATE TABLE IF NOT EXISTS webhook_rejections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      endpoint TEXT NOT NULL,
+      reason TEXT NOT NULL, -- no_webhook_token, ip_not_allowed, missing_token, bad_token, unknown_checkout_request, amount_mismatch
+      ip_address TEXT,
+      payload TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_rejections_created ON webhook_rejections(created_at);
+
+    -- Lots of stock with their own dates: one production run, or one purchase line.
+    -- inventory_raw/inventory_finished keep the totals; stock not in any batch
+    -- (from before batches were kept, or restocked by a refund) has no expiry.
+    CREATE TABLE IF NOT EXISTS inventory_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL CHECK(type IN ('raw', 'finished')),
+      item_id INTEGER NOT NULL,
+      batch_number TEXT,
+      received_date DATE NOT NULL, -- produced or received
+      expiry_date DATE,
+      quantity_received REAL NOT NULL,
+      quantity REAL NOT NULL, -- still on hand
+      unit_cost REAL,
+      source_type TEXT, -- production, purchase, adjustment, refund, stocktake
+      source_id INTEGER,
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'depleted', 'written_off')),
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      written_off_at DATETIME,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_inventory_batches_item ON inventory_batches(type, item_id, status, expiry_date);
+    CREATE INDEX IF NOT EXISTS idx_inventory_batches_expiry ON inventory_batches(status, expiry_date);
+
+    -- What each sale, production run or write-off took from which batch (for recalls)
+    CREATE TABLE IF NOT EXISTS inventory_batch_movements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id INTEGER NOT NULL,
+      movement_type TEXT NOT NULL,
+      quantity_change REAL NOT NULL,
+      reference_id INTEGER,
+      reference_type TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (batch_id) REFERENCES inventory_batches(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_inventory_batch_movements_batch ON inventory_batch_movements(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_inventory_batch_movements_reference ON inventory_batch_movements(reference_type, reference_id);
+
+    -- Stocktakes: a physical count of all raw materials or finished goods (or one
+    -- category of products). Each line keeps the system quantity when the count
+    -- started; counts from any number of devices add up on the line.
+    CREATE TABLE IF NOT EXISTS stocktakes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL CHECK(type IN ('raw', 'finished')),
+      category_id INTEGER, -- NULL for a full count
+      status TEXT DEFAULT 'counting' CHECK(status IN ('counting', 'posted', 'cancelled')),
+      freeze_sales INTEGER DEFAULT 0, -- no sales of counted products until posted or cancelled
+      notes TEXT,
+      started_by INTEGER,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      posted_by INTEGER,
+      posted_at DATETIME,
+      cancelled_at DATETIME,
+      FOREIGN KEY (category_id) REFERENCES categories(id),
+      FOREIGN KEY (started_by) REFERENCES users(id),
+      FOREIGN KEY (posted_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS stocktake_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stocktake_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      system_quantity REAL NOT NULL,
+      counted_quantity REAL, -- NULL until counted
+      last_log_id INTEGER, -- inventory_logs position at the latest count
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'posted', 'skipped')),
+      posted_variance REAL,
+      UNIQUE(stocktake_id, item_id),
+      FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS stocktake_counts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stocktake_id INTEGER NOT NULL,
+      line_id INTEGER NOT NULL,
+      quantity REAL NOT NULL, -- negative to correct a miscount
+      barcode TEXT,
+      device_identifier TEXT,
+      counted_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id) ON DELETE CASCADE,
+      FOREIGN KEY (line_id) REFERENCES stocktake_lines(id) ON DELETE CASCADE,
+      FOREIGN KEY (counted_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_stocktake_counts_line ON stocktake_counts(line_id);
+
+    -- Units of measure. factor is how many of the dimension's smallest unit
+    -- (gram, millilitre, piece) one of it holds. A unit with an ingredient_id
+    -- is that ingredient's pack size, e.g. a 'crate' of eggs = 30 pieces.
+    CREATE TABLE IF NOT EXISTS units (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL,
+      name TEXT NOT NULL,
+      dimension TEXT NOT NULL CHECK(dimension IN ('mass', 'volume', 'count')),
+      factor REAL NOT NULL CHECK(factor > 0),
+      ingredient_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_units_code ON units(code, IFNULL(ingredient_id, 0));
+
+    INSERT OR IGNORE INTO units (code, name, dimension, factor) VALUES
+      ('mg', 'Milligram', 'mass', 0.001),
+      ('g', 'Gram', 'mass', 1),
+      ('kg', 'Kilogram', 'mass', 1000),
+      ('ml', 'Millilitre', 'volume', 1),
+      ('l', 'Litre', 'volume', 1000),
+      ('pcs', 'Piece', 'count', 1),
+      ('dozen', 'Dozen', 'count', 12);
+  `);
+
+  // Split-tender checkout: pending_payment sales and store_credit tenders; cancelled
+  // sales whose payment never came, along with their payments
+  rebuildTableIfOutdated('sales', SALES_TABLE_SQL, sql => sql.includes("'cancelled'"));
+  // Payment providers: any method, so a new provider needs no schema change
+  rebuildTableIfOutdated('payments', PAYMENTS_TABLE_SQL, sql => !sql.includes('CHECK(method IN') && sql.includes("'cancelled'"));
+  // After the rebuilds, which drop a table's indexes
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_idempotency_key ON sales(idempotency_key) WHERE idempotency_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_idempotency_key ON orders(idempotency_key) WHERE idempotency_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_idempotency_key ON payments(idempotency_key) WHERE idempotency_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_receipt_number ON sales(receipt_number) WHERE receipt_number IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_invoice_number ON sales(invoice_number) WHERE invoice_number IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_checkout_request_id ON payments(checkout_request_id) WHERE checkout_request_id IS NOT NULL;
+  `);
+  // An M-Pesa receipt pays for one sale only. Fails if older data already reuses one.
+  try {
+    db.exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_mpesa_receipt ON payments(mpesa_receipt) WHERE mpesa_receipt IS NOT NULL");
+  } catch (error) {
+    console.warn('⚠️  Duplicate M-Pesa receipts in payments, not enforcing uniqueness:', error.message);
+  }
+  try { db.exec("ALTER TABLE sales ADD COLUMN amount_tendered REAL"); } catch (_) { }
+  try { db.exec("ALTER TABLE sales ADD COLUMN change_due REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE payments ADD COLUMN reference TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE sales ADD COLUMN cancelled_by INTEGER"); } catch (_) { }
+  try { db.exec("ALTER TABLE sales ADD COLUMN cancel_reason TEXT"); } catch (_) { }
+
+  // Refunds: 'return' movements from routes/returns.js and per-line refunded quantities
+  rebuildTableIfOutdated('inventory_logs', INVENTORY_LOGS_TABLE_SQL, sql => sql.includes("'return'"));
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN refunded_quantity INTEGER DEFAULT 0"); } catch (_) { }
+
+  // Line discounts, price overrides and manager PINs
+  try { db.exec("ALTER TABLE users ADD COLUMN pin_hash TEXT"); } catch (_) { }
+  // Wrong PINs/passwords against an approver, who is locked out after too many
+  try { db.exec("ALTER TABLE users ADD COLUMN approval_failed_attempts INTEGER DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE users ADD COLUMN approval_locked_until DATETIME"); } catch (_) { }
+  // Each manager approval token works once, for the action it was issued for
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS approval_tokens (
+      jti TEXT PRIMARY KEY,
+      approver_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (approver_id) REFERENCES users(id)
+    );
+  `);
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN list_price REAL"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN line_discount_type TEXT CHECK(line_discount_type IN ('percent', 'fixed'))"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN line_discount_value REAL"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN override_reason TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN approved_by INTEGER"); } catch (_) { }
+
+  // Loyalty tiers
+  try { db.exec("ALTER TABLE customers ADD COLUMN loyalty_tier TEXT DEFAULT 'bronze'"); } catch (_) { }
+  try { db.exec("ALTER TABLE customers ADD COLUMN lifetime_spend REAL DEFAULT 0"); } catch (_) { }
+  // Balances from before the ledger become one opening adjustment each
+  db.exec(`
+    INSERT INTO loyalty_ledger (customer_id, type, points, balance_after, remaining, notes)
+    SELECT id, 'adjustment', loyalty_points, loyalty_points, loyalty_points, 'Opening balance'
+    FROM customers
+    WHERE loyalty_points > 0 AND id NOT IN (SELECT DISTINCT customer_id FROM loyalty_ledger)
+  `);
+
+  // Customer accounts
+  try { db.exec("ALTER TABLE customers ADD COLUMN account_balance REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE customers ADD COLUMN credit_limit REAL DEFAULT 0"); } catch (_) { }
+  // Store credit from before the ledger becomes an opening balance in the customer's favour
+  db.exec(`
+    INSERT INTO customer_ledger (customer_id, type, amount, balance_after, notes)
+    SELECT id, 'opening_balance', -store_credit, -store_credit, 'Store credit brought forward'
+    FROM customers
+    WHERE store_credit > 0 AND id NOT IN (SELECT DISTINCT customer_id FROM customer_ledger)
+  `);
+  db.exec(`
+    UPDATE customers SET account_balance = -store_credit
+    WHERE store_credit > 0 AND COALESCE(account_balance, 0) = 0
+      AND id IN (SELECT customer_id FROM customer_ledger WHERE type = 'opening_balance')
+  `);
+
+  // Promotions engine
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN promotion_discount REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE promotions ADD COLUMN type TEXT CHECK(type IN ('percentage', 'fixed_amount', 'buy_x_get_y'))"); } catch (_) { }
+  try { db.exec("ALTER TABLE promotions ADD COLUMN value REAL"); } catch (_) { }
+  try { db.exec("ALTER TABLE promotions ADD COLUMN conditions TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE promotions ADD COLUMN priority INTEGER DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE promotions ADD COLUMN stackable INTEGER DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE promotions ADD COLUMN status TEXT DEFAULT 'active'"); } catch (_) { }
+  try { db.exec("ALTER TABLE promotions ADD COLUMN updated_at DATETIME"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_item_promotions ADD COLUMN coupon_id INTEGER"); } catch (_) { }
+  // Old percent-only promotions become storewide percentage promotions
+  db.exec(`
+    UPDATE promotions
+    SET type = 'percentage', value = discount_percent, status = CASE WHEN active = 0 THEN 'inactive' ELSE 'active' END
+    WHERE type IS NULL AND discount_percent IS NOT NULL
+  `);
+
+  // Sales rung up during a cashier shift
+  try { db.exec("ALTER TABLE sales ADD COLUMN shift_id INTEGER"); } catch (_) { }
+  // Account payments taken during a cashier shift
+  try { db.exec("ALTER TABLE customer_ledger ADD COLUMN shift_id INTEGER"); } catch (_) { }
+
   // Products table migrations
   try { db.exec("ALTER TABLE products ADD COLUMN emoji TEXT"); } catch (_) { }
   try { db.exec("ALTER TABLE products ADD COLUMN description TEXT"); } catch (_) { }
 
+  // Batch tracking: days until a new batch expires, when none is given
+  try { db.exec("ALTER TABLE products ADD COLUMN shelf_life_days INTEGER"); } catch (_) { }
+  try { db.exec("ALTER TABLE ingredients ADD COLUMN shelf_life_days INTEGER"); } catch (_) { }
+
+  // Units: recipe quantities in any unit of the ingredient's kind (NULL = the
+  // ingredient's own unit), and purchases as bought (stock is kept in the ingredient's unit)
+  try { db.exec("ALTER TABLE recipes ADD COLUMN quantity_unit TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE purchase_items ADD COLUMN purchase_unit TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE purchase_items ADD COLUMN purchase_quantity REAL"); } catch (_) { }
+
+  // VAT: tax classes on products/ingredients and per-line tax on sales and purchases
+  try { db.exec("ALTER TABLE products ADD COLUMN tax_class TEXT DEFAULT 'standard'"); } catch (_) { }
+  try { db.exec("ALTER TABLE ingredients ADD COLUMN tax_class TEXT DEFAULT 'standard'"); } catch (_) { }
+  try { db.exec("ALTER TABLE app_settings ADD COLUMN prices_include_tax INTEGER DEFAULT 1"); } catch (_) { }
+  try { db.exec("ALTER TABLE sales ADD COLUMN tax_amount REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN discount_amount REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN tax_class TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN tax_rate REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN tax_amount REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE sale_items ADD COLUMN line_total REAL"); } catch (_) { }
+  try { db.exec("ALTER TABLE purchases ADD COLUMN tax_amount REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE purchase_items ADD COLUMN tax_class TEXT"); } catch (_) { }
+  try { db.exec("ALTER TABLE purchase_items ADD COLUMN tax_rate REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE purchase_items ADD COLUMN tax_amount REAL DEFAULT 0"); } catch (_) { }
+  try { db.exec("ALTER TABLE purchase_items ADD COLUMN line_total REAL"); } catch (_) { }
+
   // Activity Logs table (Migration)
   db.exec(`
     CREATE TABLE IF NOT EXISTS activity_logs (
@@ -1,6 +1,11 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import db from '../database/db.js';
 
+// What a manager approval token can be issued for
+export const APPROVAL_ACTIONS = ['discount_override', 'refund', 'cancel_sale'];
+const APPROVAL_TOKEN_MINUTES = 5;
+
 // Verify JWT token middleware
 export function authenticateToken(req, res, next) {
     const JWT_SECRET = process.env.JWT_SECRET || 'aroma-bakery-secret-key-2026';
@@ -56,6 +61,17 @@ export function requireAdmin(req, res, next) {
     return requireRole('admin')(req, res, next);
 }
 
+// Require an admin of the company that owns this install (company 1). For tables with
+// no company_id that every company on the install shares, e.g. role discount caps.
+export function requireStoreAdmin(req, res, next) {
+    return requireRole('admin')(req, res, () => {
+        if ((req.user.company_id || 1) !== 1) {
+            return res.status(403).json({ error: 'Only an admin of the main company can change store-wide settings' });
+        }
+        next();
+    });
+}
+
 // Generate JWT token
 export function generateToken(user) {
     const JWT_SECRET = process.env.JWT_SECRET || 'aroma-bakery-secret-key-2026';
@@ -65,3 +81,63 @@ export function generateToken(user) {
         { expiresIn: '24h' }
     );
 }
+
+// Short-lived, single-use token proving a manager/admin approved one action at the
+// till (a refund, a discount override). Issued by POST /api/users/verify-admin.
+export function generateApprovalToken(approver, action) {
+    const JWT_SECRET = process.env.JWT_SECRET || 'aroma-bakery-secret-key-2026';
+    const jti = crypto.randomUUID();
+
+    db.prepare("DELETE FROM approval_tokens WHERE expires_at < DATETIME('now', '-1 day')").run();
+    db.prepare("INSERT INTO approval_tokens (jti, approver_id, action, expires_at) VALUES (?, ?, ?, DATETIME('now', ?))")
+        .run(jti, approver.id, action, `+${APPROVAL_TOKEN_MINUTES} minutes`);
+
+    return jwt.sign(
+        { approver_id: approver.id, purpose: 'approval', action },
+        JWT_SECRET,
+        { expiresIn: `${APPROVAL_TOKEN_MINUTES}m`, jwtid: jti }
+    );
+}
+
+// Resolve an approval token to the approving user. Throws if it is invalid,
+// expired, already used, issued for a different action or the approver lost
+// their role. Call consumeApprovalToken() once the approved action has gone through.
+export function verifyApprovalToken(token, action) {
+    const JWT_SECRET = process.env.JWT_SECRET || 'aroma-bakery-secret-key-2026';
+    if (!token) {
+        throw new Error('Manager approval required');
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        throw new Error('Manager approval is invalid or has expired');
+    }
+
+    if (payload.purpose !== 'approval' || payload.action !== action) {
+        throw new Error('Manager approval is not valid for this action');
+    }
+
+    const issued = payload.jti && db.prepare('SELECT used_at FROM approval_tokens WHERE jti = ?').get(payload.jti);
+    if (!issued) {
+        throw new Error('Manager approval is invalid or has expired');
+    }
+    if (issued.used_at) {
+        throw new Error('Manager approval has already been used');
+    }
+
+    const approver = db.prepare('SELECT id, username, full_name, role, status FROM users WHERE id = ?').get(payload.approver_id);
+    if (!approver || approver.status !== 'approved' || !['manager', 'admin'].includes(approver.role)) {
+        throw new Error('Approver is no longer a manager');
+    }
+    return approver;
+}
+
+// Mark an approval token used, so the approval it carries can't be replayed
+export function consumeApprovalToken(token) {
+    const { jti } = jwt.decode(token) || {};
+    if (jti) {
+        db.prepare('UPDATE approval_tokens SET used_at = CURRENT_TIMESTAMP WHERE jti = ? AND used_at IS NULL').run(jti);
+    }
+}
@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import db from '../database/db.js';
+
+const MAX_KEY_LENGTH = 100;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+const fingerprint = (body) => {
+    const { idempotency_key, ...rest } = body || {};
+    return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+};
+
+/**
+ * Make a create endpoint safe to retry. The client sends a key it generated
+ * (a UUID) in the Idempotency-Key header or as `idempotency_key` in the body.
+ * The first request with a key runs normally and its response is stored; a
+ * repeat gets that stored response back instead of creating another record.
+ * The route stores req.idempotencyKey on the row it creates. A key belongs to
+ * the user who sent it first: anyone else reusing it gets a 422, not their response.
+ *
+ * Must come after authenticateToken. Requests without a key are not affected.
+ */
+export function idempotent(scope) {
+    return (req, res, next) => {
+        const key = req.headers['idempotency-key'] || req.body?.idempotency_key;
+        if (!key) return next();
+
+        if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({ error: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters` });
+        }
+
+        const requestHash = fingerprint(req.body);
+        const existing = db.prepare('SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?').get(scope, key);
+
+        if (existing) {
+            if (existing.request_hash !== requestHash || existing.user_id !== (req.user?.id ?? null)) {
+                return res.status(422).json({ error: 'This idempotency key was already used for a different request' });
+            }
+            if (existing.response_status !== null) {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+            }
+            // A request that never answered (server restarted mid-way) stops blocking the key
+            // after a while; the unique key on the created row still catches a real duplicate.
+            if (Date.now() - new Date(`${existing.created_at.replace(' ', 'T')}Z`).getTime() < STALE_AFTER_MS) {
+                return res.status(409).json({ error: 'A request with this idempotency key is still being processed' });
+            }
+            db.prepare('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?').run(scope, key);
+        }
+
+        db.prepare('INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, user_id) VALUES (?, ?, ?, ?)')
+            .run(scope, key, requestHash, req.user?.id ?? null);
+        req.idempotencyKey = key;
+
+        // Keep successful responses for replay; free the key after a failure so the client can retry
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            try {
+                if (res.statusCode < 400) {
+                    db.prepare('UPDATE idempotency_keys SET response_status = ?, response_body = ? WHERE scope = ? AND idempotency_key = ?')
+                        .run(res.statusCode, JSON.stringify(body), scope, key);
+                } else {
+                    db.prepare('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?').run(scope, key);
+                }
+            } catch (error) {
+                console.error('Error saving idempotent response:', error);
+            }
+            return json(body);
+        };
+
+        next();
+    };
+}
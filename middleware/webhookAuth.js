@@ -0,0 +1,18 @@
+import { paymentProviders } from '../services/paymentProviders/index.js';
+import { webhookAuditService } from '../services/webhookAuditService.js';
+
+/**
+ * Refuse a payment provider's callback that fails its verifyWebhook() check
+ * (caller address, secret path token) and keep it in webhook_rejections.
+ * Mount the route with an optional :token parameter for the path token.
+ */
+export function verifyWebhook(providerId) {
+    return (req, res, next) => {
+        const provider = paymentProviders.get(providerId);
+        const reason = provider?.verifyWebhook ? provider.verifyWebhook(req) : null;
+        if (!reason) return next();
+
+        webhookAuditService.reject(req, providerId, reason);
+        res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    };
+}
@@ -4,6 +4,9 @@ import { authenticateToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Short code printed in receipt numbers, e.g. NRB1 in NRB1-T2-000123
+const BRANCH_CODE_PATTERN = /^[A-Z0-9]{1,10}$/;
+
 // Get all branches
 router.get('/', authenticateToken, (req, res) => {
     try {
@@ -47,23 +50,30 @@ router.get('/:id', authenticateToken, (req, res) => {
 router.post('/', authenticateToken, requireRole('admin'), (req, res) => {
     try {
         const { name, location, phone, manager_id } = req.body;
+        const code = req.body.code ? String(req.body.code).toUpperCase() : null;
 
         if (!name || !location) {
             return res.status(400).json({ error: 'Name and location are required' });
         }
+        if (code && !BRANCH_CODE_PATTERN.test(code)) {
+            return res.status(400).json({ error: 'Branch code must be 1-10 letters or digits' });
+        }
 
         const insert = db.prepare(`
-            INSERT INTO branches (name, location, phone, manager_id)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO branches (name, location, phone, manager_id, code)
+            VALUES (?, ?, ?, ?, ?)
         `);
 
-        const result = insert.run(name, location, phone || null, manager_id || null);
+        const result = insert.run(name, location, phone || null, manager_id || null, code);
 
         res.status(201).json({
             id: result.lastInsertRowid,
             message: 'Branch created successfully'
         });
     } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'Another branch already uses this code' });
+        }
         console.error('Error creating branch:', error);
         res.status(500).json({ error: 'Failed to create branch' });
     }
@@ -74,14 +84,19 @@ router.put('/:id', authenticateToken, requireRole('admin'), (req, res) => {
     try {
         const { id } = req.params;
         const { name, location, phone, manager_id, status } = req.body;
+        const code = req.body.code ? String(req.body.code).toUpperCase() : null;
 
         if (!name || !location) {
             return res.status(400).json({ error: 'Name and location are required' });
         }
+        if (code && !BRANCH_CODE_PATTERN.test(code)) {
+            return res.status(400).json({ error: 'Branch code must be 1-10 letters or digits' });
+        }
 
+        // A new code applies to receipt series started after the change
         const update = db.prepare(`
             UPDATE branches
-            SET name = ?, location = ?, phone = ?, manager_id = ?, status = ?
+            SET name = ?, location = ?, phone = ?, manager_id = ?, status = ?, code = COALESCE(?, code)
             WHERE id = ?
         `);
 
@@ -91,6 +106,7 @@ router.put('/:id', authenticateToken, requireRole('admin'), (req, res) => {
             phone || null,
             manager_id || null,
             status || 'active',
+            code,
             id
         );
 
@@ -100,6 +116,9 @@ router.put('/:id', authenticateToken, requireRole('admin'), (req, res) => {
 
         res.json({ message: 'Branch updated successfully' });
     } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'Another branch already uses this code' });
+        }
         console.error('Error updating branch:', error);
         res.status(500).json({ error: 'Failed to update branch' });
     }
@@ -0,0 +1,207 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { couponService } from '../services/couponService.js';
+import { isSmsConfigured } from '../services/smsService.js';
+import hardwareService from '../services/hardware.js';
+import activityLogger from '../services/activityLogger.js';
+
+const router = express.Router();
+
+const MAX_BATCH_SIZE = 500;
+
+// List coupons (Manager/Admin only)
+router.get('/', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const coupons = couponService.listCoupons({ ...req.query, company_id: req.user?.company_id || 1 });
+        res.json(coupons);
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        res.status(500).json({ error: 'Failed to fetch coupons' });
+    }
+});
+
+// Create one coupon. Omit `code` to have one generated (optionally with `prefix`).
+router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    const validationError = couponService.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const coupon = couponService.createCoupon(req.body, req.user);
+        activityLogger.log(req.user.id, 'create_coupon', { coupon_id: coupon.id, code: coupon.code, type: coupon.type, value: coupon.value }, req.ip);
+        res.status(201).json(coupon);
+    } catch (error) {
+        console.error('Error creating coupon:', error);
+        res.status(409).json({ error: error.message || 'Failed to create coupon' });
+    }
+});
+
+// Redemption log, filterable by coupon, batch and date
+router.get('/redemptions', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        res.json(couponService.getRedemptions(req.query));
+    } catch (error) {
+        console.error('Error fetching coupon redemptions:', error);
+        res.status(500).json({ error: 'Failed to fetch coupon redemptions' });
+    }
+});
+
+// Bulk-generate printable voucher codes sharing one discount
+router.post('/batches', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    const { name, quantity } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ error: 'Batch name is required' });
+    }
+    if (!(parseInt(quantity) > 0 && parseInt(quantity) <= MAX_BATCH_SIZE)) {
+        return res.status(400).json({ error: `Quantity must be between 1 and ${MAX_BATCH_SIZE}` });
+    }
+    const validationError = couponService.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const batch = couponService.createBatch({ ...req.body, quantity: parseInt(quantity) }, req.user);
+        activityLogger.log(req.user.id, 'create_coupon_batch', { batch_id: batch.id, name, quantity: batch.quantity }, req.ip);
+        res.status(201).json(batch);
+    } catch (error) {
+        console.error('Error creating coupon batch:', error);
+        res.status(500).json({ error: error.message || 'Failed to create coupon batch' });
+    }
+});
+
+router.get('/batches/:id', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const batch = couponService.getBatch(req.params.id, req.user.company_id || 1);
+        if (!batch) {
+            return res.status(404).json({ error: 'Coupon batch not found' });
+        }
+        res.json(batch);
+    } catch (error) {
+        console.error('Error fetching coupon batch:', error);
+        res.status(500).json({ error: 'Failed to fetch coupon batch' });
+    }
+});
+
+// Print the batch's unused vouchers on the receipt printer
+router.post('/batches/:id/print', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const batch = couponService.getBatch(req.params.id, req.user.company_id || 1);
+        if (!batch) {
+            return res.status(404).json({ error: 'Coupon batch not found' });
+        }
+
+        batch.coupons = batch.coupons.filter(c => c.status === 'active' && !(c.max_uses && c.uses_count >= c.max_uses));
+        hardwareService.printVouchers(batch);
+        res.json({ success: true, message: `Printing ${batch.coupons.length} vouchers` });
+    } catch (error) {
+        console.error('Error printing vouchers:', error);
+        res.status(500).json({ error: 'Failed to print vouchers' });
+    }
+});
+
+router.get('/campaigns', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        res.json(couponService.listCampaigns(req.user?.company_id || 1));
+    } catch (error) {
+        console.error('Error fetching SMS campaigns:', error);
+        res.status(500).json({ error: 'Failed to fetch SMS campaigns' });
+    }
+});
+
+// SMS voucher campaign: every chosen customer (all with a phone by default) gets
+// their own single-use code. `message` may use {name}, {code}, {value} and {expires}.
+router.post('/campaigns', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    const { name, message, customer_ids, coupon } = req.body;
+
+    if (!name || !message) {
+        return res.status(400).json({ error: 'Campaign name and message are required' });
+    }
+    if (!message.includes('{code}')) {
+        return res.status(400).json({ error: 'Message must include {code}' });
+    }
+    if (customer_ids !== undefined && !Array.isArray(customer_ids)) {
+        return res.status(400).json({ error: 'customer_ids must be an array' });
+    }
+    const validationError = couponService.validate(coupon || {});
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    if (!isSmsConfigured()) {
+        return res.status(503).json({ error: 'SMS is not configured' });
+    }
+
+    try {
+        const campaign = couponService.createSmsCampaign({ name, message, customer_ids, coupon }, req.user);
+        activityLogger.log(req.user.id, 'create_sms_campaign', { campaign_id: campaign.id, name, recipients: campaign.recipients }, req.ip);
+        res.status(202).json(campaign);
+    } catch (error) {
+        console.error('Error creating SMS campaign:', error);
+        res.status(400).json({ error: error.message || 'Failed to create SMS campaign' });
+    }
+});
+
+router.get('/campaigns/:id', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const campaign = couponService.getCampaign(req.params.id, req.user.company_id || 1);
+        if (!campaign) {
+            return res.status(404).json({ error: 'SMS campaign not found' });
+        }
+        res.json(campaign);
+    } catch (error) {
+        console.error('Error fetching SMS campaign:', error);
+        res.status(500).json({ error: 'Failed to fetch SMS campaign' });
+    }
+});
+
+// Resend the messages that failed
+router.post('/campaigns/:id/retry', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const campaign = couponService.retryCampaign(req.params.id, req.user.company_id || 1);
+        if (!campaign) {
+            return res.status(404).json({ error: 'SMS campaign not found' });
+        }
+        res.json(campaign);
+    } catch (error) {
+        console.error('Error retrying SMS campaign:', error);
+        res.status(409).json({ error: error.message || 'Failed to retry SMS campaign' });
+    }
+});
+
+router.get('/:id', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const coupon = couponService.getCoupon(req.params.id, req.user.company_id || 1);
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+        coupon.redemptions = couponService.getRedemptions({ coupon_id: coupon.id });
+        res.json(coupon);
+    } catch (error) {
+        console.error('Error fetching coupon:', error);
+        res.status(500).json({ error: 'Failed to fetch coupon' });
+    }
+});
+
+// Disable or re-enable a coupon
+router.patch('/:id/status', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    const { status } = req.body;
+    if (!['active', 'disabled'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be active or disabled' });
+    }
+
+    try {
+        const coupon = couponService.setStatus(req.params.id, status, req.user.company_id || 1);
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+        activityLogger.log(req.user.id, 'update_coupon_status', { coupon_id: coupon.id, code: coupon.code, status }, req.ip);
+        res.json(coupon);
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        res.status(500).json({ error: 'Failed to update coupon' });
+    }
+});
+
+export default router;
@@ -2,6 +2,10 @@ import express from 'express';
 import db from '../database/db.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { syncRecord } from '../services/syncService.js';
+import { loyaltyService } from '../services/loyaltyService.js';
+import { customerAccountService, ACCOUNT_PAYMENT_METHODS } from '../services/customerAccountService.js';
+import hardwareService from '../services/hardware.js';
+import activityLogger from '../services/activityLogger.js';
 const router = express.Router();
 
 // Get all customers
@@ -52,6 +56,8 @@ router.get('/:id', authenticateToken, (req, res) => {
 
         customer.orders = orders;
         customer.sales = sales;
+        customer.loyalty = loyaltyService.getCustomerLoyalty(customer.id, { limit });
+        customer.loyalty_points = customer.loyalty.loyalty_points;
 
         res.json(customer);
     } catch (error) {
@@ -125,26 +131,23 @@ router.put('/:id', authenticateToken, (req, res) => {
     }
 });
 
-// Update loyalty points
-router.patch('/:id/loyalty', authenticateToken, (req, res) => {
+// Manual loyalty adjustment, recorded in the points ledger
+router.patch('/:id/loyalty', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
     try {
-        const { points_change } = req.body;
+        const { points_change, reason } = req.body;
 
-        if (typeof points_change !== 'number') {
+        if (!Number.isInteger(points_change) || points_change === 0) {
             return res.status(400).json({ error: 'Invalid points value' });
         }
 
-        const customer = db.prepare('SELECT loyalty_points FROM customers WHERE id = ?').get(req.params.id);
+        const newPoints = loyaltyService.adjust(req.params.id, points_change, { reason, user_id: req.user.id });
 
-        if (!customer) {
+        if (newPoints === null) {
             return res.status(404).json({ error: 'Customer not found' });
         }
 
-        const newPoints = Math.max(0, customer.loyalty_points + points_change);
-
-        const update = db.prepare('UPDATE customers SET loyalty_points = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
-        update.run(newPoints, req.params.id);
-
+        activityLogger.log(req.user.id, 'adjust_loyalty_points', { customer_id: Number(req.params.id), points_change, reason: reason || null }, req.ip);
+        syncRecord('customers', req.params.id).catch(() => { });
         res.json({
             message: 'Loyalty points updated successfully',
             new_points: newPoints
@@ -155,6 +158,142 @@ router.patch('/:id/loyalty', authenticateToken, (req, res) => {
     }
 });
 
+// Account balance, credit limit, available credit and aging
+router.get('/:id/account', authenticateToken, (req, res) => {
+    try {
+        const account = customerAccountService.getAccount(req.params.id);
+        if (!account) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        account.ledger = customerAccountService.getLedger(req.params.id, req.query);
+        res.json(account);
+    } catch (error) {
+        console.error('Error fetching customer account:', error);
+        res.status(500).json({ error: 'Failed to fetch customer account' });
+    }
+});
+
+// Payment received against the account
+router.post('/:id/account/payments', authenticateToken, (req, res) => {
+    const { amount, method, reference } = req.body;
+
+    if (!(Number(amount) > 0)) {
+        return res.status(400).json({ error: 'Amount must be greater than 0' });
+    }
+    if (!ACCOUNT_PAYMENT_METHODS.includes(method)) {
+        return res.status(400).json({ error: `Invalid payment method. Must be one of: ${ACCOUNT_PAYMENT_METHODS.join(', ')}` });
+    }
+    if (method !== 'cash' && !reference) {
+        return res.status(400).json({ error: 'A reference is required for non-cash payments' });
+    }
+
+    try {
+        const entry = customerAccountService.receivePayment(req.params.id, req.body, req.user);
+        if (!entry) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        activityLogger.log(req.user.id, 'receive_account_payment', { customer_id: Number(req.params.id), amount: Number(amount), method, reference: reference || null }, req.ip);
+        syncRecord('customers', req.params.id).catch(() => { });
+        res.status(201).json({ success: true, ledger_id: entry.id, balance: entry.balance });
+    } catch (error) {
+        console.error('Error recording account payment:', error);
+        res.status(500).json({ error: 'Failed to record account payment' });
+    }
+});
+
+// Manual correction, e.g. a write-off or a balance carried over from the spreadsheet
+router.post('/:id/account/adjustments', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    const { amount, notes } = req.body;
+
+    if (!Number(amount)) {
+        return res.status(400).json({ error: 'Amount must be a non-zero number' });
+    }
+    if (!notes) {
+        return res.status(400).json({ error: 'A note explaining the adjustment is required' });
+    }
+
+    try {
+        const entry = customerAccountService.adjust(req.params.id, { amount, notes }, req.user);
+        if (!entry) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        activityLogger.log(req.user.id, 'adjust_customer_account', { customer_id: Number(req.params.id), amount: Number(amount), notes }, req.ip);
+        syncRecord('customers', req.params.id).catch(() => { });
+        res.status(201).json({ success: true, ledger_id: entry.id, balance: entry.balance });
+    } catch (error) {
+        console.error('Error adjusting customer account:', error);
+        res.status(500).json({ error: 'Failed to adjust customer account' });
+    }
+});
+
+// How much the customer may owe on account; 0 means no credit sales
+router.put('/:id/credit-limit', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    const { credit_limit } = req.body;
+
+    if (!(Number(credit_limit) >= 0)) {
+        return res.status(400).json({ error: 'Credit limit must be 0 or more' });
+    }
+
+    try {
+        if (!customerAccountService.setCreditLimit(req.params.id, Number(credit_limit))) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        activityLogger.log(req.user.id, 'update_credit_limit', { customer_id: Number(req.params.id), credit_limit: Number(credit_limit) }, req.ip);
+        syncRecord('customers', req.params.id).catch(() => { });
+        res.json(customerAccountService.getAccount(req.params.id));
+    } catch (error) {
+        console.error('Error updating credit limit:', error);
+        res.status(500).json({ error: 'Failed to update credit limit' });
+    }
+});
+
+// Statement for a period (defaults to this month). ?format=pdf downloads it as a PDF.
+router.get('/:id/statement', authenticateToken, (req, res) => {
+    try {
+        const today = new Date().toISOString().slice(0, 10);
+        const { start_date = `${today.slice(0, 8)}01`, end_date = today, format } = req.query;
+
+        const statement = customerAccountService.getStatement(req.params.id, { start_date, end_date });
+        if (!statement) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        if (format === 'pdf') {
+            const company = db.prepare('SELECT name FROM company_profile LIMIT 1').get();
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="statement-${statement.customer.id}-${end_date}.pdf"`);
+            return customerAccountService.writeStatementPdf(statement, res, company?.name);
+        }
+
+        res.json(statement);
+    } catch (error) {
+        console.error('Error generating statement:', error);
+        res.status(500).json({ error: 'Failed to generate statement' });
+    }
+});
+
+// Print the statement on the receipt printer
+router.post('/:id/statement/print', authenticateToken, (req, res) => {
+    try {
+        const today = new Date().toISOString().slice(0, 10);
+        const { start_date = `${today.slice(0, 8)}01`, end_date = today } = req.body;
+
+        const statement = customerAccountService.getStatement(req.params.id, { start_date, end_date });
+        if (!statement) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        hardwareService.printStatement(statement);
+        res.json({ success: true, message: 'Statement sent to printer' });
+    } catch (error) {
+        console.error('Error printing statement:', error);
+        res.status(500).json({ error: 'Failed to print statement' });
+    }
+});
+
 // Delete customer
 router.delete('/:id', authenticateToken, requireRole('admin'), (req, res) => {
     try {
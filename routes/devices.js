@@ -1,7 +1,11 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import hardwareService from '../services/hardware.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireRole, verifyApprovalToken } from '../middleware/auth.js';
 import db from '../database/db.js';
+import { customerDisplayService } from '../services/customerDisplayService.js';
+import { saleService } from '../services/saleService.js';
+import activityLogger from '../services/activityLogger.js';
 
 const router = express.Router();
 
@@ -32,6 +36,143 @@ router.get('/', authenticateToken, async (req, res) => {
 
 
 
+// A customer display registers itself (it has no user login) and shows the
+// returned pairing code; the cashier keys it in with POST /:id/pair below.
+// The display then listens with socket.emit('display:wait', { device_identifier, pairing_code }).
+// Registering is open to anyone on the network, so keep guessing and flooding slow
+const displayRegisterLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: { error: 'Too many display registrations. Please wait 15 minutes.' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+router.post('/displays/register', displayRegisterLimiter, (req, res) => {
+    try {
+        const { device_identifier, device_name } = req.body;
+        if (!device_identifier) {
+            return res.status(400).json({ error: 'device_identifier is required' });
+        }
+
+        const registration = customerDisplayService.registerDisplay({ device_identifier, device_name }, req.ip);
+        if (!registration) {
+            return res.status(409).json({ error: 'That identifier belongs to a device that is not a customer display' });
+        }
+        res.status(201).json(registration);
+    } catch (error) {
+        if (error.code === 'DISPLAY_PAIRED') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error registering display:', error);
+        res.status(500).json({ error: 'Failed to register display' });
+    }
+});
+
+// Unpair a display from its terminal
+router.delete('/displays/:id/pair', authenticateToken, (req, res) => {
+    try {
+        if (!customerDisplayService.unpair(req.params.id)) {
+            return res.status(404).json({ error: 'Display not found' });
+        }
+        res.json({ message: 'Display unpaired' });
+    } catch (error) {
+        console.error('Error unpairing display:', error);
+        res.status(500).json({ error: 'Failed to unpair display' });
+    }
+});
+
+// Pair a display with this POS terminal using the code on the display's screen
+router.post('/:id/pair', authenticateToken, (req, res) => {
+    try {
+        const { pairing_code } = req.body;
+        if (!pairing_code) {
+            return res.status(400).json({ error: 'pairing_code is required' });
+        }
+
+        const terminal = db.prepare("SELECT id FROM devices WHERE id = ? AND device_type != 'customer_display'").get(req.params.id);
+        if (!terminal) {
+            return res.status(404).json({ error: 'Terminal not found' });
+        }
+
+        const display = customerDisplayService.pair(terminal.id, pairing_code);
+        if (!display) {
+            return res.status(400).json({ error: 'Pairing code is wrong or has expired' });
+        }
+        res.json({ message: 'Display paired', display });
+    } catch (error) {
+        console.error('Error pairing display:', error);
+        res.status(500).json({ error: 'Failed to pair display' });
+    }
+});
+
+// Displays paired with this terminal
+router.get('/:id/displays', authenticateToken, (req, res) => {
+    try {
+        res.json(customerDisplayService.getDisplays(req.params.id));
+    } catch (error) {
+        console.error('Error fetching displays:', error);
+        res.status(500).json({ error: 'Failed to fetch displays' });
+    }
+});
+
+// Push the cart being rung up to the terminal's display. Takes the same body as
+// POST /api/sales and prices it the same way, so the display shows what will be charged.
+// An approval_token is checked but not used up: the sale itself uses it.
+router.post('/:id/display/cart', authenticateToken, (req, res) => {
+    const { items = [], discount_percent = 0, customer_id = null, held_cart_id = null, approval_token, coupon_code, gift_cards = [] } = req.body;
+
+    if (!Array.isArray(items) || !Array.isArray(gift_cards)) {
+        return res.status(400).json({ error: 'Items and gift cards must be arrays' });
+    }
+
+    let approver = null;
+    if (approval_token) {
+        try {
+            approver = verifyApprovalToken(approval_token, 'discount_override');
+        } catch (error) {
+            return res.status(403).json({ error: error.message });
+        }
+    }
+
+    let priced;
+    try {
+        priced = saleService.priceCart({
+            items, discount_percent, customer_id, held_cart_id, coupon_code, gift_cards,
+            cashier_role: req.user.role, company_id: req.user.company_id || 1, approver
+        });
+    } catch (error) {
+        if (error.code === 'APPROVAL_REQUIRED') {
+            return res.status(403).json({ error: error.message, approval_required: true });
+        }
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        customerDisplayService.showCart(req.params.id, priced);
+        res.json({
+            subtotal: priced.subtotal,
+            discount_amount: priced.discount_amount,
+            tax_amount: priced.tax_amount,
+            total: priced.total
+        });
+    } catch (error) {
+        console.error('Error updating customer display:', error);
+        res.status(500).json({ error: 'Failed to update customer display' });
+    }
+});
+
+// Blank the display, e.g. when the cart is cleared or parked
+router.post('/:id/display/clear', authenticateToken, (req, res) => {
+    try {
+        customerDisplayService.clear(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error clearing customer display:', error);
+        res.status(500).json({ error: 'Failed to clear customer display' });
+    }
+});
+
 // Trigger Hardware Scan
 router.post('/scan', authenticateToken, async (req, res) => {
     try {
@@ -87,6 +228,39 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// Branch and terminal code used in this terminal's receipt numbers, e.g. NRB1-T2-000123.
+// A terminal without a code uses T<id>; a change applies to series started afterwards.
+router.put('/:id/numbering', authenticateToken, requireRole('admin'), (req, res) => {
+    const { branch_id } = req.body;
+    const terminalCode = req.body.terminal_code ? String(req.body.terminal_code).toUpperCase() : null;
+
+    if (terminalCode && !/^[A-Z0-9]{1,10}$/.test(terminalCode)) {
+        return res.status(400).json({ error: 'Terminal code must be 1-10 letters or digits' });
+    }
+
+    try {
+        const device = db.prepare('SELECT id, branch_id FROM devices WHERE id = ?').get(req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        const branchId = branch_id === undefined ? device.branch_id : branch_id;
+        if (branchId && !db.prepare('SELECT 1 FROM branches WHERE id = ?').get(branchId)) {
+            return res.status(404).json({ error: 'Branch not found' });
+        }
+        if (terminalCode && db.prepare('SELECT 1 FROM devices WHERE terminal_code = ? AND branch_id IS ? AND id != ?').get(terminalCode, branchId || null, device.id)) {
+            return res.status(409).json({ error: `Another terminal in this branch already uses ${terminalCode}` });
+        }
+
+        db.prepare('UPDATE devices SET branch_id = ?, terminal_code = COALESCE(?, terminal_code) WHERE id = ?')
+            .run(branchId || null, terminalCode, device.id);
+        activityLogger.log(req.user.id, 'update_device_numbering', { device_id: device.id, branch_id: branchId || null, terminal_code: terminalCode }, req.ip);
+        res.json(db.prepare('SELECT id, device_name, device_identifier, branch_id, terminal_code FROM devices WHERE id = ?').get(device.id));
+    } catch (error) {
+        console.error('Error updating device numbering:', error);
+        res.status(500).json({ error: 'Failed to update device numbering' });
+    }
+});
+
 // Update device status
 router.put('/:id/status', authenticateToken, async (req, res) => {
     try {
@@ -0,0 +1,113 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { verifyWebhook } from '../middleware/webhookAuth.js';
+import { mpesaDisbursementService } from '../services/mpesaDisbursementService.js';
+import activityLogger from '../services/activityLogger.js';
+
+const router = express.Router();
+
+// M-Pesa B2C transfers: refunds queued by POST /api/sales/:id/refund and salaries
+// by POST /api/payroll/runs/:id/disburse. Daraja reports each one's outcome below;
+// a repeated report is ignored, as the transfer is no longer waiting for one.
+
+const DISBURSEMENT_STATUSES = ['queued', 'submitted', 'completed', 'failed', 'timed_out'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// B2C result callback
+router.post('/mpesa/result/:token?', verifyWebhook('mpesa'), (req, res) => {
+    try {
+        console.log('M-Pesa B2C result received:', JSON.stringify(req.body));
+        const disbursement = mpesaDisbursementService.applyResult(req.body?.Result);
+        if (disbursement) {
+            console.log(`${disbursement.status === 'completed' ? '✅' : '❌'} M-Pesa disbursement ${disbursement.id} ${disbursement.status}:`, disbursement.result_desc);
+        }
+        res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    } catch (error) {
+        console.error('Error processing M-Pesa B2C result:', error);
+        res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
+});
+
+// B2C queue timeout callback: the request expired before M-Pesa processed it
+router.post('/mpesa/timeout/:token?', verifyWebhook('mpesa'), (req, res) => {
+    try {
+        console.log('M-Pesa B2C timeout received:', JSON.stringify(req.body));
+        mpesaDisbursementService.applyResult(req.body?.Result || req.body, { timeout: true });
+        res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    } catch (error) {
+        console.error('Error processing M-Pesa B2C timeout:', error);
+        res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
+});
+
+// ?status=, ?purpose=refund|salary, ?from=&to= (YYYY-MM-DD)
+router.get('/', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { status, purpose } = req.query;
+    if (status && !DISBURSEMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of ${DISBURSEMENT_STATUSES.join(', ')}` });
+    }
+    if (purpose && !['refund', 'salary'].includes(purpose)) {
+        return res.status(400).json({ error: 'Purpose must be refund or salary' });
+    }
+
+    try {
+        res.json(mpesaDisbursementService.getDisbursements(req.query));
+    } catch (error) {
+        console.error('Error fetching disbursements:', error);
+        res.status(500).json({ error: 'Failed to fetch disbursements' });
+    }
+});
+
+// Reconciliation: totals for ?from=&to= (default today) and the transfers that need checking
+router.get('/report', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const today = new Date().toISOString().slice(0, 10);
+    const { from = today, to = from } = req.query;
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+
+    try {
+        res.json(mpesaDisbursementService.getReconciliationReport({ from, to }));
+    } catch (error) {
+        console.error('Error building disbursement report:', error);
+        res.status(500).json({ error: 'Failed to build disbursement report' });
+    }
+});
+
+router.get('/:id', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    try {
+        const disbursement = mpesaDisbursementService.getDisbursement(req.params.id);
+        if (!disbursement) {
+            return res.status(404).json({ error: 'Disbursement not found' });
+        }
+        res.json(disbursement);
+    } catch (error) {
+        console.error('Error fetching disbursement:', error);
+        res.status(500).json({ error: 'Failed to fetch disbursement' });
+    }
+});
+
+// Queue a failed or timed-out transfer again and send it. Body: { confirmed_not_sent }, required
+// for a timed-out transfer once the M-Pesa statement shows it never went out.
+router.post('/:id/retry', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const confirmedNotSent = req.body?.confirmed_not_sent === true;
+    try {
+        const disbursement = mpesaDisbursementService.retry(req.params.id, { confirmed_not_sent: confirmedNotSent });
+        if (!disbursement) {
+            return res.status(404).json({ error: 'Disbursement not found' });
+        }
+
+        activityLogger.log(req.user.id, 'retry_disbursement', { id: disbursement.id, purpose: disbursement.purpose, amount: disbursement.amount, confirmed_not_sent: confirmedNotSent }, req.ip);
+        mpesaDisbursementService.processQueue().catch(error => console.error('M-Pesa disbursement queue error:', error.message));
+
+        res.json(disbursement);
+    } catch (error) {
+        if (error.code === 'DISBURSEMENT_INVALID') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error retrying disbursement:', error);
+        res.status(500).json({ error: 'Failed to retry disbursement' });
+    }
+});
+
+export default router;
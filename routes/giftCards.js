@@ -0,0 +1,109 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { giftCardService } from '../services/giftCardService.js';
+import hardwareService from '../services/hardware.js';
+import activityLogger from '../services/activityLogger.js';
+
+const router = express.Router();
+
+// Cards are sold and topped up through POST /api/sales (`gift_cards`) and spent as a
+// `gift_card` tender there or through POST /api/payments/gift-card.
+
+// List gift cards (Manager/Admin only)
+router.get('/', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const cards = giftCardService.listCards({ ...req.query, company_id: req.user?.company_id || 1 });
+        res.json(cards);
+    } catch (error) {
+        console.error('Error fetching gift cards:', error);
+        res.status(500).json({ error: 'Failed to fetch gift cards' });
+    }
+});
+
+// Total still owed on active cards
+router.get('/liability', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        res.json(giftCardService.getLiability(req.user?.company_id || 1));
+    } catch (error) {
+        console.error('Error fetching gift card liability:', error);
+        res.status(500).json({ error: 'Failed to fetch gift card liability' });
+    }
+});
+
+// Balance check at the till by scanned or typed card number
+router.get('/lookup/:cardNumber', authenticateToken, (req, res) => {
+    try {
+        const card = giftCardService.getByNumber(req.params.cardNumber, req.user.company_id || 1);
+        if (!card) {
+            return res.status(404).json({ error: 'Gift card not found' });
+        }
+        res.json({ id: card.id, card_number: card.card_number, balance: card.balance, status: card.status, expires_at: card.expires_at });
+    } catch (error) {
+        console.error('Error looking up gift card:', error);
+        res.status(500).json({ error: 'Failed to look up gift card' });
+    }
+});
+
+// Zero the balances of cards past their expiry date
+router.post('/expire', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const expired = giftCardService.expireCards(req.user);
+        activityLogger.log(req.user.id, 'expire_gift_cards', { cards: expired.length, amount: expired.reduce((sum, c) => sum + c.amount, 0) }, req.ip);
+        res.json({ success: true, expired });
+    } catch (error) {
+        console.error('Error expiring gift cards:', error);
+        res.status(500).json({ error: 'Failed to expire gift cards' });
+    }
+});
+
+// Card with its full balance ledger
+router.get('/:id', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const card = giftCardService.getCard(req.params.id, req.user.company_id || 1);
+        if (!card) {
+            return res.status(404).json({ error: 'Gift card not found' });
+        }
+        card.ledger = giftCardService.getLedger(card.id);
+        res.json(card);
+    } catch (error) {
+        console.error('Error fetching gift card:', error);
+        res.status(500).json({ error: 'Failed to fetch gift card' });
+    }
+});
+
+// Reprint the card slip with its barcode and current balance
+router.post('/:id/print', authenticateToken, (req, res) => {
+    try {
+        const card = giftCardService.getCard(req.params.id, req.user.company_id || 1);
+        if (!card) {
+            return res.status(404).json({ error: 'Gift card not found' });
+        }
+        hardwareService.printGiftCard(card);
+        res.json({ success: true, message: 'Gift card sent to printer' });
+    } catch (error) {
+        console.error('Error printing gift card:', error);
+        res.status(500).json({ error: 'Failed to print gift card' });
+    }
+});
+
+// Block a lost or stolen card, or unblock it
+router.patch('/:id/status', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    const { status } = req.body;
+    if (!['active', 'disabled'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be active or disabled' });
+    }
+
+    try {
+        const card = giftCardService.setStatus(req.params.id, status, req.user.company_id || 1);
+        if (!card) {
+            return res.status(404).json({ error: 'Gift card not found or not yet activated' });
+        }
+        activityLogger.log(req.user.id, 'update_gift_card_status', { gift_card_id: card.id, status }, req.ip);
+        res.json(card);
+    } catch (error) {
+        console.error('Error updating gift card:', error);
+        res.status(500).json({ error: 'Failed to update gift card' });
+    }
+});
+
+export default router;
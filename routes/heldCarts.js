@@ -0,0 +1,112 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { heldCartService } from '../services/heldCartService.js';
+import activityLogger from '../services/activityLogger.js';
+
+const router = express.Router();
+
+const validateCartItems = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'No items in cart';
+    }
+    if (items.some(item => item === null || typeof item !== 'object' || !item.id || !(Number(item.qty) > 0))) {
+        return 'Each item needs a product id and a quantity greater than 0';
+    }
+    return null;
+};
+
+// Park the current cart. `reserve_minutes` soft-reserves its stock for that long;
+// nothing is deducted until the cart is checked out through POST /api/sales.
+router.post('/', authenticateToken, (req, res) => {
+    const itemsError = validateCartItems(req.body.items);
+    if (itemsError) {
+        return res.status(400).json({ error: itemsError });
+    }
+
+    try {
+        const cart = heldCartService.holdCart({ ...req.body, user: req.user });
+        activityLogger.log(req.user.id, 'hold_cart', { cart_id: cart.id, label: cart.label, items: cart.items.length }, req.ip);
+        res.status(201).json(cart);
+    } catch (error) {
+        console.error('Error holding cart:', error);
+        res.status(400).json({ error: error.message || 'Failed to hold cart' });
+    }
+});
+
+// List parked carts, optionally only those held on one terminal
+router.get('/', authenticateToken, (req, res) => {
+    try {
+        const carts = heldCartService.listCarts({
+            company_id: req.user?.company_id || 1,
+            device_id: req.query.device_id,
+            include_resumed: req.query.include_resumed === 'true'
+        });
+        res.json(carts);
+    } catch (error) {
+        console.error('Error fetching held carts:', error);
+        res.status(500).json({ error: 'Failed to fetch held carts' });
+    }
+});
+
+router.get('/:id', authenticateToken, (req, res) => {
+    try {
+        const cart = heldCartService.getCart(req.params.id, req.user.company_id || 1);
+        if (!cart) {
+            return res.status(404).json({ error: 'Held cart not found' });
+        }
+        res.json(cart);
+    } catch (error) {
+        console.error('Error fetching held cart:', error);
+        res.status(500).json({ error: 'Failed to fetch held cart' });
+    }
+});
+
+// Replace the contents of an open cart and park it again
+router.put('/:id', authenticateToken, (req, res) => {
+    const itemsError = validateCartItems(req.body.items);
+    if (itemsError) {
+        return res.status(400).json({ error: itemsError });
+    }
+
+    try {
+        const cart = heldCartService.rehold(req.params.id, { ...req.body, user: req.user });
+        if (!cart) {
+            return res.status(404).json({ error: 'Held cart not found' });
+        }
+        res.json(cart);
+    } catch (error) {
+        console.error('Error updating held cart:', error);
+        res.status(400).json({ error: error.message || 'Failed to update held cart' });
+    }
+});
+
+// Pick a cart up on this terminal. Check it out by passing held_cart_id to POST /api/sales.
+router.post('/:id/resume', authenticateToken, (req, res) => {
+    try {
+        const cart = heldCartService.resumeCart(req.params.id, { user: req.user, device_id: req.body.device_id });
+        if (!cart) {
+            return res.status(404).json({ error: 'Held cart not found' });
+        }
+        activityLogger.log(req.user.id, 'resume_cart', { cart_id: cart.id, device_id: req.body.device_id || null }, req.ip);
+        res.json(cart);
+    } catch (error) {
+        console.error('Error resuming held cart:', error);
+        res.status(409).json({ error: error.message || 'Failed to resume held cart' });
+    }
+});
+
+router.delete('/:id', authenticateToken, (req, res) => {
+    try {
+        const discarded = heldCartService.discardCart(req.params.id, { user: req.user });
+        if (!discarded) {
+            return res.status(404).json({ error: 'Held cart not found' });
+        }
+        activityLogger.log(req.user.id, 'discard_cart', { cart_id: Number(req.params.id) }, req.ip);
+        res.json({ success: true, message: 'Held cart discarded' });
+    } catch (error) {
+        console.error('Error discarding held cart:', error);
+        res.status(409).json({ error: error.message || 'Failed to discard held cart' });
+    }
+});
+
+export default router;
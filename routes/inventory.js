@@ -1,9 +1,13 @@
 import express from 'express';
 import db from '../database/db.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { batchService } from '../services/batchService.js';
+import activityLogger from '../services/activityLogger.js';
 
 const router = express.Router();
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
 // Get raw materials inventory
 router.get('/raw', authenticateToken, (req, res) => {
     try {
@@ -71,14 +75,28 @@ router.get('/alerts', authenticateToken, (req, res) => {
     }
 });
 
-// Manual stock adjustment (Admin only)
+// Manual stock adjustment (Admin only). Stock added with an expiry_date (and
+// optionally batch_number) becomes a batch; stock taken away comes out first expiring first.
 router.post('/adjust', authenticateToken, requireRole('admin'), (req, res) => {
-    try {
-        const { type, item_id, quantity_change, notes } = req.body;
+    const { type, item_id, quantity_change, notes, expiry_date, batch_number } = req.body;
 
-        if (!type || !item_id || quantity_change === undefined) {
-            return res.status(400).json({ error: 'Type, item_id, and quantity_change are required' });
-        }
+    if (!type || !item_id || quantity_change === undefined) {
+        return res.status(400).json({ error: 'Type, item_id, and quantity_change are required' });
+    }
+    if (expiry_date && !DATE_PATTERN.test(expiry_date)) {
+        return res.status(400).json({ error: 'Expiry date must be YYYY-MM-DD' });
+    }
+
+    try {
+        const moveBatches = () => {
+            if (quantity_change < 0) {
+                batchService.consume(type, item_id, -quantity_change, { movement_type: 'adjustment', includeExpired: true });
+            } else if (quantity_change > 0 && (expiry_date || batch_number)) {
+                batchService.receive(type, item_id, {
+                    quantity: quantity_change, expiry_date, batch_number, source_type: 'adjustment', user_id: req.user.id
+                });
+            }
+        };
 
         if (type === 'raw') {
             const current = db.prepare('SELECT quantity FROM inventory_raw WHERE ingredient_id = ?').get(item_id);
@@ -91,6 +109,7 @@ router.post('/adjust', authenticateToken, requireRole('admin'), (req, res) => {
         INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, notes, created_by)
         VALUES (?, ?, ?, ?, ?, ?, ?)
       `).run('raw', item_id, 'adjustment', quantity_change, newQuantity, notes, req.user.id);
+            moveBatches();
 
         } else if (type === 'finished') {
             const current = db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(item_id);
@@ -103,6 +122,7 @@ router.post('/adjust', authenticateToken, requireRole('admin'), (req, res) => {
         INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, notes, created_by)
         VALUES (?, ?, ?, ?, ?, ?, ?)
       `).run('finished', item_id, 'adjustment', quantity_change, newQuantity, notes, req.user.id);
+            moveBatches();
         }
 
         res.json({ success: true, message: 'Inventory adjusted successfully' });
@@ -112,10 +132,10 @@ router.post('/adjust', authenticateToken, requireRole('admin'), (req, res) => {
     }
 });
 
-// Record waste
+// Record waste, from batch_id if given and then first expiring first
 router.post('/waste', authenticateToken, (req, res) => {
     try {
-        const { type, item_id, quantity, notes } = req.body;
+        const { type, item_id, quantity, notes, batch_id } = req.body;
 
         if (!type || !item_id || !quantity) {
             return res.status(400).json({ error: 'Type, item_id, and quantity are required' });
@@ -132,6 +152,7 @@ router.post('/waste', authenticateToken, (req, res) => {
         INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, notes, created_by)
         VALUES (?, ?, ?, ?, ?, ?, ?)
       `).run('finished', item_id, 'waste', -quantity, newQuantity, notes, req.user.id);
+            batchService.consume('finished', item_id, quantity, { movement_type: 'waste', includeExpired: true, batchId: batch_id });
         }
 
         res.json({ success: true, message: 'Waste recorded successfully' });
@@ -141,6 +162,81 @@ router.post('/waste', authenticateToken, (req, res) => {
     }
 });
 
+// Batches on hand: ?type=raw|finished, ?item_id=, ?status=active|depleted|written_off|all
+router.get('/batches', authenticateToken, (req, res) => {
+    const { type, status = 'active' } = req.query;
+    if (type && !['raw', 'finished'].includes(type)) {
+        return res.status(400).json({ error: 'Type must be raw or finished' });
+    }
+    if (!['active', 'depleted', 'written_off', 'all'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be active, depleted, written_off or all' });
+    }
+
+    try {
+        res.json(batchService.getBatches({ ...req.query, status }));
+    } catch (error) {
+        console.error('Error fetching batches:', error);
+        res.status(500).json({ error: 'Failed to fetch batches' });
+    }
+});
+
+// Expiring-soon report: batches expired or expiring within ?days= (default 7), ?type=
+router.get('/batches/expiring', authenticateToken, (req, res) => {
+    const { type } = req.query;
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return res.status(400).json({ error: 'Days must be a whole number from 0 to 365' });
+    }
+    if (type && !['raw', 'finished'].includes(type)) {
+        return res.status(400).json({ error: 'Type must be raw or finished' });
+    }
+
+    try {
+        res.json(batchService.getExpiring({ days, type }));
+    } catch (error) {
+        console.error('Error fetching expiring batches:', error);
+        res.status(500).json({ error: 'Failed to fetch expiring batches' });
+    }
+});
+
+// Write off every expired batch as waste, e.g. { type: 'finished' } for the bakery shelf
+router.post('/batches/write-off-expired', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { type } = req.body;
+    if (type && !['raw', 'finished'].includes(type)) {
+        return res.status(400).json({ error: 'Type must be raw or finished' });
+    }
+
+    try {
+        const batches = batchService.writeOffExpired({ type, user_id: req.user.id });
+        if (batches.length) {
+            activityLogger.log(req.user.id, 'write_off_expired_batches', { count: batches.length, batch_ids: batches.map(batch => batch.id) }, req.ip);
+        }
+        res.json({ success: true, written_off: batches.length, batches });
+    } catch (error) {
+        console.error('Error writing off expired batches:', error);
+        res.status(500).json({ error: 'Failed to write off expired batches' });
+    }
+});
+
+// Write off what's left of one batch as waste: { notes? }
+router.post('/batches/:id/write-off', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    try {
+        const batch = batchService.writeOff(req.params.id, { user_id: req.user.id, notes: req.body.notes });
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        activityLogger.log(req.user.id, 'write_off_batch', { id: batch.id, type: batch.type, item_id: batch.item_id, quantity: batch.written_off_quantity }, req.ip);
+        res.json({ success: true, batch });
+    } catch (error) {
+        if (error.code === 'BATCH_INVALID') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error writing off batch:', error);
+        res.status(500).json({ error: 'Failed to write off batch' });
+    }
+});
+
 // Get inventory movement logs
 router.get('/logs', authenticateToken, (req, res) => {
     try {
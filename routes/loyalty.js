@@ -0,0 +1,120 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { loyaltyService } from '../services/loyaltyService.js';
+import activityLogger from '../services/activityLogger.js';
+
+const router = express.Router();
+
+// Points are earned automatically on completed sales with a customer_id, spent as a
+// `loyalty_points` tender in POST /api/sales and adjusted through PATCH /api/customers/:id/loyalty.
+
+// Earn and redeem rules with the tiers and category multipliers
+router.get('/settings', authenticateToken, (req, res) => {
+    try {
+        res.json({
+            ...loyaltyService.getSettings(),
+            tiers: loyaltyService.getTiers(),
+            category_multipliers: loyaltyService.getCategoryMultipliers()
+        });
+    } catch (error) {
+        console.error('Error fetching loyalty settings:', error);
+        res.status(500).json({ error: 'Failed to fetch loyalty settings' });
+    }
+});
+
+router.put('/settings', authenticateToken, requireRole('admin'), (req, res) => {
+    const { points_per_kes, point_value, min_redeem_points, expiry_months } = req.body;
+
+    for (const [key, value] of Object.entries({ points_per_kes, point_value })) {
+        if (value !== undefined && !(Number(value) > 0)) {
+            return res.status(400).json({ error: `${key} must be greater than 0` });
+        }
+    }
+    for (const [key, value] of Object.entries({ min_redeem_points, expiry_months })) {
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+            return res.status(400).json({ error: `${key} must be a whole number, 0 or more` });
+        }
+    }
+
+    try {
+        const settings = loyaltyService.updateSettings(req.body);
+        activityLogger.log(req.user.id, 'update_loyalty_settings', req.body, req.ip);
+        res.json(settings);
+    } catch (error) {
+        console.error('Error updating loyalty settings:', error);
+        res.status(500).json({ error: 'Failed to update loyalty settings' });
+    }
+});
+
+// Rename a tier, or change the lifetime spend that qualifies for it and its earn multiplier
+router.put('/tiers/:code', authenticateToken, requireRole('admin'), (req, res) => {
+    const { min_spend, earn_multiplier } = req.body;
+
+    if (min_spend !== undefined && !(Number(min_spend) >= 0)) {
+        return res.status(400).json({ error: 'min_spend must be 0 or more' });
+    }
+    if (earn_multiplier !== undefined && !(Number(earn_multiplier) > 0)) {
+        return res.status(400).json({ error: 'earn_multiplier must be greater than 0' });
+    }
+
+    try {
+        if (!loyaltyService.updateTier(req.params.code, req.body)) {
+            return res.status(404).json({ error: 'Loyalty tier not found' });
+        }
+        activityLogger.log(req.user.id, 'update_loyalty_tier', { code: req.params.code, ...req.body }, req.ip);
+        res.json(loyaltyService.getTiers());
+    } catch (error) {
+        console.error('Error updating loyalty tier:', error);
+        res.status(500).json({ error: 'Failed to update loyalty tier' });
+    }
+});
+
+// Earn multiplier for one category, e.g. 2 for double points on cakes
+router.put('/category-multipliers/:category_id', authenticateToken, requireRole('admin'), (req, res) => {
+    const { multiplier } = req.body;
+
+    if (!(Number(multiplier) >= 0)) {
+        return res.status(400).json({ error: 'multiplier must be 0 or more' });
+    }
+
+    try {
+        loyaltyService.setCategoryMultiplier(req.params.category_id, Number(multiplier));
+        activityLogger.log(req.user.id, 'update_loyalty_multiplier', { category_id: Number(req.params.category_id), multiplier: Number(multiplier) }, req.ip);
+        res.json(loyaltyService.getCategoryMultipliers());
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        console.error('Error updating loyalty multiplier:', error);
+        res.status(500).json({ error: 'Failed to update loyalty multiplier' });
+    }
+});
+
+// Balance, tier, progress to the next tier and the points ledger
+router.get('/customers/:id', authenticateToken, (req, res) => {
+    try {
+        const loyalty = loyaltyService.getCustomerLoyalty(req.params.id, req.query);
+        if (!loyalty) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        res.json(loyalty);
+    } catch (error) {
+        console.error('Error fetching customer loyalty:', error);
+        res.status(500).json({ error: 'Failed to fetch customer loyalty' });
+    }
+});
+
+// Expire every customer's points past their date. Balances are also
+// expired lazily whenever a customer's points are looked up or spent.
+router.post('/expire', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const points = loyaltyService.expirePoints();
+        activityLogger.log(req.user.id, 'expire_loyalty_points', { points }, req.ip);
+        res.json({ success: true, points_expired: points });
+    } catch (error) {
+        console.error('Error expiring loyalty points:', error);
+        res.status(500).json({ error: 'Failed to expire loyalty points' });
+    }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { modifierService } from '../services/modifierService.js';
+import activityLogger from '../services/activityLogger.js';
+
+const router = express.Router();
+
+// Groups are linked to products with PUT /api/products/:id/modifier-groups and picked
+// per cart line as `modifiers: [modifier ids]` in POST /api/sales.
+
+const validateGroup = ({ name, min_select, max_select }) => {
+    if (!name) return 'Name is required';
+    if (min_select !== undefined && !(Number.isInteger(min_select) && min_select >= 0)) {
+        return 'min_select must be a whole number, 0 or more';
+    }
+    if (max_select !== undefined && max_select !== null && !(Number.isInteger(max_select) && max_select >= 1)) {
+        return 'max_select must be a whole number, 1 or more, or null for no limit';
+    }
+    if (Number.isInteger(min_select) && Number.isInteger(max_select) && max_select < min_select) {
+        return 'max_select cannot be less than min_select';
+    }
+    return null;
+};
+
+const validateModifier = ({ name, price_delta, ingredients }, { partial } = {}) => {
+    if (!partial && !name) return 'Modifier name is required';
+    if (price_delta !== undefined && !Number.isFinite(Number(price_delta))) {
+        return 'price_delta must be a number';
+    }
+    if (ingredients !== undefined && !(Array.isArray(ingredients) && ingredients.every(i => i.ingredient_id && Number.isFinite(Number(i.quantity)) && Number(i.quantity) !== 0))) {
+        return 'Ingredients must be a list of { ingredient_id, quantity } with a non-zero quantity';
+    }
+    return null;
+};
+
+router.get('/', authenticateToken, (req, res) => {
+    try {
+        res.json(modifierService.getGroups({ include_inactive: req.query.include_inactive === 'true' }));
+    } catch (error) {
+        console.error('Error fetching modifier groups:', error);
+        res.status(500).json({ error: 'Failed to fetch modifier groups' });
+    }
+});
+
+router.get('/:id', authenticateToken, (req, res) => {
+    try {
+        const group = modifierService.getGroup(req.params.id);
+        if (!group) {
+            return res.status(404).json({ error: 'Modifier group not found' });
+        }
+        res.json(group);
+    } catch (error) {
+        console.error('Error fetching modifier group:', error);
+        res.status(500).json({ error: 'Failed to fetch modifier group' });
+    }
+});
+
+// Create a group with its modifiers, e.g. { name: "Toppings", max_select: 3,
+// modifiers: [{ name: "Extra cheese", price_delta: 50, ingredients: [{ ingredient_id, quantity }] }] }
+router.post('/', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { modifiers = [] } = req.body;
+
+    const invalid = validateGroup(req.body) || (Array.isArray(modifiers) ? modifiers.map(m => validateModifier(m)).find(Boolean) : 'Modifiers must be an array');
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const group = modifierService.createGroup(req.body, req.user?.company_id || 1);
+        activityLogger.log(req.user.id, 'create_modifier_group', { id: group.id, name: group.name }, req.ip);
+        res.status(201).json(group);
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+            return res.status(404).json({ error: 'Ingredient not found' });
+        }
+        console.error('Error creating modifier group:', error);
+        res.status(500).json({ error: 'Failed to create modifier group' });
+    }
+});
+
+// Rename, change the selection limits, or retire a group with { active: false }
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    try {
+        const existing = modifierService.getGroup(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Modifier group not found' });
+        }
+
+        // Limits are checked together with the ones not being changed
+        const invalid = validateGroup({
+            name: req.body.name ?? existing.name,
+            min_select: req.body.min_select ?? existing.min_select,
+            max_select: req.body.max_select === undefined ? existing.max_select : req.body.max_select
+        });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const group = modifierService.updateGroup(req.params.id, req.body);
+        activityLogger.log(req.user.id, 'update_modifier_group', { id: group.id, ...req.body }, req.ip);
+        res.json(group);
+    } catch (error) {
+        console.error('Error updating modifier group:', error);
+        res.status(500).json({ error: 'Failed to update modifier group' });
+    }
+});
+
+router.post('/:id/modifiers', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const invalid = validateModifier(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        if (!modifierService.getGroup(req.params.id)) {
+            return res.status(404).json({ error: 'Modifier group not found' });
+        }
+        const id = modifierService.addModifier(req.params.id, req.body);
+        activityLogger.log(req.user.id, 'create_modifier', { id, group_id: Number(req.params.id), name: req.body.name, price_delta: req.body.price_delta }, req.ip);
+        res.status(201).json(modifierService.getGroup(req.params.id));
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+            return res.status(404).json({ error: 'Ingredient not found' });
+        }
+        console.error('Error creating modifier:', error);
+        res.status(500).json({ error: 'Failed to create modifier' });
+    }
+});
+
+// Change a modifier's name, price or recipe impact (`ingredients` replaces the list),
+// or retire it with { active: false }. Past sales keep the name and price they had.
+router.put('/modifiers/:modifierId', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const invalid = validateModifier(req.body, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const group = modifierService.updateModifier(req.params.modifierId, req.body);
+        if (!group) {
+            return res.status(404).json({ error: 'Modifier not found' });
+        }
+        activityLogger.log(req.user.id, 'update_modifier', { id: Number(req.params.modifierId), ...req.body }, req.ip);
+        res.json(group);
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+            return res.status(404).json({ error: 'Ingredient not found' });
+        }
+        console.error('Error updating modifier:', error);
+        res.status(500).json({ error: 'Failed to update modifier' });
+    }
+});
+
+export default router;
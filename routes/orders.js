@@ -1,6 +1,7 @@
 import express from 'express';
 import db from '../database/db.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -73,7 +74,7 @@ router.get('/:id', authenticateToken, (req, res) => {
 });
 
 // Create new order
-router.post('/', authenticateToken, (req, res) => {
+router.post('/', authenticateToken, idempotent('orders'), (req, res) => {
     try {
         const {
             customer_id,
@@ -92,8 +93,8 @@ router.post('/', authenticateToken, (req, res) => {
 
         const insertOrder = db.prepare(`
       INSERT INTO orders (customer_id, product_name, quantity, unit_price, total_price,
-                         deposit_paid, balance, pickup_date, notes, status, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+                         deposit_paid, balance, pickup_date, notes, status, created_by, idempotency_key)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
     `);
 
         const balance_due = total_price - deposit_paid;
@@ -108,7 +109,8 @@ router.post('/', authenticateToken, (req, res) => {
             balance_due,
             pickup_date,
             notes || null,
-            req.user.id
+            req.user.id,
+            req.idempotencyKey || null
         );
 
         res.status(201).json({
@@ -1,190 +1,134 @@
 import express from 'express';
-import axios from 'axios';
 import db from '../database/db.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { verifyWebhook } from '../middleware/webhookAuth.js';
 import hardwareService from '../services/hardware.js';
+import { getMpesaConfig, registerC2bUrls } from '../services/mpesaService.js';
+import { saleService } from '../services/saleService.js';
+import { giftCardService } from '../services/giftCardService.js';
+import { customerDisplayService } from '../services/customerDisplayService.js';
+import { paymentService } from '../services/paymentService.js';
+import { paymentProviders } from '../services/paymentProviders/index.js';
+import { cardTerminals } from '../services/cardTerminals/index.js';
+import { mpesaC2bService } from '../services/mpesaC2bService.js';
+import { webhookAuditService } from '../services/webhookAuditService.js';
+import activityLogger from '../services/activityLogger.js';
 
 const router = express.Router();
 
-// M-Pesa configuration
-const MPESA_CONFIG = {
-    consumerKey: process.env.MPESA_CONSUMER_KEY,
-    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
-    businessShortCode: process.env.MPESA_BUSINESS_SHORT_CODE,
-    passkey: process.env.MPESA_PASSKEY,
-    callbackUrl: process.env.MPESA_CALLBACK_URL,
-    environment: process.env.MPESA_ENVIRONMENT || 'sandbox'
-};
-
-const MPESA_BASE_URL = MPESA_CONFIG.environment === 'production'
-    ? 'https://api.safaricom.co.ke'
-    : 'https://sandbox.safaricom.co.ke';
-
-// Get M-Pesa access token
-async function getMpesaAccessToken() {
-    try {
-        const auth = Buffer.from(`${MPESA_CONFIG.consumerKey}:${MPESA_CONFIG.consumerSecret}`).toString('base64');
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-        const response = await axios.get(`${MPESA_BASE_URL}/oauth/v1/generate?grant_type=client_credentials`, {
-            headers: {
-                Authorization: `Basic ${auth}`
-            }
-        });
+// Take a payment through a provider against a saved sale:
+// { sale_id, method, amount, phone?, reference? } (see GET /api/payments/providers).
+// /mpesa and /card are kept for older tills.
+const takePayment = (fixedMethod) => async (req, res) => {
+    const { sale_id, amount, phone, reference } = req.body;
+    const method = fixedMethod || req.body.method;
 
-        return response.data.access_token;
-    } catch (error) {
-        console.error('Error getting M-Pesa access token:', error.response?.data || error.message);
-        throw new Error('Failed to get M-Pesa access token');
+    if (!sale_id || !method || !(Number(amount) > 0)) {
+        return res.status(400).json({ error: 'Sale ID, payment method and an amount greater than 0 are required' });
+    }
+    const provider = paymentProviders.get(method);
+    if (!provider) {
+        return res.status(400).json({ error: `Invalid payment method: ${method}. Must be one of: ${paymentProviders.ids().join(', ')}` });
+    }
+    if (!paymentProviders.isEnabled(method)) {
+        return res.status(400).json({ error: `${provider.name} payments are not available` });
+    }
+    const invalid = provider.validate({ method, amount, phone, reference });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
     }
-}
 
-// Initiate M-Pesa STK Push
-router.post('/mpesa', authenticateToken, async (req, res) => {
     try {
-        const { sale_id, phone, amount } = req.body;
-
-        if (!sale_id || !phone || !amount) {
-            return res.status(400).json({ error: 'Sale ID, phone number, and amount are required' });
-        }
-
-        // Validate sale exists
-        const sale = db.prepare('SELECT * FROM sales WHERE id = ?').get(sale_id);
-        if (!sale) {
+        const payment = await paymentService.take(sale_id, { method, amount, phone, reference, idempotency_key: req.idempotencyKey });
+        if (!payment) {
             return res.status(404).json({ error: 'Sale not found' });
         }
-
-        // Format phone number (remove + and ensure it starts with 254)
-        let formattedPhone = phone.replace(/\D/g, '');
-        if (formattedPhone.startsWith('0')) {
-            formattedPhone = '254' + formattedPhone.substring(1);
-        } else if (!formattedPhone.startsWith('254')) {
-            formattedPhone = '254' + formattedPhone;
-        }
-
-        // Get access token
-        const accessToken = await getMpesaAccessToken();
-
-        // Generate timestamp
-        const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
-
-        // Generate password
-        const password = Buffer.from(
-            `${MPESA_CONFIG.businessShortCode}${MPESA_CONFIG.passkey}${timestamp}`
-        ).toString('base64');
-
-        // STK Push request
-        const stkPushResponse = await axios.post(
-            `${MPESA_BASE_URL}/mpesa/stkpush/v1/processrequest`,
-            {
-                BusinessShortCode: MPESA_CONFIG.businessShortCode,
-                Password: password,
-                Timestamp: timestamp,
-                TransactionType: 'CustomerPayBillOnline',
-                Amount: Math.round(amount),
-                PartyA: formattedPhone,
-                PartyB: MPESA_CONFIG.businessShortCode,
-                PhoneNumber: formattedPhone,
-                CallBackURL: MPESA_CONFIG.callbackUrl,
-                AccountReference: `SALE${sale_id}`,
-                TransactionDesc: `Payment for Sale #${sale_id}`
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`
-                }
-            }
-        );
-
-        // Create pending payment record
-        const paymentResult = db.prepare(`
-      INSERT INTO payments (sale_id, method, amount, mpesa_phone, status)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(sale_id, 'mpesa', amount, formattedPhone, 'pending');
+        const { status: saleStatus } = db.prepare('SELECT status FROM sales WHERE id = ?').get(sale_id);
 
         res.json({
-            success: true,
-            message: 'STK Push sent successfully',
-            checkout_request_id: stkPushResponse.data.CheckoutRequestID,
-            payment_id: paymentResult.lastInsertRowid
+            success: payment.status !== 'failed',
+            payment_id: payment.id,
+            status: payment.status,
+            reference: payment.reference,
+            checkout_request_id: payment.checkout_request_id,
+            result_desc: payment.result_desc,
+            sale_status: saleStatus,
+            message: payment.status === 'pending'
+                ? `${provider.name} payment started, waiting for confirmation`
+                : `${provider.name} payment ${payment.status === 'completed' ? 'recorded successfully' : 'failed'}`
         });
-
     } catch (error) {
-        console.error('M-Pesa STK Push error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to initiate M-Pesa payment',
+        if (error.code === 'PAYMENT_INVALID') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 'PAYMENT_CONFLICT') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error(`${provider.name} payment error:`, error.response?.data || error.message);
+        res.status(502).json({
+            error: `Failed to initiate ${provider.name} payment`,
             details: error.response?.data || error.message
         });
     }
+};
+
+router.post('/', authenticateToken, idempotent('payments'), takePayment());
+
+// The payment methods this till can take, for its payment buttons
+router.get('/providers', authenticateToken, (req, res) => {
+    res.json(paymentProviders.list());
 });
 
-// Helper to fetch sale details for printing
-function getSaleDetails(sale_id) {
-    const sale = db.prepare(`
-        SELECT s.*, u.username as user_name 
-        FROM sales s 
-        LEFT JOIN users u ON s.cashier_id = u.id 
-        WHERE s.id = ?
-    `).get(sale_id);
-
-    const items = db.prepare(`
-        SELECT si.*, p.name as product_name 
-        FROM sale_items si
-        LEFT JOIN products p ON si.product_id = p.id
-        WHERE si.sale_id = ?
-    `).all(sale_id);
-
-    return { sale, items };
-}
-
-// M-Pesa callback handler
-router.post('/mpesa/callback', async (req, res) => {
+// Initiate M-Pesa STK Push
+router.post('/mpesa', authenticateToken, idempotent('payments'), takePayment('mpesa'));
+
+// M-Pesa STK callback. Daraja may deliver the same result more than once; a
+// payment is settled by the first and repeats are acknowledged and ignored.
+router.post('/mpesa/callback/:token?', verifyWebhook('mpesa'), async (req, res) => {
     try {
         console.log('M-Pesa Callback received:', JSON.stringify(req.body, null, 2));
 
         const { Body } = req.body;
 
         if (Body && Body.stkCallback) {
-            const { ResultCode, ResultDesc, CallbackMetadata } = Body.stkCallback;
+            const { CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata } = Body.stkCallback;
+
+            const payment = CheckoutRequestID && paymentService.findByCheckoutRequestId(CheckoutRequestID);
+            if (!payment) {
+                webhookAuditService.reject(req, 'mpesa', 'unknown_checkout_request');
+                return res.json({ ResultCode: 0, ResultDesc: 'Success' });
+            }
 
             if (ResultCode === 0) {
                 // Payment successful
-                const metadata = CallbackMetadata.Item;
+                const metadata = CallbackMetadata?.Item || [];
                 const mpesaReceiptNumber = metadata.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
                 const transactionDate = metadata.find(item => item.Name === 'TransactionDate')?.Value;
-                const phoneNumber = metadata.find(item => item.Name === 'PhoneNumber')?.Value;
-
-                // Update payment record
-                const payment = db.prepare(`
-                  UPDATE payments
-                  SET status = 'completed', mpesa_receipt = ?, mpesa_transaction_id = ?
-                  WHERE mpesa_phone = ? AND status = 'pending'
-                  ORDER BY created_at DESC
-                  LIMIT 1
-                  RETURNING *
-                `).get(mpesaReceiptNumber, transactionDate, phoneNumber);
-
-                console.log('✅ M-Pesa payment completed:', mpesaReceiptNumber);
-
-                if (payment) {
-                    // Trigger receipt print
-                    const { sale, items } = getSaleDetails(payment.sale_id);
-                    if (sale) {
-                        hardwareService.printReceipt(sale, items);
-                    }
+                const amount = metadata.find(item => item.Name === 'Amount')?.Value;
+
+                // The prompt asked for the whole-shilling amount
+                if (amount !== undefined && Number(amount) !== Math.round(payment.amount)) {
+                    webhookAuditService.reject(req, 'mpesa', 'amount_mismatch');
+                    return res.json({ ResultCode: 0, ResultDesc: 'Success' });
                 }
 
-            } else {
+                // A status query may have completed it already; the callback still brings the receipt
+                if (payment.status === 'pending' || (payment.status === 'completed' && !payment.mpesa_receipt)) {
+                    paymentService.complete(payment.id, { receipt: mpesaReceiptNumber, transaction_id: transactionDate, result_desc: ResultDesc });
+                    console.log('✅ M-Pesa payment completed:', mpesaReceiptNumber);
+                } else {
+                    console.log(`M-Pesa callback for ${CheckoutRequestID} repeated; payment ${payment.id} is already ${payment.status}`);
+                }
+
+            } else if (payment.status === 'pending') {
                 // Payment failed
                 console.log('❌ M-Pesa payment failed:', ResultDesc);
-
-                // Update payment status to failed
-                db.prepare(`
-          UPDATE payments
-          SET status = 'failed'
-          WHERE status = 'pending'
-          ORDER BY created_at DESC
-          LIMIT 1
-        `).run();
+                paymentService.fail(payment.id, ResultDesc);
+            } else {
+                console.log(`M-Pesa callback for ${CheckoutRequestID} repeated; payment ${payment.id} is already ${payment.status}`);
             }
         }
 
@@ -197,24 +141,149 @@ router.post('/mpesa/callback', async (req, res) => {
     }
 });
 
+// M-Pesa C2B: customers paying the Paybill/Till directly. Daraja asks whether to
+// accept each payment (validation) and then reports it (confirmation).
+router.post('/mpesa/c2b/validation/:token?', verifyWebhook('mpesa'), (req, res) => {
+    const amount = Number(req.body?.TransAmount);
+    if (!(amount > 0)) {
+        return res.json({ ResultCode: 'C2B00013', ResultDesc: 'Rejected' });
+    }
+    res.json({ ResultCode: '0', ResultDesc: 'Accepted' });
+});
+
+// Repeated confirmations of a TransID are ignored by mpesaC2bService.record()
+router.post('/mpesa/c2b/confirmation/:token?', verifyWebhook('mpesa'), (req, res) => {
+    try {
+        console.log('M-Pesa C2B confirmation received:', JSON.stringify(req.body));
+
+        if (req.body?.TransID && Number(req.body.TransAmount) > 0) {
+            const { transaction, created } = mpesaC2bService.record(req.body);
+            // New money in the inbox for the tills to pick up
+            if (created) req.io?.emit('mpesa:c2b', transaction);
+        }
+
+        res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    } catch (error) {
+        console.error('Error processing M-Pesa C2B confirmation:', error);
+        res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
+});
+
+// Point Daraja's C2B requests for the Paybill/Till at this server (MPESA_C2B_* settings)
+router.post('/mpesa/c2b/register', authenticateToken, requireRole('admin'), async (req, res) => {
+    if (!getMpesaConfig().webhookToken) {
+        return res.status(400).json({ error: 'Set MPESA_WEBHOOK_TOKEN before registering callback URLs: callbacks without it are refused' });
+    }
+    try {
+        const result = await registerC2bUrls();
+        activityLogger.log(req.user.id, 'register_mpesa_c2b', result, req.ip);
+        res.json({ success: true, result });
+    } catch (error) {
+        console.error('M-Pesa C2B register error:', error.response?.data || error.message);
+        res.status(502).json({
+            error: 'Failed to register M-Pesa C2B URLs',
+            details: error.response?.data || error.message
+        });
+    }
+});
+
+// Payment callbacks that were turned away: ?provider=, ?reason=, ?from=&to= (YYYY-MM-DD), ?limit=
+router.get('/webhooks/rejections', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { from, to } = req.query;
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+
+    try {
+        res.json(webhookAuditService.getRejections(req.query));
+    } catch (error) {
+        console.error('Error fetching webhook rejections:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook rejections' });
+    }
+});
+
+// Unmatched-transactions inbox: ?phone=, ?amount=, ?code= (M-Pesa code), ?status=unmatched|matched|all
+router.get('/mpesa/c2b', authenticateToken, (req, res) => {
+    const { status = 'unmatched' } = req.query;
+    if (!['unmatched', 'matched', 'all'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be unmatched, matched or all' });
+    }
+
+    try {
+        res.json(mpesaC2bService.getInbox({ ...req.query, status }));
+    } catch (error) {
+        console.error('Error fetching M-Pesa C2B transactions:', error);
+        res.status(500).json({ error: 'Failed to fetch M-Pesa transactions' });
+    }
+});
+
+// Take a Till payment as a sale's payment, e.g. { sale_id: 12 }
+router.post('/mpesa/c2b/:id/attach', authenticateToken, (req, res) => {
+    const { sale_id } = req.body;
+    if (!sale_id) {
+        return res.status(400).json({ error: 'Sale ID is required' });
+    }
+
+    try {
+        if (!db.prepare('SELECT 1 FROM sales WHERE id = ?').get(sale_id)) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+
+        const transaction = mpesaC2bService.attachToSale(req.params.id, sale_id, req.user.id);
+        if (!transaction) {
+            return res.status(404).json({ error: 'M-Pesa transaction not found' });
+        }
+
+        activityLogger.log(req.user.id, 'attach_mpesa_c2b', { id: transaction.id, trans_id: transaction.trans_id, sale_id: transaction.sale_id, amount: transaction.amount }, req.ip);
+
+        // Trigger receipt print once the sale is fully paid
+        const saleStatus = saleService.settleSale(sale_id);
+        if (saleStatus === 'completed') {
+            const { sale, items } = saleService.getSaleDetails(sale_id);
+            if (sale) {
+                hardwareService.printReceipt(sale, items);
+                sale.gift_cards.forEach(giftCard => hardwareService.printGiftCard(giftCard));
+            }
+        }
+        customerDisplayService.showPayment(sale_id);
+
+        res.json({ success: true, transaction, payment_id: transaction.payment_id, sale_status: saleStatus });
+    } catch (error) {
+        if (error.code === 'C2B_INVALID' || error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: error.code === 'C2B_INVALID' ? error.message : 'This M-Pesa code has already been used' });
+        }
+        console.error('Error attaching M-Pesa transaction:', error);
+        res.status(500).json({ error: 'Failed to attach M-Pesa transaction' });
+    }
+});
+
 // Record cash payment
-router.post('/cash', authenticateToken, (req, res) => {
+router.post('/cash', authenticateToken, idempotent('payments'), (req, res) => {
     try {
         const { sale_id, amount, amount_tendered } = req.body;
 
-        if (!sale_id || !amount) {
-            return res.status(400).json({ error: 'Sale ID and amount are required' });
+        if (!sale_id || !(Number(amount) > 0)) {
+            return res.status(400).json({ error: 'Sale ID and an amount greater than 0 are required' });
         }
 
-        const result = db.prepare(`
-      INSERT INTO payments (sale_id, method, amount, status)
-      VALUES (?, ?, ?, ?)
-    `).run(sale_id, 'cash', amount, 'completed');
+        let paymentId;
+        try {
+            paymentId = paymentService.record(sale_id, { method: 'cash', amount, status: 'completed', idempotency_key: req.idempotencyKey || null });
+        } catch (error) {
+            if (error.code === 'PAYMENT_CONFLICT') {
+                return res.status(409).json({ error: error.message });
+            }
+            throw error;
+        }
+        if (!paymentId) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
 
         const change = amount_tendered ? amount_tendered - amount : 0;
+        const saleStatus = saleService.settleSale(sale_id);
 
         // Trigger Receipt Print
-        const { sale, items } = getSaleDetails(sale_id);
+        const { sale, items } = saleService.getSaleDetails(sale_id);
         if (sale) {
             sale.amount_tendered = amount_tendered;
             hardwareService.printReceipt(sale, items);
@@ -222,8 +291,9 @@ router.post('/cash', authenticateToken, (req, res) => {
 
         res.json({
             success: true,
-            payment_id: result.lastInsertRowid,
+            payment_id: paymentId,
             change,
+            sale_status: saleStatus,
             message: 'Cash payment recorded successfully'
         });
     } catch (error) {
@@ -232,34 +302,61 @@ router.post('/cash', authenticateToken, (req, res) => {
     }
 });
 
-// Record card payment
-router.post('/card', authenticateToken, (req, res) => {
+// Card payment: sent to the integrated card terminal when one is set up
+// (CARD_TERMINAL_URL), otherwise recorded as paid on a standalone machine
+router.post('/card', authenticateToken, idempotent('payments'), (req, res) => {
+    return takePayment(cardTerminals.isConfigured() ? 'card_terminal' : 'card')(req, res);
+});
+
+// Record gift card payment
+router.post('/gift-card', authenticateToken, idempotent('payments'), (req, res) => {
     try {
-        const { sale_id, amount } = req.body;
+        const { sale_id, amount, card_number } = req.body;
 
-        if (!sale_id || !amount) {
-            return res.status(400).json({ error: 'Sale ID and amount are required' });
+        if (!sale_id || !(Number(amount) > 0) || !card_number) {
+            return res.status(400).json({ error: 'Sale ID, an amount greater than 0 and card number are required' });
         }
 
-        const result = db.prepare(`
-      INSERT INTO payments (sale_id, method, amount, status)
-      VALUES (?, ?, ?, ?)
-    `).run(sale_id, 'card', amount, 'completed');
+        let paymentId;
+        try {
+            paymentId = db.transaction(() => {
+                const id = paymentService.record(sale_id, {
+                    method: 'gift_card', amount, reference: giftCardService.normalizeNumber(card_number),
+                    status: 'completed', idempotency_key: req.idempotencyKey || null
+                });
+                if (id) giftCardService.redeem(card_number, Number(amount), { sale_id, payment_id: id, user_id: req.user.id, company_id: req.user.company_id || 1 });
+                return id;
+            })();
+        } catch (error) {
+            if (error.code === 'GIFT_CARD_INVALID') {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error.code === 'PAYMENT_CONFLICT') {
+                return res.status(409).json({ error: error.message });
+            }
+            throw error;
+        }
+        if (!paymentId) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+        const saleStatus = saleService.settleSale(sale_id);
 
         // Trigger Receipt Print
-        const { sale, items } = getSaleDetails(sale_id);
+        const { sale, items } = saleService.getSaleDetails(sale_id);
         if (sale) {
             hardwareService.printReceipt(sale, items);
         }
 
         res.json({
             success: true,
-            payment_id: result.lastInsertRowid,
-            message: 'Card payment recorded successfully'
+            payment_id: paymentId,
+            sale_status: saleStatus,
+            balance: giftCardService.getByNumber(card_number, req.user.company_id || 1).balance,
+            message: 'Gift card payment recorded successfully'
         });
     } catch (error) {
-        console.error('Error recording card payment:', error);
-        res.status(500).json({ error: 'Failed to record card payment' });
+        console.error('Error recording gift card payment:', error);
+        res.status(500).json({ error: 'Failed to record gift card payment' });
     }
 });
 
@@ -279,4 +376,49 @@ router.get('/:payment_id/status', authenticateToken, (req, res) => {
     }
 });
 
+// Ask the provider for a payment's status now instead of waiting for the callback
+// or the background query (e.g. a "Check payment" button at the till)
+router.post('/:payment_id/query', authenticateToken, async (req, res) => {
+    try {
+        const payment = db.prepare('SELECT * FROM payments WHERE id = ?').get(req.params.payment_id);
+
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+        if (!paymentService.canQuery(payment)) {
+            return res.status(400).json({ error: 'This payment cannot be queried' });
+        }
+        if (payment.status !== 'pending') {
+            return res.json(payment);
+        }
+
+        res.json(await paymentService.query(payment));
+    } catch (error) {
+        console.error('Error querying payment:', error.response?.data || error.message);
+        res.status(502).json({ error: 'Failed to query payment status' });
+    }
+});
+
+// Abandon a pending payment the provider can cancel, e.g. the customer walked
+// away from the card terminal. A card approved just before stays paid.
+router.post('/:payment_id/cancel', authenticateToken, async (req, res) => {
+    try {
+        const payment = db.prepare('SELECT * FROM payments WHERE id = ?').get(req.params.payment_id);
+
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+        if (!paymentService.canCancel(payment)) {
+            return res.status(400).json({ error: payment.status === 'pending' ? 'This payment cannot be cancelled' : `Payment is already ${payment.status}` });
+        }
+
+        const result = await paymentService.cancel(payment);
+        activityLogger.log(req.user.id, 'cancel_payment', { payment_id: result.id, sale_id: result.sale_id, method: result.method, status: result.status }, req.ip);
+        res.json(result);
+    } catch (error) {
+        console.error('Error cancelling payment:', error.message);
+        res.status(502).json({ error: 'Failed to cancel payment', details: error.message });
+    }
+});
+
 export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import PayrollController from '../controllers/payrollController.js';
-// import { authenticateToken } from '../middleware/auth.js'; // Ensure auth is used
+import { authenticateToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -21,5 +21,7 @@ router.put('/employees/:id', PayrollController.updateEmployeeData);
 router.post('/simulate', PayrollController.simulateRun);
 router.post('/run', PayrollController.executeRun);
 router.get('/runs', PayrollController.getRuns);
+// Pays money out, so unlike the rest it needs a signed-in admin
+router.post('/runs/:id/disburse', authenticateToken, requireRole('admin'), PayrollController.disburseRun);
 
 export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
 import { productionService } from '../services/productionService.js';
+import { unitService } from '../services/unitService.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -32,15 +34,35 @@ router.get('/recipes/:productId', (req, res) => {
     }
 });
 
-router.post('/recipes/:productId', (req, res) => {
+// { ingredients: [{ ingredient_id, quantity_required, unit? }] }, e.g. 250 g of flour kept in kg
+router.post('/recipes/:productId', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
     try {
         productionService.saveRecipe(req.params.productId, req.body.ingredients);
         res.json({ success: true, message: 'Recipe saved successfully' });
+    } catch (error) {
+        res.status(error.code === 'UNIT_INVALID' ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// ─── UNITS ──────────────────────────────────────────────────────────────────
+// Standard units, plus an ingredient's pack sizes with ?ingredient_id=
+router.get('/units', (req, res) => {
+    try {
+        res.json(unitService.getUnits(req.query));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// { code, name?, dimension, factor } or a pack size { code, name?, ingredient_id, contains }
+router.post('/units', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    try {
+        res.status(201).json(unitService.createUnit(req.body));
+    } catch (error) {
+        res.status(error.code === 'UNIT_INVALID' ? 400 : 500).json({ error: error.message });
+    }
+});
+
 // ─── PRODUCTION ─────────────────────────────────────────────────────────────
 router.post('/check-feasibility', (req, res) => {
     try {
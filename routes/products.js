@@ -2,10 +2,20 @@ import express from 'express';
 import db from '../database/db.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { syncRecord } from '../services/syncService.js';
+import { variantService } from '../services/variantService.js';
+import { modifierService } from '../services/modifierService.js';
+import activityLogger from '../services/activityLogger.js';
 
 const router = express.Router();
 
-// Get all products
+// Options such as {"size":"L"}: an object of non-empty text values
+const isVariantOptions = (options) => {
+    return !!options && typeof options === 'object' && !Array.isArray(options) && Object.keys(options).length > 0
+        && Object.values(options).every(value => typeof value === 'string' && value.trim() !== '');
+};
+
+// Get all products. Variants are listed under their parent product, not on their own;
+// a search also finds a parent through a variant's name or barcode.
 router.get('/', authenticateToken, (req, res) => {
     try {
         const { search, category } = req.query;
@@ -15,14 +25,16 @@ router.get('/', authenticateToken, (req, res) => {
       SELECT p.*, c.name as category_name
       FROM products p
       LEFT JOIN categories c ON p.category_id = c.id
-      WHERE p.active = 1 AND p.company_id = ?
+      WHERE p.active = 1 AND p.company_id = ? AND p.parent_id IS NULL
     `;
 
         const params = [companyId];
 
         if (search) {
-            query += ' AND p.name LIKE ?';
-            params.push(`%${search}%`);
+            query += ` AND (p.name LIKE ? OR EXISTS (
+                SELECT 1 FROM products v WHERE v.parent_id = p.id AND v.active = 1 AND (v.name LIKE ? OR v.barcode = ?)
+            ))`;
+            params.push(`%${search}%`, `%${search}%`, search);
         }
 
         if (category && category !== 'All') {
@@ -39,7 +51,9 @@ router.get('/', authenticateToken, (req, res) => {
             const inventory = db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(product.id);
             return {
                 ...product,
-                stock: inventory ? inventory.quantity : 0
+                stock: inventory ? inventory.quantity : 0,
+                variants: variantService.getVariants(product.id),
+                modifier_groups: modifierService.getProductGroups(product.id)
             };
         });
 
@@ -78,8 +92,11 @@ router.get('/:id', authenticateToken, (req, res) => {
 
         res.json({
             ...product,
+            variant_options: product.variant_options ? JSON.parse(product.variant_options) : null,
             stock: inventory ? inventory.quantity : 0,
-            recipe
+            recipe,
+            variants: product.parent_id ? [] : variantService.getVariants(product.id, { include_inactive: true }),
+            modifier_groups: modifierService.getProductGroups(product.id)
         });
     } catch (error) {
         console.error('Error fetching product:', error);
@@ -90,17 +107,21 @@ router.get('/:id', authenticateToken, (req, res) => {
 // Create product (Manager/Admin only)
 router.post('/', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
     try {
-        const { name, category_id, price, barcode, emoji, description } = req.body;
+        const { name, category_id, price, barcode, emoji, description, tax_class = 'standard', shelf_life_days = null } = req.body;
         const companyId = req.user?.company_id || 1;
 
         if (!name || !price) {
             return res.status(400).json({ error: 'Name and price are required' });
         }
 
+        if (!db.prepare('SELECT code FROM tax_classes WHERE code = ?').get(tax_class)) {
+            return res.status(400).json({ error: `Invalid tax class: ${tax_class}` });
+        }
+
         const result = db.prepare(`
-      INSERT INTO products (name, category_id, company_id, price, barcode, emoji, description)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(name, category_id, companyId, price, barcode, emoji, description);
+      INSERT INTO products (name, category_id, company_id, price, barcode, emoji, description, tax_class, shelf_life_days)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(name, category_id, companyId, price, barcode, emoji, description, tax_class, shelf_life_days);
 
         // Initialize inventory for this product
         db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, ?)').run(result.lastInsertRowid, 0);
@@ -118,14 +139,19 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), (req, res)
 // Update product
 router.put('/:id', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
     try {
-        const { name, category_id, price, barcode, emoji, description } = req.body;
+        const { name, category_id, price, barcode, emoji, description, tax_class, shelf_life_days } = req.body;
         const companyId = req.user?.company_id || 1;
 
+        if (tax_class && !db.prepare('SELECT code FROM tax_classes WHERE code = ?').get(tax_class)) {
+            return res.status(400).json({ error: `Invalid tax class: ${tax_class}` });
+        }
+
         const result = db.prepare(`
       UPDATE products
-      SET name = ?, category_id = ?, price = ?, barcode = ?, emoji = ?, description = ?
+      SET name = ?, category_id = ?, price = ?, barcode = ?, emoji = ?, description = ?, tax_class = COALESCE(?, tax_class),
+          shelf_life_days = COALESCE(?, shelf_life_days)
       WHERE id = ? AND company_id = ?
-    `).run(name, category_id, price, barcode, emoji, description, req.params.id, companyId);
+    `).run(name, category_id, price, barcode, emoji, description, tax_class || null, shelf_life_days ?? null, req.params.id, companyId);
 
         if (result.changes === 0) {
             return res.status(404).json({ error: 'Product not found or unauthorized' });
@@ -156,6 +182,112 @@ router.delete('/:id', authenticateToken, requireRole('admin'), (req, res) => {
     }
 });
 
+// Variants of a product, each with its own price, barcode and stock
+router.get('/:id/variants', authenticateToken, (req, res) => {
+    try {
+        res.json(variantService.getVariants(req.params.id, { include_inactive: req.query.include_inactive === 'true' }));
+    } catch (error) {
+        console.error('Error fetching variants:', error);
+        res.status(500).json({ error: 'Failed to fetch variants' });
+    }
+});
+
+// Add a variant, e.g. { options: { size: "L" }, price: 1200, barcode }. Its stock starts
+// at 0 and is produced or adjusted like any product's; without a recipe of its own it
+// uses the parent's.
+router.post('/:id/variants', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { options, price } = req.body;
+    const companyId = req.user?.company_id || 1;
+
+    if (!isVariantOptions(options)) {
+        return res.status(400).json({ error: 'Options must name at least one attribute, e.g. { "size": "L" }' });
+    }
+    if (!(Number(price) >= 0)) {
+        return res.status(400).json({ error: 'Price must be 0 or more' });
+    }
+    if (req.body.tax_class && !db.prepare('SELECT code FROM tax_classes WHERE code = ?').get(req.body.tax_class)) {
+        return res.status(400).json({ error: `Invalid tax class: ${req.body.tax_class}` });
+    }
+
+    try {
+        const id = variantService.createVariant(req.params.id, { ...req.body, price: Number(price) }, companyId);
+        if (!id) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        activityLogger.log(req.user.id, 'create_product_variant', { product_id: Number(req.params.id), variant_id: id, options, price: Number(price) }, req.ip);
+        syncRecord('products', id).catch(() => { });
+        res.status(201).json({ id, message: 'Variant created successfully' });
+    } catch (error) {
+        if (error.code === 'VARIANT_INVALID') {
+            return res.status(409).json({ error: error.message });
+        }
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'Another product already uses this barcode' });
+        }
+        console.error('Error creating variant:', error);
+        res.status(500).json({ error: 'Failed to create variant' });
+    }
+});
+
+router.put('/:id/variants/:variantId', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { options, price } = req.body;
+
+    if (options !== undefined && !isVariantOptions(options)) {
+        return res.status(400).json({ error: 'Options must name at least one attribute, e.g. { "size": "L" }' });
+    }
+    if (price !== undefined && !(Number(price) >= 0)) {
+        return res.status(400).json({ error: 'Price must be 0 or more' });
+    }
+
+    try {
+        if (!variantService.updateVariant(req.params.id, req.params.variantId, { ...req.body, price: price === undefined ? undefined : Number(price) })) {
+            return res.status(404).json({ error: 'Variant not found' });
+        }
+        activityLogger.log(req.user.id, 'update_product_variant', { product_id: Number(req.params.id), variant_id: Number(req.params.variantId), ...req.body }, req.ip);
+        syncRecord('products', req.params.variantId).catch(() => { });
+        res.json({ message: 'Variant updated successfully' });
+    } catch (error) {
+        if (error.code === 'VARIANT_INVALID') {
+            return res.status(409).json({ error: error.message });
+        }
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'Another product already uses this barcode' });
+        }
+        console.error('Error updating variant:', error);
+        res.status(500).json({ error: 'Failed to update variant' });
+    }
+});
+
+// Modifier groups offered with a product, in display order: { group_ids: [..] }.
+// Its variants offer the same groups.
+router.put('/:id/modifier-groups', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { group_ids } = req.body;
+
+    if (!Array.isArray(group_ids) || new Set(group_ids).size !== group_ids.length) {
+        return res.status(400).json({ error: 'group_ids must be an array of distinct modifier group ids' });
+    }
+
+    try {
+        const product = db.prepare('SELECT id, parent_id FROM products WHERE id = ? AND company_id = ?').get(req.params.id, req.user?.company_id || 1);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        if (product.parent_id) {
+            return res.status(400).json({ error: 'Variants use their parent product\'s modifier groups' });
+        }
+
+        const groups = modifierService.setProductGroups(product.id, group_ids);
+        activityLogger.log(req.user.id, 'set_product_modifier_groups', { product_id: product.id, group_ids }, req.ip);
+        res.json(groups);
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+            return res.status(404).json({ error: 'Modifier group not found' });
+        }
+        console.error('Error setting product modifier groups:', error);
+        res.status(500).json({ error: 'Failed to set product modifier groups' });
+    }
+});
+
 // Get all categories
 router.get('/api/categories', authenticateToken, (req, res) => {
     try {
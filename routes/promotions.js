@@ -1,35 +1,86 @@
 import express from 'express';
 import db from '../database/db.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { promotionService } from '../services/promotionService.js';
+import { couponService } from '../services/couponService.js';
+import activityLogger from '../services/activityLogger.js';
 const router = express.Router();
 
+const toConditionsJson = (conditions) => {
+    if (!conditions) return null;
+    return typeof conditions === 'string' ? conditions : JSON.stringify(conditions);
+};
+
 // Get all promotions
 router.get('/', authenticateToken, (req, res) => {
     try {
-        const { active_only } = req.query;
+        const promotions = promotionService.listPromotions({ active_only: req.query.active_only === 'true' });
+        res.json(promotions);
+    } catch (error) {
+        console.error('Error fetching promotions:', error);
+        res.status(500).json({ error: 'Failed to fetch promotions' });
+    }
+});
 
-        let query = 'SELECT * FROM promotions WHERE 1=1';
-        const params = [];
+// Preview which running promotions (and optionally a coupon) a cart would get, before checkout.
+// Body: { items: [{ id, qty, price? }], coupon_code?, customer_id? }
+router.post('/evaluate', authenticateToken, (req, res) => {
+    const { items, coupon_code, customer_id } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ error: 'No items in cart' });
+    }
 
-        if (active_only === 'true') {
-            query += ' AND status = ? AND start_date <= CURRENT_DATE AND end_date >= CURRENT_DATE';
-            params.push('active');
+    try {
+        const lines = [];
+        for (const item of items) {
+            const product = db.prepare('SELECT id, name, category_id, price FROM products WHERE id = ?').get(item.id);
+            if (!product) {
+                return res.status(404).json({ error: `Product ${item.id} not found` });
+            }
+            const unitPrice = item.price !== undefined && item.price !== null ? Number(item.price) : product.price;
+            lines.push({
+                product_id: product.id,
+                product_name: product.name,
+                category_id: product.category_id,
+                quantity: Number(item.qty),
+                unit_price: unitPrice,
+                amount: unitPrice * Number(item.qty),
+                adjusted: unitPrice !== product.price || !!item.discount_type
+            });
         }
 
-        query += ' ORDER BY created_at DESC';
+        const promotions = promotionService.getActivePromotions();
+        if (coupon_code) {
+            try {
+                promotions.push(couponService.asPromotion(couponService.getRedeemableCoupon(coupon_code, customer_id, req.user.company_id || 1)));
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
 
-        const promotions = db.prepare(query).all(...params);
-        res.json(promotions);
+        const applied = promotionService.applyPromotions(lines, promotions);
+        const result = lines.map((line, index) => ({
+            product_id: line.product_id,
+            product_name: line.product_name,
+            quantity: line.quantity,
+            amount: line.amount,
+            promotions: applied[index]
+        }));
+
+        res.json({
+            items: result,
+            promotion_discount: Math.round(applied.flat().reduce((sum, p) => sum + p.amount, 0) * 100) / 100
+        });
     } catch (error) {
-        console.error('Error fetching promotions:', error);
-        res.status(500).json({ error: 'Failed to fetch promotions' });
+        console.error('Error evaluating promotions:', error);
+        res.status(500).json({ error: 'Failed to evaluate promotions' });
     }
 });
 
 // Get single promotion
 router.get('/:id', authenticateToken, (req, res) => {
     try {
-        const promotion = db.prepare('SELECT * FROM promotions WHERE id = ?').get(req.params.id);
+        const promotion = promotionService.getPromotion(req.params.id);
 
         if (!promotion) {
             return res.status(404).json({ error: 'Promotion not found' });
@@ -45,20 +96,20 @@ router.get('/:id', authenticateToken, (req, res) => {
 // Create promotion
 router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
     try {
-        const { name, type, value, start_date, end_date, conditions, status } = req.body;
+        const { name, type, value, start_date, end_date, conditions, status, priority = 0, stackable = false } = req.body;
 
         if (!name || !type || !value || !start_date || !end_date) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        const validTypes = ['percentage', 'fixed_amount', 'buy_x_get_y'];
-        if (!validTypes.includes(type)) {
-            return res.status(400).json({ error: 'Invalid promotion type' });
+        const validationError = promotionService.validate({ type, value, conditions });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
         const insert = db.prepare(`
-      INSERT INTO promotions (name, type, value, start_date, end_date, conditions, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO promotions (name, type, value, start_date, end_date, conditions, status, priority, stackable)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
         const result = insert.run(
@@ -67,10 +118,14 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
             value,
             start_date,
             end_date,
-            conditions || null,
-            status || 'active'
+            toConditionsJson(conditions),
+            status || 'active',
+            parseInt(priority) || 0,
+            stackable ? 1 : 0
         );
 
+        activityLogger.log(req.user.id, 'create_promotion', { promotion_id: result.lastInsertRowid, name, type, value }, req.ip);
+
         res.status(201).json({
             message: 'Promotion created successfully',
             promotion_id: result.lastInsertRowid
@@ -84,11 +139,16 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
 // Update promotion
 router.put('/:id', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
     try {
-        const { name, type, value, start_date, end_date, conditions, status } = req.body;
+        const { name, type, value, start_date, end_date, conditions, status, priority = 0, stackable = false } = req.body;
+
+        const validationError = promotionService.validate({ type, value, conditions });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
 
         const update = db.prepare(`
       UPDATE promotions 
-      SET name = ?, type = ?, value = ?, start_date = ?, end_date = ?, conditions = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+      SET name = ?, type = ?, value = ?, start_date = ?, end_date = ?, conditions = ?, status = ?, priority = ?, stackable = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `);
 
@@ -98,8 +158,10 @@ router.put('/:id', authenticateToken, requireRole('manager', 'admin'), (req, res
             value,
             start_date,
             end_date,
-            conditions || null,
+            toConditionsJson(conditions),
             status,
+            parseInt(priority) || 0,
+            stackable ? 1 : 0,
             req.params.id
         );
 
@@ -1,6 +1,9 @@
 import express from 'express';
 import db from '../database/db.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { taxService } from '../services/taxService.js';
+import { batchService } from '../services/batchService.js';
+import { unitService } from '../services/unitService.js';
 const router = express.Router();
 
 // Get all purchases
@@ -64,7 +67,10 @@ router.get('/:id', authenticateToken, (req, res) => {
 // Create purchase
 router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
     try {
-        const { supplier_id, items, total_amount, notes } = req.body;
+        const { supplier_id, items, notes } = req.body;
+        let { total_amount } = req.body;
+        // Supplier costs are taken as VAT-inclusive unless the invoice says otherwise
+        const pricesIncludeTax = req.body.prices_include_tax !== false;
 
         if (!supplier_id || !items || !total_amount) {
             console.error('Missing fields:', { supplier_id, hasItems: !!items, total_amount });
@@ -85,11 +91,49 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
             }
         }
 
+        // Each line is received as a batch, optionally with { expiry_date, batch_number }
+        if (purchaseItems.some(item => item.expiry_date && !/^\d{4}-\d{2}-\d{2}$/.test(item.expiry_date))) {
+            return res.status(400).json({ error: 'Expiry dates must be YYYY-MM-DD' });
+        }
+
+        // Lines bought in another unit ({ unit: 'bag' }, a 50 kg pack) are stocked and
+        // costed in the ingredient's own unit; the line keeps what was bought
+        try {
+            purchaseItems = purchaseItems.map(item => {
+                if (!item.unit) return item;
+                const perPack = unitService.toStockUnit(1, item.unit, item.ingredient_id);
+                return {
+                    ...item,
+                    purchase_unit: String(item.unit).trim(),
+                    purchase_quantity: item.quantity,
+                    subtotal: item.subtotal || (item.quantity * item.unit_cost),
+                    quantity: Math.round(item.quantity * perPack * 1e6) / 1e6,
+                    unit_cost: Math.round(item.unit_cost / perPack * 1e4) / 1e4
+                };
+            });
+        } catch (error) {
+            if (error.code === 'UNIT_INVALID') {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
+
         console.log('Creating purchase with:', { supplier_id, total_amount, itemsCount: purchaseItems.length });
 
         // Start a transaction
         const createPurchaseTransaction = db.transaction(() => {
             try {
+                // Input VAT per line, from the line's tax class or the ingredient's
+                const taxedItems = purchaseItems.map(item => {
+                    const subtotal = item.subtotal || (item.quantity * item.unit_cost);
+                    const ingredient = db.prepare('SELECT tax_class FROM ingredients WHERE id = ?').get(item.ingredient_id);
+                    return { ...item, subtotal, tax: taxService.computeLine(subtotal, item.tax_class || ingredient?.tax_class, pricesIncludeTax) };
+                });
+                const taxAmount = Math.round(taxedItems.reduce((sum, item) => sum + item.tax.tax_amount, 0) * 100) / 100;
+                if (!pricesIncludeTax) {
+                    total_amount = Math.round((parseFloat(total_amount) + taxAmount) * 100) / 100;
+                }
+
                 const initialPayment = req.body.amount_paid ? parseFloat(req.body.amount_paid) : 0;
                 const paymentMethod = req.body.payment_method || 'cash';
 
@@ -100,8 +144,8 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
 
                 console.log('Inserting purchase record...');
                 const insertPurchase = db.prepare(`
-                    INSERT INTO purchases (supplier_id, total_amount, payment_status, amount_paid, created_by)
-                    VALUES (?, ?, ?, ?, ?)
+                    INSERT INTO purchases (supplier_id, total_amount, payment_status, amount_paid, tax_amount, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?)
                 `);
 
                 const result = insertPurchase.run(
@@ -109,6 +153,7 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
                     total_amount,
                     status,
                     initialPayment,
+                    taxAmount,
                     req.user.id
                 );
 
@@ -125,8 +170,8 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
                 }
 
                 const insertItem = db.prepare(`
-                    INSERT INTO purchase_items (purchase_id, ingredient_id, quantity, unit_cost, subtotal)
-                    VALUES (?, ?, ?, ?, ?)
+                    INSERT INTO purchase_items (purchase_id, ingredient_id, quantity, unit_cost, subtotal, tax_class, tax_rate, tax_amount, line_total, purchase_unit, purchase_quantity)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `);
 
                 // Update raw inventory since we bought ingredients
@@ -139,19 +184,26 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
                 // If inventory record doesn't exist, insert it
                 const checkInventory = db.prepare('SELECT id FROM inventory_raw WHERE ingredient_id = ?');
                 const insertInventory = db.prepare('INSERT INTO inventory_raw (ingredient_id, quantity) VALUES (?, ?)');
+                const logPurchase = db.prepare(`
+                    INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, created_by)
+                    SELECT 'raw', ingredient_id, 'purchase', ?, quantity, ?, 'purchase', ? FROM inventory_raw WHERE ingredient_id = ?
+                `);
 
-                for (const item of purchaseItems) {
-                    // item structure: { ingredient_id, quantity, unit_cost }
-                    // Calculate subtotal if not provided
-                    const subtotal = item.subtotal || (item.quantity * item.unit_cost);
-
-                    insertItem.run(
+                for (const item of taxedItems) {
+                    // item structure: { ingredient_id, quantity, unit_cost, tax_class?, expiry_date?, batch_number? }, in stock units by now
+                    const purchaseItemId = insertItem.run(
                         purchaseId,
                         item.ingredient_id,
                         item.quantity,
                         item.unit_cost,
-                        subtotal
-                    );
+                        item.subtotal,
+                        item.tax.tax_class,
+                        item.tax.tax_rate,
+                        item.tax.tax_amount,
+                        item.tax.gross,
+                        item.purchase_unit || null,
+                        item.purchase_quantity ?? null
+                    ).lastInsertRowid;
 
                     // Update inventory
                     const invExists = checkInventory.get(item.ingredient_id);
@@ -160,6 +212,18 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
                     } else {
                         insertInventory.run(item.ingredient_id, item.quantity);
                     }
+                    logPurchase.run(item.quantity, purchaseId, req.user.id, item.ingredient_id);
+                    if (item.quantity > 0) {
+                        batchService.receive('raw', item.ingredient_id, {
+                            quantity: item.quantity,
+                            expiry_date: item.expiry_date || null,
+                            batch_number: item.batch_number || null,
+                            unit_cost: item.unit_cost,
+                            source_type: 'purchase',
+                            source_id: purchaseItemId,
+                            user_id: req.user.id
+                        });
+                    }
                 }
 
                 return purchaseId;
@@ -176,7 +240,8 @@ router.post('/', authenticateToken, requireRole('manager', 'admin'), (req, res)
 
         res.status(201).json({
             message: 'Purchase order created successfully',
-            purchase_id: purchaseId
+            purchase_id: purchaseId,
+            total_amount
         });
     } catch (error) {
         console.error('Error creating purchase:', error);
@@ -1,10 +1,21 @@
 import express from 'express';
+import multer from 'multer';
 import db from '../database/db.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import hardwareService from '../services/hardware.js';
+import { taxService } from '../services/taxService.js';
+import { promotionService } from '../services/promotionService.js';
+import { customerAccountService } from '../services/customerAccountService.js';
+import { reconciliationService } from '../services/reconciliationService.js';
+import activityLogger from '../services/activityLogger.js';
 
 const router = express.Router();
 
+// Statements are read straight from memory; they are small and only their lines are kept
+const statementUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RECONCILIATION_DAYS = 31;
+
 // Sales Report
 router.get('/sales', authenticateToken, (req, res) => {
     try {
@@ -28,11 +39,12 @@ router.get('/sales', authenticateToken, (req, res) => {
                 COALESCE(SUM(s.total - s.discount_amount), 0) as net_sales,
                 COALESCE(AVG(s.total), 0) as avg_transaction
             FROM sales s
+            WHERE s.status != 'cancelled'
         `;
 
         const params = [];
         if (start_date && end_date) {
-            query += ` WHERE DATE(s.created_at) BETWEEN ? AND ?`;
+            query += ` AND DATE(s.created_at) BETWEEN ? AND ?`;
             params.push(start_date, end_date);
         }
 
@@ -100,7 +112,7 @@ router.get('/financial', authenticateToken, requireRole('manager', 'admin'), (re
         }
 
         // Get total sales
-        const salesQuery = `SELECT COALESCE(SUM(total), 0) as total FROM sales${dateFilter}`;
+        const salesQuery = `SELECT COALESCE(SUM(total), 0) as total FROM sales${dateFilter ? `${dateFilter} AND` : ' WHERE'} status != 'cancelled'`;
         const sales = db.prepare(salesQuery).get(...params);
 
         // Get total expenses (use 'expense_date' column for expenses table)
@@ -131,6 +143,38 @@ router.get('/financial', authenticateToken, requireRole('manager', 'admin'), (re
     }
 });
 
+// VAT Summary Report — output tax on sales against input tax on purchases
+router.get('/vat', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const { start_date, end_date } = req.query;
+        res.json(taxService.getVatSummary({ start_date, end_date }));
+    } catch (error) {
+        console.error('Error generating VAT report:', error);
+        res.status(500).json({ error: 'Failed to generate VAT report', details: error.message });
+    }
+});
+
+// Promotion Performance Report — discount given and sales driven per campaign
+router.get('/promotions', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const { start_date, end_date, promotion_id } = req.query;
+        res.json(promotionService.getPerformance({ start_date, end_date, promotion_id }));
+    } catch (error) {
+        console.error('Error generating promotions report:', error);
+        res.status(500).json({ error: 'Failed to generate promotions report', details: error.message });
+    }
+});
+
+// Accounts Receivable Aging — what each customer owes on account, by age
+router.get('/receivables', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        res.json(customerAccountService.getAgingReport());
+    } catch (error) {
+        console.error('Error generating receivables report:', error);
+        res.status(500).json({ error: 'Failed to generate receivables report', details: error.message });
+    }
+});
+
 // Product Performance Report
 router.get('/products', authenticateToken, (req, res) => {
     try {
@@ -148,6 +192,7 @@ router.get('/products', authenticateToken, (req, res) => {
             FROM products p
             LEFT JOIN categories c ON p.category_id = c.id
             LEFT JOIN sale_items si ON p.id = si.product_id
+                AND si.sale_id NOT IN (SELECT id FROM sales WHERE status = 'cancelled')
             LEFT JOIN sales s ON si.sale_id = s.id
         `;
 
@@ -190,7 +235,7 @@ router.get('/customers', authenticateToken, (req, res) => {
                 COALESCE(SUM(s.total), 0) as total_spent,
                 MAX(s.created_at) as last_purchase
             FROM customers c
-            LEFT JOIN sales s ON c.id = s.customer_id
+            LEFT JOIN sales s ON c.id = s.customer_id AND s.status != 'cancelled'
             GROUP BY c.id
             ORDER BY total_spent DESC
             LIMIT 100
@@ -249,6 +294,82 @@ router.get('/expenses', authenticateToken, (req, res) => {
     }
 });
 
+// Daily Payment Reconciliation — each day's payments by method against the cash
+// counted at shift close, imported M-Pesa statements and card settlement files,
+// with the mismatches, orphan receipts and unpaid sales to chase.
+// ?date= for one day, or ?from=&to= (YYYY-MM-DD, up to 31 days); defaults to today.
+router.get('/reconciliation', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    const today = new Date().toISOString().slice(0, 10);
+    const { date, from = date || today, to = date || from } = req.query;
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+    const days = (new Date(to) - new Date(from)) / 86400000 + 1;
+    if (!(days >= 1 && days <= MAX_RECONCILIATION_DAYS)) {
+        return res.status(400).json({ error: `Pick a range of 1 to ${MAX_RECONCILIATION_DAYS} days` });
+    }
+
+    try {
+        res.json(reconciliationService.getDailyReport({ from, to }));
+    } catch (error) {
+        console.error('Error generating reconciliation report:', error);
+        res.status(500).json({ error: 'Failed to generate reconciliation report', details: error.message });
+    }
+});
+
+// Imported statements, newest first (?source=mpesa|card)
+router.get('/reconciliation/statements', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        res.json(reconciliationService.getImports(req.query));
+    } catch (error) {
+        console.error('Error fetching statements:', error);
+        res.status(500).json({ error: 'Failed to fetch statements' });
+    }
+});
+
+// Upload an M-Pesa statement (as exported from the M-Pesa org portal) or a card
+// settlement file, CSV or Excel, as the `file` field
+router.post('/reconciliation/statements/:source', authenticateToken, requireRole('manager', 'admin'), statementUpload.single('file'), (req, res) => {
+    const { source } = req.params;
+    if (!['mpesa', 'card'].includes(source)) {
+        return res.status(400).json({ error: 'Statements are for mpesa or card' });
+    }
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const statement = reconciliationService.importStatement(source, {
+            fileName: req.file.originalname,
+            buffer: req.file.buffer,
+            userId: req.user.id
+        });
+        activityLogger.log(req.user.id, 'import_settlement_statement', {
+            id: statement.id, source, file_name: statement.file_name, lines: statement.line_count, total: statement.total
+        }, req.ip);
+        res.status(201).json(statement);
+    } catch (error) {
+        if (error.code === 'RECONCILIATION_INVALID') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error importing statement:', error);
+        res.status(500).json({ error: 'Failed to import statement' });
+    }
+});
+
+router.delete('/reconciliation/statements/:id', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const statement = reconciliationService.deleteImport(req.params.id);
+        if (!statement) {
+            return res.status(404).json({ error: 'Statement not found' });
+        }
+        activityLogger.log(req.user.id, 'delete_settlement_statement', { id: statement.id, source: statement.source, file_name: statement.file_name }, req.ip);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting statement:', error);
+        res.status(500).json({ error: 'Failed to delete statement' });
+    }
+});
 
 // Print report
 router.post('/print', authenticateToken, async (req, res) => {
@@ -1,144 +1,240 @@
 import express from 'express';
 import db from '../database/db.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, verifyApprovalToken, consumeApprovalToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 import { syncRecord } from '../services/syncService.js';
 import hardwareService from '../services/hardware.js';
+import { saleService, INTERNAL_TENDERS, LINE_DISCOUNT_TYPES } from '../services/saleService.js';
+import { paymentProviders } from '../services/paymentProviders/index.js';
+import { paymentService } from '../services/paymentService.js';
+import { refundService } from '../services/refundService.js';
+import { mpesaDisbursementService } from '../services/mpesaDisbursementService.js';
+import activityLogger from '../services/activityLogger.js';
+import { customerDisplayService } from '../services/customerDisplayService.js';
 
 const router = express.Router();
 
-// Create a sale with automatic inventory deduction
-router.post('/', authenticateToken, (req, res) => {
-    const { items, discount_percent = 0, customer_id = null } = req.body;
-
-    if (!items || items.length === 0) {
+// Cart lines, tenders and gift cards arrive as plain objects; anything else is a bad request
+const isEntry = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A sale belongs to the company of the cashier who rang it up
+const isCompanySale = (saleId, companyId) => Boolean(db.prepare(`
+    SELECT 1 FROM sales s JOIN users u ON s.cashier_id = u.id WHERE s.id = ? AND u.company_id = ?
+`).get(saleId, companyId));
+
+// Create a sale with automatic inventory deduction.
+// Optional `payments` takes split tenders: [{ method, amount, phone?, reference? }]
+// Items may carry a price override and/or line discount: { id, qty, price?, discount_type?, discount_value?, reason? }.
+// Reductions over the cashier's role cap need an `approval_token` from POST /api/users/verify-admin.
+// An `account` tender puts that amount on the customer's account to pay later, within their credit limit.
+// `gift_cards: [{ amount, card_number?, expires_at? }]` sells a new card, or tops up card_number.
+router.post('/', authenticateToken, idempotent('sales'), async (req, res) => {
+    const { items = [], discount_percent = 0, customer_id = null, payments: tenders, held_cart_id = null, approval_token, coupon_code, gift_cards = [] } = req.body;
+
+    if (!Array.isArray(items) || !items.every(isEntry)) {
+        return res.status(400).json({ error: 'Items must be an array of cart lines' });
+    }
+    if (!Array.isArray(gift_cards) || gift_cards.some(g => !isEntry(g) || !(Number(g.amount) > 0))) {
+        return res.status(400).json({ error: 'Each gift card needs an amount greater than 0' });
+    }
+    if (items.length === 0 && gift_cards.length === 0) {
         return res.status(400).json({ error: 'No items in cart' });
     }
 
-    try {
-        // Start transaction
-        const createSale = db.transaction((saleData) => {
-            const { items, discount_percent, customer_id, cashier_id } = saleData;
-
-            // Calculate totals
-            let subtotal = 0;
-            const saleItems = [];
-
-            for (const item of items) {
-                const product = db.prepare('SELECT * FROM products WHERE id = ?').get(item.id);
-                if (!product) {
-                    throw new Error(`Product ${item.id} not found`);
-                }
-
-                // Check stock availability
-                const inventory = db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(item.id);
-                if (!inventory || inventory.quantity < item.qty) {
-                    throw new Error(`Insufficient stock for ${product.name}. Available: ${inventory?.quantity || 0}, Required: ${item.qty}`);
-                }
+    for (const item of items) {
+        if (!Number.isInteger(item.qty) || item.qty <= 0) {
+            return res.status(400).json({ error: 'Each item needs a quantity that is a whole number greater than 0' });
+        }
+        if (item.price !== undefined && item.price !== null && !(Number(item.price) >= 0)) {
+            return res.status(400).json({ error: 'Override price must be 0 or more' });
+        }
+        if (item.discount_type !== undefined && item.discount_type !== null) {
+            if (!LINE_DISCOUNT_TYPES.includes(item.discount_type)) {
+                return res.status(400).json({ error: `Invalid discount type: ${item.discount_type}. Must be one of: ${LINE_DISCOUNT_TYPES.join(', ')}` });
+            }
+            const value = Number(item.discount_value);
+            if (!(value >= 0) || (item.discount_type === 'percent' && value > 100)) {
+                return res.status(400).json({ error: 'Discount value must be 0 or more, and at most 100 for percent discounts' });
+            }
+        }
+        if (item.modifiers !== undefined && !(Array.isArray(item.modifiers) && item.modifiers.every(id => Number.isInteger(Number(id))))) {
+            return res.status(400).json({ error: 'Modifiers must be an array of modifier ids' });
+        }
+    }
 
-                const itemSubtotal = product.price * item.qty;
-                subtotal += itemSubtotal;
+    let approver = null;
+    if (approval_token) {
+        try {
+            approver = verifyApprovalToken(approval_token, 'discount_override');
+        } catch (error) {
+            return res.status(403).json({ error: error.message });
+        }
+    }
 
-                saleItems.push({
-                    product_id: product.id,
-                    product_name: product.name,
-                    quantity: item.qty,
-                    unit_price: product.price,
-                    subtotal: itemSubtotal
-                });
+    if (tenders !== undefined) {
+        if (!Array.isArray(tenders) || tenders.length === 0 || !tenders.every(isEntry)) {
+            return res.status(400).json({ error: 'Payments must be a non-empty array of tenders' });
+        }
+        for (const tender of tenders) {
+            const provider = paymentProviders.get(tender.method);
+            if (!provider && !INTERNAL_TENDERS.includes(tender.method)) {
+                const methods = [...INTERNAL_TENDERS, ...paymentProviders.ids()];
+                return res.status(400).json({ error: `Invalid payment method: ${tender.method}. Must be one of: ${methods.join(', ')}` });
             }
-
-            const discount_amount = subtotal * (discount_percent / 100);
-            const total = subtotal - discount_amount;
-
-            // Insert sale
-            const saleResult = db.prepare(`
-        INSERT INTO sales (customer_id, subtotal, discount_percent, discount_amount, total, cashier_id)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run(customer_id, subtotal, discount_percent, discount_amount, total, cashier_id);
-
-            const saleId = saleResult.lastInsertRowid;
-
-            // Insert sale items and deduct inventory
-            for (const saleItem of saleItems) {
-                // Insert sale item
-                db.prepare(`
-          INSERT INTO sale_items (sale_id, product_id, product_name, quantity, unit_price, subtotal)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `).run(saleId, saleItem.product_id, saleItem.product_name, saleItem.quantity, saleItem.unit_price, saleItem.subtotal);
-
-                // Deduct finished goods inventory
-                const currentInventory = db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(saleItem.product_id);
-                const newQuantity = currentInventory.quantity - saleItem.quantity;
-
-                db.prepare('UPDATE inventory_finished SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE product_id = ?')
-                    .run(newQuantity, saleItem.product_id);
-
-                // Log inventory movement
-                db.prepare(`
-          INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, created_by)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `).run('finished', saleItem.product_id, 'sale', -saleItem.quantity, newQuantity, saleId, 'sale', cashier_id);
-
-                // Deduct raw materials based on recipe
-                const recipeItems = db.prepare('SELECT ingredient_id, quantity_required FROM recipes WHERE product_id = ?').all(saleItem.product_id);
-
-                for (const recipeItem of recipeItems) {
-                    const totalIngredientNeeded = recipeItem.quantity_required * saleItem.quantity;
-                    const currentRawInventory = db.prepare('SELECT quantity FROM inventory_raw WHERE ingredient_id = ?').get(recipeItem.ingredient_id);
-
-                    if (currentRawInventory) {
-                        const newRawQuantity = currentRawInventory.quantity - totalIngredientNeeded;
-
-                        db.prepare('UPDATE inventory_raw SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE ingredient_id = ?')
-                            .run(newRawQuantity, recipeItem.ingredient_id);
-
-                        // Log raw material movement
-                        db.prepare(`
-              INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, created_by)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `).run('raw', recipeItem.ingredient_id, 'sale', -totalIngredientNeeded, newRawQuantity, saleId, 'sale', cashier_id);
-                    }
+            if (!(Number(tender.amount) > 0)) {
+                return res.status(400).json({ error: 'Each payment needs an amount greater than 0' });
+            }
+            if (provider) {
+                if (!paymentProviders.isEnabled(provider.id)) {
+                    return res.status(400).json({ error: `${provider.name} payments are not available` });
                 }
+                const invalid = provider.validate(tender);
+                if (invalid) {
+                    return res.status(400).json({ error: invalid });
+                }
+            }
+            if (tender.method === 'gift_card' && !tender.card_number) {
+                return res.status(400).json({ error: 'Gift card payments require a card number' });
+            }
+            if (tender.method === 'store_credit' && !customer_id) {
+                return res.status(400).json({ error: 'Paying with store credit requires a customer' });
             }
+            if (tender.method === 'loyalty_points' && !customer_id) {
+                return res.status(400).json({ error: 'Paying with loyalty points requires a customer' });
+            }
+            if (tender.method === 'account' && !customer_id) {
+                return res.status(400).json({ error: 'Sales on account require a customer' });
+            }
+        }
+    }
 
-            return { saleId, subtotal, discount_amount, total };
+    // The key's stored response was lost (e.g. a restart mid-request) but the sale was saved.
+    // Only the cashier who rang it up gets it back.
+    const existing = req.idempotencyKey && db.prepare('SELECT id, receipt_number, invoice_number, status, total, cashier_id FROM sales WHERE idempotency_key = ?').get(req.idempotencyKey);
+    if (existing) {
+        if (existing.cashier_id !== req.user.id) {
+            return res.status(422).json({ error: 'This idempotency key was already used for a different request' });
+        }
+        return res.json({
+            success: true, sale_id: existing.id, receipt_number: existing.receipt_number, invoice_number: existing.invoice_number,
+            status: existing.status, total: existing.total, replayed: true
         });
+    }
 
-        const result = createSale({ items, discount_percent, customer_id, cashier_id: req.user.id });
-
-        res.status(201).json({
-            success: true,
-            sale_id: result.saleId,
-            subtotal: result.subtotal,
-            discount_amount: result.discount_amount,
-            total: result.total,
-            message: 'Sale completed successfully'
+    let result;
+    try {
+        result = saleService.createSale({
+            items, discount_percent, customer_id, tenders, held_cart_id, coupon_code, gift_cards,
+            cashier_id: req.user.id, cashier_role: req.user.role, company_id: req.user.company_id || 1, approver,
+            terminal_id: customerDisplayService.resolveTerminal(req),
+            idempotency_key: req.idempotencyKey || null
         });
+    } catch (error) {
+        if (error.code === 'APPROVAL_REQUIRED') {
+            return res.status(403).json({ error: error.message, approval_required: true });
+        }
+        if (error.code === 'STOCKTAKE_FROZEN') {
+            return res.status(409).json({ error: error.message });
+        }
+        if (['SALE_INVALID', 'COUPON_INVALID', 'GIFT_CARD_INVALID', 'LOYALTY_INVALID', 'ACCOUNT_INVALID', 'VARIANT_INVALID', 'MODIFIER_INVALID'].includes(error.code)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating sale:', error);
+        return res.status(500).json({ error: error.message || 'Failed to create sale' });
+    }
+    if (approver) consumeApprovalToken(approval_token);
 
-        // 🖨️ Fire-and-forget receipt print (does nothing if no printer connected)
+    if (result.coupon) {
+        activityLogger.log(req.user.id, 'redeem_coupon', { sale_id: result.saleId, ...result.coupon }, req.ip);
+    }
+    for (const giftCard of result.gift_cards) {
+        activityLogger.log(req.user.id, giftCard.type === 'issue' ? 'sell_gift_card' : 'top_up_gift_card', { sale_id: result.saleId, ...giftCard }, req.ip);
+    }
+    for (const override of result.overrides) {
+        activityLogger.log(req.user.id, 'sale_price_override', { sale_id: result.saleId, ...override }, req.ip);
+    }
+
+    // 📲 Start any provider tenders now that the sale exists (e.g. the M-Pesa prompt on the customer's phone)
+    for (const payment of result.payments.filter(p => p.status === 'pending')) {
+        try {
+            const started = await paymentService.initiate(db.prepare('SELECT * FROM payments WHERE id = ?').get(payment.id));
+            Object.assign(payment, {
+                status: started.status,
+                reference: started.reference,
+                checkout_request_id: started.checkout_request_id,
+                result_desc: started.result_desc
+            });
+        } catch (error) {
+            console.error(`${payment.method} payment error:`, error.response?.data || error.message);
+            payment.status = 'failed';
+            payment.error = `Failed to initiate ${paymentProviders.get(payment.method).name} payment`;
+        }
+    }
+    // A provider may have settled the sale already (an approved simulated payment)
+    const status = result.status === 'pending_payment'
+        ? db.prepare('SELECT status FROM sales WHERE id = ?').get(result.saleId).status
+        : result.status;
+
+    // 📺 Customer display: "waiting for M-Pesa" or the paid total and change
+    customerDisplayService.showPayment(result.saleId);
+
+    res.status(201).json({
+        success: true,
+        sale_id: result.saleId,
+        receipt_number: result.receipt_number,
+        invoice_number: result.invoice_number,
+        status,
+        shift_id: result.shift_id,
+        subtotal: result.subtotal,
+        discount_amount: result.discount_amount,
+        tax_amount: result.tax_amount,
+        total: result.total,
+        promotions: result.promotions,
+        coupon: result.coupon,
+        gift_cards: result.gift_cards,
+        loyalty: result.loyalty,
+        amount_tendered: result.amount_tendered,
+        change: result.change,
+        payments: result.payments,
+        message: status === 'pending_payment'
+            ? 'Sale saved, waiting for payment confirmation'
+            : 'Sale completed successfully'
+    });
+
+    // 🖨️ Fire-and-forget receipt print (does nothing if no printer connected).
+    // Pending sales print from paymentService once their payments settle; the kitchen
+    // starts on the order straight away either way.
+    setImmediate(async () => {
+        try {
+            const { sale, items } = saleService.getSaleDetails(result.saleId);
+            if (sale) await hardwareService.printKitchenTicket(sale, saleService.getKitchenLines(items));
+        } catch (err) {
+            console.warn('🖨️ Kitchen ticket skipped:', err.message);
+        }
+    });
+    if (result.status === 'completed') {
         setImmediate(async () => {
             try {
-                const sale = db.prepare('SELECT * FROM sales WHERE id = ?').get(result.saleId);
-                const items = db.prepare('SELECT * FROM sale_items WHERE sale_id = ?').all(result.saleId);
+                const { sale, items } = saleService.getSaleDetails(result.saleId);
                 if (sale) await hardwareService.printReceipt(sale, items);
+                for (const giftCard of sale?.gift_cards || []) {
+                    await hardwareService.printGiftCard(giftCard);
+                }
             } catch (err) {
                 console.warn('🖨️ Receipt print skipped:', err.message);
             }
         });
-
-        // ☁️ Real-time cloud sync (fire-and-forget)
-        syncRecord('sales', result.saleId).catch(() => { });
-
-    } catch (error) {
-        console.error('Error creating sale:', error);
-        res.status(500).json({ error: error.message || 'Failed to create sale' });
     }
+
+    // ☁️ Real-time cloud sync (fire-and-forget)
+    syncRecord('sales', result.saleId).catch(() => { });
 });
 
-// Get all sales
+// Get all sales. `number` finds a sale by its receipt or invoice number for a
+// reprint: the full number, or just its last digits (e.g. 123 for NRB1-T2-000123).
 router.get('/', authenticateToken, (req, res) => {
     try {
-        const { start_date, end_date, limit = 50 } = req.query;
+        const { start_date, end_date, number, limit = 50 } = req.query;
         const companyId = req.user?.company_id || 1;
 
         let query = `
@@ -161,6 +257,18 @@ router.get('/', authenticateToken, (req, res) => {
             params.push(end_date);
         }
 
+        if (number) {
+            const term = String(number).trim().toUpperCase();
+            if (/^\d+$/.test(term)) {
+                const counter = (column) => `CAST(SUBSTR(${column}, LENGTH(RTRIM(${column}, '0123456789')) + 1) AS INTEGER)`;
+                query += ` AND (${counter('s.receipt_number')} = ? OR ${counter('s.invoice_number')} = ?)`;
+                params.push(Number(term), Number(term));
+            } else {
+                query += ' AND (s.receipt_number = ? OR s.invoice_number = ?)';
+                params.push(term, term);
+            }
+        }
+
         query += ' ORDER BY s.created_at DESC LIMIT ?';
         params.push(parseInt(limit));
 
@@ -198,6 +306,40 @@ router.get('/:id', authenticateToken, (req, res) => {
     }
 });
 
+// Reprint a receipt, marked as a copy
+router.post('/:id/reprint', authenticateToken, async (req, res) => {
+    try {
+        if (!isCompanySale(req.params.id, req.user.company_id || 1)) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+        const { sale, items } = saleService.getSaleDetails(req.params.id);
+
+        await hardwareService.printReceipt({ ...sale, reprint: true }, items);
+        activityLogger.log(req.user.id, 'reprint_receipt', { sale_id: sale.id, receipt_number: sale.receipt_number }, req.ip);
+        res.json({ success: true, receipt_number: sale.receipt_number });
+    } catch (error) {
+        console.error('Error reprinting receipt:', error);
+        res.status(500).json({ error: 'Failed to reprint receipt' });
+    }
+});
+
+// Reprint the kitchen ticket for a sale's kitchen lines
+router.post('/:id/kitchen-ticket', authenticateToken, async (req, res) => {
+    try {
+        if (!isCompanySale(req.params.id, req.user.company_id || 1)) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+        const { sale, items } = saleService.getSaleDetails(req.params.id);
+
+        const lines = saleService.getKitchenLines(items);
+        await hardwareService.printKitchenTicket({ ...sale, reprint: true }, lines);
+        res.json({ success: true, lines: lines.length });
+    } catch (error) {
+        console.error('Error printing kitchen ticket:', error);
+        res.status(500).json({ error: 'Failed to print kitchen ticket' });
+    }
+});
+
 // Get today's sales summary
 router.get('/summary/today', authenticateToken, (req, res) => {
     try {
@@ -236,4 +378,121 @@ router.get('/summary/today', authenticateToken, (req, res) => {
     }
 });
 
+// Refund a sale, fully or by line. Body:
+// { items?: [{ sale_item_id, quantity, restock? }], refund_to?: 'original' | 'store_credit', reason, approval_token, mpesa_phone? }
+// Cashiers need an approval_token from POST /api/users/verify-admin; managers approve their own.
+// M-Pesa tenders are sent back by B2C to the paying phone, or to mpesa_phone.
+router.post('/:id/refund', authenticateToken, (req, res) => {
+    const { items, refund_to = 'original', reason, customer_id, mpesa_phone, approval_token } = req.body;
+
+    if (!['original', 'store_credit'].includes(refund_to)) {
+        return res.status(400).json({ error: 'refund_to must be original or store_credit' });
+    }
+    if (items !== undefined) {
+        if (!Array.isArray(items)) {
+            return res.status(400).json({ error: 'Items must be an array of { sale_item_id, quantity }' });
+        }
+        if (items.some(item => !isEntry(item) || !item.sale_item_id || !Number.isInteger(item.quantity) || item.quantity <= 0)) {
+            return res.status(400).json({ error: 'Each refunded item needs a sale_item_id and a whole quantity greater than 0' });
+        }
+    }
+
+    let approver;
+    try {
+        approver = ['manager', 'admin'].includes(req.user.role) ? req.user : verifyApprovalToken(approval_token, 'refund');
+    } catch (error) {
+        return res.status(403).json({ error: error.message });
+    }
+
+    let refund;
+    try {
+        refund = refundService.refundSale(req.params.id, { items, refund_to, reason, customer_id, mpesa_phone, user: req.user, approver });
+        if (!refund) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+    } catch (error) {
+        if (['REFUND_INVALID', 'ACCOUNT_INVALID', 'GIFT_CARD_INVALID', 'LOYALTY_INVALID', 'DISBURSEMENT_INVALID'].includes(error.code)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error refunding sale:', error);
+        return res.status(500).json({ error: 'Failed to refund sale' });
+    }
+    if (approver !== req.user) consumeApprovalToken(approval_token);
+
+    activityLogger.log(req.user.id, 'refund_sale', {
+        sale_id: refund.sale_id,
+        refund_id: refund.id,
+        amount: refund.amount,
+        refund_to,
+        approved_by: approver.id
+    }, req.ip);
+
+    res.status(201).json(refund);
+
+    // 🖨️ Fire-and-forget refund receipt
+    setImmediate(() => hardwareService.printRefundReceipt(refund));
+
+    // 📲 Send M-Pesa refunds now rather than on the queue's next round
+    if (refund.payments.some(p => p.disbursement_id)) {
+        mpesaDisbursementService.processQueue().catch(error => console.error('M-Pesa disbursement queue error:', error.message));
+    }
+
+    // ☁️ Sale status changed
+    syncRecord('sales', refund.sale_id).catch(() => { });
+});
+
+// Cancel a sale still waiting for payment, e.g. the M-Pesa prompt was declined and the
+// customer left. Body: { reason?, approval_token }. Stock, gift card, store credit,
+// points and the coupon are given back; cash taken is handed back at the till.
+// Cashiers need an approval_token from POST /api/users/verify-admin; managers approve their own.
+router.post('/:id/cancel', authenticateToken, (req, res) => {
+    const { reason, approval_token } = req.body;
+
+    let approver;
+    try {
+        approver = ['manager', 'admin'].includes(req.user.role) ? req.user : verifyApprovalToken(approval_token, 'cancel_sale');
+    } catch (error) {
+        return res.status(403).json({ error: error.message });
+    }
+
+    let sale;
+    try {
+        sale = saleService.cancelSale(req.params.id, { user_id: req.user.id, company_id: req.user.company_id || 1, reason: reason || null });
+        if (!sale) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+    } catch (error) {
+        if (error.code === 'SALE_CONFLICT') {
+            return res.status(409).json({ error: error.message });
+        }
+        if (['ACCOUNT_INVALID', 'GIFT_CARD_INVALID', 'LOYALTY_INVALID'].includes(error.code)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error cancelling sale:', error);
+        return res.status(500).json({ error: 'Failed to cancel sale' });
+    }
+    if (approver !== req.user) consumeApprovalToken(approval_token);
+
+    activityLogger.log(req.user.id, 'cancel_sale', { sale_id: sale.id, total: sale.total, reason: sale.cancel_reason, approved_by: approver.id }, req.ip);
+    customerDisplayService.showPayment(sale.id);
+    req.io?.emit('sale:cancelled', { sale_id: sale.id });
+    res.json({ success: true, sale });
+
+    // ☁️ Sale status changed
+    syncRecord('sales', sale.id).catch(() => { });
+});
+
+// Refunds already issued against a sale
+router.get('/:id/refunds', authenticateToken, (req, res) => {
+    try {
+        if (!isCompanySale(req.params.id, req.user.company_id || 1)) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+        res.json(refundService.getRefundsForSale(req.params.id));
+    } catch (error) {
+        console.error('Error fetching refunds:', error);
+        res.status(500).json({ error: 'Failed to fetch refunds' });
+    }
+});
+
 export default router;
@@ -3,6 +3,10 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import db from '../database/db.js';
+import { authenticateToken, requireRole, requireStoreAdmin } from '../middleware/auth.js';
+import { taxService } from '../services/taxService.js';
+import { receiptNumberService } from '../services/receiptNumberService.js';
+import activityLogger from '../services/activityLogger.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -56,9 +60,10 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/settings
-router.post('/', (req, res) => {
+router.post('/', authenticateToken, requireRole('admin'), (req, res) => {
     try {
-        const { theme, primary_color, receipt_footer_text } = req.body;
+        const { theme, primary_color, receipt_footer_text, prices_include_tax } = req.body;
+        const pricesIncludeTax = prices_include_tax === undefined ? null : (prices_include_tax ? 1 : 0);
 
         // Upsert settings
         const existing = db.prepare('SELECT id FROM app_settings ORDER BY id DESC LIMIT 1').get();
@@ -69,14 +74,15 @@ router.post('/', (req, res) => {
                 SET theme = COALESCE(?, theme), 
                     primary_color = COALESCE(?, primary_color),
                     receipt_footer_text = COALESCE(?, receipt_footer_text),
+                    prices_include_tax = COALESCE(?, prices_include_tax),
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = ?
-            `).run(theme, primary_color, receipt_footer_text, existing.id);
+            `).run(theme, primary_color, receipt_footer_text, pricesIncludeTax, existing.id);
         } else {
             db.prepare(`
-                INSERT INTO app_settings (theme, primary_color, receipt_footer_text)
-                VALUES (?, ?, ?)
-            `).run(theme || 'default', primary_color || '#ea580c', receipt_footer_text);
+                INSERT INTO app_settings (theme, primary_color, receipt_footer_text, prices_include_tax)
+                VALUES (?, ?, ?, ?)
+            `).run(theme || 'default', primary_color || '#ea580c', receipt_footer_text, pricesIncludeTax ?? 1);
         }
 
         res.json({ success: true, message: 'Settings updated' });
@@ -86,6 +92,107 @@ router.post('/', (req, res) => {
     }
 });
 
+// GET /api/settings/tax-classes
+router.get('/tax-classes', (req, res) => {
+    try {
+        res.json(taxService.getTaxClasses());
+    } catch (error) {
+        console.error('Error fetching tax classes:', error);
+        res.status(500).json({ error: 'Failed to fetch tax classes' });
+    }
+});
+
+// PUT /api/settings/tax-classes/:code — change a VAT rate (e.g. when the standard rate moves).
+// Tax classes are store-wide, shared by every company on the install.
+router.put('/tax-classes/:code', authenticateToken, requireStoreAdmin, (req, res) => {
+    try {
+        const rate = Number(req.body.rate);
+        if (req.body.rate === undefined || !(rate >= 0 && rate < 100)) {
+            return res.status(400).json({ error: 'Rate must be a percentage between 0 and 100' });
+        }
+
+        if (!taxService.updateRate(req.params.code, rate)) {
+            return res.status(404).json({ error: 'Tax class not found' });
+        }
+
+        res.json({ success: true, message: 'Tax rate updated' });
+    } catch (error) {
+        console.error('Error updating tax class:', error);
+        res.status(500).json({ error: 'Failed to update tax class' });
+    }
+});
+
+// GET /api/settings/document-sequences — receipt and invoice number series, one per branch and terminal
+router.get('/document-sequences', authenticateToken, (req, res) => {
+    try {
+        res.json(receiptNumberService.getSequences());
+    } catch (error) {
+        console.error('Error fetching document sequences:', error);
+        res.status(500).json({ error: 'Failed to fetch document sequences' });
+    }
+});
+
+// PUT /api/settings/document-sequences/:id — prefix, zero padding, and the starting number of an unused series
+router.put('/document-sequences/:id', authenticateToken, requireRole('admin'), (req, res) => {
+    const { prefix, padding, next_number } = req.body;
+
+    if (prefix !== undefined && !/^[A-Za-z0-9-]{1,20}$/.test(prefix)) {
+        return res.status(400).json({ error: 'Prefix must be 1-20 letters, digits or dashes' });
+    }
+    if (padding !== undefined && !(Number.isInteger(padding) && padding >= 1 && padding <= 12)) {
+        return res.status(400).json({ error: 'Padding must be a whole number from 1 to 12' });
+    }
+    if (next_number !== undefined && !(Number.isInteger(next_number) && next_number >= 1)) {
+        return res.status(400).json({ error: 'Starting number must be a whole number, 1 or more' });
+    }
+
+    try {
+        const sequence = receiptNumberService.updateSequence(req.params.id, { prefix: prefix?.toUpperCase(), padding, next_number });
+        if (!sequence) {
+            return res.status(404).json({ error: 'Sequence not found' });
+        }
+        activityLogger.log(req.user.id, 'update_document_sequence', { id: sequence.id, prefix, padding, next_number }, req.ip);
+        res.json(sequence);
+    } catch (error) {
+        if (error.code === 'SEQUENCE_INVALID') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error updating document sequence:', error);
+        res.status(500).json({ error: 'Failed to update document sequence' });
+    }
+});
+
+// GET /api/settings/discount-caps — largest % below list price each role may give unapproved
+router.get('/discount-caps', authenticateToken, (req, res) => {
+    try {
+        res.json(db.prepare('SELECT * FROM role_discount_caps ORDER BY max_discount_percent DESC, role').all());
+    } catch (error) {
+        console.error('Error fetching discount caps:', error);
+        res.status(500).json({ error: 'Failed to fetch discount caps' });
+    }
+});
+
+// PUT /api/settings/discount-caps/:role — caps are store-wide, shared by every company on the install
+router.put('/discount-caps/:role', authenticateToken, requireStoreAdmin, (req, res) => {
+    try {
+        const cap = Number(req.body.max_discount_percent);
+        if (req.body.max_discount_percent === undefined || !(cap >= 0 && cap <= 100)) {
+            return res.status(400).json({ error: 'Discount cap must be a percentage between 0 and 100' });
+        }
+
+        const result = db.prepare('UPDATE role_discount_caps SET max_discount_percent = ?, updated_at = CURRENT_TIMESTAMP WHERE role = ?')
+            .run(cap, req.params.role);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        res.json({ success: true, message: 'Discount cap updated' });
+    } catch (error) {
+        console.error('Error updating discount cap:', error);
+        res.status(500).json({ error: 'Failed to update discount cap' });
+    }
+});
+
 // POST /api/settings/logo
 router.post('/logo', upload.single('logo'), (req, res) => {
     try {
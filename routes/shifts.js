@@ -0,0 +1,176 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { shiftService } from '../services/shiftService.js';
+import hardwareService from '../services/hardware.js';
+import activityLogger from '../services/activityLogger.js';
+
+const router = express.Router();
+
+const MOVEMENT_TYPES = ['drop', 'payout'];
+
+// Cashiers work their own shifts; managers and admins can act on any in their company
+const canAccessShift = (shift, user) => shift.company_id === (user.company_id || 1)
+    && (shift.cashier_id === user.id || ['manager', 'admin'].includes(user.role));
+
+// List shifts (Manager/Admin only)
+router.get('/', authenticateToken, requireRole('manager', 'admin'), (req, res) => {
+    try {
+        const shifts = shiftService.listShifts({ ...req.query, company_id: req.user?.company_id || 1 });
+        res.json(shifts);
+    } catch (error) {
+        console.error('Error fetching shifts:', error);
+        res.status(500).json({ error: 'Failed to fetch shifts' });
+    }
+});
+
+// The logged-in cashier's open shift, or null
+router.get('/current', authenticateToken, (req, res) => {
+    try {
+        const shift = shiftService.getOpenShift(req.user.id);
+        res.json(shift ? shiftService.getShiftSummary(shift.id) : null);
+    } catch (error) {
+        console.error('Error fetching current shift:', error);
+        res.status(500).json({ error: 'Failed to fetch current shift' });
+    }
+});
+
+// Open a shift with the float counted into the drawer
+router.post('/open', authenticateToken, (req, res) => {
+    const { opening_float = 0, device_id } = req.body;
+
+    if (!(Number(opening_float) >= 0)) {
+        return res.status(400).json({ error: 'Opening float must be 0 or more' });
+    }
+
+    try {
+        const shift = shiftService.openShift({ user: req.user, device_id, opening_float: Number(opening_float) });
+        activityLogger.log(req.user.id, 'open_shift', { shift_id: shift.id, opening_float: shift.opening_float }, req.ip);
+        res.status(201).json(shift);
+    } catch (error) {
+        console.error('Error opening shift:', error);
+        res.status(409).json({ error: error.message || 'Failed to open shift' });
+    }
+});
+
+router.get('/:id', authenticateToken, (req, res) => {
+    try {
+        const summary = shiftService.getShiftSummary(req.params.id);
+        if (!summary) {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+        if (!canAccessShift(summary.shift, req.user)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        res.json(summary);
+    } catch (error) {
+        console.error('Error fetching shift:', error);
+        res.status(500).json({ error: 'Failed to fetch shift' });
+    }
+});
+
+// Cash drop to the safe or pay-out from the drawer
+router.post('/:id/movements', authenticateToken, (req, res) => {
+    const { type, amount, reason } = req.body;
+
+    if (!MOVEMENT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Invalid movement type. Must be one of: ${MOVEMENT_TYPES.join(', ')}` });
+    }
+    if (!(Number(amount) > 0)) {
+        return res.status(400).json({ error: 'Amount must be greater than 0' });
+    }
+
+    try {
+        const shift = shiftService.getShift(req.params.id);
+        if (!shift) {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+        if (!canAccessShift(shift, req.user)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const movement = shiftService.addCashMovement(shift.id, { type, amount: Number(amount), reason, user: req.user });
+        activityLogger.log(req.user.id, `shift_cash_${type}`, { shift_id: shift.id, amount: movement.amount, reason }, req.ip);
+        res.status(201).json(movement);
+    } catch (error) {
+        console.error('Error recording cash movement:', error);
+        res.status(409).json({ error: error.message || 'Failed to record cash movement' });
+    }
+});
+
+// X report: mid-shift reading that leaves the shift open
+router.post('/:id/x-report', authenticateToken, (req, res) => {
+    try {
+        const summary = shiftService.getShiftSummary(req.params.id);
+        if (!summary) {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+        if (!canAccessShift(summary.shift, req.user)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        hardwareService.printReport('X Report', summary);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error generating X report:', error);
+        res.status(500).json({ error: 'Failed to generate X report' });
+    }
+});
+
+// Close the shift against the counted drawer and print the Z report
+router.post('/:id/close', authenticateToken, (req, res) => {
+    const { counted_cash, notes } = req.body;
+
+    if (counted_cash === undefined || !(Number(counted_cash) >= 0)) {
+        return res.status(400).json({ error: 'Counted cash is required' });
+    }
+
+    try {
+        const shift = shiftService.getShift(req.params.id);
+        if (!shift) {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+        if (!canAccessShift(shift, req.user)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const report = shiftService.closeShift(shift.id, { counted_cash: Number(counted_cash), notes, user: req.user });
+        activityLogger.log(req.user.id, 'close_shift', {
+            shift_id: shift.id,
+            expected_cash: report.cash.expected_cash,
+            counted_cash: report.cash.counted_cash,
+            over_short: report.cash.over_short
+        }, req.ip);
+
+        hardwareService.printReport('Z Report', report);
+        res.json(report);
+    } catch (error) {
+        console.error('Error closing shift:', error);
+        res.status(409).json({ error: error.message || 'Failed to close shift' });
+    }
+});
+
+// Reprint the Z report frozen at close
+router.post('/:id/z-report', authenticateToken, (req, res) => {
+    try {
+        const shift = shiftService.getShift(req.params.id);
+        if (!shift) {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+        if (!canAccessShift(shift, req.user)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const report = shiftService.getZReport(shift.id);
+        if (!report) {
+            return res.status(409).json({ error: 'Z report is only available once the shift is closed' });
+        }
+
+        hardwareService.printReport('Z Report', report);
+        res.json(report);
+    } catch (error) {
+        console.error('Error reprinting Z report:', error);
+        res.status(500).json({ error: 'Failed to reprint Z report' });
+    }
+});
+
+export default router;
@@ -0,0 +1,151 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { stocktakeService } from '../services/stocktakeService.js';
+import activityLogger from '../services/activityLogger.js';
+
+const router = express.Router();
+
+// Physical stock counts: start one, count from any number of devices (item or
+// barcode scans), review the variances, then post the approved ones as adjustments.
+
+const STOCKTAKE_STATUSES = ['counting', 'posted', 'cancelled'];
+
+const sendError = (res, error, fallback) => {
+    if (error.code === 'STOCKTAKE_INVALID') {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'STOCKTAKE_CONFLICT') {
+        return res.status(409).json({ error: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ error: fallback });
+};
+
+// ?status=counting|posted|cancelled
+router.get('/', authenticateToken, (req, res) => {
+    const { status } = req.query;
+    if (status && !STOCKTAKE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of ${STOCKTAKE_STATUSES.join(', ')}` });
+    }
+
+    try {
+        res.json(stocktakeService.getStocktakes(req.query));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch stocktakes');
+    }
+});
+
+// Start a count: { type: 'raw'|'finished', category_id?, freeze_sales?, notes? }
+router.post('/', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { type, category_id, freeze_sales, notes } = req.body;
+    if (!['raw', 'finished'].includes(type)) {
+        return res.status(400).json({ error: 'Type must be raw or finished' });
+    }
+
+    try {
+        const stocktake = stocktakeService.start({ type, category_id, freeze_sales: Boolean(freeze_sales), notes, user_id: req.user.id });
+        activityLogger.log(req.user.id, 'start_stocktake', { id: stocktake.id, type, category_id: stocktake.category_id, freeze_sales: stocktake.freeze_sales }, req.ip);
+        req.io?.emit('stocktake:started', { id: stocktake.id, type });
+        res.status(201).json(stocktake);
+    } catch (error) {
+        sendError(res, error, 'Failed to start stocktake');
+    }
+});
+
+// Review sheet with variances: ?only=counted|uncounted|variances
+router.get('/:id', authenticateToken, (req, res) => {
+    const { only } = req.query;
+    if (only && !['counted', 'uncounted', 'variances'].includes(only)) {
+        return res.status(400).json({ error: 'Only must be counted, uncounted or variances' });
+    }
+
+    try {
+        const stocktake = stocktakeService.getStocktake(req.params.id, { only });
+        if (!stocktake) {
+            return res.status(404).json({ error: 'Stocktake not found' });
+        }
+        res.json(stocktake);
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch stocktake');
+    }
+});
+
+// Count an item: { item_id | barcode, quantity? } (a scan counts 1). The device
+// is taken from the X-Device-Id header.
+router.post('/:id/counts', authenticateToken, (req, res) => {
+    const { item_id, barcode, quantity = 1 } = req.body;
+    if (!item_id && !barcode) {
+        return res.status(400).json({ error: 'Item ID or barcode is required' });
+    }
+    if (!Number.isFinite(Number(quantity)) || Number(quantity) === 0) {
+        return res.status(400).json({ error: 'Quantity must be a non-zero number' });
+    }
+
+    try {
+        const line = stocktakeService.addCount(req.params.id, {
+            item_id, barcode, quantity: Number(quantity),
+            device_identifier: req.headers['x-device-id'] || null,
+            user_id: req.user.id
+        });
+        if (!line) {
+            return res.status(404).json({ error: 'Stocktake not found' });
+        }
+
+        // Other counting devices keep their sheets current
+        req.io?.emit('stocktake:counted', { stocktake_id: Number(req.params.id), line });
+        res.status(201).json(line);
+    } catch (error) {
+        sendError(res, error, 'Failed to record count');
+    }
+});
+
+// The counts behind one line
+router.get('/:id/lines/:lineId/counts', authenticateToken, (req, res) => {
+    try {
+        res.json(stocktakeService.getCounts(req.params.id, req.params.lineId));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch counts');
+    }
+});
+
+// Approve and post: { line_ids? } (default every counted line)
+router.post('/:id/post', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    const { line_ids } = req.body;
+    if (line_ids !== undefined && (!Array.isArray(line_ids) || line_ids.length === 0)) {
+        return res.status(400).json({ error: 'Line IDs must be a non-empty array' });
+    }
+
+    try {
+        const stocktake = stocktakeService.post(req.params.id, { line_ids, user_id: req.user.id });
+        if (!stocktake) {
+            return res.status(404).json({ error: 'Stocktake not found' });
+        }
+
+        activityLogger.log(req.user.id, 'post_stocktake', {
+            id: stocktake.id,
+            lines_posted: stocktake.lines.filter(line => line.status === 'posted').length,
+            variance_value: stocktake.summary.variance_value
+        }, req.ip);
+        req.io?.emit('stocktake:closed', { id: stocktake.id, status: stocktake.status });
+        res.json(stocktake);
+    } catch (error) {
+        sendError(res, error, 'Failed to post stocktake');
+    }
+});
+
+router.post('/:id/cancel', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    try {
+        const stocktake = stocktakeService.cancel(req.params.id);
+        if (!stocktake) {
+            return res.status(404).json({ error: 'Stocktake not found' });
+        }
+
+        activityLogger.log(req.user.id, 'cancel_stocktake', { id: stocktake.id }, req.ip);
+        req.io?.emit('stocktake:closed', { id: stocktake.id, status: stocktake.status });
+        res.json({ success: true, stocktake });
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel stocktake');
+    }
+});
+
+export default router;
@@ -1,9 +1,10 @@
 import express from 'express';
 import db from '../database/db.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requireRole, generateApprovalToken, APPROVAL_ACTIONS } from '../middleware/auth.js';
 import activityLogger from '../services/activityLogger.js';
 import bcrypt from 'bcryptjs';
 import multer from 'multer';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 
 import path from 'path';
 import fs from 'fs';
@@ -277,7 +278,7 @@ router.delete('/:id', authenticateToken, requireRole('admin'), (req, res) => {
 router.patch('/:id', authenticateToken, upload.single('profile_image'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { username, full_name, password, current_password } = req.body;
+        const { username, full_name, password, current_password, pin } = req.body;
         const profile_image = req.file;
 
         // Allow users to update their own profile, or admins to update anyone in their company
@@ -343,6 +344,24 @@ router.patch('/:id', authenticateToken, upload.single('profile_image'), async (r
             params.push(hashedPassword);
         }
 
+        // Managers' approval PIN for discounts and overrides at the till
+        if (pin) {
+            if (!/^\d{4,6}$/.test(String(pin))) {
+                return res.status(400).json({ error: 'PIN must be 4 to 6 digits' });
+            }
+            if (!current_password) {
+                return res.status(400).json({ error: 'Current password is required to set a PIN' });
+            }
+
+            const validPassword = await bcrypt.compare(current_password, user.password_hash);
+            if (!validPassword) {
+                return res.status(401).json({ error: 'Incorrect current password' });
+            }
+
+            updates.push('pin_hash = ?');
+            params.push(await bcrypt.hash(String(pin), 10));
+        }
+
         if (profile_image) {
             updates.push('profile_image = ?');
             params.push(profile_image.filename);
@@ -358,7 +377,7 @@ router.patch('/:id', authenticateToken, upload.single('profile_image'), async (r
         db.prepare(updateQuery).run(...params);
 
         // specific activity log
-        activityLogger.log(req.user.id, 'update_profile', { target_user_id: id, changes: updates.filter(u => !u.includes('password')) }, req.ip);
+        activityLogger.log(req.user.id, 'update_profile', { target_user_id: id, changes: updates.filter(u => !u.includes('password') && !u.includes('pin')) }, req.ip);
 
         res.json({ message: 'Profile updated successfully', profile_image: profile_image ? profile_image.filename : undefined });
 
@@ -369,36 +388,79 @@ router.patch('/:id', authenticateToken, upload.single('profile_image'), async (r
 });
 
 
+// Manager approvals: at most 10 tries per cashier and address every 15 minutes, and an
+// approver whose PIN or password is got wrong 5 times in a row is locked for 15 minutes
+const APPROVAL_MAX_FAILURES = 5;
+const APPROVAL_LOCK_MINUTES = 15;
+const approvalLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { error: 'Too many approval attempts. Please wait 15 minutes.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `${req.user.id}:${ipKeyGenerator(req.ip || '')}`
+});
+
 // Verify Admin Credentials (for sensitive actions)
-router.post('/verify-admin', authenticateToken, async (req, res) => {
+// Without `username` the logged-in admin re-enters their password. With `username` a
+// manager or admin approves at someone else's till; the returned approval_token is
+// passed to the action that needed it (e.g. POST /api/sales/:id/refund) and works once,
+// for the `action` it was asked for. Approvers with a PIN set may send `pin` instead of their password.
+router.post('/verify-admin', authenticateToken, approvalLimiter, async (req, res) => {
     try {
-        const { password } = req.body;
+        const { password, pin, username, action } = req.body;
 
-        if (!password) {
+        if (!password && !(username && pin)) {
             return res.status(400).json({ error: 'Password is required' });
         }
+        if (action && !APPROVAL_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `Invalid action: ${action}. Must be one of: ${APPROVAL_ACTIONS.join(', ')}` });
+        }
 
-        // Use the logged-in user's ID from the token
-        const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+        const user = username
+            ? db.prepare("SELECT * FROM users WHERE username = ? AND status = 'approved' AND company_id = ?").get(username, req.user.company_id)
+            : db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
 
         if (!user) {
             return res.status(401).json({ error: 'User not found' });
         }
 
         // Verify role (although authenticateToken likely checks this or subsequent middleware does, explicitly check here for the sensitive action)
-        if (user.role !== 'admin') {
-            return res.status(403).json({ error: 'User is not an admin' });
+        const allowedRoles = username ? ['manager', 'admin'] : ['admin'];
+        if (!allowedRoles.includes(user.role)) {
+            return res.status(403).json({ error: username ? 'User is not a manager' : 'User is not an admin' });
         }
 
-        const validPassword = await bcrypt.compare(password, user.password_hash);
-        if (!validPassword) {
-            return res.status(401).json({ error: 'Invalid password' });
+        const locked = db.prepare("SELECT 1 FROM users WHERE id = ? AND approval_locked_until > DATETIME('now')").get(user.id);
+        if (locked) {
+            return res.status(423).json({ error: `Too many wrong attempts for ${user.full_name}. Approvals by them are locked for up to ${APPROVAL_LOCK_MINUTES} minutes.` });
         }
 
+        const valid = password
+            ? await bcrypt.compare(password, user.password_hash)
+            : Boolean(user.pin_hash) && await bcrypt.compare(String(pin), user.pin_hash);
+        if (!valid) {
+            const { approval_failed_attempts: failures } = db.prepare(`
+                UPDATE users SET approval_failed_attempts = COALESCE(approval_failed_attempts, 0) + 1 WHERE id = ?
+                RETURNING approval_failed_attempts
+            `).get(user.id);
+            if (failures >= APPROVAL_MAX_FAILURES) {
+                db.prepare("UPDATE users SET approval_failed_attempts = 0, approval_locked_until = DATETIME('now', ?) WHERE id = ?")
+                    .run(`+${APPROVAL_LOCK_MINUTES} minutes`, user.id);
+                activityLogger.log(req.user.id, 'approval_locked', { approver_id: user.id, action: action || null }, req.ip);
+            }
+            return res.status(401).json({ error: password ? 'Invalid password' : 'Invalid PIN' });
+        }
+        db.prepare('UPDATE users SET approval_failed_attempts = 0, approval_locked_until = NULL WHERE id = ?').run(user.id);
+
         // Log verification success
-        activityLogger.log(req.user.id, 'verify_admin', { verified_user_id: user.id }, req.ip);
+        activityLogger.log(req.user.id, 'verify_admin', { verified_user_id: user.id, action: action || null }, req.ip);
 
-        res.json({ verified: true });
+        res.json({
+            verified: true,
+            approver: { id: user.id, full_name: user.full_name, role: user.role },
+            approval_token: action ? generateApprovalToken(user, action) : null
+        });
     } catch (error) {
         console.error('Error verifying admin:', error);
         res.status(500).json({ error: 'Verification failed' });
@@ -0,0 +1,116 @@
+/**
+ * A pretend integrated card terminal speaking the ECR protocol in
+ * services/cardTerminals/ecrTerminal.js, for trying pay-at-terminal offline.
+ *
+ * Run: node backend/scripts/mockCardTerminal.mjs        (listens on MOCK_TERMINAL_PORT, default 4020)
+ * Then start the backend with CARD_TERMINAL_URL=tcp://localhost:4020
+ *
+ * Over a serial cable instead, bridge a pseudo-terminal to it with socat:
+ *   socat -d -d pty,raw,echo=0,link=/tmp/ttyCARD tcp:localhost:4020
+ * and use CARD_TERMINAL_URL=serial:///tmp/ttyCARD
+ *
+ * Each sale is answered MOCK_TERMINAL_DELAY_MS later (default 3000) with
+ * MOCK_TERMINAL_RESULT: approved (default), declined, or 'none' for a customer
+ * who never presents a card. Answer one sale yourself with
+ *   curl -XPOST localhost:4021/mock/result -d '{"ref":"P12","status":"declined"}'
+ * (MOCK_TERMINAL_CONTROL_PORT, default 4021).
+ */
+import net from 'net';
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.MOCK_TERMINAL_PORT || 4020);
+const CONTROL_PORT = Number(process.env.MOCK_TERMINAL_CONTROL_PORT || 4021);
+const RESULT = process.env.MOCK_TERMINAL_RESULT || 'approved';
+const DELAY_MS = Number(process.env.MOCK_TERMINAL_DELAY_MS ?? 3000);
+const TERMINAL_ID = 'MOCK0001';
+
+// ref -> { amount, status, result, timer, socket }
+const sales = new Map();
+
+const send = (socket, message) => {
+    if (!socket.destroyed) socket.write(`${JSON.stringify(message)}\n`);
+};
+
+const resultOf = (ref) => ({ type: 'result', ref, ...(sales.get(ref)?.result || { status: 'not_found' }) });
+
+// The customer finishes at the terminal: settle the sale and tell the till
+const finish = (ref, status) => {
+    const sale = sales.get(ref);
+    if (!sale || sale.result.status !== 'pending') return false;
+
+    clearTimeout(sale.timer);
+    sale.result = status === 'approved'
+        ? {
+            status,
+            masked_pan: `************${crypto.randomInt(1000, 9999)}`,
+            auth_code: crypto.randomBytes(3).toString('hex').toUpperCase(),
+            terminal_id: TERMINAL_ID,
+            message: 'APPROVED'
+        }
+        : { status, terminal_id: TERMINAL_ID, message: status === 'declined' ? 'DECLINED BY ISSUER' : 'CANCELLED' };
+    console.log(`💳 ${ref}: KES ${sale.amount} ${status}`);
+    send(sale.socket, resultOf(ref));
+    return true;
+};
+
+const handle = (socket, message) => {
+    const { type, ref } = message;
+
+    if (type === 'sale') {
+        const busy = [...sales.values()].some(sale => sale.result.status === 'pending');
+        if (busy) return send(socket, { type: 'error', ref, message: 'Terminal busy' });
+        if (!(Number(message.amount) > 0)) return send(socket, { type: 'error', ref, message: 'Invalid amount' });
+
+        sales.set(ref, { amount: Number(message.amount), socket, result: { status: 'pending', terminal_id: TERMINAL_ID } });
+        console.log(`💳 ${ref}: present card for KES ${message.amount}`);
+        send(socket, { type: 'ack', ref });
+        if (RESULT !== 'none') {
+            sales.get(ref).timer = setTimeout(() => finish(ref, RESULT), DELAY_MS);
+        }
+        return;
+    }
+    if (type === 'status') {
+        return send(socket, resultOf(ref));
+    }
+    if (type === 'cancel') {
+        finish(ref, 'cancelled');
+        return send(socket, resultOf(ref));
+    }
+    send(socket, { type: 'error', ref, message: `Unknown message type ${type}` });
+};
+
+net.createServer((socket) => {
+    console.log('🔌 Till connected');
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line) continue;
+            try {
+                handle(socket, JSON.parse(line));
+            } catch (_) {
+                send(socket, { type: 'error', message: 'Unreadable message' });
+            }
+        }
+    });
+    socket.on('error', () => { });
+    socket.on('close', () => console.log('🔌 Till disconnected'));
+}).listen(PORT, () => console.log(`🧪 Mock card terminal on tcp://localhost:${PORT}`));
+
+// Control: answer a sale as the customer would
+http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => data += chunk);
+    req.on('end', () => {
+        let body = {};
+        try { body = data ? JSON.parse(data) : {}; } catch (_) { }
+        const ok = req.url === '/mock/result' && finish(body.ref, body.status || 'approved');
+        res.writeHead(ok ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ok ? resultOf(body.ref) : { error: 'No pending sale with that ref' }));
+    });
+}).listen(CONTROL_PORT);
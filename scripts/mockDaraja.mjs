@@ -0,0 +1,176 @@
+/**
+ * A local stand-in for Safaricom's Daraja API: OAuth, STK Push, STK Query, C2B and B2C,
+ * for trying the M-Pesa flow without the sandbox. It never sends STK callbacks, like
+ * a till behind NAT, so payments are settled by the status query.
+ *
+ * Run: node backend/scripts/mockDaraja.mjs            (listens on MOCK_DARAJA_PORT, default 4010)
+ * Then start the backend with MPESA_BASE_URL=http://localhost:4010 and any
+ * MPESA_CONSUMER_KEY / MPESA_CONSUMER_SECRET.
+ *
+ * Each push answers its query with MOCK_STK_RESULT (default 0 = paid; e.g. 1032 =
+ * cancelled, 'processing' = no answer yet). Change one push's outcome with
+ *   curl -XPOST localhost:4010/mock/result -d '{"CheckoutRequestID":"...","ResultCode":1032}'
+ *
+ * After POST /api/payments/mpesa/c2b/register, pay the Till with
+ *   curl -XPOST localhost:4010/mock/c2b -d '{"amount":250,"phone":"254712345678"}'
+ *
+ * B2C transfers are reported to their ResultURL a second later as MOCK_B2C_RESULT
+ * (default 0 = sent; e.g. 2001, 'timeout' for the QueueTimeOutURL, 'none' for no callback).
+ */
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.MOCK_DARAJA_PORT || 4010);
+const DEFAULT_RESULT = process.env.MOCK_STK_RESULT ?? '0';
+// B2C transfers: a ResultCode to report (0 = sent), 'timeout' or 'none' (no callback)
+const B2C_RESULT = process.env.MOCK_B2C_RESULT ?? '0';
+
+const RESULT_DESCRIPTIONS = {
+    0: 'The service request is processed successfully.',
+    1: 'The balance is insufficient for the transaction.',
+    1032: 'Request cancelled by user',
+    1037: 'DS timeout user cannot be reached',
+    2001: 'The initiator information is invalid.'
+};
+
+// CheckoutRequestID -> ResultCode or 'processing'
+const pushes = new Map();
+// Where C2B confirmations go, once registered
+let c2bUrls = null;
+
+const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => data += chunk);
+    req.on('end', () => {
+        try {
+            resolve(data ? JSON.parse(data) : {});
+        } catch (_) {
+            resolve({});
+        }
+    });
+});
+
+const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const body = req.method === 'POST' ? await readBody(req) : {};
+
+    if (url.pathname === '/oauth/v1/generate') {
+        return send(res, 200, { access_token: 'mock-token', expires_in: '3599' });
+    }
+
+    if (url.pathname === '/mpesa/stkpush/v1/processrequest') {
+        const checkoutRequestId = `ws_CO_${Date.now()}${crypto.randomInt(1000, 9999)}`;
+        pushes.set(checkoutRequestId, DEFAULT_RESULT);
+        console.log(`📲 STK Push ${checkoutRequestId}: KES ${body.Amount} from ${body.PhoneNumber} (${body.AccountReference})`);
+        return send(res, 200, {
+            MerchantRequestID: `mock-${crypto.randomInt(100000, 999999)}`,
+            CheckoutRequestID: checkoutRequestId,
+            ResponseCode: '0',
+            ResponseDescription: 'Success. Request accepted for processing',
+            CustomerMessage: 'Success. Request accepted for processing'
+        });
+    }
+
+    if (url.pathname === '/mpesa/stkpushquery/v1/query') {
+        const result = pushes.get(body.CheckoutRequestID);
+        if (result === undefined) {
+            return send(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+        }
+        if (result === 'processing') {
+            return send(res, 500, { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+        }
+        console.log(`🔎 STK Query ${body.CheckoutRequestID}: ${result}`);
+        return send(res, 200, {
+            ResponseCode: '0',
+            ResponseDescription: 'The service request has been accepted successsfully',
+            CheckoutRequestID: body.CheckoutRequestID,
+            ResultCode: String(result),
+            ResultDesc: RESULT_DESCRIPTIONS[result] || 'Failed'
+        });
+    }
+
+    if (url.pathname === '/mpesa/c2b/v1/registerurl') {
+        c2bUrls = { confirmation: body.ConfirmationURL, validation: body.ValidationURL };
+        console.log(`🔗 C2B URLs registered for ${body.ShortCode}: ${body.ConfirmationURL}`);
+        return send(res, 200, { OriginatorCoversationID: `mock-${Date.now()}`, ResponseCode: '0', ResponseDescription: 'Success' });
+    }
+
+    if (url.pathname === '/mock/c2b') {
+        if (!c2bUrls) {
+            return send(res, 409, { error: 'No C2B URLs registered' });
+        }
+        const confirmation = {
+            TransactionType: 'Buy Goods',
+            TransID: body.TransID || `MCK${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+            TransTime: new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14),
+            TransAmount: String(body.amount ?? 100),
+            BusinessShortCode: body.short_code || '174379',
+            BillRefNumber: body.bill_ref || '',
+            MSISDN: body.phone || '254712345678',
+            FirstName: body.first_name || 'JOHN'
+        };
+        const response = await fetch(c2bUrls.confirmation, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(confirmation)
+        });
+        console.log(`💸 C2B ${confirmation.TransID}: KES ${confirmation.TransAmount} from ${confirmation.MSISDN} -> ${response.status}`);
+        return send(res, 200, confirmation);
+    }
+
+    if (url.pathname === '/mpesa/b2c/v3/paymentrequest') {
+        const conversationId = `AG_${Date.now()}_${crypto.randomInt(1000, 9999)}`;
+        const transactionId = `MCK${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+        console.log(`💸 B2C ${body.CommandID} KES ${body.Amount} to ${body.PartyB} (${body.OriginatorConversationID})`);
+
+        if (B2C_RESULT !== 'none') {
+            const result = {
+                ResultType: 0,
+                ResultCode: B2C_RESULT === 'timeout' ? 1 : Number(B2C_RESULT),
+                ResultDesc: B2C_RESULT === '0' ? 'The service request is processed successfully.' : (RESULT_DESCRIPTIONS[B2C_RESULT] || 'Request timed out'),
+                OriginatorConversationID: body.OriginatorConversationID,
+                ConversationID: conversationId,
+                TransactionID: transactionId,
+                ResultParameters: B2C_RESULT === '0' ? {
+                    ResultParameter: [
+                        { Key: 'TransactionAmount', Value: body.Amount },
+                        { Key: 'TransactionReceipt', Value: transactionId },
+                        { Key: 'ReceiverPartyPublicName', Value: `${body.PartyB} - MOCK CUSTOMER` }
+                    ]
+                } : undefined
+            };
+
+            setTimeout(() => {
+                fetch(B2C_RESULT === 'timeout' ? body.QueueTimeOutURL : body.ResultURL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ Result: result })
+                }).catch(error => console.error('B2C callback failed:', error.message));
+            }, 1000);
+        }
+
+        return send(res, 200, {
+            ConversationID: conversationId,
+            OriginatorConversationID: body.OriginatorConversationID,
+            ResponseCode: '0',
+            ResponseDescription: 'Accept the service request successfully.'
+        });
+    }
+
+    if (url.pathname === '/mock/result') {
+        if (!pushes.has(body.CheckoutRequestID)) {
+            return send(res, 404, { error: 'Unknown CheckoutRequestID' });
+        }
+        pushes.set(body.CheckoutRequestID, String(body.ResultCode));
+        return send(res, 200, { success: true });
+    }
+
+    send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => console.log(`🧪 Mock Daraja on http://localhost:${PORT}`));
@@ -2,6 +2,7 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
+import { authenticateToken, requireRole } from './middleware/auth.js';
 import productsRoutes from './routes/products.js';
 import salesRoutes from './routes/sales.js';
 import paymentsRoutes from './routes/payments.js';
@@ -21,6 +22,12 @@ import notificationsRoutes from './routes/notifications.js';
 import hardwareRoutes from './routes/hardware.js';
 import returnsRoutes from './routes/returns.js';
 import productionRoutes from './routes/production.js';
+import heldCartsRoutes from './routes/heldCarts.js';
+import shiftsRoutes from './routes/shifts.js';
+import couponsRoutes from './routes/coupons.js';
+import giftCardsRoutes from './routes/giftCards.js';
+import loyaltyRoutes from './routes/loyalty.js';
+import modifierRoutes from './routes/modifiers.js';
 import db, { initializeDatabase, seedDatabase, ensureDefaultUsers } from './database/db.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -50,14 +57,22 @@ import setupRoutes from './routes/setup.js';
 import settingsRoutes from './routes/settings.js';
 import importRoutes from './routes/import.js';
 import payrollRoutes from './routes/payroll.js';
+import disbursementsRoutes from './routes/disbursements.js';
 import uploadRoutes from './routes/upload.js';
 import rolesRoutes from './routes/roles.js';
 import feedbackRoutes from './routes/feedback.js';
 import syncRoutes from './routes/sync.js';
+import stocktakesRoutes from './routes/stocktakes.js';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { connectCloudDB } from './database/cloud.js';
 import { startSyncScheduler, syncState } from './services/syncService.js';
+import { customerDisplayService } from './services/customerDisplayService.js';
+import { paymentService } from './services/paymentService.js';
+import { paymentProviders } from './services/paymentProviders/index.js';
+import simulatedPaymentProvider from './services/paymentProviders/simulated.js';
+import { mpesaDisbursementService } from './services/mpesaDisbursementService.js';
+import { getMpesaConfig } from './services/mpesaService.js';
 
 // Connect to Cloud DB (MongoDB)
 connectCloudDB();
@@ -75,6 +90,14 @@ const io = new Server(httpServer, {
 app.use(helmet({ contentSecurityPolicy: false }));
 app.disable('x-powered-by');
 
+// Behind a reverse proxy (nginx, a load balancer) req.ip is the proxy's address
+// unless it is trusted; M-Pesa callback allowlists need the caller's. TRUST_PROXY
+// is a hop count or Express trust proxy setting, e.g. 1 or 'loopback'.
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Rate limiting: max 10 auth attempts per minute per IP
 const authLimiter = rateLimit({
     windowMs: 60 * 1000,
@@ -110,7 +133,7 @@ const allowedOrigins = [
 app.use(cors({
     origin: '*', // Forcefully allow ALL origins to bypass any strict browser preflight checks
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Device-Id', 'Idempotency-Key']
 }));
 
 // Pre-flight OPTIONS handler for all routes
@@ -135,6 +158,8 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/products', productsRoutes);
 app.use('/api/sales', salesRoutes);
+app.use('/api/held-carts', heldCartsRoutes);
+app.use('/api/shifts', shiftsRoutes);
 app.use('/api/payments', paymentsRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/orders', ordersRoutes);
@@ -143,6 +168,10 @@ app.use('/api/suppliers', suppliersRoutes);
 app.use('/api/purchases', purchasesRoutes);
 app.use('/api/expenses', expensesRoutes);
 app.use('/api/promotions', promotionsRoutes);
+app.use('/api/coupons', couponsRoutes);
+app.use('/api/gift-cards', giftCardsRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/modifier-groups', modifierRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/branches', branchesRoutes);
 app.use('/api/transfers', transfersRoutes);
@@ -158,9 +187,11 @@ app.use('/api/setup', setupRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/import', importRoutes);
 app.use('/api/payroll', payrollRoutes);
+app.use('/api/disbursements', disbursementsRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/roles', rolesRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/stocktakes', stocktakesRoutes);
 
 // Serve uploads
 const uploadDir = process.env.USER_DATA_PATH
@@ -179,20 +210,21 @@ app.get('/api/categories', (req, res) => {
     }
 });
 
-app.post('/api/categories', (req, res) => {
+app.post('/api/categories', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
     try {
-        const { name, description } = req.body;
+        const { name, description, send_to_kitchen } = req.body;
         if (!name) {
             return res.status(400).json({ error: 'Category name is required' });
         }
 
-        const stmt = db.prepare('INSERT INTO categories (name, description) VALUES (?, ?)');
-        const info = stmt.run(name, description || '');
+        const stmt = db.prepare('INSERT INTO categories (name, description, send_to_kitchen) VALUES (?, ?, ?)');
+        const info = stmt.run(name, description || '', send_to_kitchen ? 1 : 0);
 
         res.status(201).json({
             id: info.lastInsertRowid,
             name,
-            description
+            description,
+            send_to_kitchen: send_to_kitchen ? 1 : 0
         });
     } catch (error) {
         console.error('Error creating category:', error);
@@ -200,6 +232,29 @@ app.post('/api/categories', (req, res) => {
     }
 });
 
+// send_to_kitchen: the category's sale lines print on a kitchen ticket
+app.put('/api/categories/:id', authenticateToken, requireRole('admin', 'manager'), (req, res) => {
+    try {
+        const { name, description, send_to_kitchen } = req.body;
+
+        const info = db.prepare(`
+            UPDATE categories SET
+                name = COALESCE(?, name),
+                description = COALESCE(?, description),
+                send_to_kitchen = COALESCE(?, send_to_kitchen)
+            WHERE id = ?
+        `).run(name || null, description ?? null, send_to_kitchen === undefined ? null : (send_to_kitchen ? 1 : 0), req.params.id);
+
+        if (info.changes === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        res.json(db.prepare('SELECT * FROM categories WHERE id = ?').get(req.params.id));
+    } catch (error) {
+        console.error('Error updating category:', error);
+        res.status(500).json({ error: 'Failed to update category' });
+    }
+});
+
 // ─── Sync Status Endpoint ─────────────────────────────────────────────────────
 app.get('/api/sync/status', (_req, res) => {
     res.json({
@@ -240,6 +295,16 @@ io.on('connection', (socket) => {
     });
 });
 
+// Customer-facing displays, one channel per POS terminal
+customerDisplayService.attach(io);
+
+// M-Pesa payment results ('payment:updated') and B2C transfers ('disbursement:updated')
+paymentService.attach(io);
+mpesaDisbursementService.attach(io);
+
+// Payments that pretend to go through, for trying the till; never outside development
+if (process.env.NODE_ENV === 'development') paymentProviders.register(simulatedPaymentProvider);
+
 
 // Start server — default to 0.0.0.0 for cloud (Render) deployment
 // The Electron desktop wrapper specifically overrides this with HOST=127.0.0.1
@@ -252,6 +317,14 @@ httpServer.listen(PORT, HOST, () => {
     ensureDefaultUsers().catch(e => console.error('ensureDefaultUsers error:', e));
     // Start cloud sync scheduler
     startSyncScheduler();
+    const mpesa = getMpesaConfig();
+    if (mpesa.consumerKey && !mpesa.webhookToken) {
+        console.warn(`⚠️  M-Pesa (${mpesa.environment}) has no MPESA_WEBHOOK_TOKEN: its callbacks will be refused and no STK, C2B or B2C request sent`);
+    }
+    // Settle M-Pesa payments whose callback never arrived (e.g. behind NAT)
+    paymentService.start();
+    // Send queued M-Pesa refunds and salaries
+    mpesaDisbursementService.start();
     // Auto-scan hardware devices after a short delay
     setTimeout(() => {
         import('./services/hardware.js').then(m => {
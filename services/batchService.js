@@ -0,0 +1,219 @@
+import db from '../database/db.js';
+
+const batchError = (message) => {
+    const error = new Error(message);
+    error.code = 'BATCH_INVALID';
+    return error;
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Where each kind of stock keeps its total
+const STOCK = {
+    raw: { table: 'inventory_raw', key: 'ingredient_id', items: 'ingredients' },
+    finished: { table: 'inventory_finished', key: 'product_id', items: 'products' }
+};
+
+// First expiring first out; batches without an expiry date go last
+const FEFO_ORDER = 'expiry_date IS NULL, expiry_date, received_date, id';
+
+const recordMovement = (batchId, movementType, change, referenceId, referenceType) => {
+    db.prepare(`
+        INSERT INTO inventory_batch_movements (batch_id, movement_type, quantity_change, reference_id, reference_type)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(batchId, movementType, change, referenceId ?? null, referenceType ?? null);
+};
+
+export const batchService = {
+
+    /**
+     * Open a batch for stock just produced or received. The expiry date defaults
+     * to the received date plus the item's shelf_life_days, if it has one.
+     * Only records the batch: the caller has already added the quantity to
+     * inventory_raw/inventory_finished.
+     */
+    receive: (type, itemId, { quantity, received_date = null, expiry_date = null, batch_number = null, unit_cost = null, source_type = null, source_id = null, user_id = null }) => {
+        if (!STOCK[type]) throw batchError(`Invalid stock type: ${type}`);
+        if (!(Number(quantity) > 0)) throw batchError('A batch needs a quantity greater than 0');
+        for (const date of [received_date, expiry_date]) {
+            if (date && !DATE_PATTERN.test(date)) throw batchError('Batch dates must be YYYY-MM-DD');
+        }
+
+        const { shelf_life_days: shelfLife } = db.prepare(`SELECT shelf_life_days FROM ${STOCK[type].items} WHERE id = ?`).get(itemId) || {};
+        const batch = db.prepare(`
+            INSERT INTO inventory_batches (type, item_id, batch_number, received_date, expiry_date, quantity_received, quantity, unit_cost, source_type, source_id, created_by)
+            VALUES (?, ?, ?, COALESCE(?, DATE('now')),
+                    COALESCE(?, CASE WHEN ? IS NOT NULL THEN DATE(COALESCE(?, DATE('now')), '+' || ? || ' days') END),
+                    ?, ?, ?, ?, ?, ?)
+            RETURNING *
+        `).get(type, itemId, batch_number, received_date, expiry_date, shelfLife ?? null, received_date, shelfLife ?? null,
+            quantity, quantity, unit_cost, source_type, source_id, user_id);
+
+        recordMovement(batch.id, source_type || 'receive', quantity, source_id, source_type);
+        return batch;
+    },
+
+    /**
+     * Take stock out of batches, first expiring first. Expired batches are
+     * skipped unless `includeExpired` (waste, a count correction): they wait for
+     * a write-off. Whatever the batches can't cover comes out of stock kept
+     * outside batches. `batchId` draws on that one batch first.
+     * Only updates the batches; the caller adjusts the item's total.
+     * Returns what was taken: [{ batch_id, batch_number, expiry_date, quantity }].
+     */
+    consume: (type, itemId, quantity, { movement_type, reference_id = null, reference_type = null, includeExpired = false, batchId = null }) => {
+        const batches = db.prepare(`
+            SELECT * FROM inventory_batches
+            WHERE type = ? AND item_id = ? AND status = 'active' AND quantity > 0
+              ${includeExpired ? '' : "AND (expiry_date IS NULL OR expiry_date >= DATE('now'))"}
+            ORDER BY id = ? DESC, ${FEFO_ORDER}
+        `).all(type, itemId, batchId ?? 0);
+
+        const taken = [];
+        let remaining = quantity;
+        for (const batch of batches) {
+            if (remaining <= 0) break;
+            const take = Math.min(remaining, batch.quantity);
+            const left = Math.round((batch.quantity - take) * 1000) / 1000;
+
+            db.prepare("UPDATE inventory_batches SET quantity = ?, status = CASE WHEN ? <= 0 THEN 'depleted' ELSE status END WHERE id = ?")
+                .run(Math.max(left, 0), left, batch.id);
+            recordMovement(batch.id, movement_type, -take, reference_id, reference_type);
+            taken.push({ batch_id: batch.id, batch_number: batch.batch_number, expiry_date: batch.expiry_date, quantity: take });
+            remaining -= take;
+        }
+
+        return taken;
+    },
+
+    /**
+     * Put back into their batches what `consume` took for one reference, e.g. a
+     * cancelled sale. A batch written off since stays written off.
+     * Only updates the batches; the caller adjusts the item's total.
+     */
+    restore: (referenceType, referenceId, { movement_type }) => {
+        const taken = db.prepare(`
+            SELECT b.id, b.status, -SUM(m.quantity_change) as taken
+            FROM inventory_batch_movements m
+            JOIN inventory_batches b ON m.batch_id = b.id
+            WHERE m.reference_type = ? AND m.reference_id = ?
+            GROUP BY b.id
+            HAVING taken > 0
+        `).all(referenceType, referenceId);
+
+        for (const batch of taken) {
+            if (batch.status === 'written_off') continue;
+            db.prepare("UPDATE inventory_batches SET quantity = quantity + ?, status = 'active' WHERE id = ?").run(batch.taken, batch.id);
+            recordMovement(batch.id, movement_type, batch.taken, referenceId, referenceType);
+        }
+    },
+
+    // Stock sitting in expired batches, which can't be sold
+    getExpiredQuantity: (type, itemId) => {
+        return db.prepare(`
+            SELECT COALESCE(SUM(quantity), 0) as quantity FROM inventory_batches
+            WHERE type = ? AND item_id = ? AND status = 'active' AND expiry_date < DATE('now')
+        `).get(type, itemId).quantity;
+    },
+
+    // ?type=raw|finished, ?item_id=, ?status=active|depleted|written_off|all
+    getBatches: ({ type, item_id, status = 'active', limit = 200 } = {}) => {
+        const conditions = [];
+        const params = [];
+        if (type) { conditions.push('b.type = ?'); params.push(type); }
+        if (item_id) { conditions.push('b.item_id = ?'); params.push(item_id); }
+        if (status !== 'all') { conditions.push('b.status = ?'); params.push(status); }
+
+        return db.prepare(`
+            SELECT b.*, COALESCE(p.name, i.name) as item_name, i.unit,
+                   CAST(JULIANDAY(b.expiry_date) - JULIANDAY(DATE('now')) AS INTEGER) as days_left
+            FROM inventory_batches b
+            LEFT JOIN products p ON b.type = 'finished' AND p.id = b.item_id
+            LEFT JOIN ingredients i ON b.type = 'raw' AND i.id = b.item_id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY b.type, item_name, b.expiry_date IS NULL, b.expiry_date, b.received_date, b.id
+            LIMIT ?
+        `).all(...params, Math.min(Number(limit) || 200, 1000));
+    },
+
+    /**
+     * Batches on hand that have expired or expire within `days`, soonest
+     * first, with what they're worth at cost (or selling price when the cost
+     * isn't known).
+     */
+    getExpiring: ({ days = 7, type } = {}) => {
+        const batches = db.prepare(`
+            SELECT b.id, b.type, b.item_id, COALESCE(p.name, i.name) as item_name, i.unit, b.batch_number,
+                   b.received_date, b.expiry_date, b.quantity,
+                   CAST(JULIANDAY(b.expiry_date) - JULIANDAY(DATE('now')) AS INTEGER) as days_left,
+                   ROUND(b.quantity * COALESCE(b.unit_cost, p.price, 0), 2) as value
+            FROM inventory_batches b
+            LEFT JOIN products p ON b.type = 'finished' AND p.id = b.item_id
+            LEFT JOIN ingredients i ON b.type = 'raw' AND i.id = b.item_id
+            WHERE b.status = 'active' AND b.quantity > 0 AND b.expiry_date IS NOT NULL
+              AND b.expiry_date <= DATE('now', '+' || ? || ' days')
+              ${type ? 'AND b.type = ?' : ''}
+            ORDER BY b.expiry_date, item_name
+        `).all(days, ...(type ? [type] : []));
+
+        const expired = batches.filter(batch => batch.days_left < 0);
+        const total = (list) => Math.round(list.reduce((sum, batch) => sum + batch.value, 0) * 100) / 100;
+        return {
+            days,
+            batches: batches.map(batch => ({ ...batch, expired: batch.days_left < 0 })),
+            summary: {
+                expired: expired.length,
+                expired_value: total(expired),
+                expiring: batches.length - expired.length,
+                expiring_value: total(batches.filter(batch => batch.days_left >= 0))
+            }
+        };
+    },
+
+    /**
+     * Book what's left of a batch out as waste. Returns the batch with the
+     * `written_off_quantity`, or null if there is no such batch.
+     */
+    writeOff: (batchId, { user_id, notes = null }) => {
+        const transaction = db.transaction(() => {
+            const batch = db.prepare('SELECT * FROM inventory_batches WHERE id = ?').get(batchId);
+            if (!batch) return null;
+            if (batch.status !== 'active' || !(batch.quantity > 0)) {
+                throw batchError(`Batch ${batch.batch_number || batch.id} has nothing left to write off`);
+            }
+
+            const { table, key } = STOCK[batch.type];
+            const stock = db.prepare(`SELECT quantity FROM ${table} WHERE ${key} = ?`).get(batch.item_id);
+            const quantityAfter = (stock?.quantity || 0) - batch.quantity;
+            db.prepare(`UPDATE ${table} SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE ${key} = ?`).run(quantityAfter, batch.item_id);
+            db.prepare(`
+                INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, notes, created_by)
+                VALUES (?, ?, 'waste', ?, ?, ?, 'batch', ?, ?)
+            `).run(batch.type, batch.item_id, -batch.quantity, quantityAfter, batch.id,
+                notes || `Batch ${batch.batch_number || batch.id} written off${batch.expiry_date ? ` (expiry ${batch.expiry_date})` : ''}`, user_id);
+
+            recordMovement(batch.id, 'waste', -batch.quantity, batch.id, 'batch');
+            const writtenOff = db.prepare(`
+                UPDATE inventory_batches SET quantity = 0, status = 'written_off', written_off_at = CURRENT_TIMESTAMP
+                WHERE id = ? RETURNING *
+            `).get(batch.id);
+            return { ...writtenOff, written_off_quantity: batch.quantity };
+        });
+
+        return transaction();
+    },
+
+    // Write off every expired batch still on hand (?type= to limit it). Returns the batches.
+    writeOffExpired: ({ type, user_id }) => {
+        const transaction = db.transaction(() => {
+            const expired = db.prepare(`
+                SELECT id FROM inventory_batches
+                WHERE status = 'active' AND quantity > 0 AND expiry_date < DATE('now') ${type ? 'AND type = ?' : ''}
+                ORDER BY expiry_date, id
+            `).all(...(type ? [type] : []));
+            return expired.map(({ id }) => batchService.writeOff(id, { user_id }));
+        });
+
+        return transaction();
+    }
+};
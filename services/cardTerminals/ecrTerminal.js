@@ -0,0 +1,187 @@
+import net from 'net';
+
+/**
+ * An integrated card terminal speaking a simple ECR (electronic cash register)
+ * protocol: one JSON message per line, over TCP or a serial cable.
+ *
+ * Till -> terminal
+ *   { "type": "sale", "ref": "P12", "amount": 150, "currency": "KES" }
+ *   { "type": "status", "ref": "P12" }
+ *   { "type": "cancel", "ref": "P12" }
+ * Terminal -> till
+ *   { "type": "ack", "ref": "P12" }                      sale accepted, customer prompted
+ *   { "type": "error", "ref": "P12", "message": "..." }  sale refused (busy, bad amount...)
+ *   { "type": "result", "ref": "P12", "status": "approved" | "declined" | "cancelled" | "pending" | "not_found",
+ *     "masked_pan": "************1234", "auth_code": "A1B2C3", "terminal_id": "T0001", "message": "..." }
+ *
+ * A result is pushed when the customer finishes, and is also the answer to
+ * status and cancel (a cancel that comes too late answers "approved").
+ */
+
+// How long the terminal has to answer a request (not the customer to pay)
+const REPLY_TIMEOUT_MS = 10 * 1000;
+
+export class EcrTerminal {
+
+    /**
+     * @param {URL} url tcp://host:port or serial:///dev/ttyUSB0?baudRate=9600
+     */
+    constructor(url, { timeoutMs }) {
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+        this.stream = null;
+        this.connecting = null;
+        this.buffer = '';
+        // ref -> [{ match, resolve, reject, timer }]
+        this.waiters = new Map();
+    }
+
+    get name() {
+        return this.url.protocol === 'serial:' ? `serial ${this.url.pathname}` : `tcp ${this.url.host}`;
+    }
+
+    async openStream() {
+        if (this.url.protocol === 'serial:') {
+            const { SerialPort } = await import('serialport');
+            const port = new SerialPort({
+                path: this.url.pathname,
+                baudRate: Number(this.url.searchParams.get('baudRate') || 9600),
+                autoOpen: false
+            });
+            await new Promise((resolve, reject) => port.open(error => error ? reject(error) : resolve()));
+            return port;
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.url.hostname, port: Number(this.url.port) });
+            socket.setKeepAlive(true);
+            socket.once('connect', () => {
+                socket.off('error', reject);
+                resolve(socket);
+            });
+            socket.once('error', reject);
+        });
+    }
+
+    // Connect on first use and again after the link drops
+    async connect() {
+        if (this.stream) return this.stream;
+        if (!this.connecting) {
+            this.connecting = this.openStream()
+                .then((stream) => {
+                    stream.setEncoding?.('utf8');
+                    stream.on('data', chunk => this.receive(String(chunk)));
+                    stream.on('error', error => console.error(`Card terminal (${this.name}) error:`, error.message));
+                    stream.on('close', () => this.disconnected());
+                    this.stream = stream;
+                    console.log(`💳 Card terminal connected (${this.name})`);
+                    return stream;
+                })
+                .finally(() => {
+                    this.connecting = null;
+                });
+        }
+        return this.connecting;
+    }
+
+    disconnected() {
+        this.stream = null;
+        this.buffer = '';
+        for (const waiters of this.waiters.values()) {
+            waiters.forEach(waiter => {
+                clearTimeout(waiter.timer);
+                waiter.reject(new Error('Card terminal disconnected'));
+            });
+        }
+        this.waiters.clear();
+    }
+
+    receive(chunk) {
+        this.buffer += chunk;
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).trim();
+            this.buffer = this.buffer.slice(newline + 1);
+            if (!line) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (_) {
+                console.warn(`Card terminal (${this.name}) sent an unreadable line:`, line);
+                continue;
+            }
+
+            const waiters = this.waiters.get(message.ref) || [];
+            const matched = waiters.filter(waiter => waiter.match(message));
+            const rest = waiters.filter(waiter => !matched.includes(waiter));
+            if (rest.length) this.waiters.set(message.ref, rest);
+            else this.waiters.delete(message.ref);
+
+            matched.forEach(waiter => {
+                clearTimeout(waiter.timer);
+                waiter.resolve(message);
+            });
+        }
+    }
+
+    // Resolves with the first message about `ref` that `match` accepts, or null after `timeoutMs`
+    waitFor(ref, match, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const waiter = { match, resolve, reject };
+            waiter.timer = setTimeout(() => {
+                const rest = (this.waiters.get(ref) || []).filter(w => w !== waiter);
+                if (rest.length) this.waiters.set(ref, rest);
+                else this.waiters.delete(ref);
+                resolve(null);
+            }, timeoutMs);
+            this.waiters.set(ref, [...(this.waiters.get(ref) || []), waiter]);
+        });
+    }
+
+    async request(message, match) {
+        const stream = await this.connect();
+        const reply = this.waitFor(message.ref, match, REPLY_TIMEOUT_MS);
+        stream.write(`${JSON.stringify(message)}\n`);
+        const answer = await reply;
+        if (!answer) {
+            throw new Error(`Card terminal (${this.name}) did not answer`);
+        }
+        return answer;
+    }
+
+    /**
+     * Send the amount to the terminal. Resolves once the terminal has taken it,
+     * with `result`: a promise of the final result message. A customer who never
+     * presents a card is cancelled after the timeout, answered as status "timeout"
+     * unless the terminal reports the payment went through after all.
+     */
+    async sale({ ref, amount, currency = 'KES' }) {
+        const answer = await this.request({ type: 'sale', ref, amount, currency }, m => ['ack', 'error'].includes(m.type));
+        if (answer.type === 'error') {
+            throw new Error(answer.message || 'Card terminal refused the sale');
+        }
+
+        const result = this.waitFor(ref, m => m.type === 'result' && m.status !== 'pending', this.timeoutMs)
+            .then(async (message) => {
+                if (message) return message;
+                const late = await this.cancel(ref).catch(() => null);
+                return late?.status === 'approved'
+                    ? late
+                    : { type: 'result', ref, status: 'timeout', message: `No card presented within ${Math.round(this.timeoutMs / 1000)}s` };
+            });
+        return { result };
+    }
+
+    status(ref) {
+        return this.request({ type: 'status', ref }, m => m.type === 'result');
+    }
+
+    cancel(ref) {
+        return this.request({ type: 'cancel', ref }, m => m.type === 'result');
+    }
+
+    close() {
+        this.stream?.destroy();
+    }
+}
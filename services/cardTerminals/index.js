@@ -0,0 +1,49 @@
+import { EcrTerminal } from './ecrTerminal.js';
+
+/**
+ * Integrated card terminals, picked by the scheme of CARD_TERMINAL_URL, e.g.
+ *   tcp://192.168.1.50:4020
+ *   serial:///dev/ttyUSB0?baudRate=9600
+ *
+ * A driver is a class constructed with (url, { timeoutMs }) providing:
+ *   name                     for logs
+ *   sale({ ref, amount })    sends the amount; resolves once the terminal takes it with
+ *                            { result }, a promise of the final result message
+ *                            (status approved | declined | cancelled | timeout,
+ *                            masked_pan, auth_code, terminal_id, message)
+ *   status(ref)              asks for a sale's result now (status may be 'pending' or 'not_found')
+ *   cancel(ref)              asks the terminal to abandon a sale; resolves with its result
+ *   close()
+ * A terminal with its own protocol is a new driver registered for a new scheme.
+ */
+const drivers = {
+    'tcp:': EcrTerminal,
+    'serial:': EcrTerminal
+};
+
+// Customers get this long to present a card before the sale is cancelled
+const DEFAULT_TIMEOUT_MS = 90 * 1000;
+
+let terminal = null;
+
+export const cardTerminals = {
+
+    register: (scheme, Driver) => {
+        drivers[scheme.endsWith(':') ? scheme : `${scheme}:`] = Driver;
+    },
+
+    isConfigured: () => Boolean(process.env.CARD_TERMINAL_URL),
+
+    // The configured terminal, connected on first use
+    get: () => {
+        if (terminal) return terminal;
+
+        const url = new URL(process.env.CARD_TERMINAL_URL);
+        const Driver = drivers[url.protocol];
+        if (!Driver) {
+            throw new Error(`No card terminal driver for ${url.protocol}// (CARD_TERMINAL_URL)`);
+        }
+        terminal = new Driver(url, { timeoutMs: Number(process.env.CARD_TERMINAL_TIMEOUT_MS || DEFAULT_TIMEOUT_MS) });
+        return terminal;
+    }
+};
@@ -66,6 +66,7 @@ export const companyService = {
                     db.prepare('DELETE FROM recipes').run();
                     db.prepare('DELETE FROM inventory_finished').run();
                     db.prepare('DELETE FROM inventory_raw').run();
+                    db.prepare('DELETE FROM inventory_batches').run();
 
                     // Master Data
                     db.prepare('DELETE FROM products').run();
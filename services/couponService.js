@@ -0,0 +1,377 @@
+import crypto from 'crypto';
+import db from '../database/db.js';
+import { promotionService } from './promotionService.js';
+import { sendSms } from './smsService.js';
+
+// No 0/O or 1/I so printed and texted codes can't be misread
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const couponError = (message) => {
+    const error = new Error(message);
+    error.code = 'COUPON_INVALID';
+    return error;
+};
+
+const withConditions = (coupon) => coupon && {
+    ...coupon,
+    conditions: coupon.conditions ? JSON.parse(coupon.conditions) : {}
+};
+
+const toConditionsJson = (conditions) => {
+    if (!conditions) return null;
+    return typeof conditions === 'string' ? conditions : JSON.stringify(conditions);
+};
+
+const fillTemplate = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+export const couponService = {
+
+    normalizeCode: (code) => String(code || '').trim().toUpperCase(),
+
+    generateCode: (companyId, prefix = '', length = 8) => {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const bytes = crypto.randomBytes(length);
+            let code = couponService.normalizeCode(prefix);
+            for (const byte of bytes) {
+                code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+            }
+            if (!db.prepare('SELECT 1 FROM coupons WHERE code = ? AND company_id = ?').get(code, companyId)) {
+                return code;
+            }
+        }
+        throw new Error('Could not generate a unique coupon code');
+    },
+
+    /**
+     * Check the discount and limits of a coupon. Returns an error message or null.
+     */
+    validate: (data) => {
+        const promotionError = promotionService.validate(data);
+        if (promotionError) return promotionError;
+
+        for (const key of ['max_uses', 'per_customer_limit']) {
+            if (data[key] !== undefined && data[key] !== null && !(parseInt(data[key]) > 0)) {
+                return `${key} must be a whole number greater than 0`;
+            }
+        }
+        return null;
+    },
+
+    getCoupon: (id, companyId) => {
+        return withConditions(db.prepare(`
+            SELECT c.*, cu.name as customer_name, b.name as batch_name
+            FROM coupons c
+            LEFT JOIN customers cu ON c.customer_id = cu.id
+            LEFT JOIN coupon_batches b ON c.batch_id = b.id
+            WHERE c.id = ? AND c.company_id = ?
+        `).get(id, companyId));
+    },
+
+    getByCode: (code, companyId) => {
+        return withConditions(db.prepare('SELECT * FROM coupons WHERE code = ? AND company_id = ?').get(couponService.normalizeCode(code), companyId));
+    },
+
+    listCoupons: ({ company_id, status, batch_id, q, limit = 100, offset = 0 }) => {
+        let query = `
+            SELECT c.*, cu.name as customer_name, b.name as batch_name
+            FROM coupons c
+            LEFT JOIN customers cu ON c.customer_id = cu.id
+            LEFT JOIN coupon_batches b ON c.batch_id = b.id
+            WHERE c.company_id = ?
+        `;
+        const params = [company_id];
+
+        if (status) {
+            query += ' AND c.status = ?';
+            params.push(status);
+        }
+        if (batch_id) {
+            query += ' AND c.batch_id = ?';
+            params.push(batch_id);
+        }
+        if (q) {
+            query += ' AND c.code LIKE ?';
+            params.push(`%${couponService.normalizeCode(q)}%`);
+        }
+
+        query += ' ORDER BY c.created_at DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+        return db.prepare(query).all(...params).map(withConditions);
+    },
+
+    insertCoupon: (data, { user, batch_id = null, customer_id = null }) => {
+        const code = data.code ? couponService.normalizeCode(data.code) : couponService.generateCode(user.company_id || 1, data.prefix);
+        const result = db.prepare(`
+            INSERT INTO coupons (company_id, code, description, type, value, conditions, max_uses, per_customer_limit,
+                                 customer_id, batch_id, starts_at, expires_at, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(user.company_id || 1, code, data.description || null, data.type, Number(data.value), toConditionsJson(data.conditions),
+            data.max_uses ? parseInt(data.max_uses) : null, data.per_customer_limit ? parseInt(data.per_customer_limit) : null,
+            customer_id ?? data.customer_id ?? null, batch_id, data.starts_at || null, data.expires_at || null, user.id);
+        return result.lastInsertRowid;
+    },
+
+    createCoupon: (data, user) => {
+        const companyId = user.company_id || 1;
+        if (data.code && couponService.getByCode(data.code, companyId)) {
+            throw new Error(`Coupon code ${couponService.normalizeCode(data.code)} already exists`);
+        }
+        return couponService.getCoupon(couponService.insertCoupon(data, { user }), companyId);
+    },
+
+    setStatus: (id, status, companyId) => {
+        const result = db.prepare('UPDATE coupons SET status = ? WHERE id = ? AND company_id = ?').run(status, id, companyId);
+        return result.changes > 0 ? couponService.getCoupon(id, companyId) : null;
+    },
+
+    /**
+     * Generate `quantity` codes sharing one discount, e.g. for printed vouchers
+     */
+    createBatch: ({ name, quantity, ...data }, user) => {
+        const transaction = db.transaction(() => {
+            const result = db.prepare('INSERT INTO coupon_batches (company_id, name, quantity, created_by) VALUES (?, ?, ?, ?)')
+                .run(user.company_id || 1, name, quantity, user.id);
+            const batchId = result.lastInsertRowid;
+
+            for (let i = 0; i < quantity; i++) {
+                couponService.insertCoupon({ ...data, code: null }, { user, batch_id: batchId });
+            }
+            return batchId;
+        });
+
+        return couponService.getBatch(transaction(), user.company_id || 1);
+    },
+
+    getBatch: (id, companyId) => {
+        const batch = db.prepare('SELECT * FROM coupon_batches WHERE id = ? AND company_id = ?').get(id, companyId);
+        if (!batch) return null;
+        batch.coupons = db.prepare('SELECT * FROM coupons WHERE batch_id = ? ORDER BY id').all(id).map(withConditions);
+        return batch;
+    },
+
+    /**
+     * Look a code up for a sale and check every limit. Throws a COUPON_INVALID error
+     * explaining why it can't be used.
+     */
+    getRedeemableCoupon: (code, customerId, companyId) => {
+        const coupon = couponService.getByCode(code, companyId);
+        if (!coupon) {
+            throw couponError(`Coupon ${couponService.normalizeCode(code)} does not exist`);
+        }
+        if (coupon.status !== 'active') {
+            throw couponError(`Coupon ${coupon.code} is disabled`);
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        if (coupon.starts_at && coupon.starts_at > today) {
+            throw couponError(`Coupon ${coupon.code} is not valid until ${coupon.starts_at}`);
+        }
+        if (coupon.expires_at && coupon.expires_at < today) {
+            throw couponError(`Coupon ${coupon.code} expired on ${coupon.expires_at}`);
+        }
+        if (coupon.max_uses && coupon.uses_count >= coupon.max_uses) {
+            throw couponError(coupon.max_uses === 1 ? `Coupon ${coupon.code} has already been used` : `Coupon ${coupon.code} has reached its usage limit`);
+        }
+
+        if (coupon.customer_id || coupon.per_customer_limit) {
+            if (!customerId) {
+                throw couponError(`Coupon ${coupon.code} needs the customer on the sale`);
+            }
+            if (coupon.customer_id && Number(coupon.customer_id) !== Number(customerId)) {
+                throw couponError(`Coupon ${coupon.code} belongs to another customer`);
+            }
+        }
+        if (coupon.per_customer_limit) {
+            const { used } = db.prepare('SELECT COUNT(*) as used FROM coupon_redemptions WHERE coupon_id = ? AND customer_id = ? AND released_at IS NULL')
+                .get(coupon.id, customerId);
+            if (used >= coupon.per_customer_limit) {
+                throw couponError(`This customer has already used coupon ${coupon.code} the maximum ${coupon.per_customer_limit} time(s)`);
+            }
+        }
+
+        return coupon;
+    },
+
+    /**
+     * The coupon as a promotion, run after the store's own promotions
+     */
+    asPromotion: (coupon) => ({
+        id: null,
+        coupon_id: coupon.id,
+        name: `Coupon ${coupon.code}`,
+        type: coupon.type,
+        value: coupon.value,
+        conditions: coupon.conditions,
+        stackable: 1
+    }),
+
+    /**
+     * Record a use of the coupon. Must run inside the sale transaction.
+     */
+    redeem: (coupon, { sale_id, customer_id, discount_amount, user_id }) => {
+        const result = db.prepare(`
+            UPDATE coupons SET uses_count = uses_count + 1
+            WHERE id = ? AND (max_uses IS NULL OR uses_count < max_uses)
+        `).run(coupon.id);
+        if (result.changes === 0) {
+            throw couponError(`Coupon ${coupon.code} has already been used`);
+        }
+
+        db.prepare(`
+            INSERT INTO coupon_redemptions (coupon_id, sale_id, customer_id, discount_amount, redeemed_by)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(coupon.id, sale_id, customer_id || null, discount_amount, user_id);
+    },
+
+    /**
+     * Give back the coupon use a sale took, so a single-use code works again.
+     * Must run inside the cancel or refund transaction.
+     */
+    release: (saleId) => {
+        const redemptions = db.prepare(`
+            UPDATE coupon_redemptions SET released_at = CURRENT_TIMESTAMP
+            WHERE sale_id = ? AND released_at IS NULL
+            RETURNING coupon_id
+        `).all(saleId);
+        for (const { coupon_id } of redemptions) {
+            db.prepare('UPDATE coupons SET uses_count = MAX(uses_count - 1, 0) WHERE id = ?').run(coupon_id);
+        }
+        return redemptions.length;
+    },
+
+    getRedemptions: ({ coupon_id, batch_id, start_date, end_date, limit = 100 }) => {
+        let query = `
+            SELECT r.*, c.code, cu.name as customer_name, u.full_name as redeemed_by_name, s.total as sale_total
+            FROM coupon_redemptions r
+            JOIN coupons c ON r.coupon_id = c.id
+            LEFT JOIN customers cu ON r.customer_id = cu.id
+            LEFT JOIN users u ON r.redeemed_by = u.id
+            LEFT JOIN sales s ON r.sale_id = s.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (coupon_id) {
+            query += ' AND r.coupon_id = ?';
+            params.push(coupon_id);
+        }
+        if (batch_id) {
+            query += ' AND c.batch_id = ?';
+            params.push(batch_id);
+        }
+        if (start_date && end_date) {
+            query += ' AND DATE(r.created_at) BETWEEN ? AND ?';
+            params.push(start_date, end_date);
+        }
+
+        query += ' ORDER BY r.created_at DESC LIMIT ?';
+        params.push(parseInt(limit));
+        return db.prepare(query).all(...params);
+    },
+
+    /**
+     * Issue each chosen customer their own single-use code and queue the SMS.
+     * `message` may use {name}, {code}, {value} and {expires}. Sending happens in
+     * the background; poll the campaign for progress.
+     */
+    createSmsCampaign: ({ name, message, customer_ids, coupon }, user) => {
+        const transaction = db.transaction(() => {
+            let customers = db.prepare("SELECT id, name, phone FROM customers WHERE phone IS NOT NULL AND TRIM(phone) != ''").all();
+            if (customer_ids?.length) {
+                const wanted = new Set(customer_ids.map(Number));
+                customers = customers.filter(c => wanted.has(c.id));
+            }
+            if (customers.length === 0) {
+                throw new Error('No customers with a phone number to send to');
+            }
+
+            const batchResult = db.prepare('INSERT INTO coupon_batches (company_id, name, quantity, created_by) VALUES (?, ?, ?, ?)')
+                .run(user.company_id || 1, name, customers.length, user.id);
+            const batchId = batchResult.lastInsertRowid;
+
+            const campaignResult = db.prepare(`
+                INSERT INTO sms_campaigns (company_id, name, message, batch_id, recipients, created_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(user.company_id || 1, name, message, batchId, customers.length, user.id);
+            const campaignId = campaignResult.lastInsertRowid;
+
+            const value = coupon.type === 'fixed_amount' ? `KES ${coupon.value}` : `${coupon.value}%`;
+            for (const customer of customers) {
+                const couponId = couponService.insertCoupon({ ...coupon, code: null, max_uses: 1 }, { user, batch_id: batchId, customer_id: customer.id });
+                const { code } = db.prepare('SELECT code FROM coupons WHERE id = ?').get(couponId);
+
+                db.prepare(`
+                    INSERT INTO sms_campaign_recipients (campaign_id, customer_id, phone, coupon_id, message)
+                    VALUES (?, ?, ?, ?, ?)
+                `).run(campaignId, customer.id, customer.phone, couponId,
+                    fillTemplate(message, { name: customer.name, code, value, expires: coupon.expires_at || '' }));
+            }
+            return campaignId;
+        });
+
+        const campaignId = transaction();
+        couponService.sendCampaign(campaignId).catch(error => {
+            console.error(`SMS campaign #${campaignId} stopped:`, error.message);
+        });
+        return couponService.getCampaign(campaignId, user.company_id || 1);
+    },
+
+    sendCampaign: async (campaignId) => {
+        const pending = db.prepare("SELECT * FROM sms_campaign_recipients WHERE campaign_id = ? AND status = 'pending'").all(campaignId);
+
+        for (const recipient of pending) {
+            try {
+                await sendSms(recipient.phone, recipient.message);
+                db.prepare("UPDATE sms_campaign_recipients SET status = 'sent', error = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?").run(recipient.id);
+            } catch (error) {
+                db.prepare("UPDATE sms_campaign_recipients SET status = 'failed', error = ? WHERE id = ?").run(error.message, recipient.id);
+            }
+        }
+
+        db.prepare(`
+            UPDATE sms_campaigns SET
+                sent = (SELECT COUNT(*) FROM sms_campaign_recipients WHERE campaign_id = ? AND status = 'sent'),
+                failed = (SELECT COUNT(*) FROM sms_campaign_recipients WHERE campaign_id = ? AND status = 'failed'),
+                status = 'completed', completed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(campaignId, campaignId, campaignId);
+    },
+
+    /**
+     * Try the failed messages of a campaign again
+     */
+    retryCampaign: (campaignId, companyId) => {
+        const campaign = db.prepare('SELECT * FROM sms_campaigns WHERE id = ? AND company_id = ?').get(campaignId, companyId);
+        if (!campaign) return null;
+        if (campaign.status === 'sending') {
+            throw new Error('Campaign is still sending');
+        }
+
+        db.prepare("UPDATE sms_campaign_recipients SET status = 'pending' WHERE campaign_id = ? AND status = 'failed'").run(campaignId);
+        db.prepare("UPDATE sms_campaigns SET status = 'sending', completed_at = NULL WHERE id = ?").run(campaignId);
+        couponService.sendCampaign(campaignId).catch(error => {
+            console.error(`SMS campaign #${campaignId} stopped:`, error.message);
+        });
+        return couponService.getCampaign(campaignId, companyId);
+    },
+
+    listCampaigns: (companyId) => {
+        return db.prepare('SELECT * FROM sms_campaigns WHERE company_id = ? ORDER BY created_at DESC').all(companyId);
+    },
+
+    getCampaign: (id, companyId) => {
+        const campaign = db.prepare('SELECT * FROM sms_campaigns WHERE id = ? AND company_id = ?').get(id, companyId);
+        if (!campaign) return null;
+
+        campaign.recipients_detail = db.prepare(`
+            SELECT r.id, r.customer_id, cu.name as customer_name, r.phone, c.code, r.status, r.error, r.sent_at,
+                   (SELECT COUNT(*) FROM coupon_redemptions cr WHERE cr.coupon_id = r.coupon_id AND cr.released_at IS NULL) as redeemed
+            FROM sms_campaign_recipients r
+            LEFT JOIN customers cu ON r.customer_id = cu.id
+            LEFT JOIN coupons c ON r.coupon_id = c.id
+            WHERE r.campaign_id = ?
+            ORDER BY r.id
+        `).all(id);
+        return campaign;
+    }
+};
@@ -0,0 +1,299 @@
+import PDFDocument from 'pdfkit';
+import db from '../database/db.js';
+import { shiftService } from './shiftService.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Ways a customer can settle their account
+export const ACCOUNT_PAYMENT_METHODS = ['cash', 'mpesa', 'card', 'bank_transfer', 'cheque'];
+
+export const AGING_BUCKETS = ['current', 'days_31_60', 'days_61_90', 'over_90'];
+
+const accountError = (message) => {
+    const error = new Error(message);
+    error.code = 'ACCOUNT_INVALID';
+    return error;
+};
+
+const bucketFor = (ageDays) => {
+    if (ageDays <= 30) return 'current';
+    if (ageDays <= 60) return 'days_31_60';
+    if (ageDays <= 90) return 'days_61_90';
+    return 'over_90';
+};
+
+export const customerAccountService = {
+
+    /**
+     * Write a ledger row and move the customer's balance. customers.store_credit
+     * mirrors the part of a negative balance the customer can spend.
+     * Must run inside a transaction.
+     */
+    post: (customerId, { type, amount, method = null, reference = null, sale_id = null, payment_id = null, refund_id = null, notes = null, shift_id = null, user_id = null }) => {
+        const customer = db.prepare('SELECT account_balance FROM customers WHERE id = ?').get(customerId);
+        if (!customer) {
+            throw accountError(`Customer ${customerId} not found`);
+        }
+
+        const balance = roundMoney((customer.account_balance || 0) + amount);
+        db.prepare('UPDATE customers SET account_balance = ?, store_credit = ? WHERE id = ?')
+            .run(balance, Math.max(0, -balance), customerId);
+        const result = db.prepare(`
+            INSERT INTO customer_ledger (customer_id, type, amount, balance_after, method, reference, sale_id, payment_id, refund_id, notes, shift_id, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(customerId, type, roundMoney(amount), balance, method, reference, sale_id, payment_id, refund_id, notes, shift_id, user_id);
+
+        return { id: result.lastInsertRowid, balance };
+    },
+
+    /**
+     * Put a sale on the customer's account. Refused if it would take them past
+     * their credit limit. Must run inside the sale transaction.
+     */
+    chargeSale: (customerId, amount, { sale_id, payment_id, user_id }) => {
+        if (!customerId) {
+            throw accountError('Sales on account need a customer');
+        }
+        const customer = db.prepare('SELECT name, account_balance, credit_limit FROM customers WHERE id = ?').get(customerId);
+        if (!customer) {
+            throw accountError(`Customer ${customerId} not found`);
+        }
+
+        const available = roundMoney((customer.credit_limit || 0) - (customer.account_balance || 0));
+        if (amount > available) {
+            throw accountError(`Credit limit reached for ${customer.name}: KES ${Math.max(available, 0)} available on account (limit KES ${customer.credit_limit || 0}, balance KES ${customer.account_balance || 0}), KES ${amount} needed`);
+        }
+
+        return customerAccountService.post(customerId, { type: 'credit_sale', amount, sale_id, payment_id, user_id });
+    },
+
+    /**
+     * Spend store credit as a tender. Must run inside the sale transaction.
+     */
+    useStoreCredit: (customerId, amount, { sale_id, payment_id, user_id }) => {
+        if (!customerId) {
+            throw accountError('Store credit requires a customer on the sale');
+        }
+        const customer = db.prepare('SELECT name, store_credit FROM customers WHERE id = ?').get(customerId);
+        if (!customer) {
+            throw accountError(`Customer ${customerId} not found`);
+        }
+        if ((customer.store_credit || 0) < amount) {
+            throw accountError(`Insufficient store credit for ${customer.name}. Available: ${customer.store_credit || 0}, Required: ${amount}`);
+        }
+
+        return customerAccountService.post(customerId, { type: 'store_credit_used', amount, sale_id, payment_id, user_id });
+    },
+
+    /**
+     * Credit the account for a refund: store credit, or money off what an
+     * on-account sale still owes. Must run inside the refund transaction.
+     */
+    creditRefund: (customerId, amount, { sale_id, payment_id = null, refund_id, user_id }) => {
+        if (!customerId) {
+            throw accountError('Store credit refunds need a customer');
+        }
+        return customerAccountService.post(customerId, { type: 'refund_credit', amount: -amount, sale_id, payment_id, refund_id, user_id });
+    },
+
+    /**
+     * Money received against the account, tied to the cashier's open shift so
+     * cash taken is counted in that drawer
+     */
+    receivePayment: (customerId, { amount, method, reference, notes }, user) => {
+        const transaction = db.transaction(() => {
+            if (!db.prepare('SELECT 1 FROM customers WHERE id = ?').get(customerId)) return null;
+            const shift = shiftService.getOpenShift(user.id);
+            return customerAccountService.post(customerId, {
+                type: 'payment', amount: -roundMoney(Number(amount)), method, reference: reference || null, notes: notes || null,
+                shift_id: shift?.id ?? null, user_id: user.id
+            });
+        });
+
+        return transaction();
+    },
+
+    adjust: (customerId, { amount, notes }, user) => {
+        const transaction = db.transaction(() => {
+            if (!db.prepare('SELECT 1 FROM customers WHERE id = ?').get(customerId)) return null;
+            return customerAccountService.post(customerId, { type: 'adjustment', amount: roundMoney(Number(amount)), notes, user_id: user.id });
+        });
+
+        return transaction();
+    },
+
+    setCreditLimit: (customerId, creditLimit) => {
+        const result = db.prepare('UPDATE customers SET credit_limit = ? WHERE id = ?').run(roundMoney(creditLimit), customerId);
+        return result.changes > 0;
+    },
+
+    getLedger: (customerId, { start_date, end_date } = {}) => {
+        let query = `
+            SELECT l.*, u.full_name as created_by_name, COALESCE(s.invoice_number, s.receipt_number) as document_number
+            FROM customer_ledger l
+            LEFT JOIN users u ON l.created_by = u.id
+            LEFT JOIN sales s ON l.sale_id = s.id
+            WHERE l.customer_id = ?
+        `;
+        const params = [customerId];
+
+        if (start_date && end_date) {
+            query += ' AND DATE(l.created_at) BETWEEN ? AND ?';
+            params.push(start_date, end_date);
+        }
+
+        query += ' ORDER BY l.created_at ASC, l.id ASC';
+        return db.prepare(query).all(...params);
+    },
+
+    /**
+     * What the customer owes, split by age. Payments and credits settle the
+     * oldest charges first; whatever is left of each charge is aged from its date.
+     */
+    getAging: (customerId, asOf = new Date()) => {
+        const entries = db.prepare('SELECT amount, created_at FROM customer_ledger WHERE customer_id = ? ORDER BY created_at ASC, id ASC').all(customerId);
+
+        let credits = -entries.filter(e => e.amount < 0).reduce((sum, e) => sum + e.amount, 0);
+        const buckets = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+
+        for (const charge of entries.filter(e => e.amount > 0)) {
+            const settled = Math.min(charge.amount, credits);
+            credits -= settled;
+            const open = charge.amount - settled;
+            if (open <= 0) continue;
+
+            const ageDays = Math.floor((asOf - new Date(`${charge.created_at.replace(' ', 'T')}Z`)) / 86400000);
+            buckets[bucketFor(ageDays)] += open;
+        }
+
+        for (const bucket of AGING_BUCKETS) {
+            buckets[bucket] = roundMoney(buckets[bucket]);
+        }
+        buckets.total = roundMoney(AGING_BUCKETS.reduce((sum, bucket) => sum + buckets[bucket], 0));
+        return buckets;
+    },
+
+    getAccount: (customerId) => {
+        const customer = db.prepare('SELECT id, name, phone, email, account_balance, credit_limit, store_credit FROM customers WHERE id = ?').get(customerId);
+        if (!customer) return null;
+
+        return {
+            ...customer,
+            available_credit: roundMoney(Math.max((customer.credit_limit || 0) - Math.max(customer.account_balance || 0, 0), 0)),
+            aging: customerAccountService.getAging(customerId)
+        };
+    },
+
+    /**
+     * Receivables across every customer who owes money, with totals per bucket
+     */
+    getAgingReport: () => {
+        const customers = db.prepare(`
+            SELECT id, name, phone, account_balance, credit_limit
+            FROM customers WHERE account_balance > 0
+            ORDER BY account_balance DESC
+        `).all();
+
+        const rows = customers.map(customer => ({
+            ...customer,
+            over_limit: customer.account_balance > (customer.credit_limit || 0),
+            ...customerAccountService.getAging(customer.id)
+        }));
+
+        const totals = Object.fromEntries([...AGING_BUCKETS, 'total'].map(bucket => [
+            bucket, roundMoney(rows.reduce((sum, row) => sum + row[bucket], 0))
+        ]));
+        return { customers: rows, totals };
+    },
+
+    /**
+     * Statement for a period: opening balance, every entry with its running
+     * balance, closing balance and the aging as of today
+     */
+    getStatement: (customerId, { start_date, end_date }) => {
+        const customer = db.prepare('SELECT id, name, phone, email, account_balance, credit_limit FROM customers WHERE id = ?').get(customerId);
+        if (!customer) return null;
+
+        const { opening } = db.prepare(`
+            SELECT COALESCE(SUM(amount), 0) as opening FROM customer_ledger
+            WHERE customer_id = ? AND DATE(created_at) < ?
+        `).get(customerId, start_date);
+        const entries = customerAccountService.getLedger(customerId, { start_date, end_date });
+
+        return {
+            customer,
+            start_date,
+            end_date,
+            opening_balance: roundMoney(opening),
+            entries,
+            total_charges: roundMoney(entries.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0)),
+            total_credits: roundMoney(-entries.filter(e => e.amount < 0).reduce((sum, e) => sum + e.amount, 0)),
+            closing_balance: entries.length ? entries[entries.length - 1].balance_after : roundMoney(opening),
+            aging: customerAccountService.getAging(customerId),
+            generated_at: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Write a statement as an A4 PDF to `stream` (e.g. the HTTP response)
+     */
+    writeStatementPdf: (statement, stream, companyName = 'QuickBiza POS') => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        doc.pipe(stream);
+
+        const money = (value) => Number(value).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const label = (type) => type.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+        doc.fontSize(18).text(companyName, { align: 'center' });
+        doc.fontSize(13).text('Customer Statement', { align: 'center' });
+        doc.moveDown();
+
+        doc.fontSize(10);
+        doc.text(`Customer: ${statement.customer.name}`);
+        if (statement.customer.phone) doc.text(`Phone: ${statement.customer.phone}`);
+        doc.text(`Period: ${statement.start_date} to ${statement.end_date}`);
+        doc.text(`Credit limit: KES ${money(statement.customer.credit_limit || 0)}`);
+        doc.moveDown();
+
+        const columns = [50, 130, 300, 390, 470];
+        const row = (cells, options = {}) => {
+            const y = doc.y;
+            cells.forEach((cell, index) => {
+                doc.text(cell, columns[index], y, { width: (columns[index + 1] || 545) - columns[index] - 5, align: index >= 2 ? 'right' : 'left', ...options });
+            });
+            doc.moveDown(0.3);
+        };
+
+        doc.font('Helvetica-Bold');
+        row(['Date', 'Details', 'Charges', 'Credits', 'Balance']);
+        doc.font('Helvetica');
+        row([statement.start_date, 'Opening balance', '', '', money(statement.opening_balance)]);
+
+        for (const entry of statement.entries) {
+            if (doc.y > 750) doc.addPage();
+            const details = [label(entry.type), entry.sale_id ? `Sale ${entry.document_number || `#${entry.sale_id}`}` : null, entry.reference, entry.notes].filter(Boolean).join(' - ');
+            row([
+                entry.created_at.slice(0, 10),
+                details,
+                entry.amount > 0 ? money(entry.amount) : '',
+                entry.amount < 0 ? money(-entry.amount) : '',
+                money(entry.balance_after)
+            ]);
+        }
+
+        doc.moveDown();
+        doc.font('Helvetica-Bold');
+        row(['', 'Closing balance', money(statement.total_charges), money(statement.total_credits), money(statement.closing_balance)]);
+        doc.font('Helvetica');
+        doc.moveDown();
+
+        doc.x = 50;
+        doc.text('Amount due by age', { underline: true });
+        doc.text(`Current: KES ${money(statement.aging.current)}    31-60 days: KES ${money(statement.aging.days_31_60)}    61-90 days: KES ${money(statement.aging.days_61_90)}    Over 90 days: KES ${money(statement.aging.over_90)}`);
+        if (statement.closing_balance < 0) {
+            doc.moveDown().text(`Store credit available: KES ${money(-statement.closing_balance)}`);
+        }
+
+        doc.end();
+    }
+};
@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import db from '../database/db.js';
+
+// How long a display's pairing code can be entered at the till
+const PAIRING_CODE_MINUTES = 10;
+
+// What each terminal's display last showed, replayed to a display that (re)connects
+const lastState = new Map();
+
+let io = null;
+
+const terminalRoom = (terminalId) => `display:terminal:${terminalId}`;
+const deviceRoom = (displayId) => `display:device:${displayId}`;
+const pairingRoom = (displayId) => `display:pairing:${displayId}`;
+
+// Only the last digits of the paying phone are shown to the queue
+const maskPhone = (phone) => phone ? `${'*'.repeat(Math.max(String(phone).length - 3, 0))}${String(phone).slice(-3)}` : null;
+
+const getDisplay = (identifier) => {
+    return db.prepare("SELECT * FROM devices WHERE device_identifier = ? AND device_type = 'customer_display'").get(identifier);
+};
+
+export const customerDisplayService = {
+
+    /**
+     * Hook the display channel onto the Socket.IO server. A display first waits on
+     * its pairing code, then joins its terminal's room with the key it was given.
+     */
+    attach: (server) => {
+        io = server;
+        io.on('connection', (socket) => {
+            socket.on('display:wait', ({ device_identifier, pairing_code } = {}, ack) => {
+                const display = getDisplay(device_identifier);
+                if (!display || !display.pairing_code || display.pairing_code !== String(pairing_code)) {
+                    return ack?.({ error: 'Unknown display or pairing code' });
+                }
+                socket.join(pairingRoom(display.id));
+                ack?.({ success: true });
+            });
+
+            socket.on('display:join', ({ device_identifier, display_key } = {}, ack) => {
+                const display = getDisplay(device_identifier);
+                if (!display || !display.display_key || !display.paired_device_id || display.display_key !== display_key) {
+                    return ack?.({ error: 'Display is not paired' });
+                }
+                if (display.status === 'disabled') {
+                    return ack?.({ error: 'Display is disabled' });
+                }
+
+                socket.join(terminalRoom(display.paired_device_id));
+                socket.join(deviceRoom(display.id));
+                db.prepare("UPDATE devices SET status = 'active', last_active = CURRENT_TIMESTAMP WHERE id = ?").run(display.id);
+
+                ack?.({ success: true, terminal_id: display.paired_device_id });
+                socket.emit('display:state', lastState.get(display.paired_device_id) || { state: 'idle' });
+            });
+        });
+    },
+
+    /**
+     * The POS terminal a request comes from, by the X-Device-Id header the
+     * frontend sends (the same identifier it logs in with)
+     */
+    resolveTerminal: (req) => {
+        const identifier = req.headers['x-device-id'] || req.body?.device_identifier;
+        if (!identifier) return null;
+        const device = db.prepare("SELECT id FROM devices WHERE device_identifier = ? AND device_type != 'customer_display'").get(identifier);
+        return device?.id ?? null;
+    },
+
+    /**
+     * A display announces itself and gets a short code to key in at the till.
+     * Registering again issues a fresh code until it is paired; after that it
+     * needs unpairing at the till first, or anyone knowing its identifier
+     * could pair it with another terminal.
+     */
+    registerDisplay: ({ device_identifier, device_name }, ipAddress) => {
+        const existing = db.prepare('SELECT device_type, paired_device_id FROM devices WHERE device_identifier = ?').get(device_identifier);
+        if (existing && existing.device_type !== 'customer_display') return null;
+        if (existing?.paired_device_id) {
+            const error = new Error('This display is already paired; unpair it at the till to get a new code');
+            error.code = 'DISPLAY_PAIRED';
+            throw error;
+        }
+
+        const pairingCode = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        const expiresAt = db.prepare(`SELECT DATETIME('now', '+${PAIRING_CODE_MINUTES} minutes') as d`).get().d;
+
+        db.prepare(`
+            INSERT INTO devices (device_name, device_identifier, device_type, device_category, ip_address, pairing_code, pairing_expires_at)
+            VALUES (?, ?, 'customer_display', 'software', ?, ?, ?)
+            ON CONFLICT(device_identifier) DO UPDATE SET
+                pairing_code = excluded.pairing_code,
+                pairing_expires_at = excluded.pairing_expires_at,
+                ip_address = excluded.ip_address,
+                last_active = CURRENT_TIMESTAMP
+        `).run(device_name || 'Customer Display', device_identifier, ipAddress, pairingCode, expiresAt);
+
+        const display = getDisplay(device_identifier);
+        return { device_id: display.id, pairing_code: pairingCode, expires_at: expiresAt };
+    },
+
+    /**
+     * Pair the display showing `pairingCode` with a POS terminal. The display
+     * receives its key over the socket it is waiting on. Returns null for an
+     * unknown or expired code.
+     */
+    pair: (terminalId, pairingCode) => {
+        const display = db.prepare(`
+            SELECT * FROM devices
+            WHERE device_type = 'customer_display' AND pairing_code = ? AND pairing_expires_at > DATETIME('now')
+        `).get(String(pairingCode));
+        if (!display) return null;
+
+        const displayKey = crypto.randomBytes(24).toString('hex');
+        db.prepare(`
+            UPDATE devices SET paired_device_id = ?, display_key = ?, pairing_code = NULL, pairing_expires_at = NULL, status = 'active'
+            WHERE id = ?
+        `).run(terminalId, displayKey, display.id);
+
+        // A display moving to another till stops showing the old one
+        if (display.paired_device_id && display.paired_device_id !== Number(terminalId)) {
+            io?.in(deviceRoom(display.id)).socketsLeave(terminalRoom(display.paired_device_id));
+        }
+        io?.to(pairingRoom(display.id)).emit('display:paired', { display_key: displayKey, terminal_id: Number(terminalId) });
+
+        return { id: display.id, device_name: display.device_name, device_identifier: display.device_identifier, paired_device_id: Number(terminalId) };
+    },
+
+    unpair: (displayId) => {
+        const display = db.prepare("SELECT * FROM devices WHERE id = ? AND device_type = 'customer_display'").get(displayId);
+        if (!display) return false;
+
+        db.prepare('UPDATE devices SET paired_device_id = NULL, display_key = NULL WHERE id = ?').run(display.id);
+        if (display.paired_device_id) {
+            io?.to(deviceRoom(display.id)).emit('display:unpaired', {});
+            io?.in(deviceRoom(display.id)).socketsLeave(terminalRoom(display.paired_device_id));
+        }
+        return true;
+    },
+
+    getDisplays: (terminalId) => {
+        return db.prepare(`
+            SELECT id, device_name, device_identifier, status, ip_address, last_active, created_at
+            FROM devices WHERE device_type = 'customer_display' AND paired_device_id = ?
+        `).all(terminalId);
+    },
+
+    publish: (terminalId, state) => {
+        if (!terminalId) return;
+        const payload = { ...state, updated_at: new Date().toISOString() };
+        lastState.set(Number(terminalId), payload);
+        io?.to(terminalRoom(terminalId)).emit('display:state', payload);
+    },
+
+    /**
+     * Live cart from saleService.priceCart
+     */
+    showCart: (terminalId, priced) => {
+        const promotionDiscount = priced.saleItems.reduce((sum, item) => sum + item.promotion_discount, 0);
+        customerDisplayService.publish(terminalId, {
+            state: priced.saleItems.length || priced.giftCardTotal ? 'cart' : 'idle',
+            items: priced.saleItems.map(item => ({
+                product_id: item.product_id,
+                name: item.product_name,
+                quantity: item.quantity,
+                list_price: item.list_price,
+                unit_price: item.unit_price,
+                discount_amount: item.discount_amount,
+                line_total: item.line_total,
+                modifiers: item.modifiers.map(m => ({ name: m.modifier_name, price_delta: m.price_delta })),
+                promotions: item.promotions.map(p => ({ name: p.promotion_name, amount: p.amount }))
+            })),
+            gift_cards: priced.giftCardTotal,
+            coupon: priced.coupon ? { code: priced.coupon.code, discount_amount: priced.couponDiscount } : null,
+            subtotal: priced.subtotal,
+            discount_amount: priced.discount_amount,
+            promotion_discount: Math.round(promotionDiscount * 100) / 100,
+            tax_amount: priced.tax_amount,
+            total: priced.total
+        });
+    },
+
+    clear: (terminalId) => {
+        customerDisplayService.publish(terminalId, { state: 'idle' });
+    },
+
+    /**
+     * Show where a sale's payment stands: waiting on M-Pesa, paid, failed or cancelled.
+     * Does nothing for sales not rung up on a terminal.
+     */
+    showPayment: (saleId) => {
+        const sale = db.prepare('SELECT id, terminal_id, total, status, amount_tendered, change_due FROM sales WHERE id = ?').get(saleId);
+        if (!sale?.terminal_id) return;
+
+        const payments = db.prepare('SELECT method, amount, status, mpesa_phone FROM payments WHERE sale_id = ?').all(saleId);
+        const pending = payments.filter(p => p.status === 'pending');
+        const paid = Math.round(payments.filter(p => p.status === 'completed').reduce((sum, p) => sum + p.amount, 0) * 100) / 100;
+
+        let state = 'awaiting_payment';
+        if (sale.status === 'completed') {
+            state = 'paid';
+        } else if (sale.status === 'cancelled') {
+            state = 'cancelled';
+        } else if (pending.length === 0 && payments.some(p => p.status === 'failed')) {
+            state = 'payment_failed';
+        }
+
+        customerDisplayService.publish(sale.terminal_id, {
+            state,
+            sale_id: sale.id,
+            total: sale.total,
+            paid,
+            change: state === 'paid' ? sale.change_due || 0 : 0,
+            waiting_for: pending.map(p => ({ method: p.method, amount: p.amount, phone: maskPhone(p.mpesa_phone) }))
+        });
+    }
+};
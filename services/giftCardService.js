@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import db from '../database/db.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// New cards are valid for a year unless the sale says otherwise
+const DEFAULT_VALIDITY_DAYS = 365;
+
+const giftCardError = (message) => {
+    const error = new Error(message);
+    error.code = 'GIFT_CARD_INVALID';
+    return error;
+};
+
+const addLedgerEntry = (cardId, { type, amount, balance_after, sale_id = null, payment_id = null, refund_id = null, status = 'completed', notes = null, user_id = null }) => {
+    db.prepare(`
+        INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, sale_id, payment_id, refund_id, status, notes, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(cardId, type, amount, balance_after, sale_id, payment_id, refund_id, status, notes, user_id);
+};
+
+export const giftCardService = {
+
+    normalizeNumber: (cardNumber) => String(cardNumber || '').replace(/\D/g, ''),
+
+    generateNumber: () => {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const digits = Array.from(crypto.randomBytes(15), byte => byte % 10).join('');
+            const cardNumber = `9${digits}`;
+            if (!db.prepare('SELECT 1 FROM gift_cards WHERE card_number = ?').get(cardNumber)) {
+                return cardNumber;
+            }
+        }
+        throw new Error('Could not generate a unique gift card number');
+    },
+
+    getCard: (id, companyId) => {
+        return db.prepare(`
+            SELECT g.*, c.name as customer_name
+            FROM gift_cards g
+            LEFT JOIN customers c ON g.customer_id = c.id
+            WHERE g.id = ? AND g.company_id = ?
+        `).get(id, companyId);
+    },
+
+    // A card is only good in the company that sold it
+    getByNumber: (cardNumber, companyId) => {
+        return db.prepare('SELECT * FROM gift_cards WHERE card_number = ? AND company_id = ?').get(giftCardService.normalizeNumber(cardNumber), companyId);
+    },
+
+    getLedger: (cardId) => {
+        return db.prepare(`
+            SELECT t.*, u.full_name as created_by_name
+            FROM gift_card_transactions t
+            LEFT JOIN users u ON t.created_by = u.id
+            WHERE t.gift_card_id = ?
+            ORDER BY t.created_at ASC, t.id ASC
+        `).all(cardId);
+    },
+
+    listCards: ({ company_id, status, customer_id, q, limit = 100, offset = 0 }) => {
+        let query = `
+            SELECT g.*, c.name as customer_name
+            FROM gift_cards g
+            LEFT JOIN customers c ON g.customer_id = c.id
+            WHERE g.company_id = ?
+        `;
+        const params = [company_id];
+
+        if (status) {
+            query += ' AND g.status = ?';
+            params.push(status);
+        }
+        if (customer_id) {
+            query += ' AND g.customer_id = ?';
+            params.push(customer_id);
+        }
+        if (q) {
+            query += ' AND g.card_number LIKE ?';
+            params.push(`%${giftCardService.normalizeNumber(q)}%`);
+        }
+
+        query += ' ORDER BY g.created_at DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+        return db.prepare(query).all(...params);
+    },
+
+    /**
+     * Outstanding balances owed to card holders
+     */
+    getLiability: (companyId) => {
+        const totals = db.prepare(`
+            SELECT COUNT(*) as cards, COALESCE(SUM(balance), 0) as outstanding
+            FROM gift_cards
+            WHERE company_id = ? AND status = 'active' AND balance > 0
+        `).get(companyId);
+        return { ...totals, outstanding: roundMoney(totals.outstanding) };
+    },
+
+    /**
+     * Sell a new card or load an existing one as part of a sale. Must run inside the
+     * sale transaction. The value only lands on the card once the sale is paid, so a
+     * pending sale leaves the card pending until settleSale activates it.
+     */
+    sellCard: ({ card_number, amount, customer_id, expires_at }, { sale_id, paid, user_id, company_id = 1 }) => {
+        const value = roundMoney(Number(amount));
+
+        let card;
+        if (card_number) {
+            card = giftCardService.getByNumber(card_number, company_id);
+            if (!card) {
+                throw giftCardError(`Gift card ${card_number} not found`);
+            }
+            if (card.status === 'disabled') {
+                throw giftCardError(`Gift card ${card.card_number} is disabled`);
+            }
+        } else {
+            const expiry = expires_at || db.prepare(`SELECT DATE('now', '+${DEFAULT_VALIDITY_DAYS} days') as d`).get().d;
+            const result = db.prepare(`
+                INSERT INTO gift_cards (company_id, card_number, customer_id, expires_at, issued_sale_id, created_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(company_id, giftCardService.generateNumber(), customer_id || null, expiry, sale_id, user_id);
+            card = db.prepare('SELECT * FROM gift_cards WHERE id = ?').get(result.lastInsertRowid);
+        }
+
+        const type = card_number ? 'top_up' : 'issue';
+        if (paid) {
+            const balance = roundMoney(card.balance + value);
+            db.prepare("UPDATE gift_cards SET balance = ?, status = 'active' WHERE id = ?").run(balance, card.id);
+            addLedgerEntry(card.id, { type, amount: value, balance_after: balance, sale_id, user_id });
+        } else {
+            addLedgerEntry(card.id, { type, amount: value, balance_after: card.balance, sale_id, status: 'pending', user_id });
+        }
+
+        return { id: card.id, card_number: card.card_number, type, amount: value };
+    },
+
+    /**
+     * Credit the loads waiting on a sale that has now been paid
+     */
+    activateForSale: (saleId) => {
+        const pending = db.prepare("SELECT * FROM gift_card_transactions WHERE sale_id = ? AND status = 'pending'").all(saleId);
+        for (const entry of pending) {
+            const card = db.prepare('SELECT balance FROM gift_cards WHERE id = ?').get(entry.gift_card_id);
+            const balance = roundMoney(card.balance + entry.amount);
+            db.prepare("UPDATE gift_cards SET balance = ?, status = CASE WHEN status = 'pending' THEN 'active' ELSE status END WHERE id = ?")
+                .run(balance, entry.gift_card_id);
+            db.prepare("UPDATE gift_card_transactions SET status = 'completed', balance_after = ? WHERE id = ?").run(balance, entry.id);
+        }
+    },
+
+    /**
+     * Drop the loads waiting on a sale cancelled before it was paid. Cards the
+     * sale issued never held any value and are disabled.
+     */
+    cancelForSale: (saleId) => {
+        db.prepare("DELETE FROM gift_card_transactions WHERE sale_id = ? AND status = 'pending'").run(saleId);
+        db.prepare("UPDATE gift_cards SET status = 'disabled' WHERE issued_sale_id = ? AND status = 'pending'").run(saleId);
+    },
+
+    /**
+     * Take a tender off a card. Must run inside the sale transaction.
+     */
+    redeem: (cardNumber, amount, { sale_id, payment_id, user_id, company_id = 1 }) => {
+        const card = giftCardService.getByNumber(cardNumber, company_id);
+        if (!card) {
+            throw giftCardError(`Gift card ${cardNumber} not found`);
+        }
+        if (card.status !== 'active') {
+            throw giftCardError(`Gift card ${card.card_number} is ${card.status === 'pending' ? 'not activated yet' : 'disabled'}`);
+        }
+        if (card.expires_at && card.expires_at < new Date().toISOString().slice(0, 10)) {
+            throw giftCardError(`Gift card ${card.card_number} expired on ${card.expires_at}`);
+        }
+        if (card.balance < amount) {
+            throw giftCardError(`Insufficient gift card balance. Available: ${card.balance}, Required: ${amount}`);
+        }
+
+        const balance = roundMoney(card.balance - amount);
+        db.prepare('UPDATE gift_cards SET balance = ? WHERE id = ?').run(balance, card.id);
+        addLedgerEntry(card.id, { type: 'redeem', amount: -amount, balance_after: balance, sale_id, payment_id, user_id });
+        return card;
+    },
+
+    /**
+     * Put a refunded gift card tender back on the card it came from
+     */
+    refundToCard: (paymentId, amount, { refund_id, user_id }) => {
+        const entry = db.prepare("SELECT gift_card_id, sale_id FROM gift_card_transactions WHERE payment_id = ? AND type = 'redeem'").get(paymentId);
+        if (!entry) {
+            throw new Error(`No gift card found for payment #${paymentId}`);
+        }
+
+        const card = db.prepare('SELECT balance FROM gift_cards WHERE id = ?').get(entry.gift_card_id);
+        const balance = roundMoney(card.balance + amount);
+        db.prepare('UPDATE gift_cards SET balance = ? WHERE id = ?').run(balance, entry.gift_card_id);
+        addLedgerEntry(entry.gift_card_id, { type: 'refund', amount, balance_after: balance, sale_id: entry.sale_id, refund_id, user_id });
+    },
+
+    setStatus: (id, status, companyId) => {
+        const result = db.prepare("UPDATE gift_cards SET status = ? WHERE id = ? AND company_id = ? AND status != 'pending'").run(status, id, companyId);
+        return result.changes > 0 ? giftCardService.getCard(id, companyId) : null;
+    },
+
+    /**
+     * Zero the balance of every card of the user's company past its expiry date.
+     * Returns the cards expired.
+     */
+    expireCards: (user) => {
+        const transaction = db.transaction(() => {
+            const expired = db.prepare(`
+                SELECT * FROM gift_cards
+                WHERE company_id = ? AND status = 'active' AND balance > 0 AND expires_at IS NOT NULL AND expires_at < DATE('now')
+            `).all(user.company_id || 1);
+
+            for (const card of expired) {
+                db.prepare('UPDATE gift_cards SET balance = 0 WHERE id = ?').run(card.id);
+                addLedgerEntry(card.id, { type: 'expire', amount: -card.balance, balance_after: 0, notes: `Expired on ${card.expires_at}`, user_id: user.id });
+            }
+            return expired.map(card => ({ id: card.id, card_number: card.card_number, amount: card.balance }));
+        });
+
+        return transaction();
+    }
+};
@@ -75,7 +75,7 @@ class HardwareService {
 
     async printReceipt(sale, cartItems) {
         try {
-            console.log(`🖨️ Generating receipt for Sale #${sale.id}...`);
+            console.log(`🖨️ Generating receipt ${sale.receipt_number || `#${sale.id}`}...`);
             const buffer = await printerFormatter.generateReceipt(sale, cartItems);
 
             // Getting USB devices from our connected list
@@ -114,6 +114,74 @@ class HardwareService {
         }
     }
 
+    /**
+     * Generate a document and send it to an active printer: the first, unless
+     * `pickPrinter` chooses another. Never throws; a failed print is only logged.
+     */
+    async printDocument(label, generate, pickPrinter = (printers) => printers[0]) {
+        try {
+            const buffer = await generate();
+
+            if (!usb) {
+                console.warn('⚠️ No USB module, skipping physical print.');
+                return;
+            }
+
+            const printers = this.getStoredDevices().filter(d => d.device_type === 'printer' && d.status === 'active');
+            const target = pickPrinter(printers);
+            if (target) {
+                console.log(`🖨️ Printing to ${target.device_name}`);
+                this.writeToUsb(target, buffer);
+            } else {
+                console.log(`⚠️ No printer configured, ${label} generated but not sent.`);
+            }
+
+        } catch (error) {
+            console.error(`❌ Failed to print ${label}:`, error);
+        }
+    }
+
+    async printRefundReceipt(refund) {
+        return this.printDocument('refund receipt', () => {
+            console.log(`🖨️ Generating refund receipt #${refund.id} for Sale #${refund.sale_id}...`);
+            return printerFormatter.generateRefundReceipt(refund);
+        });
+    }
+
+    /**
+     * Kitchen ticket for saleService.getKitchenLines. Goes to a printer whose
+     * name mentions the kitchen, or else the receipt printer.
+     */
+    async printKitchenTicket(sale, lines) {
+        if (lines.length === 0) return;
+
+        return this.printDocument('kitchen ticket', () => {
+            console.log(`🖨️ Generating kitchen ticket ${sale.receipt_number || `#${sale.id}`}...`);
+            return printerFormatter.generateKitchenTicket(sale, lines);
+        }, (printers) => printers.find(d => /kitchen/i.test(d.device_name)) || printers[0]);
+    }
+
+    async printGiftCard(giftCard) {
+        return this.printDocument('gift card slip', () => {
+            console.log(`🖨️ Generating gift card slip *${giftCard.card_number.slice(-4)}...`);
+            return printerFormatter.generateGiftCard(giftCard);
+        });
+    }
+
+    async printStatement(statement) {
+        return this.printDocument('statement', () => {
+            console.log(`🖨️ Generating statement for ${statement.customer.name}...`);
+            return printerFormatter.generateStatement(statement);
+        });
+    }
+
+    async printVouchers(batch) {
+        return this.printDocument('vouchers', () => {
+            console.log(`🖨️ Generating ${batch.coupons.length} vouchers for batch #${batch.id}...`);
+            return printerFormatter.generateVouchers(batch);
+        });
+    }
+
     async writeToUsb(deviceInfo, buffer) {
         try {
             if (!usb) return;
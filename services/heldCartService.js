@@ -0,0 +1,209 @@
+import db from '../database/db.js';
+import { batchService } from './batchService.js';
+
+// Carts that can still be picked up (and whose reservations still count)
+const OPEN_STATUSES = ['held', 'resumed'];
+
+const CART_SELECT = `
+    SELECT hc.*, u.full_name as held_by_name, c.name as customer_name,
+           COALESCE(hc.reserved_until > datetime('now'), 0) as reservation_active
+    FROM held_carts hc
+    LEFT JOIN users u ON hc.held_by = u.id
+    LEFT JOIN customers c ON hc.customer_id = c.id
+`;
+
+const parseCart = (cart) => {
+    if (!cart) return cart;
+    return { ...cart, items: JSON.parse(cart.items), reservation_active: cart.reservation_active === 1 };
+};
+
+// Keep any price override, line discount or modifiers so the cart checks out as it was rung up
+const toStoredLine = (item) => {
+    const line = { id: item.id, qty: item.qty };
+    for (const key of ['price', 'discount_type', 'discount_value', 'reason', 'modifiers']) {
+        if (item[key] !== undefined && item[key] !== null) line[key] = item[key];
+    }
+    return line;
+};
+
+export const heldCartService = {
+
+    /**
+     * Quantity of a product soft-reserved by open held carts whose reservation
+     * has not expired. `excludeCartId` leaves out the cart being checked out.
+     */
+    getReservedQuantity: (productId, excludeCartId = null) => {
+        const carts = db.prepare(`
+            SELECT id, items FROM held_carts
+            WHERE status IN ('held', 'resumed')
+            AND reserved_until IS NOT NULL AND reserved_until > datetime('now')
+            AND id != COALESCE(?, -1)
+        `).all(excludeCartId);
+
+        return carts.reduce((sum, cart) => {
+            const line = JSON.parse(cart.items).filter(i => Number(i.id) === Number(productId));
+            return sum + line.reduce((s, i) => s + Number(i.qty), 0);
+        }, 0);
+    },
+
+    /**
+     * Check every line is a known product and, when reserving, that the stock
+     * not already reserved by other carts covers it.
+     */
+    validateItems: (items, { reserve, excludeCartId = null }) => {
+        for (const item of items) {
+            const product = db.prepare('SELECT id, name FROM products WHERE id = ?').get(item.id);
+            if (!product) {
+                throw new Error(`Product ${item.id} not found`);
+            }
+            if (!(Number(item.qty) > 0)) {
+                throw new Error(`Invalid quantity for ${product.name}`);
+            }
+            if (reserve) {
+                const inventory = db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(item.id);
+                const available = (inventory?.quantity || 0) - batchService.getExpiredQuantity('finished', item.id)
+                    - heldCartService.getReservedQuantity(item.id, excludeCartId);
+                if (available < item.qty) {
+                    throw new Error(`Insufficient stock to reserve ${product.name}. Available: ${available}, Required: ${item.qty}`);
+                }
+            }
+        }
+    },
+
+    holdCart: (data) => {
+        const { items, label, customer_id, discount_percent, notes, device_id, reserve_minutes, user } = data;
+
+        const transaction = db.transaction(() => {
+            heldCartService.validateItems(items, { reserve: reserve_minutes > 0 });
+
+            const result = db.prepare(`
+                INSERT INTO held_carts (company_id, label, items, customer_id, discount_percent, notes, device_id, reserved_until, held_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? > 0 THEN datetime('now', '+' || ? || ' minutes') END, ?)
+            `).run(
+                user.company_id || 1,
+                label || null,
+                JSON.stringify(items.map(toStoredLine)),
+                customer_id || null,
+                discount_percent || 0,
+                notes || null,
+                device_id || null,
+                reserve_minutes || 0,
+                reserve_minutes || 0,
+                user.id
+            );
+            return result.lastInsertRowid;
+        });
+
+        return heldCartService.getCart(transaction(), user.company_id || 1);
+    },
+
+    /**
+     * Park a resumed cart again, replacing its contents
+     */
+    rehold: (id, data) => {
+        const { items, label, customer_id, discount_percent, notes, device_id, reserve_minutes, user } = data;
+        const companyId = user.company_id || 1;
+
+        const transaction = db.transaction(() => {
+            const cart = db.prepare('SELECT * FROM held_carts WHERE id = ? AND company_id = ?').get(id, companyId);
+            if (!cart) return null;
+            if (!OPEN_STATUSES.includes(cart.status)) {
+                throw new Error(`Cart is already ${cart.status}`);
+            }
+
+            heldCartService.validateItems(items, { reserve: reserve_minutes > 0, excludeCartId: id });
+
+            db.prepare(`
+                UPDATE held_carts
+                SET items = ?, label = COALESCE(?, label), customer_id = ?, discount_percent = ?, notes = COALESCE(?, notes),
+                    device_id = COALESCE(?, device_id), status = 'held',
+                    reserved_until = CASE WHEN ? > 0 THEN datetime('now', '+' || ? || ' minutes') END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(
+                JSON.stringify(items.map(toStoredLine)),
+                label || null,
+                customer_id || null,
+                discount_percent || 0,
+                notes || null,
+                device_id || null,
+                reserve_minutes || 0,
+                reserve_minutes || 0,
+                id
+            );
+            return id;
+        });
+
+        const cartId = transaction();
+        return cartId ? heldCartService.getCart(cartId, companyId) : null;
+    },
+
+    listCarts: ({ company_id, device_id, include_resumed }) => {
+        let query = `${CART_SELECT} WHERE hc.company_id = ?`;
+        const params = [company_id];
+
+        query += include_resumed ? " AND hc.status IN ('held', 'resumed')" : " AND hc.status = 'held'";
+
+        if (device_id) {
+            query += ' AND hc.device_id = ?';
+            params.push(device_id);
+        }
+
+        query += ' ORDER BY hc.created_at ASC';
+        return db.prepare(query).all(...params).map(parseCart);
+    },
+
+    getCart: (id, company_id) => {
+        return parseCart(db.prepare(`${CART_SELECT} WHERE hc.id = ? AND hc.company_id = ?`).get(id, company_id));
+    },
+
+    /**
+     * Pick a parked cart up on any terminal. The reservation is kept until the
+     * cart is checked out, discarded or the reservation runs out.
+     */
+    resumeCart: (id, { user, device_id }) => {
+        const companyId = user.company_id || 1;
+        const result = db.prepare(`
+            UPDATE held_carts
+            SET status = 'resumed', resumed_by = ?, resumed_device_id = ?, resumed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND company_id = ? AND status = 'held'
+        `).run(user.id, device_id || null, id, companyId);
+
+        if (result.changes === 0) {
+            const cart = db.prepare('SELECT status FROM held_carts WHERE id = ? AND company_id = ?').get(id, companyId);
+            if (!cart) return null;
+            throw new Error(`Cart is already ${cart.status}`);
+        }
+        return heldCartService.getCart(id, companyId);
+    },
+
+    discardCart: (id, { user }) => {
+        const companyId = user.company_id || 1;
+        const result = db.prepare(`
+            UPDATE held_carts SET status = 'discarded', reserved_until = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND company_id = ? AND status IN ('held', 'resumed')
+        `).run(id, companyId);
+
+        if (result.changes === 0) {
+            const cart = db.prepare('SELECT status FROM held_carts WHERE id = ? AND company_id = ?').get(id, companyId);
+            if (!cart) return null;
+            throw new Error(`Cart is already ${cart.status}`);
+        }
+        return true;
+    },
+
+    /**
+     * Close a cart once POST /api/sales has turned it into a sale. Runs inside
+     * the sale transaction so a failed checkout leaves the cart open.
+     */
+    completeCart: (id, saleId, company_id) => {
+        const result = db.prepare(`
+            UPDATE held_carts SET status = 'completed', sale_id = ?, reserved_until = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND company_id = ? AND status IN ('held', 'resumed')
+        `).run(saleId, id, company_id);
+
+        if (result.changes === 0) {
+            throw new Error(`Held cart ${id} is not open`);
+        }
+    }
+};
@@ -0,0 +1,336 @@
+import db from '../database/db.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const loyaltyError = (message) => {
+    const error = new Error(message);
+    error.code = 'LOYALTY_INVALID';
+    return error;
+};
+
+export const loyaltyService = {
+
+    getSettings: () => {
+        return db.prepare('SELECT * FROM loyalty_settings WHERE id = 1').get();
+    },
+
+    updateSettings: (data) => {
+        db.prepare(`
+            UPDATE loyalty_settings SET
+                enabled = COALESCE(?, enabled),
+                points_per_kes = COALESCE(?, points_per_kes),
+                point_value = COALESCE(?, point_value),
+                min_redeem_points = COALESCE(?, min_redeem_points),
+                expiry_months = COALESCE(?, expiry_months),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = 1
+        `).run(
+            data.enabled === undefined ? null : (data.enabled ? 1 : 0),
+            data.points_per_kes ?? null,
+            data.point_value ?? null,
+            data.min_redeem_points ?? null,
+            data.expiry_months ?? null
+        );
+        return loyaltyService.getSettings();
+    },
+
+    getTiers: () => {
+        return db.prepare('SELECT * FROM loyalty_tiers ORDER BY min_spend ASC').all();
+    },
+
+    updateTier: (code, { name, min_spend, earn_multiplier }) => {
+        const result = db.prepare(`
+            UPDATE loyalty_tiers SET
+                name = COALESCE(?, name),
+                min_spend = COALESCE(?, min_spend),
+                earn_multiplier = COALESCE(?, earn_multiplier),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE code = ?
+        `).run(name ?? null, min_spend ?? null, earn_multiplier ?? null, code);
+        return result.changes > 0;
+    },
+
+    getCategoryMultipliers: () => {
+        return db.prepare(`
+            SELECT c.id as category_id, c.name, COALESCE(m.multiplier, 1) as multiplier
+            FROM categories c
+            LEFT JOIN loyalty_category_multipliers m ON m.category_id = c.id
+            ORDER BY c.name
+        `).all();
+    },
+
+    setCategoryMultiplier: (categoryId, multiplier) => {
+        db.prepare(`
+            INSERT INTO loyalty_category_multipliers (category_id, multiplier) VALUES (?, ?)
+            ON CONFLICT(category_id) DO UPDATE SET multiplier = excluded.multiplier, updated_at = CURRENT_TIMESTAMP
+        `).run(categoryId, multiplier);
+    },
+
+    /**
+     * Write a ledger row and keep customers.loyalty_points in step with it
+     */
+    post: (customerId, { type, points, remaining = 0, expires_at = null, sale_id = null, payment_id = null, refund_id = null, notes = null, user_id = null }) => {
+        const { loyalty_points: current } = db.prepare('SELECT loyalty_points FROM customers WHERE id = ?').get(customerId);
+        const balance = (current || 0) + points;
+
+        db.prepare('UPDATE customers SET loyalty_points = ? WHERE id = ?').run(balance, customerId);
+        db.prepare(`
+            INSERT INTO loyalty_ledger (customer_id, type, points, balance_after, remaining, expires_at, sale_id, payment_id, refund_id, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(customerId, type, points, balance, remaining, expires_at, sale_id, payment_id, refund_id, notes, user_id);
+        return balance;
+    },
+
+    /**
+     * Take points off the oldest unspent credits first
+     */
+    consume: (customerId, points) => {
+        let left = points;
+        const credits = db.prepare(`
+            SELECT id, remaining FROM loyalty_ledger
+            WHERE customer_id = ? AND remaining > 0
+            ORDER BY COALESCE(expires_at, '9999-12-31') ASC, id ASC
+        `).all(customerId);
+
+        for (const credit of credits) {
+            if (left <= 0) break;
+            const used = Math.min(credit.remaining, left);
+            db.prepare('UPDATE loyalty_ledger SET remaining = remaining - ? WHERE id = ?').run(used, credit.id);
+            left -= used;
+        }
+    },
+
+    creditExpiry: () => {
+        const { expiry_months } = loyaltyService.getSettings();
+        if (!expiry_months) return null;
+        return db.prepare(`SELECT DATE('now', '+${parseInt(expiry_months)} months') as d`).get().d;
+    },
+
+    /**
+     * Expire whatever is left of credits past their date, for one customer or everyone
+     */
+    expirePoints: (customerId = null) => {
+        let query = `
+            SELECT id, customer_id, remaining, expires_at FROM loyalty_ledger
+            WHERE remaining > 0 AND expires_at IS NOT NULL AND expires_at < DATE('now')
+        `;
+        const params = [];
+        if (customerId) {
+            query += ' AND customer_id = ?';
+            params.push(customerId);
+        }
+
+        const transaction = db.transaction(() => {
+            const expired = db.prepare(query).all(...params);
+            for (const credit of expired) {
+                db.prepare('UPDATE loyalty_ledger SET remaining = 0 WHERE id = ?').run(credit.id);
+                loyaltyService.post(credit.customer_id, { type: 'expire', points: -credit.remaining, notes: `Points expired on ${credit.expires_at}` });
+            }
+            return expired.reduce((sum, credit) => sum + credit.remaining, 0);
+        });
+
+        return transaction();
+    },
+
+    /**
+     * Points a completed sale earns: each line's value times the points rate, the
+     * category multiplier and the customer's tier multiplier. The part of the sale
+     * paid with points earns nothing. Gift cards sold on the sale are not goods and
+     * neither earn nor count towards lifetime spend.
+     */
+    calculateEarn: (saleId, customer) => {
+        const settings = loyaltyService.getSettings();
+
+        const sale = db.prepare('SELECT total FROM sales WHERE id = ?').get(saleId);
+        const { paid_with_points } = db.prepare(`
+            SELECT COALESCE(SUM(amount), 0) as paid_with_points FROM payments
+            WHERE sale_id = ? AND method = 'loyalty_points' AND status = 'completed'
+        `).get(saleId);
+        const earningShare = sale.total > 0 ? Math.max(0, (sale.total - paid_with_points) / sale.total) : 0;
+
+        const lines = db.prepare(`
+            SELECT COALESCE(si.line_total, si.subtotal) as amount, COALESCE(m.multiplier, 1) as multiplier
+            FROM sale_items si
+            LEFT JOIN products p ON si.product_id = p.id
+            LEFT JOIN loyalty_category_multipliers m ON m.category_id = p.category_id
+            WHERE si.sale_id = ?
+        `).all(saleId);
+
+        const spend = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+        if (!settings.enabled) return { points: 0, spend };
+
+        const tier = db.prepare('SELECT earn_multiplier FROM loyalty_tiers WHERE code = ?').get(customer.loyalty_tier || 'bronze');
+        const base = lines.reduce((sum, line) => sum + line.amount * line.multiplier, 0) * settings.points_per_kes;
+        return { points: Math.floor(base * (tier?.earn_multiplier || 1) * earningShare), spend };
+    },
+
+    /**
+     * Move the customer up to the highest tier their lifetime spend qualifies for.
+     * Tiers are never lowered automatically. Returns the new tier code if promoted.
+     */
+    promoteTier: (customerId) => {
+        const customer = db.prepare('SELECT loyalty_tier, lifetime_spend FROM customers WHERE id = ?').get(customerId);
+        const tiers = loyaltyService.getTiers();
+        const current = tiers.find(t => t.code === customer.loyalty_tier) || tiers[0];
+        const qualified = tiers.filter(t => customer.lifetime_spend >= t.min_spend).pop();
+
+        if (qualified && current && qualified.min_spend > current.min_spend) {
+            db.prepare('UPDATE customers SET loyalty_tier = ? WHERE id = ?').run(qualified.code, customerId);
+            return qualified.code;
+        }
+        return null;
+    },
+
+    /**
+     * Credit points for a completed sale and update lifetime spend and tier.
+     * Safe to call more than once per sale. Must run inside a transaction.
+     */
+    earnForSale: (saleId, userId = null) => {
+        const sale = db.prepare('SELECT id, customer_id, total, status FROM sales WHERE id = ?').get(saleId);
+        if (!sale?.customer_id || sale.status !== 'completed') return null;
+        if (db.prepare("SELECT 1 FROM loyalty_ledger WHERE sale_id = ? AND type = 'earn'").get(saleId)) return null;
+
+        const customer = db.prepare('SELECT id, loyalty_tier FROM customers WHERE id = ?').get(sale.customer_id);
+        if (!customer) return null;
+
+        const { points, spend } = loyaltyService.calculateEarn(saleId, customer);
+        db.prepare('UPDATE customers SET lifetime_spend = COALESCE(lifetime_spend, 0) + ? WHERE id = ?').run(spend, customer.id);
+
+        let balance = null;
+        if (points > 0) {
+            balance = loyaltyService.post(customer.id, {
+                type: 'earn', points, remaining: points, expires_at: loyaltyService.creditExpiry(), sale_id: saleId, user_id: userId
+            });
+        }
+
+        const promoted = loyaltyService.promoteTier(customer.id);
+        return { points, balance, promoted_to: promoted };
+    },
+
+    /**
+     * Points needed to pay `amount` KES, checked against the customer's balance
+     */
+    pointsForAmount: (customerId, amount) => {
+        const settings = loyaltyService.getSettings();
+        if (!settings.enabled) {
+            throw loyaltyError('The loyalty programme is switched off');
+        }
+        if (!customerId) {
+            throw loyaltyError('Paying with points needs the customer on the sale');
+        }
+
+        loyaltyService.expirePoints(customerId);
+        const customer = db.prepare('SELECT name, loyalty_points FROM customers WHERE id = ?').get(customerId);
+        if (!customer) {
+            throw loyaltyError(`Customer ${customerId} not found`);
+        }
+
+        const points = Math.ceil(roundMoney(amount / settings.point_value));
+        if (points < settings.min_redeem_points) {
+            throw loyaltyError(`At least ${settings.min_redeem_points} points must be redeemed at a time`);
+        }
+        if (customer.loyalty_points < points) {
+            throw loyaltyError(`${customer.name} has ${customer.loyalty_points} points; ${points} are needed for KES ${amount}`);
+        }
+        return points;
+    },
+
+    /**
+     * Spend points as a tender. Must run inside the sale transaction.
+     */
+    redeem: (customerId, amount, { sale_id, payment_id, user_id }) => {
+        const points = loyaltyService.pointsForAmount(customerId, amount);
+        loyaltyService.consume(customerId, points);
+        loyaltyService.post(customerId, { type: 'redeem', points: -points, sale_id, payment_id, user_id, notes: `KES ${amount}` });
+        return points;
+    },
+
+    /**
+     * Give back points that paid for refunded goods
+     */
+    refundTender: (paymentId, { refund_id, amount, user_id }) => {
+        const entry = db.prepare("SELECT customer_id, points, sale_id FROM loyalty_ledger WHERE payment_id = ? AND type = 'redeem'").get(paymentId);
+        if (!entry) {
+            throw new Error(`No points redemption found for payment #${paymentId}`);
+        }
+        const payment = db.prepare('SELECT amount FROM payments WHERE id = ?').get(paymentId);
+        const points = Math.round(-entry.points * amount / payment.amount);
+
+        loyaltyService.post(entry.customer_id, {
+            type: 'refund', points, remaining: points, expires_at: loyaltyService.creditExpiry(), sale_id: entry.sale_id, refund_id, user_id
+        });
+    },
+
+    /**
+     * Take back the share of points a sale earned for the part now refunded.
+     * Never takes the balance below zero.
+     */
+    reverseEarn: (sale, refundAmount, { refund_id, user_id }) => {
+        if (!sale.customer_id) return;
+        const earned = db.prepare("SELECT points FROM loyalty_ledger WHERE sale_id = ? AND type = 'earn'").get(sale.id);
+        if (!earned || sale.total <= 0) return;
+
+        const { loyalty_points: balance } = db.prepare('SELECT loyalty_points FROM customers WHERE id = ?').get(sale.customer_id);
+        const points = Math.min(Math.round(earned.points * refundAmount / sale.total), Math.max(balance, 0));
+        if (points <= 0) return;
+
+        loyaltyService.consume(sale.customer_id, points);
+        loyaltyService.post(sale.customer_id, { type: 'reversal', points: -points, sale_id: sale.id, refund_id, user_id, notes: 'Points for refunded items' });
+        db.prepare('UPDATE customers SET lifetime_spend = MAX(COALESCE(lifetime_spend, 0) - ?, 0) WHERE id = ?').run(refundAmount, sale.customer_id);
+    },
+
+    /**
+     * Manual correction by a manager, e.g. a goodwill gesture
+     */
+    adjust: (customerId, points, { reason, user_id }) => {
+        const transaction = db.transaction(() => {
+            const customer = db.prepare('SELECT loyalty_points FROM customers WHERE id = ?').get(customerId);
+            if (!customer) return null;
+
+            // Never below zero, matching the old endpoint
+            const change = Math.max(points, -customer.loyalty_points);
+            if (change < 0) {
+                loyaltyService.consume(customerId, -change);
+            }
+            return loyaltyService.post(customerId, {
+                type: 'adjustment',
+                points: change,
+                remaining: change > 0 ? change : 0,
+                expires_at: change > 0 ? loyaltyService.creditExpiry() : null,
+                notes: reason || null,
+                user_id
+            });
+        });
+
+        return transaction();
+    },
+
+    getCustomerLoyalty: (customerId, { limit = 50 } = {}) => {
+        loyaltyService.expirePoints(customerId);
+        const customer = db.prepare('SELECT id, name, loyalty_points, loyalty_tier, lifetime_spend FROM customers WHERE id = ?').get(customerId);
+        if (!customer) return null;
+
+        const tiers = loyaltyService.getTiers();
+        const nextTier = tiers.find(t => t.min_spend > (customer.lifetime_spend || 0));
+        const { point_value } = loyaltyService.getSettings();
+        const { expiring } = db.prepare(`
+            SELECT COALESCE(SUM(remaining), 0) as expiring FROM loyalty_ledger
+            WHERE customer_id = ? AND remaining > 0 AND expires_at IS NOT NULL AND expires_at <= DATE('now', '+30 days')
+        `).get(customerId);
+
+        return {
+            ...customer,
+            points_value: roundMoney(customer.loyalty_points * point_value),
+            expiring_within_30_days: expiring,
+            next_tier: nextTier ? { code: nextTier.code, name: nextTier.name, spend_needed: roundMoney(nextTier.min_spend - (customer.lifetime_spend || 0)) } : null,
+            ledger: db.prepare(`
+                SELECT l.*, u.full_name as created_by_name
+                FROM loyalty_ledger l
+                LEFT JOIN users u ON l.created_by = u.id
+                WHERE l.customer_id = ?
+                ORDER BY l.created_at DESC, l.id DESC
+                LIMIT ?
+            `).all(customerId, parseInt(limit))
+        };
+    }
+};
@@ -0,0 +1,179 @@
+import db from '../database/db.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const modifierError = (message) => {
+    const error = new Error(message);
+    error.code = 'MODIFIER_INVALID';
+    return error;
+};
+
+export const modifierService = {
+
+    getGroups: ({ include_inactive } = {}) => {
+        const groups = db.prepare(`SELECT * FROM modifier_groups ${include_inactive ? '' : 'WHERE active = 1'} ORDER BY name`).all();
+        return groups.map(group => ({ ...group, modifiers: modifierService.getModifiers(group.id, { include_inactive }) }));
+    },
+
+    getGroup: (id) => {
+        const group = db.prepare('SELECT * FROM modifier_groups WHERE id = ?').get(id);
+        if (!group) return null;
+        return { ...group, modifiers: modifierService.getModifiers(id, { include_inactive: true }) };
+    },
+
+    getModifiers: (groupId, { include_inactive } = {}) => {
+        const modifiers = db.prepare(`
+            SELECT * FROM modifiers WHERE group_id = ? ${include_inactive ? '' : 'AND active = 1'}
+            ORDER BY sort_order, id
+        `).all(groupId);
+
+        const ingredients = db.prepare(`
+            SELECT mi.modifier_id, mi.ingredient_id, mi.quantity, i.name, i.unit
+            FROM modifier_ingredients mi
+            JOIN ingredients i ON mi.ingredient_id = i.id
+            JOIN modifiers m ON mi.modifier_id = m.id
+            WHERE m.group_id = ?
+        `).all(groupId);
+
+        return modifiers.map(modifier => ({ ...modifier, ingredients: ingredients.filter(i => i.modifier_id === modifier.id) }));
+    },
+
+    createGroup: ({ name, min_select = 0, max_select = null, modifiers = [] }, companyId = 1) => {
+        const transaction = db.transaction(() => {
+            const result = db.prepare('INSERT INTO modifier_groups (company_id, name, min_select, max_select) VALUES (?, ?, ?, ?)')
+                .run(companyId, name, min_select, max_select);
+            modifiers.forEach((modifier, index) => {
+                modifierService.addModifier(result.lastInsertRowid, { sort_order: index, ...modifier });
+            });
+            return result.lastInsertRowid;
+        });
+
+        return modifierService.getGroup(transaction());
+    },
+
+    updateGroup: (id, { name, min_select, max_select, active }) => {
+        const group = db.prepare('SELECT * FROM modifier_groups WHERE id = ?').get(id);
+        if (!group) return null;
+
+        db.prepare('UPDATE modifier_groups SET name = ?, min_select = ?, max_select = ?, active = ? WHERE id = ?').run(
+            name ?? group.name,
+            min_select ?? group.min_select,
+            max_select === undefined ? group.max_select : max_select,
+            active === undefined ? group.active : (active ? 1 : 0),
+            id
+        );
+        return modifierService.getGroup(id);
+    },
+
+    addModifier: (groupId, { name, price_delta = 0, sort_order = 0, ingredients = [] }) => {
+        const transaction = db.transaction(() => {
+            const result = db.prepare('INSERT INTO modifiers (group_id, name, price_delta, sort_order) VALUES (?, ?, ?, ?)')
+                .run(groupId, name, roundMoney(Number(price_delta)), sort_order);
+            modifierService.setIngredients(result.lastInsertRowid, ingredients);
+            return result.lastInsertRowid;
+        });
+
+        return transaction();
+    },
+
+    updateModifier: (id, { name, price_delta, sort_order, active, ingredients }) => {
+        const modifier = db.prepare('SELECT * FROM modifiers WHERE id = ?').get(id);
+        if (!modifier) return null;
+
+        const transaction = db.transaction(() => {
+            db.prepare('UPDATE modifiers SET name = ?, price_delta = ?, sort_order = ?, active = ? WHERE id = ?').run(
+                name ?? modifier.name,
+                price_delta === undefined ? modifier.price_delta : roundMoney(Number(price_delta)),
+                sort_order ?? modifier.sort_order,
+                active === undefined ? modifier.active : (active ? 1 : 0),
+                id
+            );
+            if (ingredients) modifierService.setIngredients(id, ingredients);
+        });
+
+        transaction();
+        return modifierService.getGroup(modifier.group_id);
+    },
+
+    /**
+     * Replace what a modifier does to the recipe: extra quantity of an ingredient
+     * per unit sold, or a negative quantity for less of it ("no sugar")
+     */
+    setIngredients: (modifierId, ingredients) => {
+        db.prepare('DELETE FROM modifier_ingredients WHERE modifier_id = ?').run(modifierId);
+        const insert = db.prepare('INSERT INTO modifier_ingredients (modifier_id, ingredient_id, quantity) VALUES (?, ?, ?)');
+        for (const item of ingredients) {
+            insert.run(modifierId, item.ingredient_id, Number(item.quantity));
+        }
+    },
+
+    /**
+     * Groups offered with a product. Variants use their parent's groups.
+     */
+    getProductGroups: (productId) => {
+        const product = db.prepare('SELECT id, parent_id FROM products WHERE id = ?').get(productId);
+        if (!product) return [];
+
+        const groups = db.prepare(`
+            SELECT g.* FROM product_modifier_groups pg
+            JOIN modifier_groups g ON pg.group_id = g.id
+            WHERE pg.product_id = ? AND g.active = 1
+            ORDER BY pg.sort_order, g.name
+        `).all(product.parent_id || product.id);
+
+        return groups.map(group => ({ ...group, modifiers: modifierService.getModifiers(group.id) }));
+    },
+
+    setProductGroups: (productId, groupIds) => {
+        const transaction = db.transaction(() => {
+            db.prepare('DELETE FROM product_modifier_groups WHERE product_id = ?').run(productId);
+            const insert = db.prepare('INSERT INTO product_modifier_groups (product_id, group_id, sort_order) VALUES (?, ?, ?)');
+            groupIds.forEach((groupId, index) => insert.run(productId, groupId, index));
+        });
+
+        transaction();
+        return modifierService.getProductGroups(productId);
+    },
+
+    /**
+     * Check the modifiers picked for a cart line against the product's groups
+     * (each one offered, every group's min/max respected) and price them
+     */
+    resolveSelection: (product, modifierIds = []) => {
+        const groups = modifierService.getProductGroups(product.id);
+        const ids = modifierIds.map(Number);
+        if (new Set(ids).size !== ids.length) {
+            throw modifierError(`A modifier was picked twice for ${product.name}`);
+        }
+
+        const selected = [];
+        for (const group of groups) {
+            const picked = group.modifiers.filter(m => ids.includes(m.id));
+            if (picked.length < group.min_select) {
+                throw modifierError(`Choose at least ${group.min_select} from ${group.name} for ${product.name}`);
+            }
+            if (group.max_select !== null && picked.length > group.max_select) {
+                throw modifierError(`Choose at most ${group.max_select} from ${group.name} for ${product.name}`);
+            }
+            selected.push(...picked.map(m => ({ modifier_id: m.id, group_name: group.name, modifier_name: m.name, price_delta: m.price_delta })));
+        }
+
+        if (selected.length !== ids.length) {
+            throw modifierError(`Some of the modifiers picked are not offered with ${product.name}`);
+        }
+
+        return { modifiers: selected, price_delta: roundMoney(selected.reduce((sum, m) => sum + m.price_delta, 0)) };
+    },
+
+    /**
+     * Ingredient changes per unit sold for a set of modifiers
+     */
+    getIngredientImpacts: (modifierIds) => {
+        if (!modifierIds.length) return [];
+        return db.prepare(`
+            SELECT ingredient_id, SUM(quantity) as quantity FROM modifier_ingredients
+            WHERE modifier_id IN (${modifierIds.map(() => '?').join(', ')})
+            GROUP BY ingredient_id
+        `).all(...modifierIds);
+    }
+};
@@ -0,0 +1,135 @@
+import db from '../database/db.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const c2bError = (message) => {
+    const error = new Error(message);
+    error.code = 'C2B_INVALID';
+    return error;
+};
+
+export const mpesaC2bService = {
+
+    /**
+     * Store a C2B confirmation from Daraja in the inbox. Daraja may confirm the
+     * same transaction more than once; repeats are ignored. Returns the row, and
+     * whether it is new.
+     */
+    record: (confirmation) => {
+        const name = [confirmation.FirstName, confirmation.MiddleName, confirmation.LastName].filter(Boolean).join(' ');
+        const result = db.prepare(`
+            INSERT OR IGNORE INTO mpesa_c2b_transactions
+                (trans_id, transaction_type, trans_time, amount, business_short_code, bill_ref_number, msisdn, customer_name, raw)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            String(confirmation.TransID).toUpperCase(),
+            confirmation.TransactionType || null,
+            confirmation.TransTime ? String(confirmation.TransTime) : null,
+            roundMoney(Number(confirmation.TransAmount)),
+            confirmation.BusinessShortCode ? String(confirmation.BusinessShortCode) : null,
+            confirmation.BillRefNumber || null,
+            confirmation.MSISDN ? String(confirmation.MSISDN) : null,
+            name || null,
+            JSON.stringify(confirmation)
+        );
+
+        const transaction = db.prepare('SELECT * FROM mpesa_c2b_transactions WHERE trans_id = ?').get(String(confirmation.TransID).toUpperCase());
+        return { transaction, created: result.changes > 0 };
+    },
+
+    /**
+     * The inbox, newest first: unmatched by default. `phone` matches on the last
+     * nine digits (0712..., 254712... and +254712... all find the same number),
+     * `code` on the start of the M-Pesa code.
+     */
+    getInbox: ({ status = 'unmatched', phone, amount, code, limit = 50 } = {}) => {
+        const conditions = [];
+        const params = [];
+
+        if (status !== 'all') {
+            conditions.push('t.status = ?');
+            params.push(status);
+        }
+        if (phone) {
+            conditions.push("REPLACE(t.msisdn, ' ', '') LIKE ?");
+            params.push(`%${String(phone).replace(/\D/g, '').slice(-9)}%`);
+        }
+        if (amount) {
+            conditions.push('t.amount = ?');
+            params.push(roundMoney(Number(amount)));
+        }
+        if (code) {
+            conditions.push('t.trans_id LIKE ?');
+            params.push(`${String(code).trim().toUpperCase()}%`);
+        }
+
+        return db.prepare(`
+            SELECT t.id, t.trans_id, t.transaction_type, t.trans_time, t.amount, t.bill_ref_number, t.msisdn,
+                   t.customer_name, t.status, t.sale_id, t.payment_id, t.matched_at, u.username as matched_by_name,
+                   s.receipt_number, t.created_at
+            FROM mpesa_c2b_transactions t
+            LEFT JOIN users u ON t.matched_by = u.id
+            LEFT JOIN sales s ON t.sale_id = s.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY t.created_at DESC, t.id DESC
+            LIMIT ?
+        `).all(...params, Math.min(Number(limit) || 50, 200));
+    },
+
+    getTransaction: (id) => {
+        return db.prepare('SELECT * FROM mpesa_c2b_transactions WHERE id = ?').get(id);
+    },
+
+    /**
+     * Attach an inbox transaction to a sale awaiting payment as a completed
+     * M-Pesa payment of the full amount. An M-Pesa code pays for one sale only.
+     * Returns null if the transaction doesn't exist.
+     */
+    attachToSale: (id, saleId, userId) => {
+        const transaction = db.transaction(() => {
+            const c2b = mpesaC2bService.getTransaction(id);
+            if (!c2b) return null;
+            if (c2b.status !== 'unmatched') {
+                throw c2bError(`${c2b.trans_id} is already attached to sale #${c2b.sale_id}`);
+            }
+
+            const used = db.prepare('SELECT sale_id FROM payments WHERE mpesa_receipt = ?').get(c2b.trans_id);
+            if (used) {
+                throw c2bError(`${c2b.trans_id} has already been used on sale #${used.sale_id}`);
+            }
+
+            const sale = db.prepare('SELECT id, total, status FROM sales WHERE id = ?').get(saleId);
+            if (!sale) {
+                throw c2bError(`Sale #${saleId} not found`);
+            }
+            if (sale.status !== 'pending_payment') {
+                throw c2bError(`Sale #${saleId} is not awaiting payment`);
+            }
+
+            const payment = db.prepare(`
+                INSERT INTO payments (sale_id, method, amount, mpesa_receipt, mpesa_phone, mpesa_transaction_id, status)
+                VALUES (?, 'mpesa', ?, ?, ?, ?, 'completed')
+            `).run(saleId, c2b.amount, c2b.trans_id, c2b.msisdn, c2b.trans_time);
+
+            // A customer who paid the Till instead of answering the STK prompt has paid
+            // in full: the prompts still waiting are dropped so the sale can settle
+            const { paid } = db.prepare("SELECT COALESCE(SUM(amount), 0) as paid FROM payments WHERE sale_id = ? AND status = 'completed'").get(saleId);
+            if (roundMoney(paid) >= sale.total) {
+                db.prepare(`
+                    UPDATE payments SET status = 'failed', result_desc = ?
+                    WHERE sale_id = ? AND method = 'mpesa' AND status = 'pending'
+                `).run(`Paid to the Till instead (${c2b.trans_id})`, saleId);
+            }
+
+            db.prepare(`
+                UPDATE mpesa_c2b_transactions
+                SET status = 'matched', sale_id = ?, payment_id = ?, matched_by = ?, matched_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(saleId, payment.lastInsertRowid, userId, id);
+
+            return mpesaC2bService.getTransaction(id);
+        });
+
+        return transaction();
+    }
+};
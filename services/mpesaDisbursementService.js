@@ -0,0 +1,298 @@
+import db from '../database/db.js';
+import { formatMpesaPhone, getMpesaConfig, initiateB2cPayment } from './mpesaService.js';
+
+// What M-Pesa calls each kind of transfer
+const COMMAND_IDS = { refund: 'BusinessPayment', salary: 'SalaryPayment' };
+// Submissions Daraja turned down (or never received) are tried this often before failing
+const MAX_SUBMIT_ATTEMPTS = 3;
+// Daraja normally reports back within seconds; later than this is flagged on the report
+const RESULT_OVERDUE_MINUTES = 60;
+const DEFAULT_QUEUE_INTERVAL_MS = 60 * 1000;
+
+// With what each transfer pays for: the refund, or the payslip and its employee
+const SELECT_DISBURSEMENTS = `
+    SELECT d.*, u.full_name as requested_by_name, rp.refund_id, ps.payroll_run_id, e.full_name as employee_name
+    FROM mpesa_disbursements d
+    LEFT JOIN users u ON d.requested_by = u.id
+    LEFT JOIN refund_payments rp ON d.refund_payment_id = rp.id
+    LEFT JOIN payslips ps ON d.payslip_id = ps.id
+    LEFT JOIN users e ON ps.user_id = e.id
+`;
+
+let io = null;
+let timer = null;
+let processing = false;
+
+const disbursementError = (message) => {
+    const error = new Error(message);
+    error.code = 'DISBURSEMENT_INVALID';
+    return error;
+};
+
+// Safaricom numbers only: 2547XXXXXXXX or 2541XXXXXXXX
+const isMpesaPhone = (phone) => /^254[17]\d{8}$/.test(phone);
+
+// [{ Key, Value }] -> { Key: Value }
+const resultParameters = (result) => {
+    const parameters = result.ResultParameters?.ResultParameter || [];
+    return Object.fromEntries([].concat(parameters).map(p => [p.Key, p.Value]));
+};
+
+const announce = (id) => {
+    const disbursement = mpesaDisbursementService.getDisbursement(id);
+    io?.emit('disbursement:updated', disbursement);
+    return disbursement;
+};
+
+// The refund or payslip a transfer pays is settled with it
+const settleSource = (disbursement) => {
+    if (disbursement.refund_payment_id) {
+        db.prepare("UPDATE refund_payments SET status = 'completed' WHERE id = ?").run(disbursement.refund_payment_id);
+    }
+    if (disbursement.payslip_id) {
+        db.prepare('UPDATE payslips SET is_paid = 1 WHERE id = ?').run(disbursement.payslip_id);
+        db.prepare(`
+            UPDATE payroll_runs SET status = 'paid'
+            WHERE id = (SELECT payroll_run_id FROM payslips WHERE id = ?)
+              AND NOT EXISTS (SELECT 1 FROM payslips WHERE payroll_run_id = payroll_runs.id AND is_paid = 0)
+        `).run(disbursement.payslip_id);
+    }
+};
+
+export const mpesaDisbursementService = {
+
+    attach: (server) => {
+        io = server;
+    },
+
+    /**
+     * Queue a transfer to a phone. Safe to call inside the transaction that
+     * creates the refund or payslip; nothing is sent until processQueue runs.
+     */
+    enqueue: ({ purpose, phone, amount, refund_payment_id = null, payslip_id = null, requested_by = null, company_id = 1 }) => {
+        const formattedPhone = phone ? formatMpesaPhone(phone) : null;
+        if (!formattedPhone) {
+            throw disbursementError('No M-Pesa number to send to');
+        }
+        if (!isMpesaPhone(formattedPhone)) {
+            throw disbursementError(`${phone} is not an M-Pesa number`);
+        }
+        if (!(Number(amount) >= 1)) {
+            throw disbursementError('M-Pesa transfers must be at least KES 1');
+        }
+
+        return db.prepare(`
+            INSERT INTO mpesa_disbursements (company_id, purpose, phone, amount, refund_payment_id, payslip_id, requested_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(company_id, purpose, formattedPhone, Number(amount), refund_payment_id, payslip_id, requested_by).lastInsertRowid;
+    },
+
+    getDisbursements: ({ status, purpose, from, to, limit = 100 } = {}) => {
+        const conditions = [];
+        const params = [];
+        if (status) { conditions.push('d.status = ?'); params.push(status); }
+        if (purpose) { conditions.push('d.purpose = ?'); params.push(purpose); }
+        if (from) { conditions.push('DATE(d.created_at) >= ?'); params.push(from); }
+        if (to) { conditions.push('DATE(d.created_at) <= ?'); params.push(to); }
+
+        return db.prepare(`
+            ${SELECT_DISBURSEMENTS}
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY d.created_at DESC, d.id DESC
+            LIMIT ?
+        `).all(...params, Math.min(Number(limit) || 100, 500));
+    },
+
+    getDisbursement: (id) => {
+        return db.prepare(`
+            ${SELECT_DISBURSEMENTS}
+            WHERE d.id = ?
+        `).get(id);
+    },
+
+    /**
+     * Hand one queued transfer to Daraja. A request Daraja turned down or never
+     * received goes back in the queue (failed after MAX_SUBMIT_ATTEMPTS); one lost
+     * on the way back may still have been sent, so it is marked timed_out for
+     * someone to check instead of being sent twice.
+     */
+    submit: async (id) => {
+        const disbursement = db.prepare(`
+            UPDATE mpesa_disbursements
+            SET status = 'submitted', attempts = attempts + 1, submitted_at = CURRENT_TIMESTAMP, result_code = NULL, result_desc = NULL
+            WHERE id = ? AND status = 'queued'
+            RETURNING *
+        `).get(id);
+        if (!disbursement) return null;
+
+        // A fresh ID per attempt, so a retried transfer is never mistaken for the last one
+        const originatorConversationId = `QB-${disbursement.id}-${Date.now()}`;
+        db.prepare('UPDATE mpesa_disbursements SET originator_conversation_id = ? WHERE id = ?').run(originatorConversationId, id);
+
+        try {
+            const response = await initiateB2cPayment({
+                originatorConversationId,
+                phone: disbursement.phone,
+                amount: disbursement.amount,
+                commandId: COMMAND_IDS[disbursement.purpose],
+                remarks: disbursement.purpose === 'refund' ? `Refund ${disbursement.refund_payment_id}` : `Salary ${disbursement.payslip_id}`,
+                occasion: disbursement.purpose
+            });
+            db.prepare('UPDATE mpesa_disbursements SET conversation_id = ?, result_desc = ? WHERE id = ?')
+                .run(response.ConversationID || null, response.ResponseDescription || null, id);
+        } catch (error) {
+            const reason = error.response?.data?.errorMessage || error.response?.data?.ResponseDescription || error.message;
+            const neverSent = !!error.response || ['ECONNREFUSED', 'ENOTFOUND'].includes(error.code) || error.message === 'Failed to get M-Pesa access token';
+
+            let status = 'timed_out';
+            if (neverSent) {
+                status = disbursement.attempts >= MAX_SUBMIT_ATTEMPTS ? 'failed' : 'queued';
+            }
+            db.prepare('UPDATE mpesa_disbursements SET status = ?, result_desc = ? WHERE id = ?').run(status, reason, id);
+            console.error(`M-Pesa B2C submit error (disbursement ${id}):`, error.response?.data || error.message);
+        }
+
+        return announce(id);
+    },
+
+    /**
+     * Submit everything queued, oldest first, one at a time
+     */
+    processQueue: async () => {
+        if (processing) return 0;
+        processing = true;
+
+        try {
+            const queued = db.prepare("SELECT id FROM mpesa_disbursements WHERE status = 'queued' ORDER BY created_at, id LIMIT 50").all();
+            for (const { id } of queued) {
+                await mpesaDisbursementService.submit(id);
+            }
+            return queued.length;
+        } finally {
+            processing = false;
+        }
+    },
+
+    /**
+     * Apply Daraja's result (or queue timeout) callback. Returns the disbursement,
+     * or null if the callback doesn't match one still waiting for its outcome.
+     */
+    applyResult: (result, { timeout = false } = {}) => {
+        if (!result) return null;
+
+        const disbursement = db.prepare(`
+            SELECT * FROM mpesa_disbursements
+            WHERE (originator_conversation_id = ? OR conversation_id = ?) AND status IN ('submitted', 'timed_out')
+        `).get(result.OriginatorConversationID ?? null, result.ConversationID ?? null);
+        if (!disbursement) return null;
+
+        const transaction = db.transaction(() => {
+            if (timeout) {
+                db.prepare("UPDATE mpesa_disbursements SET status = 'timed_out', result_desc = ? WHERE id = ? AND status = 'submitted'")
+                    .run(result.ResultDesc || 'Request timed out in the M-Pesa queue', disbursement.id);
+                return;
+            }
+
+            const resultCode = Number(result.ResultCode);
+            const parameters = resultParameters(result);
+            db.prepare(`
+                UPDATE mpesa_disbursements
+                SET status = ?, result_code = ?, result_desc = ?, conversation_id = COALESCE(?, conversation_id),
+                    mpesa_receipt = ?, amount_sent = ?, recipient_name = ?, completed_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(
+                resultCode === 0 ? 'completed' : 'failed',
+                resultCode,
+                result.ResultDesc || null,
+                result.ConversationID || null,
+                result.TransactionID || parameters.TransactionReceipt || null,
+                parameters.TransactionAmount !== undefined ? Number(parameters.TransactionAmount) : null,
+                parameters.ReceiverPartyPublicName || null,
+                disbursement.id
+            );
+
+            if (resultCode === 0) settleSource(disbursement);
+        });
+
+        transaction();
+        return announce(disbursement.id);
+    },
+
+    /**
+     * Send a failed or timed-out transfer again. A timed-out one may have gone
+     * through, so it is only sent again once a manager has checked the M-Pesa
+     * statement and confirms it was not (confirmed_not_sent). Returns null if unknown.
+     */
+    retry: (id, { confirmed_not_sent = false } = {}) => {
+        const disbursement = db.prepare('SELECT * FROM mpesa_disbursements WHERE id = ?').get(id);
+        if (!disbursement) return null;
+        if (!['failed', 'timed_out'].includes(disbursement.status)) {
+            throw disbursementError(`Only failed or timed-out transfers can be retried; this one is ${disbursement.status}`);
+        }
+        if (disbursement.status === 'timed_out' && !confirmed_not_sent) {
+            throw disbursementError('This transfer timed out and may have been sent; check the M-Pesa statement and confirm it was not sent before retrying');
+        }
+
+        db.prepare("UPDATE mpesa_disbursements SET status = 'queued', attempts = 0 WHERE id = ?").run(id);
+        return announce(id);
+    },
+
+    /**
+     * Money sent out over a period: totals by purpose and status, and the
+     * transfers needing someone's attention (failed, timed out, no result yet,
+     * or M-Pesa reporting a different amount than was asked for).
+     */
+    getReconciliationReport: ({ from, to }) => {
+        const summary = db.prepare(`
+            SELECT purpose, status, COUNT(*) as count, ROUND(SUM(amount), 2) as amount, ROUND(SUM(COALESCE(amount_sent, 0)), 2) as amount_sent
+            FROM mpesa_disbursements
+            WHERE DATE(created_at) BETWEEN ? AND ?
+            GROUP BY purpose, status
+            ORDER BY purpose, status
+        `).all(from, to);
+
+        const attention = db.prepare(`
+            SELECT *, CASE
+                WHEN status = 'failed' THEN 'failed'
+                WHEN status = 'timed_out' THEN 'timed_out'
+                WHEN status = 'submitted' THEN 'no_result'
+                ELSE 'amount_mismatch'
+            END as issue
+            FROM mpesa_disbursements
+            WHERE DATE(created_at) BETWEEN ? AND ?
+              AND (status IN ('failed', 'timed_out')
+                OR (status = 'submitted' AND submitted_at <= DATETIME('now', ?))
+                OR (status = 'completed' AND amount_sent IS NOT NULL AND ABS(amount_sent - amount) >= 1))
+            ORDER BY created_at
+        `).all(from, to, `-${RESULT_OVERDUE_MINUTES} minutes`);
+
+        const total = (statuses, field = 'amount') => Math.round(summary
+            .filter(row => statuses.includes(row.status))
+            .reduce((sum, row) => sum + row[field], 0) * 100) / 100;
+
+        return {
+            from,
+            to,
+            requested: total(['queued', 'submitted', 'completed', 'failed', 'timed_out']),
+            sent: total(['completed'], 'amount_sent'),
+            in_progress: total(['queued', 'submitted']),
+            unresolved: total(['failed', 'timed_out']),
+            summary,
+            attention
+        };
+    },
+
+    /**
+     * Work the queue every MPESA_DISBURSE_INTERVAL_MS (60s by default, 0 turns it
+     * off). Only started when a B2C shortcode is configured.
+     */
+    start: () => {
+        const intervalMs = Number(process.env.MPESA_DISBURSE_INTERVAL_MS ?? DEFAULT_QUEUE_INTERVAL_MS);
+        if (timer || !intervalMs || !getMpesaConfig().b2cShortCode) return;
+
+        console.log(`💸 M-Pesa disbursement queue started (every ${intervalMs / 1000}s)`);
+        timer = setInterval(() => {
+            mpesaDisbursementService.processQueue().catch(error => console.error('M-Pesa disbursement queue error:', error.message));
+        }, intervalMs);
+    }
+};
@@ -0,0 +1,231 @@
+import axios from 'axios';
+
+// Where Daraja's production callbacks come from, as Safaricom publishes them
+const SAFARICOM_CALLBACK_IPS = [
+    '196.201.214.200', '196.201.214.206', '196.201.213.114', '196.201.214.207',
+    '196.201.214.208', '196.201.213.44', '196.201.212.127', '196.201.212.138',
+    '196.201.212.129', '196.201.212.136', '196.201.212.74', '196.201.212.69'
+];
+
+// Read lazily: route modules are imported before server.js calls dotenv.config()
+export function getMpesaConfig() {
+    const environment = process.env.MPESA_ENVIRONMENT || 'sandbox';
+    // Every callback URL given to Daraja ends in the webhook token, and callbacks
+    // without it are refused (see paymentProviders/mpesa.js). Without a token
+    // set, no callback gets through and no request that calls back is sent.
+    const webhookToken = process.env.MPESA_WEBHOOK_TOKEN || null;
+    const callback = (url) => url && webhookToken ? `${url.replace(/\/+$/, '')}/${webhookToken}` : url;
+    return {
+        consumerKey: process.env.MPESA_CONSUMER_KEY,
+        consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+        businessShortCode: process.env.MPESA_BUSINESS_SHORT_CODE,
+        passkey: process.env.MPESA_PASSKEY,
+        callbackUrl: callback(process.env.MPESA_CALLBACK_URL),
+        // Paybill/Till customers pay into directly, when it isn't the STK shortcode
+        c2bShortCode: process.env.MPESA_C2B_SHORT_CODE || process.env.MPESA_BUSINESS_SHORT_CODE,
+        c2bConfirmationUrl: callback(process.env.MPESA_C2B_CONFIRMATION_URL),
+        c2bValidationUrl: callback(process.env.MPESA_C2B_VALIDATION_URL),
+        // B2C (refunds and salaries out to phones): the initiator's credential is the
+        // password encrypted with Safaricom's certificate, as the Daraja portal gives it
+        b2cShortCode: process.env.MPESA_B2C_SHORT_CODE,
+        b2cInitiatorName: process.env.MPESA_B2C_INITIATOR_NAME,
+        b2cSecurityCredential: process.env.MPESA_B2C_SECURITY_CREDENTIAL,
+        b2cResultUrl: callback(process.env.MPESA_B2C_RESULT_URL),
+        b2cTimeoutUrl: callback(process.env.MPESA_B2C_TIMEOUT_URL),
+        webhookToken,
+        // Addresses callbacks may come from: MPESA_WEBHOOK_ALLOWED_IPS, or in
+        // production Safaricom's published callback addresses
+        webhookAllowedIps: process.env.MPESA_WEBHOOK_ALLOWED_IPS
+            ? process.env.MPESA_WEBHOOK_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+            : (environment === 'production' ? SAFARICOM_CALLBACK_IPS : []),
+        environment,
+        // MPESA_BASE_URL points at another Daraja, e.g. scripts/mockDaraja.mjs in development
+        baseUrl: process.env.MPESA_BASE_URL || (environment === 'production'
+            ? 'https://api.safaricom.co.ke'
+            : 'https://sandbox.safaricom.co.ke')
+    };
+}
+
+// Get M-Pesa access token
+export async function getMpesaAccessToken() {
+    const config = getMpesaConfig();
+    try {
+        const auth = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString('base64');
+
+        const response = await axios.get(`${config.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+            headers: {
+                Authorization: `Basic ${auth}`
+            }
+        });
+
+        return response.data.access_token;
+    } catch (error) {
+        console.error('Error getting M-Pesa access token:', error.response?.data || error.message);
+        throw new Error('Failed to get M-Pesa access token');
+    }
+}
+
+// Refuse a request whose result Daraja would send to a callback we'd turn away
+function requireWebhookToken(config) {
+    if (!config.webhookToken) {
+        throw new Error('MPESA_WEBHOOK_TOKEN is not set, so M-Pesa callbacks would be refused');
+    }
+}
+
+// Format phone number (remove + and ensure it starts with 254)
+export function formatMpesaPhone(phone) {
+    let formattedPhone = String(phone).replace(/\D/g, '');
+    if (formattedPhone.startsWith('0')) {
+        formattedPhone = '254' + formattedPhone.substring(1);
+    } else if (!formattedPhone.startsWith('254')) {
+        formattedPhone = '254' + formattedPhone;
+    }
+    return formattedPhone;
+}
+
+// Timestamp and password signing an STK request
+function stkPassword(config) {
+    const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+    const password = Buffer.from(
+        `${config.businessShortCode}${config.passkey}${timestamp}`
+    ).toString('base64');
+    return { timestamp, password };
+}
+
+// Send an STK Push prompt to the customer's phone. Resolves with Daraja's response body.
+export async function initiateStkPush({ saleId, phone, amount }) {
+    const config = getMpesaConfig();
+    requireWebhookToken(config);
+    const accessToken = await getMpesaAccessToken();
+
+    const { timestamp, password } = stkPassword(config);
+
+    const response = await axios.post(
+        `${config.baseUrl}/mpesa/stkpush/v1/processrequest`,
+        {
+            BusinessShortCode: config.businessShortCode,
+            Password: password,
+            Timestamp: timestamp,
+            TransactionType: 'CustomerPayBillOnline',
+            Amount: Math.round(amount),
+            PartyA: phone,
+            PartyB: config.businessShortCode,
+            PhoneNumber: phone,
+            CallBackURL: config.callbackUrl,
+            AccountReference: `SALE${saleId}`,
+            TransactionDesc: `Payment for Sale #${saleId}`
+        },
+        {
+            headers: {
+                Authorization: `Bearer ${accessToken}`
+            }
+        }
+    );
+
+    return response.data;
+}
+
+/**
+ * Tell Daraja where to send C2B validation and confirmation requests for the
+ * Paybill/Till. Payments are completed even if validation can't be reached.
+ */
+export async function registerC2bUrls() {
+    const config = getMpesaConfig();
+    requireWebhookToken(config);
+    const accessToken = await getMpesaAccessToken();
+
+    const response = await axios.post(
+        `${config.baseUrl}/mpesa/c2b/v1/registerurl`,
+        {
+            ShortCode: config.c2bShortCode,
+            ResponseType: 'Completed',
+            ConfirmationURL: config.c2bConfirmationUrl,
+            ValidationURL: config.c2bValidationUrl
+        },
+        {
+            headers: {
+                Authorization: `Bearer ${accessToken}`
+            }
+        }
+    );
+
+    return response.data;
+}
+
+/**
+ * Send money from the B2C shortcode to a phone. Daraja only accepts the request
+ * here; the outcome arrives later at the result (or queue timeout) URL, matched
+ * by `originatorConversationId`. Resolves with Daraja's response body.
+ */
+export async function initiateB2cPayment({ originatorConversationId, phone, amount, commandId, remarks, occasion }) {
+    const config = getMpesaConfig();
+    requireWebhookToken(config);
+    const accessToken = await getMpesaAccessToken();
+
+    const response = await axios.post(
+        `${config.baseUrl}/mpesa/b2c/v3/paymentrequest`,
+        {
+            OriginatorConversationID: originatorConversationId,
+            InitiatorName: config.b2cInitiatorName,
+            SecurityCredential: config.b2cSecurityCredential,
+            CommandID: commandId,
+            Amount: Math.round(amount),
+            PartyA: config.b2cShortCode,
+            PartyB: phone,
+            Remarks: remarks,
+            QueueTimeOutURL: config.b2cTimeoutUrl,
+            ResultURL: config.b2cResultUrl,
+            Occasion: occasion || ''
+        },
+        {
+            headers: {
+                Authorization: `Bearer ${accessToken}`
+            }
+        }
+    );
+
+    return response.data;
+}
+
+// Daraja answers a query with this error while the customer hasn't responded yet
+const STK_STILL_PROCESSING = '500.001.1001';
+
+/**
+ * Ask Daraja how an STK Push ended (the STK Query API), for when its callback
+ * never arrives. Resolves with { status: 'pending' | 'completed' | 'failed',
+ * result_code, result_desc }. The query carries no M-Pesa receipt number.
+ */
+export async function queryStkStatus(checkoutRequestId) {
+    const config = getMpesaConfig();
+    const accessToken = await getMpesaAccessToken();
+    const { timestamp, password } = stkPassword(config);
+
+    try {
+        const response = await axios.post(
+            `${config.baseUrl}/mpesa/stkpushquery/v1/query`,
+            {
+                BusinessShortCode: config.businessShortCode,
+                Password: password,
+                Timestamp: timestamp,
+                CheckoutRequestID: checkoutRequestId
+            },
+            {
+                headers: {
+                    Authorization: `Bearer ${accessToken}`
+                }
+            }
+        );
+
+        const resultCode = Number(response.data.ResultCode);
+        return {
+            status: resultCode === 0 ? 'completed' : 'failed',
+            result_code: resultCode,
+            result_desc: response.data.ResultDesc
+        };
+    } catch (error) {
+        if (error.response?.data?.errorCode === STK_STILL_PROCESSING) {
+            return { status: 'pending', result_code: null, result_desc: error.response.data.errorMessage };
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,12 @@
+// Bank transfer: taken as paid once the transfer shows in the account. The bank's
+// transaction reference is kept so the day can be reconciled against the statement.
+export default {
+    id: 'bank_transfer',
+    name: 'Bank transfer',
+    async: false,
+
+    validate: (tender) => tender.reference ? null : 'Bank transfers require the transaction reference',
+
+    // Sent back from the bank by whoever approves the refund
+    refund: () => 'completed'
+};
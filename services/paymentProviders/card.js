@@ -0,0 +1,12 @@
+// Manual card: the cashier charges a standalone card machine and keys the sale in
+// as paid. `reference` takes the approval code or last four digits if noted.
+export default {
+    id: 'card',
+    name: 'Card',
+    async: false,
+
+    validate: () => null,
+
+    // Refunded on the card machine by the cashier
+    refund: () => 'completed'
+};
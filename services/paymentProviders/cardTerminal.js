@@ -0,0 +1,46 @@
+import { cardTerminals } from '../cardTerminals/index.js';
+
+// What a terminal's result means for the payment
+const toOutcome = (message) => {
+    if (message.status === 'approved') {
+        return {
+            status: 'completed',
+            result_desc: message.message || 'Approved',
+            card: { masked_pan: message.masked_pan, auth_code: message.auth_code, terminal_id: message.terminal_id }
+        };
+    }
+    if (message.status === 'pending') {
+        return { status: 'pending', result_desc: message.message || 'Waiting for the card' };
+    }
+    const reasons = { declined: 'Declined', cancelled: 'Cancelled at the terminal', timeout: 'No card presented', not_found: 'The terminal has no record of this payment' };
+    return { status: 'failed', result_desc: message.message || reasons[message.status] || `Terminal answered ${message.status}` };
+};
+
+// Pay at terminal: the amount goes to an integrated card terminal (CARD_TERMINAL_URL)
+// and the payment completes when the terminal approves it
+export default {
+    id: 'card_terminal',
+    name: 'Card terminal',
+    async: true,
+    // The terminal gives up long before this; the status query fails it after a restart
+    expiresAfterMinutes: 5,
+
+    enabled: () => cardTerminals.isConfigured(),
+
+    validate: () => null,
+
+    initiate: async (payment) => {
+        const ref = `P${payment.id}`;
+        const { result } = await cardTerminals.get().sale({ ref, amount: payment.amount });
+        return { reference: ref, result_desc: 'Waiting for the card at the terminal', completion: result.then(toOutcome) };
+    },
+
+    queryable: (payment) => Boolean(payment.reference),
+
+    query: async (payment) => toOutcome(await cardTerminals.get().status(payment.reference)),
+
+    cancel: async (payment) => toOutcome(await cardTerminals.get().cancel(payment.reference)),
+
+    // Refunded on the terminal itself by the cashier
+    refund: () => 'completed'
+};
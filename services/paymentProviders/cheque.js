@@ -0,0 +1,11 @@
+// Cheque: accepted at the till against its number, kept as the reference
+export default {
+    id: 'cheque',
+    name: 'Cheque',
+    async: false,
+
+    validate: (tender) => tender.reference ? null : 'Cheque payments require the cheque number',
+
+    // Paid back by cheque or cash at the manager's discretion
+    refund: () => 'completed'
+};
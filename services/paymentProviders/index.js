@@ -0,0 +1,75 @@
+import mpesa from './mpesa.js';
+import card from './card.js';
+import cardTerminal from './cardTerminal.js';
+import bankTransfer from './bankTransfer.js';
+import cheque from './cheque.js';
+
+/**
+ * Payment providers: the ways a customer pays through someone else (M-Pesa,
+ * a card machine, the bank). Cash, store credit, gift cards, loyalty points
+ * and account sales are the shop's own ledgers and stay in saleService.
+ *
+ * A provider is a module exporting:
+ *
+ *   id            the payments.method it records, e.g. 'airtel_money'
+ *   name          shown to cashiers and in errors
+ *   async         true if its payments are saved pending and confirmed later
+ *   developmentOnly  optional; true refuses to register it unless NODE_ENV=development
+ *   enabled()     optional; false hides it and refuses its payments (e.g. no credentials)
+ *   validate(tender)          returns an error message for a bad tender, or null
+ *   initiate(payment)         optional; starts a saved payment (sends the STK prompt...).
+ *                             Resolves with { status?, reference?, checkout_request_id?, result_desc?, completion? };
+ *                             a status of 'completed' or 'failed' settles it straight away, and
+ *                             `completion` is a promise of the outcome, for providers that are
+ *                             told on their own connection (a card terminal)
+ *   queryable(payment)        optional; whether query() can look this payment up
+ *   query(payment)            optional; resolves with an outcome:
+ *                             { status: 'pending'|'completed'|'failed', result_desc, reference?, card? }
+ *   cancel(payment)           optional; abandons a pending payment, resolving with its outcome
+ *   expiresAfterMinutes       optional; pending payments still unanswered after this are failed
+ *   refund({ payment, amount, refund_payment_id, phone, user })
+ *                             sends money back for a refund. Runs inside the refund's
+ *                             transaction, so it must be synchronous: queue anything slow.
+ *                             Returns 'completed', or 'pending' until the provider confirms
+ *   verifyWebhook(req)        optional; checks a callback really came from the provider, returning
+ *                             why it was refused ('bad_token'...) or null. Refusals are kept in
+ *                             webhook_rejections (middleware/webhookAuth.js)
+ *
+ * Adding one (Airtel Money, a bank's API) is a new module registered here,
+ * or with paymentProviders.register() at startup; payments.method takes any id.
+ */
+const providers = new Map();
+
+export const paymentProviders = {
+
+    register: (provider) => {
+        if (!provider?.id || !provider.name || typeof provider.validate !== 'function' || typeof provider.refund !== 'function') {
+            throw new Error('A payment provider needs an id, a name, validate() and refund()');
+        }
+        if (provider.developmentOnly && process.env.NODE_ENV !== 'development') {
+            throw new Error(`The ${provider.name} payment provider is only available in development`);
+        }
+        providers.set(provider.id, provider);
+    },
+
+    get: (id) => providers.get(id),
+
+    has: (id) => providers.has(id),
+
+    ids: () => [...providers.keys()],
+
+    isEnabled: (id) => {
+        const provider = providers.get(id);
+        return Boolean(provider) && (provider.enabled ? provider.enabled() : true);
+    },
+
+    // For the till's payment buttons
+    list: () => [...providers.values()].map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        async: Boolean(provider.async),
+        enabled: paymentProviders.isEnabled(provider.id)
+    }))
+};
+
+[mpesa, card, cardTerminal, bankTransfer, cheque].forEach(paymentProviders.register);
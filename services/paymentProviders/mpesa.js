@@ -0,0 +1,59 @@
+import { getMpesaConfig, initiateStkPush, queryStkStatus } from '../mpesaService.js';
+import { mpesaDisbursementService } from '../mpesaDisbursementService.js';
+import { ipAllowed, tokenMatches } from './webhooks.js';
+
+// M-Pesa Daraja: an STK prompt on the customer's phone, confirmed by callback or
+// status query, and refunded by B2C transfer back to the phone
+export default {
+    id: 'mpesa',
+    name: 'M-Pesa',
+    async: true,
+    // The prompt expires on the phone long before this
+    expiresAfterMinutes: 10,
+
+    enabled: () => Boolean(getMpesaConfig().consumerKey),
+
+    // Daraja only takes whole shillings; rounding the prompt would record a different amount than was paid
+    validate: (tender) => {
+        if (!tender.phone) return 'M-Pesa payments require a phone number';
+        if (!Number.isInteger(Number(tender.amount))) return 'M-Pesa payments must be a whole number of shillings';
+        return null;
+    },
+
+    initiate: async (payment) => {
+        const stk = await initiateStkPush({ saleId: payment.sale_id, phone: payment.mpesa_phone, amount: payment.amount });
+        return { checkout_request_id: stk.CheckoutRequestID || null, result_desc: stk.CustomerMessage || null };
+    },
+
+    // Payments from before CheckoutRequestIDs were kept can only be settled by callback
+    queryable: (payment) => Boolean(payment.checkout_request_id),
+
+    query: (payment) => queryStkStatus(payment.checkout_request_id),
+
+    // Sent back to the phone that paid unless another is given (Till payments may only carry a masked number)
+    refund: ({ payment, amount, refund_payment_id, phone, user }) => {
+        mpesaDisbursementService.enqueue({
+            purpose: 'refund',
+            phone: phone || payment?.mpesa_phone,
+            amount,
+            refund_payment_id,
+            requested_by: user.id
+        });
+        return 'pending';
+    },
+
+    // Daraja doesn't sign its callbacks, so they must come from an allowed address
+    // and carry the secret token at the end of the URL we gave it. With no token
+    // configured there is nothing to check a callback against, so none is taken.
+    verifyWebhook: (req) => {
+        const { webhookToken, webhookAllowedIps } = getMpesaConfig();
+        if (!webhookToken) return 'no_webhook_token';
+        if (webhookAllowedIps.length > 0 && !ipAllowed(req.ip, webhookAllowedIps)) {
+            return 'ip_not_allowed';
+        }
+        if (!tokenMatches(req.params.token, webhookToken)) {
+            return req.params.token ? 'bad_token' : 'missing_token';
+        }
+        return null;
+    }
+};
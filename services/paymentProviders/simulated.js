@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+/**
+ * A provider that pretends, for demos and trying the till without M-Pesa or a
+ * card machine. The tender's `reference` picks the outcome:
+ *   'decline'  the payment fails
+ *   'pending'  it waits like an STK prompt, until queried (POST /api/payments/:id/query)
+ *   anything else is approved at once
+ * Only registered when NODE_ENV=development (see server.js).
+ */
+const simulatedCode = () => `SIM${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+export default {
+    id: 'simulated',
+    name: 'Simulated',
+    async: true,
+    developmentOnly: true,
+
+    validate: () => null,
+
+    initiate: async (payment) => {
+        if (payment.reference === 'decline') {
+            return { status: 'failed', result_desc: 'Declined (simulated)' };
+        }
+        if (payment.reference === 'pending') {
+            return { result_desc: 'Waiting for the customer (simulated)' };
+        }
+        return { status: 'completed', reference: simulatedCode(), result_desc: 'Approved (simulated)' };
+    },
+
+    queryable: (payment) => payment.reference === 'pending',
+
+    query: async () => ({ status: 'completed', reference: simulatedCode(), result_desc: 'Approved (simulated)' }),
+
+    refund: () => 'completed',
+
+    // It has no callbacks of its own
+    verifyWebhook: () => null
+};
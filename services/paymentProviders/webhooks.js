@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+
+// Checks providers use in verifyWebhook()
+
+// req.ip for IPv4 callers arrives as ::ffff:1.2.3.4 on a dual-stack server
+const plainIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((number, part) => number * 256 + Number(part), 0);
+
+const isIpv4 = (ip) => /^\d{1,3}(\.\d{1,3}){3}$/.test(ip);
+
+/**
+ * Whether a caller's address is on an allowlist of addresses and IPv4 ranges
+ * ('196.201.214.200', '196.201.212.0/24'). Behind a reverse proxy req.ip is
+ * only the caller's own address with TRUST_PROXY set.
+ */
+export function ipAllowed(ip, allowlist) {
+    const address = plainIp(ip);
+    return allowlist.some((entry) => {
+        const [range, bits] = entry.split('/');
+        if (bits === undefined || !isIpv4(address) || !isIpv4(range)) {
+            return plainIp(range) === address;
+        }
+        const size = 2 ** (32 - Number(bits));
+        return Math.floor(ipv4ToNumber(address) / size) === Math.floor(ipv4ToNumber(range) / size);
+    });
+}
+
+// Compared in constant time so the token can't be guessed a character at a time
+export function tokenMatches(given, expected) {
+    const a = crypto.createHash('sha256').update(String(given ?? '')).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,294 @@
+import db from '../database/db.js';
+import hardwareService from './hardware.js';
+import { formatMpesaPhone } from './mpesaService.js';
+import { saleService } from './saleService.js';
+import { customerDisplayService } from './customerDisplayService.js';
+import { paymentProviders } from './paymentProviders/index.js';
+
+// Callbacks usually arrive within seconds; only payments older than this are queried
+const CALLBACK_GRACE_SECONDS = 30;
+const DEFAULT_QUERY_INTERVAL_MS = 30 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+let io = null;
+let timer = null;
+let querying = false;
+
+const paymentError = (message, code = 'PAYMENT_INVALID') => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const getPayment = (id) => db.prepare('SELECT * FROM payments WHERE id = ?').get(id);
+
+// Settle a pending payment on what its provider said; 'pending' leaves it be
+const applyOutcome = (paymentId, outcome) => {
+    if (outcome.status === 'completed') {
+        paymentService.complete(paymentId, { reference: outcome.reference, card: outcome.card, result_desc: outcome.result_desc });
+    } else if (outcome.status === 'failed') {
+        paymentService.fail(paymentId, outcome.result_desc);
+    }
+};
+
+// Print once the sale is fully paid, refresh the customer display and tell the POS
+const announce = (payment) => {
+    const saleStatus = saleService.settleSale(payment.sale_id);
+    if (payment.status === 'completed' && saleStatus === 'completed') {
+        const { sale, items } = saleService.getSaleDetails(payment.sale_id);
+        if (sale) {
+            hardwareService.printReceipt(sale, items);
+            sale.gift_cards.forEach(giftCard => hardwareService.printGiftCard(giftCard));
+        }
+    }
+    customerDisplayService.showPayment(payment.sale_id);
+
+    io?.emit('payment:updated', {
+        payment_id: payment.id,
+        sale_id: payment.sale_id,
+        method: payment.method,
+        amount: payment.amount,
+        status: payment.status,
+        reference: payment.reference,
+        mpesa_receipt: payment.mpesa_receipt,
+        result_desc: payment.result_desc,
+        sale_status: saleStatus
+    });
+};
+
+/**
+ * Payments taken through a provider (services/paymentProviders): starting them,
+ * and settling the ones that are confirmed later by callback or status query.
+ */
+export const paymentService = {
+
+    attach: (server) => {
+        io = server;
+    },
+
+    findByCheckoutRequestId: (checkoutRequestId) => {
+        return db.prepare('SELECT * FROM payments WHERE checkout_request_id = ?').get(checkoutRequestId);
+    },
+
+    /**
+     * Save a payment against a sale still waiting for payment; the sale is
+     * checked in the same transaction, so a sale completed or cancelled in the
+     * meantime takes nothing. Returns the payment id, or null if the sale is unknown.
+     */
+    record: (saleId, { method, amount, reference = null, mpesa_phone = null, status, idempotency_key = null }) => {
+        const transaction = db.transaction(() => {
+            if (!(Number(amount) > 0)) {
+                throw paymentError('The amount must be greater than 0');
+            }
+            const sale = db.prepare('SELECT status FROM sales WHERE id = ?').get(saleId);
+            if (!sale) return null;
+            if (sale.status !== 'pending_payment') {
+                throw paymentError(`Sale #${saleId} is not awaiting payment`, 'PAYMENT_CONFLICT');
+            }
+
+            return db.prepare(`
+                INSERT INTO payments (sale_id, method, amount, reference, mpesa_phone, status, idempotency_key)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(saleId, method, roundMoney(Number(amount)), reference, mpesa_phone, status, idempotency_key).lastInsertRowid;
+        });
+        return transaction();
+    },
+
+    /**
+     * Take a provider payment against a saved sale, e.g. a second M-Pesa prompt
+     * after the first was cancelled. Resolves with the payment as it now stands,
+     * or null if the sale is unknown.
+     */
+    take: async (saleId, { method, amount, phone, reference, idempotency_key }) => {
+        const provider = paymentProviders.get(method);
+        const paymentId = paymentService.record(saleId, {
+            method, amount, reference: reference || null, mpesa_phone: phone ? formatMpesaPhone(phone) : null,
+            status: provider.async ? 'pending' : 'completed', idempotency_key: idempotency_key || null
+        });
+        if (!paymentId) return null;
+
+        const payment = getPayment(paymentId);
+        if (payment.status === 'completed') {
+            announce(payment);
+            return payment;
+        }
+        return paymentService.initiate(payment);
+    },
+
+    /**
+     * Start a saved pending payment with its provider (send the STK prompt...).
+     * Resolves with the payment as it now stands; if the provider can't be
+     * reached the payment is failed and the error rethrown.
+     */
+    initiate: async (payment) => {
+        const provider = paymentProviders.get(payment.method);
+        if (!provider?.initiate) return payment;
+
+        let outcome;
+        try {
+            outcome = await provider.initiate(payment);
+        } catch (error) {
+            paymentService.fail(payment.id, `Failed to initiate ${provider.name} payment`);
+            throw error;
+        }
+
+        // Kept so the status query can settle it if the callback never comes
+        db.prepare(`
+            UPDATE payments SET checkout_request_id = COALESCE(?, checkout_request_id), reference = COALESCE(?, reference), result_desc = ?
+            WHERE id = ?
+        `).run(outcome.checkout_request_id || null, outcome.reference || null, outcome.result_desc || null, payment.id);
+
+        applyOutcome(payment.id, outcome);
+
+        // Left pending if the link drops first: the status query picks it up
+        outcome.completion
+            ?.then(result => applyOutcome(payment.id, result))
+            .catch(error => console.error(`${provider.name} payment ${payment.id} not settled:`, error.message));
+
+        return getPayment(payment.id);
+    },
+
+    /**
+     * Mark a pending payment paid, from a callback or a status query. Returns
+     * null if it was no longer pending. An M-Pesa callback arriving after the
+     * query already completed the payment still fills in the receipt number.
+     * `card` is what a card terminal approved: { masked_pan, auth_code, terminal_id }.
+     */
+    complete: (paymentId, { receipt = null, transaction_id = null, reference = null, card = null, result_desc = null } = {}) => {
+        const payment = db.prepare(`
+            UPDATE payments
+            SET status = 'completed', mpesa_receipt = COALESCE(?, mpesa_receipt),
+                mpesa_transaction_id = COALESCE(?, mpesa_transaction_id), reference = COALESCE(?, reference),
+                card_masked_pan = ?, card_auth_code = ?, card_terminal_id = ?, result_desc = ?
+            WHERE id = ? AND status = 'pending'
+            RETURNING *
+        `).get(receipt, transaction_id, reference, card?.masked_pan || null, card?.auth_code || null, card?.terminal_id || null, result_desc, paymentId);
+
+        if (!payment) {
+            if (receipt) {
+                db.prepare(`
+                    UPDATE payments SET mpesa_receipt = ?, mpesa_transaction_id = COALESCE(?, mpesa_transaction_id)
+                    WHERE id = ? AND status = 'completed' AND mpesa_receipt IS NULL
+                `).run(receipt, transaction_id, paymentId);
+            }
+            return null;
+        }
+
+        announce(payment);
+        return payment;
+    },
+
+    /**
+     * Mark a pending payment failed (cancelled, wrong PIN, declined, timed out...).
+     * Returns null if it was no longer pending.
+     */
+    fail: (paymentId, resultDesc = null) => {
+        const payment = db.prepare(`
+            UPDATE payments SET status = 'failed', result_desc = ?
+            WHERE id = ? AND status = 'pending'
+            RETURNING *
+        `).get(resultDesc, paymentId);
+
+        if (payment) announce(payment);
+        return payment;
+    },
+
+    // Whether the payment's provider can be asked about it
+    canQuery: (payment) => {
+        const provider = paymentProviders.get(payment.method);
+        return Boolean(provider?.query) && (provider.queryable ? provider.queryable(payment) : true);
+    },
+
+    /**
+     * Ask the provider about a pending payment and settle it if there is an
+     * answer. Resolves with the payment as it now stands.
+     */
+    query: async (payment) => {
+        const provider = paymentProviders.get(payment.method);
+        db.prepare('UPDATE payments SET query_attempts = COALESCE(query_attempts, 0) + 1, last_queried_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(payment.id);
+
+        const outcome = await provider.query(payment);
+        applyOutcome(payment.id, outcome);
+        if (outcome.status === 'pending' && provider.expiresAfterMinutes) {
+            const expired = db.prepare("SELECT 1 FROM payments WHERE id = ? AND created_at <= DATETIME('now', ?)")
+                .get(payment.id, `-${provider.expiresAfterMinutes} minutes`);
+            if (expired) {
+                paymentService.fail(payment.id, `No answer from ${provider.name} after ${provider.expiresAfterMinutes} minutes`);
+            }
+        }
+
+        return getPayment(payment.id);
+    },
+
+    // Whether the payment's provider can abandon it (a card terminal can; an STK prompt can't)
+    canCancel: (payment) => payment.status === 'pending' && Boolean(paymentProviders.get(payment.method)?.cancel),
+
+    /**
+     * Ask the provider to abandon a pending payment, e.g. the customer changed
+     * their mind at the card terminal. The provider has the last word: a card
+     * approved just before the cancel stays paid. Resolves with the payment.
+     */
+    cancel: async (payment) => {
+        const outcome = await paymentProviders.get(payment.method).cancel(payment);
+        applyOutcome(payment.id, outcome);
+        return getPayment(payment.id);
+    },
+
+    /**
+     * Query every pending payment whose callback is overdue, oldest first.
+     * A payment the provider can't be reached about stays pending for the next run.
+     */
+    queryPending: async () => {
+        if (querying) return 0;
+        querying = true;
+
+        try {
+            const methods = paymentProviders.ids().filter(id => paymentProviders.get(id).query && paymentProviders.isEnabled(id));
+            if (methods.length === 0) return 0;
+
+            const due = db.prepare(`
+                SELECT * FROM payments
+                WHERE status = 'pending' AND method IN (${methods.map(() => '?').join(', ')})
+                  AND created_at <= DATETIME('now', ?)
+                ORDER BY created_at
+            `).all(...methods, `-${CALLBACK_GRACE_SECONDS} seconds`)
+                .filter(paymentService.canQuery)
+                .slice(0, 20);
+
+            for (const payment of due) {
+                try {
+                    await paymentService.query(payment);
+                } catch (error) {
+                    console.error(`Error querying ${payment.method} payment ${payment.id}:`, error.response?.data || error.message);
+                }
+            }
+            return due.length;
+        } finally {
+            querying = false;
+        }
+    },
+
+    /**
+     * Run queryPending every PAYMENT_QUERY_INTERVAL_MS (MPESA_QUERY_INTERVAL_MS on
+     * older setups; 30s by default, 0 turns it off), then cancel the sales whose
+     * payments all failed or timed out and were never retried.
+     */
+    start: () => {
+        const intervalMs = Number(process.env.PAYMENT_QUERY_INTERVAL_MS ?? process.env.MPESA_QUERY_INTERVAL_MS ?? DEFAULT_QUERY_INTERVAL_MS);
+        if (timer || !intervalMs) return;
+
+        console.log(`📲 Payment status query started (every ${intervalMs / 1000}s)`);
+        timer = setInterval(() => {
+            paymentService.queryPending()
+                .then(() => {
+                    for (const saleId of saleService.cancelAbandoned()) {
+                        customerDisplayService.showPayment(saleId);
+                        io?.emit('sale:cancelled', { sale_id: saleId });
+                    }
+                })
+                .catch(error => console.error('Payment status query error:', error.message));
+        }, intervalMs);
+    }
+};
@@ -1,4 +1,5 @@
 import db from '../database/db.js';
+import { mpesaDisbursementService } from './mpesaDisbursementService.js';
 
 /**
  * Payroll Service
@@ -143,14 +144,15 @@ const PayrollService = {
             db.prepare('INSERT INTO employee_payroll_data (user_id) VALUES (?)').run(userId);
         }
 
-        const { basic_salary, bank_name, account_number, tax_pin, nssf_number, nhif_number, email, phone, profile_picture, full_name, role } = data;
+        const { basic_salary, bank_name, account_number, tax_pin, nssf_number, nhif_number, payment_method, mpesa_phone, email, phone, profile_picture, full_name, role } = data;
 
         // Update Payroll Data
         db.prepare(`
             UPDATE employee_payroll_data 
-            SET basic_salary = ?, bank_name = ?, account_number = ?, tax_pin = ?, nssf_number = ?, nhif_number = ?, updated_at = CURRENT_TIMESTAMP
+            SET basic_salary = ?, bank_name = ?, account_number = ?, tax_pin = ?, nssf_number = ?, nhif_number = ?,
+                payment_method = COALESCE(?, payment_method), mpesa_phone = COALESCE(?, mpesa_phone), updated_at = CURRENT_TIMESTAMP
             WHERE user_id = ?
-        `).run(basic_salary, bank_name, account_number, tax_pin, nssf_number, nhif_number, userId);
+        `).run(basic_salary, bank_name, account_number, tax_pin, nssf_number, nhif_number, payment_method ?? null, mpesa_phone ?? null, userId);
 
         // Update User Data (Profile)
         if (email !== undefined || phone !== undefined || profile_picture !== undefined || full_name !== undefined || role !== undefined) {
@@ -304,6 +306,51 @@ const PayrollService = {
         return { success: true, runId };
     },
 
+    /**
+     * Pay a run's M-Pesa employees (payment_method 'mpesa') by B2C, to their
+     * payroll M-Pesa number or else their own phone. Payslips already paid or
+     * with a transfer under way are left alone. Returns null if the run is unknown.
+     */
+    disburseRun: (runId, userId) => {
+        const run = db.prepare('SELECT * FROM payroll_runs WHERE id = ?').get(runId);
+        if (!run) return null;
+
+        const payslips = db.prepare(`
+            SELECT ps.id, ps.user_id, ps.net_pay, u.full_name, COALESCE(e.mpesa_phone, u.phone) as phone
+            FROM payslips ps
+            JOIN users u ON ps.user_id = u.id
+            JOIN employee_payroll_data e ON e.user_id = ps.user_id
+            WHERE ps.payroll_run_id = ? AND e.payment_method = 'mpesa' AND ps.is_paid = 0
+              AND NOT EXISTS (
+                SELECT 1 FROM mpesa_disbursements d WHERE d.payslip_id = ps.id AND d.status != 'failed'
+              )
+        `).all(runId);
+
+        const queued = [];
+        const skipped = [];
+        const transaction = db.transaction(() => {
+            for (const payslip of payslips) {
+                try {
+                    const id = mpesaDisbursementService.enqueue({
+                        purpose: 'salary',
+                        phone: payslip.phone,
+                        amount: payslip.net_pay,
+                        payslip_id: payslip.id,
+                        requested_by: userId,
+                        company_id: run.company_id || 1
+                    });
+                    queued.push({ disbursement_id: id, payslip_id: payslip.id, user_id: payslip.user_id, name: payslip.full_name, amount: payslip.net_pay });
+                } catch (error) {
+                    if (error.code !== 'DISBURSEMENT_INVALID') throw error;
+                    skipped.push({ payslip_id: payslip.id, user_id: payslip.user_id, name: payslip.full_name, reason: error.message });
+                }
+            }
+        });
+
+        transaction();
+        return { run_id: run.id, queued, skipped };
+    },
+
     /**
      * Get Runs History
      */
@@ -148,6 +148,91 @@ class PrinterFormatter {
                 });
             }
 
+        } else if ((reportType === 'X Report' || reportType === 'Z Report') && reportData.shift) {
+            const { shift, sales, payments, refunds, movements, cash } = reportData;
+
+            this.printer.println(`Shift #${shift.id} - ${shift.cashier_name || 'Cashier'}`);
+            this.printer.println(`Opened: ${new Date(shift.opened_at).toLocaleString()}`);
+            if (shift.closed_at) this.printer.println(`Closed: ${new Date(shift.closed_at).toLocaleString()}`);
+            this.printer.drawLine();
+
+            this.printer.println(`Transactions: ${sales.transactions}`);
+            this.printer.println(`Gross Sales: KES ${sales.gross_sales.toLocaleString()}`);
+            this.printer.println(`Discounts: KES ${sales.discounts.toLocaleString()}`);
+            this.printer.println(`VAT: KES ${sales.tax.toLocaleString()}`);
+            if (sales.pending_payment) this.printer.println(`Awaiting Payment: ${sales.pending_payment}`);
+            this.printer.drawLine();
+
+            this.printer.println("Payments:");
+            payments.forEach(p => {
+                this.printer.tableCustom([
+                    { text: p.method.replace('_', ' ').toUpperCase(), align: "LEFT", width: 0.5 },
+                    { text: p.count.toString(), align: "CENTER", width: 0.2 },
+                    { text: p.total.toLocaleString(), align: "RIGHT", width: 0.3 }
+                ]);
+            });
+            this.printer.drawLine();
+
+            if (refunds?.length) {
+                this.printer.println("Refunds:");
+                refunds.forEach(r => {
+                    this.printer.tableCustom([
+                        { text: r.method.replace('_', ' ').toUpperCase(), align: "LEFT", width: 0.5 },
+                        { text: r.count.toString(), align: "CENTER", width: 0.2 },
+                        { text: r.total.toLocaleString(), align: "RIGHT", width: 0.3 }
+                    ]);
+                });
+                this.printer.drawLine();
+            }
+
+            movements.forEach(m => {
+                this.printer.println(`${m.type === 'drop' ? 'Drop' : 'Pay-out'}: KES ${m.amount.toLocaleString()}${m.reason ? ` (${m.reason.substring(0, 20)})` : ''}`);
+            });
+
+            this.printer.println(`Opening Float: KES ${cash.opening_float.toLocaleString()}`);
+            this.printer.println(`Cash Sales: KES ${cash.cash_sales.toLocaleString()}`);
+            if (cash.cash_account_payments) this.printer.println(`Account Payments: KES ${cash.cash_account_payments.toLocaleString()}`);
+            if (cash.cash_refunds) this.printer.println(`Cash Refunds: KES ${cash.cash_refunds.toLocaleString()}`);
+            this.printer.println(`Drops: KES ${cash.drops.toLocaleString()}`);
+            this.printer.println(`Pay-outs: KES ${cash.payouts.toLocaleString()}`);
+            this.printer.bold(true);
+            this.printer.println(`Expected Cash: KES ${cash.expected_cash.toLocaleString()}`);
+            if (cash.counted_cash !== undefined) {
+                this.printer.println(`Counted Cash: KES ${cash.counted_cash.toLocaleString()}`);
+                this.printer.println(`${cash.over_short < 0 ? 'Short' : 'Over'}: KES ${Math.abs(cash.over_short).toLocaleString()}`);
+            }
+            this.printer.bold(false);
+
+        } else if (reportType === 'VAT Summary' && reportData.totals) {
+            const vatSection = (title, rows) => {
+                this.printer.println(title);
+                this.printer.tableCustom([
+                    { text: "Class", align: "LEFT", width: 0.3 },
+                    { text: "Net", align: "RIGHT", width: 0.35 },
+                    { text: "VAT", align: "RIGHT", width: 0.35 }
+                ]);
+                rows?.forEach(row => {
+                    this.printer.tableCustom([
+                        { text: `${row.tax_class.substring(0, 8)} ${row.tax_rate ?? 0}%`, align: "LEFT", width: 0.3 },
+                        { text: row.net_amount.toFixed(2), align: "RIGHT", width: 0.35 },
+                        { text: row.tax_amount.toFixed(2), align: "RIGHT", width: 0.35 }
+                    ]);
+                });
+                this.printer.drawLine();
+            };
+
+            if (reportData.period?.start_date) {
+                this.printer.println(`Period: ${reportData.period.start_date} to ${reportData.period.end_date}`);
+            }
+            vatSection("OUTPUT TAX (SALES)", reportData.output);
+            if (reportData.refunds?.length) vatSection("LESS REFUNDS", reportData.refunds);
+            vatSection("INPUT TAX (PURCHASES)", reportData.input);
+            this.printer.println(`Output VAT: KES ${reportData.totals.output_tax.toLocaleString()}`);
+            this.printer.println(`Input VAT: KES ${reportData.totals.input_tax.toLocaleString()}`);
+            this.printer.bold(true);
+            this.printer.println(`Net VAT Payable: KES ${reportData.totals.net_vat_payable.toLocaleString()}`);
+            this.printer.bold(false);
+
         } else if (reportType === 'Product Performance' && reportData.data) {
             this.printer.tableCustom([
                 { text: "Item", align: "LEFT", width: 0.5 },
@@ -176,6 +261,248 @@ class PrinterFormatter {
         return this.printer.getBuffer();
     }
 
+    // VAT analysis per tax class. Items from before tax tracking carry no class and are skipped.
+    printTaxBreakdown(items) {
+        const groups = new Map();
+        items.filter(item => item.tax_class).forEach(item => {
+            const key = `${item.tax_class}:${item.tax_rate}`;
+            const group = groups.get(key) || { tax_class: item.tax_class, tax_rate: item.tax_rate, net: 0, tax: 0 };
+            group.net += (item.line_total ?? item.subtotal) - item.tax_amount;
+            group.tax += item.tax_amount;
+            groups.set(key, group);
+        });
+        if (groups.size === 0) return;
+
+        const labels = { standard: 'VAT', zero_rated: 'Zero', exempt: 'Exempt' };
+
+        this.printer.alignLeft();
+        this.printer.drawLine();
+        this.printer.tableCustom([
+            { text: "Tax", align: "LEFT", width: 0.3 },
+            { text: "Net", align: "RIGHT", width: 0.35 },
+            { text: "VAT", align: "RIGHT", width: 0.35 }
+        ]);
+        groups.forEach(group => {
+            const label = group.tax_class === 'standard' || !labels[group.tax_class]
+                ? `${labels[group.tax_class] || group.tax_class} ${group.tax_rate}%`
+                : labels[group.tax_class];
+            this.printer.tableCustom([
+                { text: label, align: "LEFT", width: 0.3 },
+                { text: group.net.toFixed(2), align: "RIGHT", width: 0.35 },
+                { text: group.tax.toFixed(2), align: "RIGHT", width: 0.35 }
+            ]);
+        });
+        const totalTax = [...groups.values()].reduce((sum, g) => sum + g.tax, 0);
+        this.printer.alignRight();
+        this.printer.println(`Total VAT: KES ${totalTax.toFixed(2)}`);
+    }
+
+    async generateRefundReceipt(refund) {
+        this.printer.clear();
+
+        // Header
+        this.printer.alignCenter();
+        this.printer.bold(true);
+        this.printer.setTextSize(1, 1);
+        this.printer.println("AROMA BAKERY");
+        this.printer.setTextSize(0, 0);
+        this.printer.println("REFUND");
+        this.printer.bold(false);
+        this.printer.drawLine();
+
+        this.printer.alignLeft();
+        this.printer.println(`Refund #: ${refund.id}`);
+        this.printer.println(`Original Receipt #: ${refund.receipt_number || refund.sale_id}`);
+        this.printer.println(`Date: ${new Date(refund.created_at).toLocaleString()}`);
+        this.printer.println(`Processed by: ${refund.created_by_name || 'Staff'}`);
+        this.printer.println(`Approved by: ${refund.approved_by_name || 'Manager'}`);
+        if (refund.reason) this.printer.println(`Reason: ${refund.reason}`);
+        this.printer.drawLine();
+
+        this.printer.tableCustom([
+            { text: "Item", align: "LEFT", width: 0.5 },
+            { text: "Qty", align: "CENTER", width: 0.15 },
+            { text: "Amount", align: "RIGHT", width: 0.35 }
+        ]);
+        refund.items.forEach(item => {
+            this.printer.tableCustom([
+                { text: `${item.product_name}${item.restocked ? '' : ' (W/O)'}`, align: "LEFT", width: 0.5 },
+                { text: item.quantity.toString(), align: "CENTER", width: 0.15 },
+                { text: item.amount.toLocaleString(), align: "RIGHT", width: 0.35 }
+            ]);
+        });
+        this.printer.drawLine();
+
+        this.printer.alignRight();
+        this.printer.bold(true);
+        this.printer.println(`Total Refund: KES ${refund.amount.toLocaleString()}`);
+        this.printer.bold(false);
+        if (refund.tax_amount) this.printer.println(`VAT Reversed: KES ${refund.tax_amount.toFixed(2)}`);
+        refund.payments.forEach(p => {
+            const pending = p.status === 'pending' ? ' (pending)' : '';
+            this.printer.println(`${p.method.replace('_', ' ').toUpperCase()}: KES ${p.amount.toLocaleString()}${pending}`);
+        });
+
+        this.printer.alignCenter();
+        this.printer.drawLine();
+        this.printer.println("Customer Signature:");
+        this.printer.println("");
+        this.printer.println("______________________________");
+        this.printer.println("Powered by QuickBizaPOS");
+
+        this.printer.cut();
+
+        return this.printer.getBuffer();
+    }
+
+    // Kitchen ticket: what to make, large enough to read at the pass, no prices
+    async generateKitchenTicket(sale, items) {
+        this.printer.clear();
+
+        this.printer.alignCenter();
+        this.printer.bold(true);
+        this.printer.setTextSize(1, 1);
+        this.printer.println("KITCHEN");
+        this.printer.println(sale.receipt_number || `#${sale.id}`);
+        this.printer.setTextSize(0, 0);
+        this.printer.bold(false);
+        if (sale.reprint) this.printer.println("*** REPRINT ***");
+        this.printer.println(new Date(sale.created_at).toLocaleString());
+        this.printer.drawLine();
+
+        this.printer.alignLeft();
+        items.forEach(item => {
+            this.printer.bold(true);
+            this.printer.setTextSize(1, 0);
+            this.printer.println(`${item.quantity} x ${item.product_name}`);
+            this.printer.setTextSize(0, 0);
+            this.printer.bold(false);
+            (item.modifiers || []).forEach(modifier => {
+                this.printer.println(`   * ${modifier.modifier_name}`);
+            });
+        });
+
+        this.printer.drawLine();
+        this.printer.println(`Server: ${sale.user_name || 'Admin'}`);
+        this.printer.cut();
+
+        return this.printer.getBuffer();
+    }
+
+    // Card slip with the scannable number, printed when a card is sold or topped up
+    async generateGiftCard(giftCard) {
+        this.printer.clear();
+
+        this.printer.alignCenter();
+        this.printer.bold(true);
+        this.printer.setTextSize(1, 1);
+        this.printer.println("AROMA BAKERY");
+        this.printer.setTextSize(0, 0);
+        this.printer.println("GIFT CARD");
+        this.printer.bold(false);
+        this.printer.drawLine();
+
+        if (giftCard.balance !== undefined) {
+            this.printer.setTextSize(1, 1);
+            this.printer.println(`KES ${giftCard.balance.toLocaleString()}`);
+            this.printer.setTextSize(0, 0);
+        } else if (giftCard.amount) {
+            this.printer.println(`${giftCard.type === 'top_up' ? 'Topped up' : 'Value'}: KES ${giftCard.amount.toLocaleString()}`);
+        }
+
+        this.printer.println("");
+        this.printer.code128(giftCard.card_number, { width: "MEDIUM", height: 60, text: 2 });
+        this.printer.println("");
+        if (giftCard.expires_at) this.printer.println(`Valid until ${giftCard.expires_at}`);
+        this.printer.println("Present at checkout to pay");
+        this.printer.println("Powered by QuickBizaPOS");
+        this.printer.cut();
+
+        return this.printer.getBuffer();
+    }
+
+    // Customer account statement on the receipt roll
+    async generateStatement(statement) {
+        this.printer.clear();
+
+        this.printer.alignCenter();
+        this.printer.bold(true);
+        this.printer.println("AROMA BAKERY");
+        this.printer.println("ACCOUNT STATEMENT");
+        this.printer.bold(false);
+        this.printer.println(statement.customer.name);
+        this.printer.println(`${statement.start_date} to ${statement.end_date}`);
+        this.printer.drawLine();
+
+        this.printer.alignLeft();
+        this.printer.tableCustom([
+            { text: "Opening balance", align: "LEFT", width: 0.65 },
+            { text: statement.opening_balance.toLocaleString(), align: "RIGHT", width: 0.35 }
+        ]);
+        statement.entries.forEach(entry => {
+            this.printer.tableCustom([
+                { text: `${entry.created_at.slice(5, 10)} ${entry.type.replace(/_/g, ' ')}${entry.sale_id ? ` ${entry.document_number || `#${entry.sale_id}`}` : ''}`, align: "LEFT", width: 0.65 },
+                { text: entry.amount.toLocaleString(), align: "RIGHT", width: 0.35 }
+            ]);
+        });
+        this.printer.drawLine();
+
+        this.printer.alignRight();
+        this.printer.bold(true);
+        this.printer.println(`Balance: KES ${statement.closing_balance.toLocaleString()}`);
+        this.printer.bold(false);
+        if (statement.aging.total > 0) {
+            this.printer.println(`0-30 days: ${statement.aging.current.toLocaleString()}`);
+            this.printer.println(`31-60 days: ${statement.aging.days_31_60.toLocaleString()}`);
+            this.printer.println(`61-90 days: ${statement.aging.days_61_90.toLocaleString()}`);
+            this.printer.println(`Over 90 days: ${statement.aging.over_90.toLocaleString()}`);
+        }
+
+        this.printer.alignCenter();
+        this.printer.drawLine();
+        this.printer.println("Powered by QuickBizaPOS");
+        this.printer.cut();
+
+        return this.printer.getBuffer();
+    }
+
+    // One voucher per coupon, each cut separately so they can be handed out
+    async generateVouchers(batch) {
+        this.printer.clear();
+
+        batch.coupons.forEach(coupon => {
+            this.printer.alignCenter();
+            this.printer.bold(true);
+            this.printer.setTextSize(1, 1);
+            this.printer.println("AROMA BAKERY");
+            this.printer.setTextSize(0, 0);
+            this.printer.println("VOUCHER");
+            this.printer.bold(false);
+            this.printer.drawLine();
+
+            const value = coupon.type === 'fixed_amount' ? `KES ${coupon.value.toLocaleString()} OFF` : `${coupon.value}% OFF`;
+            this.printer.setTextSize(1, 1);
+            this.printer.println(value);
+            this.printer.setTextSize(0, 0);
+            if (coupon.description) this.printer.println(coupon.description);
+            if (coupon.conditions?.min_basket) this.printer.println(`On purchases over KES ${Number(coupon.conditions.min_basket).toLocaleString()}`);
+
+            this.printer.println("");
+            this.printer.bold(true);
+            this.printer.println(coupon.code);
+            this.printer.bold(false);
+            this.printer.code128(coupon.code, { width: "MEDIUM", height: 60, text: 1 });
+            this.printer.println("");
+
+            if (coupon.expires_at) this.printer.println(`Valid until ${coupon.expires_at}`);
+            this.printer.println(coupon.max_uses === 1 ? "Single use" : "Present at checkout");
+            this.printer.drawLine();
+            this.printer.cut();
+        });
+
+        return this.printer.getBuffer();
+    }
+
     async generateReceipt(sale, cartItems) {
         this.printer.clear();
 
@@ -195,10 +522,22 @@ class PrinterFormatter {
 
         // Transaction Details
         this.printer.alignLeft();
+        if (sale.reprint) {
+            this.printer.alignCenter();
+            this.printer.println("*** REPRINT ***");
+            this.printer.alignLeft();
+        }
         this.printer.println(`Receipt #: ${sale.receipt_number || sale.id}`);
+        if (sale.invoice_number) this.printer.println(`Invoice #: ${sale.invoice_number}`);
         this.printer.println(`Date: ${new Date(sale.created_at).toLocaleString()}`);
         this.printer.println(`Server: ${sale.user_name || 'Admin'}`);
-        this.printer.println(`Payment: ${sale.payment_method?.toUpperCase() || 'CASH'}`);
+        const methods = [...new Set((sale.payments || []).map(p => p.method.replace('_', ' ').toUpperCase()))];
+        this.printer.println(`Payment: ${methods.length ? methods.join(' + ') : (sale.payment_method?.toUpperCase() || 'CASH')}`);
+        // Pay-at-terminal card payments: what the terminal approved
+        (sale.payments || []).filter(p => p.card_masked_pan).forEach(p => {
+            this.printer.println(`Card: ${p.card_masked_pan}  Auth: ${p.card_auth_code || '-'}`);
+            if (p.card_terminal_id) this.printer.println(`Terminal: ${p.card_terminal_id}`);
+        });
         this.printer.drawLine();
 
         // Items
@@ -209,10 +548,32 @@ class PrinterFormatter {
         ]);
 
         cartItems.forEach(item => {
+            const lineAmount = item.subtotal ?? (item.unit_price ?? item.price) * item.quantity;
             this.printer.tableCustom([
                 { text: item.product_name, align: "LEFT", width: 0.5 },
                 { text: item.quantity.toString(), align: "CENTER", width: 0.15 },
-                { text: (item.price * item.quantity).toLocaleString(), align: "RIGHT", width: 0.35 }
+                { text: lineAmount.toLocaleString(), align: "RIGHT", width: 0.35 }
+            ]);
+            if (item.list_price != null && item.unit_price !== item.list_price) {
+                this.printer.println(`  @ ${item.unit_price.toLocaleString()} (was ${item.list_price.toLocaleString()})`);
+            }
+            if (item.line_discount_type) {
+                const percent = item.line_discount_type === 'percent';
+                const amount = percent ? Math.round(lineAmount * item.line_discount_value) / 100 : item.line_discount_value;
+                this.printer.println(`  ${percent ? `${item.line_discount_value}% off` : 'Discount'}: -${amount.toLocaleString()}`);
+            }
+            (item.modifiers || []).forEach(modifier => {
+                this.printer.println(`  + ${modifier.modifier_name}${modifier.price_delta ? ` (${modifier.price_delta > 0 ? '+' : ''}${modifier.price_delta.toLocaleString()})` : ''}`);
+            });
+            (item.promotions || []).forEach(promotion => {
+                this.printer.println(`  ${promotion.promotion_name}: -${promotion.discount_amount.toLocaleString()}`);
+            });
+        });
+
+        (sale.gift_cards || []).forEach(giftCard => {
+            this.printer.tableCustom([
+                { text: `Gift card ${giftCard.type === 'issue' ? '' : 'top-up '}*${giftCard.card_number.slice(-4)}`, align: "LEFT", width: 0.65 },
+                { text: giftCard.amount.toLocaleString(), align: "RIGHT", width: 0.35 }
             ]);
         });
 
@@ -220,12 +581,32 @@ class PrinterFormatter {
 
         // Totals
         this.printer.alignRight();
+        if (sale.discount_amount > 0) {
+            this.printer.println(`Subtotal: KES ${(sale.subtotal || 0).toLocaleString()}`);
+            this.printer.println(`Discount: -KES ${sale.discount_amount.toLocaleString()}`);
+        }
         this.printer.println(`Total: KES ${(sale.total || 0).toLocaleString()}`);
+        if (sale.payments?.length > 1) {
+            // Split tender: one line per payment method
+            sale.payments.forEach(p => {
+                this.printer.println(`${p.method.replace('_', ' ').toUpperCase()}: KES ${p.amount.toLocaleString()}`);
+            });
+        }
         if (sale.amount_tendered) {
-            this.printer.println(`Cash: KES ${sale.amount_tendered.toLocaleString()}`);
+            this.printer.println(`${sale.payments?.length > 1 ? 'Tendered' : 'Cash'}: KES ${sale.amount_tendered.toLocaleString()}`);
             this.printer.println(`Change: KES ${(sale.amount_tendered - (sale.total || 0)).toLocaleString()}`);
         }
 
+        this.printTaxBreakdown(cartItems);
+
+        if (sale.loyalty) {
+            this.printer.alignLeft();
+            this.printer.drawLine();
+            if (sale.loyalty.redeemed) this.printer.println(`Points redeemed: ${sale.loyalty.redeemed}`);
+            if (sale.loyalty.earned) this.printer.println(`Points earned: ${sale.loyalty.earned}`);
+            this.printer.println(`Points balance: ${sale.loyalty.balance}${sale.loyalty.tier ? ` (${sale.loyalty.tier.toUpperCase()})` : ''}`);
+        }
+
         // Footer
         this.printer.alignCenter();
         this.printer.drawLine();
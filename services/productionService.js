@@ -1,4 +1,7 @@
 import db from '../database/db.js';
+import { batchService } from './batchService.js';
+import { unitService } from './unitService.js';
+import { modifierService } from './modifierService.js';
 
 export const productionService = {
 
@@ -8,29 +11,73 @@ export const productionService = {
     },
 
     createIngredient: (data) => {
-        const stmt = db.prepare('INSERT INTO ingredients (name, unit, low_stock_threshold) VALUES (?, ?, ?)');
-        const info = stmt.run(data.name, data.unit, data.low_stock_threshold || 0);
+        const stmt = db.prepare('INSERT INTO ingredients (name, unit, low_stock_threshold, tax_class, shelf_life_days) VALUES (?, ?, ?, ?, ?)');
+        const info = stmt.run(data.name, data.unit, data.low_stock_threshold || 0, data.tax_class || 'standard', data.shelf_life_days || null);
         return { id: info.lastInsertRowid, ...data };
     },
 
     // ─── RECIPES (BOM) ────────────────────────────────────────────────────────
+    /**
+     * A product's recipe. quantity_required is in quantity_unit (the ingredient's
+     * own unit when NULL); stock_quantity_required is the same amount in the unit
+     * the ingredient's stock is kept in, which is what gets deducted.
+     */
     getRecipeForProduct: (productId) => {
         return db.prepare(`
-      SELECT r.id, r.product_id, r.ingredient_id, r.quantity_required, i.name, i.unit 
+      SELECT r.id, r.product_id, r.ingredient_id, r.quantity_required, r.quantity_unit, i.name, i.unit 
       FROM recipes r
       JOIN ingredients i ON r.ingredient_id = i.id
       WHERE r.product_id = ?
-    `).all(productId);
+    `).all(productId).map(item => ({
+            ...item,
+            stock_quantity_required: unitService.convert(item.quantity_required, item.quantity_unit, item.unit, item.ingredient_id)
+        }));
+    },
+
+    /**
+     * The recipe used to make or sell a product: its own, or for a variant
+     * without one, its parent's
+     */
+    getEffectiveRecipe: (productId) => {
+        const recipe = productionService.getRecipeForProduct(productId);
+        if (recipe.length) return recipe;
+
+        const product = db.prepare('SELECT parent_id FROM products WHERE id = ?').get(productId);
+        return product?.parent_id ? productionService.getRecipeForProduct(product.parent_id) : recipe;
     },
 
+    /**
+     * Raw materials one unit sold takes, in stock units: the effective recipe
+     * plus or minus what the chosen modifiers change. Sales deduct this and
+     * refunds put it back, so both must come from here.
+     * Returns a Map of ingredient_id → quantity, leaving out anything not used.
+     */
+    getIngredientUsage: (productId, modifierIds = []) => {
+        const perUnit = new Map();
+        for (const recipeItem of productionService.getEffectiveRecipe(productId)) {
+            perUnit.set(recipeItem.ingredient_id, recipeItem.stock_quantity_required);
+        }
+        for (const impact of modifierService.getIngredientImpacts(modifierIds)) {
+            perUnit.set(impact.ingredient_id, Math.max((perUnit.get(impact.ingredient_id) || 0) + impact.quantity, 0));
+        }
+        for (const [ingredientId, quantity] of perUnit) {
+            if (!(quantity > 0)) perUnit.delete(ingredientId);
+        }
+        return perUnit;
+    },
+
+    // ingredients: [{ ingredient_id, quantity_required, unit? }], unit being any of the ingredient's kind
     saveRecipe: (productId, ingredients) => {
         const deleteStmt = db.prepare('DELETE FROM recipes WHERE product_id = ?');
-        const insertStmt = db.prepare('INSERT INTO recipes (product_id, ingredient_id, quantity_required) VALUES (?, ?, ?)');
+        const insertStmt = db.prepare('INSERT INTO recipes (product_id, ingredient_id, quantity_required, quantity_unit) VALUES (?, ?, ?, ?)');
 
         const transaction = db.transaction(() => {
             deleteStmt.run(productId);
             for (const item of ingredients) {
-                insertStmt.run(productId, item.ingredient_id, item.quantity_required);
+                const unit = item.unit ? String(item.unit).trim() : null;
+                // Refuses a unit the ingredient's stock can't be converted from
+                unitService.toStockUnit(1, unit, item.ingredient_id);
+                insertStmt.run(productId, item.ingredient_id, item.quantity_required, unit);
             }
         });
 
@@ -44,18 +91,18 @@ export const productionService = {
      * Check if we have enough raw materials to produce X amount of a product
      */
     checkFeasibility: (productId, quantityToProduce) => {
-        const recipe = productionService.getRecipeForProduct(productId);
+        const recipe = productionService.getEffectiveRecipe(productId);
         if (!recipe.length) {
             throw new Error("No recipe found for this product. Cannot produce.");
         }
 
         const feasibility = recipe.map(item => {
-            const required = item.quantity_required * quantityToProduce;
+            const required = item.stock_quantity_required * quantityToProduce;
 
-            // Get current raw inventory for this ingredient
+            // Get current raw inventory for this ingredient, less expired batches
             // Note: Assuming inventory_raw tracks quantity by ingredient_id
             const stock = db.prepare('SELECT quantity FROM inventory_raw WHERE ingredient_id = ?').get(item.ingredient_id);
-            const available = stock ? stock.quantity : 0;
+            const available = stock ? stock.quantity - batchService.getExpiredQuantity('raw', item.ingredient_id) : 0;
 
             return {
                 ingredient_id: item.ingredient_id,
@@ -77,9 +124,14 @@ export const productionService = {
 
     /**
      * Record production: Deduct raw materials, Add finished goods, Log it.
+     * The run becomes a batch of the product, expiring on `expiry_date` or
+     * after the product's shelf life; raw materials are used first expiring first.
      */
     recordProduction: (data) => {
-        const { product_id, quantity, user_id, notes } = data;
+        const { product_id, quantity, user_id, notes, expiry_date, batch_number } = data;
+        if (expiry_date && !/^\d{4}-\d{2}-\d{2}$/.test(expiry_date)) {
+            throw new Error('Expiry date must be YYYY-MM-DD');
+        }
 
         // 1. Verify we can produce it
         const feasibility = productionService.checkFeasibility(product_id, quantity);
@@ -94,25 +146,45 @@ export const productionService = {
         const insertFinished = db.prepare('INSERT INTO inventory_finished (product_id, quantity, last_updated) VALUES (?, ?, CURRENT_TIMESTAMP)');
         const checkFinished = db.prepare('SELECT id FROM inventory_finished WHERE product_id = ?');
         const logProd = db.prepare('INSERT INTO production_logs (product_id, quantity_produced, notes, produced_by) VALUES (?, ?, ?, ?)');
+        const logRaw = db.prepare(`
+            INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, created_by)
+            SELECT 'raw', ingredient_id, 'production', ?, quantity, ?, 'production', ? FROM inventory_raw WHERE ingredient_id = ?
+        `);
+        const logFinished = db.prepare(`
+            INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, created_by)
+            SELECT 'finished', product_id, 'production', ?, quantity, ?, 'production', ? FROM inventory_finished WHERE product_id = ?
+        `);
 
         // For Aroma framework, actual product stock is in inventory_finished table now.
 
         const transaction = db.transaction(() => {
-            // 2. Deduct Raw Materials
+            // 2. Log Production
+            const logId = logProd.run(product_id, quantity, notes || '', user_id || 1).lastInsertRowid;
+
+            // 3. Deduct Raw Materials
             for (const item of feasibility.details) {
                 deductRaw.run(item.required, item.ingredient_id);
+                logRaw.run(-item.required, logId, user_id || 1, item.ingredient_id);
+                batchService.consume('raw', item.ingredient_id, item.required, { movement_type: 'production', reference_id: logId, reference_type: 'production' });
             }
 
-            // 3. Add to Finished Goods Stock
+            // 4. Add to Finished Goods Stock
             let stockRes = updateFinished.run(quantity, product_id);
             if (stockRes.changes === 0) {
                 // Doesn't exist yet, insert it
                 insertFinished.run(product_id, quantity);
             }
-
-            // 4. Log Production
-            const info = logProd.run(product_id, quantity, notes || '', user_id || 1);
-            return info.lastInsertRowid;
+            logFinished.run(quantity, logId, user_id || 1, product_id);
+            batchService.receive('finished', product_id, {
+                quantity,
+                expiry_date: expiry_date || null,
+                batch_number: batch_number || `PRD-${logId}`,
+                source_type: 'production',
+                source_id: logId,
+                user_id: user_id || 1
+            });
+
+            return logId;
         });
 
         return transaction();
@@ -0,0 +1,194 @@
+import db from '../database/db.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'buy_x_get_y'];
+
+const parseConditions = (conditions) => {
+    if (!conditions) return {};
+    if (typeof conditions === 'object') return conditions;
+    try {
+        return JSON.parse(conditions);
+    } catch (_) {
+        return {};
+    }
+};
+
+const withConditions = (promotion) => promotion && { ...promotion, conditions: parseConditions(promotion.conditions) };
+
+export const promotionService = {
+
+    /**
+     * Check a promotion's type, value and conditions. Returns an error message or null.
+     */
+    validate: ({ type, value, conditions }) => {
+        if (!PROMOTION_TYPES.includes(type)) {
+            return `Invalid promotion type. Must be one of: ${PROMOTION_TYPES.join(', ')}`;
+        }
+        if (!(Number(value) > 0) || (type !== 'fixed_amount' && Number(value) > 100)) {
+            return type === 'fixed_amount' ? 'Value must be greater than 0' : 'Value must be a percentage between 0 and 100';
+        }
+
+        let parsed = conditions || {};
+        if (typeof parsed === 'string') {
+            try {
+                parsed = JSON.parse(parsed);
+            } catch (_) {
+                parsed = null;
+            }
+        }
+        if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return 'Conditions must be a JSON object';
+        }
+        for (const key of ['product_ids', 'category_ids']) {
+            if (parsed[key] !== undefined && !Array.isArray(parsed[key])) {
+                return `${key} must be an array of ids`;
+            }
+        }
+        if (parsed.min_basket !== undefined && !(Number(parsed.min_basket) >= 0)) {
+            return 'min_basket must be 0 or more';
+        }
+        if (type === 'buy_x_get_y' && !(parseInt(parsed.buy_qty) > 0 && parseInt(parsed.get_qty) > 0)) {
+            return 'Buy X get Y promotions need buy_qty and get_qty in their conditions';
+        }
+        return null;
+    },
+
+    getPromotion: (id) => {
+        return withConditions(db.prepare('SELECT * FROM promotions WHERE id = ?').get(id));
+    },
+
+    listPromotions: ({ active_only } = {}) => {
+        let query = 'SELECT * FROM promotions WHERE 1=1';
+        if (active_only) {
+            query += " AND status = 'active' AND start_date <= CURRENT_DATE AND end_date >= CURRENT_DATE";
+        }
+        query += ' ORDER BY created_at DESC';
+        return db.prepare(query).all().map(withConditions);
+    },
+
+    /**
+     * Promotions running today, highest priority first
+     */
+    getActivePromotions: () => {
+        return db.prepare(`
+            SELECT * FROM promotions
+            WHERE status = 'active' AND type IS NOT NULL
+              AND start_date <= CURRENT_DATE AND end_date >= CURRENT_DATE
+            ORDER BY priority DESC, id ASC
+        `).all().map(withConditions);
+    },
+
+    /**
+     * Work out promotion discounts for a basket.
+     *
+     * Each line is { product_id, category_id, quantity, unit_price, amount, adjusted }, where
+     * amount is the line after any manual override or discount. Manually adjusted lines are
+     * left alone. Promotions run in priority order on what is left of each line; a
+     * non-stackable promotion only takes lines no other promotion has touched and then
+     * locks them. Returns, per line, the list of { promotion_id, coupon_id, promotion_name, amount }.
+     */
+    applyPromotions: (lines, promotions = promotionService.getActivePromotions()) => {
+        const applied = lines.map(() => []);
+        const locked = lines.map(() => false);
+        const remaining = lines.map(line => line.amount);
+        const basket = lines.reduce((sum, line) => sum + line.amount, 0);
+
+        for (const promotion of promotions) {
+            const { product_ids, category_ids, min_basket } = promotion.conditions;
+            if (min_basket && basket < Number(min_basket)) continue;
+
+            const eligible = [];
+            lines.forEach((line, index) => {
+                if (line.adjusted || locked[index] || remaining[index] <= 0) return;
+                if (!promotion.stackable && applied[index].length > 0) return;
+
+                const scoped = product_ids?.length || category_ids?.length;
+                const inScope = (product_ids || []).map(Number).includes(Number(line.product_id))
+                    || (category_ids || []).map(Number).includes(Number(line.category_id));
+                if (scoped && !inScope) return;
+
+                eligible.push(index);
+            });
+            if (eligible.length === 0) continue;
+
+            const discounts = new Map();
+            if (promotion.type === 'percentage') {
+                for (const index of eligible) {
+                    discounts.set(index, roundMoney(remaining[index] * promotion.value / 100));
+                }
+            } else if (promotion.type === 'fixed_amount') {
+                // One amount off the qualifying lines, shared in proportion to their value
+                const pool = eligible.reduce((sum, index) => sum + remaining[index], 0);
+                let left = roundMoney(Math.min(promotion.value, pool));
+                eligible.forEach((index, position) => {
+                    const share = position === eligible.length - 1
+                        ? left
+                        : roundMoney(Math.min(promotion.value, pool) * remaining[index] / pool);
+                    discounts.set(index, share);
+                    left = roundMoney(left - share);
+                });
+            } else if (promotion.type === 'buy_x_get_y') {
+                // Every buy_qty + get_qty units of a line, get_qty of them are discounted by `value` %
+                const buyQty = parseInt(promotion.conditions.buy_qty);
+                const getQty = parseInt(promotion.conditions.get_qty);
+                for (const index of eligible) {
+                    const freeUnits = Math.floor(lines[index].quantity / (buyQty + getQty)) * getQty;
+                    discounts.set(index, roundMoney(freeUnits * lines[index].unit_price * promotion.value / 100));
+                }
+            }
+
+            for (const [index, discount] of discounts) {
+                const amount = Math.min(discount, roundMoney(remaining[index]));
+                if (amount <= 0) continue;
+
+                applied[index].push({ promotion_id: promotion.id, coupon_id: promotion.coupon_id ?? null, promotion_name: promotion.name, amount });
+                remaining[index] = roundMoney(remaining[index] - amount);
+                if (!promotion.stackable) locked[index] = true;
+            }
+        }
+
+        return applied;
+    },
+
+    /**
+     * Campaign results: sales, units and discount given per promotion.
+     * Dates are inclusive YYYY-MM-DD strings; both are optional.
+     */
+    getPerformance: ({ start_date, end_date, promotion_id } = {}) => {
+        let query = `
+            SELECT
+                sip.promotion_id,
+                COALESCE(p.name, sip.promotion_name) as promotion_name,
+                p.type,
+                COUNT(DISTINCT sip.sale_id) as sales,
+                COUNT(*) as lines,
+                COALESCE(SUM(si.quantity), 0) as units,
+                COALESCE(SUM(sip.discount_amount), 0) as discount_given,
+                COALESCE(SUM(COALESCE(si.line_total, si.subtotal)), 0) as line_revenue
+            FROM sale_item_promotions sip
+            JOIN sale_items si ON sip.sale_item_id = si.id
+            JOIN sales s ON sip.sale_id = s.id
+            LEFT JOIN promotions p ON sip.promotion_id = p.id
+            WHERE s.status NOT IN ('pending_payment', 'cancelled') AND sip.coupon_id IS NULL
+        `;
+        const params = [];
+
+        if (start_date && end_date) {
+            query += ' AND DATE(s.created_at) BETWEEN ? AND ?';
+            params.push(start_date, end_date);
+        }
+        if (promotion_id) {
+            query += ' AND sip.promotion_id = ?';
+            params.push(promotion_id);
+        }
+
+        query += ' GROUP BY sip.promotion_id, COALESCE(p.name, sip.promotion_name) ORDER BY discount_given DESC';
+
+        return db.prepare(query).all(...params).map(row => ({
+            ...row,
+            discount_given: roundMoney(row.discount_given),
+            line_revenue: roundMoney(row.line_revenue)
+        }));
+    }
+};
@@ -0,0 +1,112 @@
+import db from '../database/db.js';
+
+// Used until a branch is given its own code
+const DEFAULT_BRANCH_CODE = 'MAIN';
+
+const sequenceError = (message) => {
+    const error = new Error(message);
+    error.code = 'SEQUENCE_INVALID';
+    return error;
+};
+
+const format = (sequence, number) => `${sequence.prefix}-${String(number).padStart(sequence.padding, '0')}`;
+
+export const receiptNumberService = {
+
+    /**
+     * Branch and terminal codes for a sale rung up on `terminalId` (a devices.id, or null).
+     * A terminal without a code of its own is named after this installation, as
+     * device ids repeat from one installation to the next.
+     */
+    resolveLocation: (terminalId) => {
+        const device = terminalId
+            ? db.prepare('SELECT d.id, d.terminal_code, d.branch_id, b.code as branch_code FROM devices d LEFT JOIN branches b ON d.branch_id = b.id WHERE d.id = ?').get(terminalId)
+            : null;
+        const { code: installationCode } = db.prepare('SELECT code FROM installation WHERE id = 1').get();
+
+        return {
+            branch_id: device?.branch_id || 0,
+            device_id: device?.id || 0,
+            branch_code: device?.branch_code || DEFAULT_BRANCH_CODE,
+            terminal_code: device ? device.terminal_code || `${installationCode}-T${device.id}` : installationCode
+        };
+    },
+
+    /**
+     * The counter for a document type at a branch and terminal, created the first
+     * time it is needed. Its prefix is fixed then so later code changes don't
+     * alter numbers already in a running series.
+     */
+    getSequence: (docType, terminalId) => {
+        const location = receiptNumberService.resolveLocation(terminalId);
+        const find = () => db.prepare('SELECT * FROM document_sequences WHERE doc_type = ? AND branch_id = ? AND device_id = ?')
+            .get(docType, location.branch_id, location.device_id);
+
+        const existing = find();
+        if (existing) return existing;
+
+        const prefix = [docType === 'invoice' ? 'INV' : null, location.branch_code, location.terminal_code].filter(Boolean).join('-');
+        db.prepare('INSERT OR IGNORE INTO document_sequences (doc_type, branch_id, device_id, prefix) VALUES (?, ?, ?, ?)')
+            .run(docType, location.branch_id, location.device_id, prefix);
+        return find();
+    },
+
+    /**
+     * Take the next number. Must run inside the transaction that saves the
+     * document: a rollback hands the number back, so the series has no gaps.
+     */
+    allocate: (docType, terminalId) => {
+        const sequence = receiptNumberService.getSequence(docType, terminalId);
+        const { number } = db.prepare(`
+            UPDATE document_sequences SET next_number = next_number + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? RETURNING next_number - 1 as number
+        `).get(sequence.id);
+
+        return format(sequence, number);
+    },
+
+    getSequences: () => {
+        const sequences = db.prepare(`
+            SELECT s.*, b.name as branch_name, d.device_name
+            FROM document_sequences s
+            LEFT JOIN branches b ON s.branch_id = b.id
+            LEFT JOIN devices d ON s.device_id = d.id
+            ORDER BY s.doc_type, s.branch_id, s.device_id
+        `).all();
+
+        return sequences.map(sequence => ({
+            ...sequence,
+            last_issued: sequence.next_number > 1 ? format(sequence, sequence.next_number - 1) : null,
+            next: format(sequence, sequence.next_number)
+        }));
+    },
+
+    /**
+     * Change a series' prefix or padding. The starting number can only be set
+     * before anything has been issued (e.g. to carry on from a previous system).
+     * Returns null if the sequence doesn't exist.
+     */
+    updateSequence: (id, { prefix, padding, next_number }) => {
+        const sequence = db.prepare('SELECT * FROM document_sequences WHERE id = ?').get(id);
+        if (!sequence) return null;
+
+        if (next_number !== undefined && next_number !== sequence.next_number && sequence.next_number > 1) {
+            throw sequenceError('The starting number can only be changed before any number has been issued');
+        }
+        if (prefix && prefix !== sequence.prefix
+            && db.prepare('SELECT 1 FROM document_sequences WHERE doc_type = ? AND prefix = ? AND id != ?').get(sequence.doc_type, prefix, id)) {
+            throw sequenceError(`Prefix ${prefix} is already used by another ${sequence.doc_type} series`);
+        }
+
+        db.prepare(`
+            UPDATE document_sequences SET
+                prefix = COALESCE(?, prefix),
+                padding = COALESCE(?, padding),
+                next_number = COALESCE(?, next_number),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(prefix ?? null, padding ?? null, next_number ?? null, id);
+
+        return receiptNumberService.getSequences().find(s => s.id === Number(id));
+    }
+};
@@ -0,0 +1,441 @@
+import xlsx from 'xlsx';
+import db from '../database/db.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const reconciliationError = (message) => {
+    const error = new Error(message);
+    error.code = 'RECONCILIATION_INVALID';
+    return error;
+};
+
+// Payment methods a card settlement file pays out for
+const CARD_METHODS = ['card', 'card_terminal'];
+
+// Column headings as M-Pesa's org portal statement and the usual acquirer files
+// word them, best match first. Fields marked required must all be found.
+const COLUMNS = {
+    mpesa: {
+        reference: { patterns: [/receipt/i], required: true },
+        date: { patterns: [/completion time/i, /date/i, /time/i], required: true },
+        paid_in: { patterns: [/paid in/i] },
+        amount: { patterns: [/^amount$/i] },
+        status: { patterns: [/transaction status/i, /^status$/i] },
+        counterparty: { patterns: [/other party/i] },
+        details: { patterns: [/details/i] }
+    },
+    card: {
+        date: { patterns: [/transaction date/i, /date/i], required: true },
+        amount: { patterns: [/transaction amount/i, /amount/i], required: true },
+        reference: { patterns: [/auth/i, /approval/i] },
+        counterparty: { patterns: [/masked pan/i, /\bpan\b/i, /card (number|no)/i] },
+        terminal_id: { patterns: [/terminal/i, /\btid\b/i] },
+        details: { patterns: [/type/i, /description/i] }
+    }
+};
+
+// A statement date as YYYY-MM-DD. Written dates are day first, as in Kenya.
+const toDay = (value) => {
+    if (value instanceof Date) {
+        if (isNaN(value)) return null;
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+    if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    return null;
+};
+
+const toAmount = (value) => {
+    if (typeof value === 'number') return value;
+    const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return isNaN(amount) ? 0 : amount;
+};
+
+// The first row naming every required column, and where each column is
+const findHeader = (rows, columns) => {
+    for (let index = 0; index < Math.min(rows.length, 30); index++) {
+        const headings = rows[index].map(cell => String(cell).trim());
+        const positions = {};
+        for (const [field, { patterns }] of Object.entries(columns)) {
+            for (const pattern of patterns) {
+                const position = headings.findIndex((heading, i) => heading && pattern.test(heading) && !Object.values(positions).includes(i));
+                if (position !== -1) {
+                    positions[field] = position;
+                    break;
+                }
+            }
+        }
+        if (Object.entries(columns).every(([field, { required }]) => !required || positions[field] !== undefined)) {
+            return { index, positions };
+        }
+    }
+    return null;
+};
+
+/**
+ * Money received, read from a statement (CSV or Excel). M-Pesa lines are the
+ * completed Paid In rows; card lines the positive amounts. Money going out
+ * (B2C, charges, card refunds) is left out: refunds are checked elsewhere.
+ */
+const parseStatement = (source, buffer) => {
+    let rows;
+    try {
+        const workbook = xlsx.read(buffer, { type: 'buffer', raw: true, cellDates: true });
+        rows = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, raw: true, defval: '' });
+    } catch (_) {
+        throw reconciliationError('Could not read the file; upload a CSV or Excel statement');
+    }
+
+    const header = findHeader(rows, COLUMNS[source]);
+    if (!header) {
+        const required = Object.entries(COLUMNS[source]).filter(([, c]) => c.required).map(([field]) => field);
+        throw reconciliationError(`No header row with the ${required.join(', ')} columns was found`);
+    }
+
+    const cell = (row, field) => header.positions[field] === undefined ? '' : row[header.positions[field]];
+    const lines = [];
+    let skipped = 0;
+
+    for (const row of rows.slice(header.index + 1)) {
+        if (row.every(value => String(value).trim() === '')) continue;
+
+        const amount = roundMoney(toAmount(source === 'mpesa' && header.positions.paid_in !== undefined ? cell(row, 'paid_in') : cell(row, 'amount')));
+        const status = String(cell(row, 'status')).trim();
+        const lineDate = toDay(cell(row, 'date'));
+        if (!(amount > 0) || (status && !/complete/i.test(status))) continue;
+        if (!lineDate) {
+            skipped++;
+            continue;
+        }
+
+        lines.push({
+            line_date: lineDate,
+            reference: String(cell(row, 'reference')).trim().toUpperCase() || null,
+            amount,
+            counterparty: String(cell(row, 'counterparty')).trim() || null,
+            terminal_id: String(cell(row, 'terminal_id')).trim() || null,
+            details: String(cell(row, 'details')).trim() || null
+        });
+    }
+
+    return { lines, skipped };
+};
+
+/**
+ * Pair payments with statement lines: by reference (M-Pesa receipt, card auth
+ * code), then payments with no reference by the same day and amount. With
+ * `strict`, a payment whose reference isn't on the statement stays unpaired
+ * (an M-Pesa receipt is proof); otherwise it may pair by amount too.
+ */
+const pairLines = (payments, lines, { strict }) => {
+    const open = new Set(lines);
+    const byReference = new Map(lines.filter(line => line.reference).map(line => [line.reference, line]));
+    const pairs = [];
+    const leftover = [];
+
+    for (const payment of payments) {
+        const line = payment.reference && byReference.get(payment.reference);
+        if (line && open.has(line)) {
+            open.delete(line);
+            pairs.push({ payment, line, matched_by: 'reference' });
+        } else if (payment.reference && strict) {
+            pairs.push({ payment, line: null });
+        } else {
+            leftover.push(payment);
+        }
+    }
+    for (const payment of leftover) {
+        const line = [...open].find(l => l.line_date === payment.date && Math.abs(l.amount - payment.amount) < 0.005);
+        if (line) open.delete(line);
+        pairs.push({ payment, line: line || null, matched_by: line ? 'amount' : undefined });
+    }
+
+    return { pairs, orphans: [...open] };
+};
+
+const listDays = (from, to) => {
+    const days = [];
+    for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        days.push(day.toISOString().slice(0, 10));
+    }
+    return days;
+};
+
+const compare = (expected, actual) => {
+    const difference = roundMoney(actual - expected);
+    return { difference, status: Math.abs(difference) < 0.005 ? 'matched' : 'mismatch' };
+};
+
+export const reconciliationService = {
+
+    /**
+     * Import an M-Pesa statement or card settlement file. Lines an earlier
+     * import already brought in (same day and reference) are skipped, so
+     * overlapping statements can be uploaded safely.
+     */
+    importStatement: (source, { fileName, buffer, userId }) => {
+        const { lines, skipped } = parseStatement(source, buffer);
+        if (lines.length === 0) {
+            throw reconciliationError('No money received was found in the file');
+        }
+
+        const transaction = db.transaction(() => {
+            const result = db.prepare('INSERT INTO settlement_imports (source, file_name, imported_by) VALUES (?, ?, ?)')
+                .run(source, fileName || null, userId);
+            const importId = result.lastInsertRowid;
+
+            const insert = db.prepare(`
+                INSERT OR IGNORE INTO settlement_lines (import_id, source, line_date, reference, amount, counterparty, terminal_id, details)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            const added = lines.filter(line => insert.run(importId, source, line.line_date, line.reference, line.amount,
+                line.counterparty, line.terminal_id, line.details).changes > 0);
+            if (added.length === 0) {
+                throw reconciliationError('Every line in this file has already been imported');
+            }
+
+            const days = lines.map(line => line.line_date).sort();
+            db.prepare(`
+                UPDATE settlement_imports SET period_from = ?, period_to = ?, line_count = ?, duplicate_count = ?, total = ?
+                WHERE id = ?
+            `).run(days[0], days[days.length - 1], added.length, lines.length - added.length,
+                roundMoney(added.reduce((sum, line) => sum + line.amount, 0)), importId);
+
+            return importId;
+        });
+
+        return { ...reconciliationService.getImport(transaction()), unreadable_dates: skipped };
+    },
+
+    getImport: (id) => {
+        return db.prepare(`
+            SELECT i.*, u.full_name as imported_by_name
+            FROM settlement_imports i
+            LEFT JOIN users u ON i.imported_by = u.id
+            WHERE i.id = ?
+        `).get(id);
+    },
+
+    getImports: ({ source, limit = 50 } = {}) => {
+        return db.prepare(`
+            SELECT i.*, u.full_name as imported_by_name
+            FROM settlement_imports i
+            LEFT JOIN users u ON i.imported_by = u.id
+            ${source ? 'WHERE i.source = ?' : ''}
+            ORDER BY i.created_at DESC, i.id DESC
+            LIMIT ?
+        `).all(...(source ? [source] : []), Math.min(Number(limit) || 50, 200));
+    },
+
+    // Remove a wrongly uploaded file and its lines. Returns null if it doesn't exist.
+    deleteImport: (id) => {
+        const existing = reconciliationService.getImport(id);
+        if (!existing) return null;
+        db.prepare('DELETE FROM settlement_imports WHERE id = ?').run(id);
+        return existing;
+    },
+
+    /**
+     * Each day from `from` to `to`, per payment method: what the payments say
+     * came in against what was found.
+     *   cash   the closed shifts' expected drawer (float, cash taken, less refunds,
+     *          drops and pay-outs) against the cash counted
+     *   mpesa  M-Pesa payments against the imported statement's receipts
+     *   card   card and card terminal payments against the settlement files
+     * Other methods are listed unchecked. `flags` lists what to chase: mismatched
+     * days and lines, receipts nobody attached to a sale, payments missing from
+     * a statement that covers their day, and sales not fully paid.
+     */
+    getDailyReport: ({ from, to }) => {
+        const payments = db.prepare(`
+            SELECT p.id, p.sale_id, s.receipt_number, p.method, p.amount, DATE(p.created_at) as date,
+                   p.mpesa_receipt, p.mpesa_phone, p.reference, p.card_auth_code, p.card_masked_pan
+            FROM payments p
+            LEFT JOIN sales s ON p.sale_id = s.id
+            WHERE p.status = 'completed' AND DATE(p.created_at) BETWEEN ? AND ?
+            ORDER BY p.created_at
+        `).all(from, to);
+
+        const refunds = db.prepare(`
+            SELECT DATE(created_at) as date, method, ROUND(SUM(amount), 2) as amount
+            FROM refund_payments
+            WHERE status = 'completed' AND DATE(created_at) BETWEEN ? AND ?
+            GROUP BY DATE(created_at), method
+        `).all(from, to);
+
+        const shifts = db.prepare(`
+            SELECT DATE(closed_at) as date, COUNT(*) as count, ROUND(SUM(expected_cash), 2) as expected_cash,
+                   ROUND(SUM(counted_cash), 2) as counted_cash
+            FROM shifts
+            WHERE status = 'closed' AND DATE(closed_at) BETWEEN ? AND ?
+            GROUP BY DATE(closed_at)
+        `).all(from, to);
+
+        const lines = db.prepare(`
+            SELECT id, import_id, source, line_date, reference, amount, counterparty, terminal_id
+            FROM settlement_lines
+            WHERE line_date BETWEEN ? AND ?
+            ORDER BY line_date, id
+        `).all(from, to);
+
+        const imports = db.prepare('SELECT source, period_from, period_to FROM settlement_imports WHERE period_from <= ? AND period_to >= ?')
+            .all(to, from);
+        const covered = (source, date) => imports.some(i => i.source === source && i.period_from <= date && i.period_to >= date);
+
+        // Line by line
+        const mpesa = pairLines(
+            payments.filter(p => p.method === 'mpesa').map(p => ({ ...p, reference: p.mpesa_receipt })),
+            lines.filter(line => line.source === 'mpesa'),
+            { strict: true }
+        );
+        const card = pairLines(
+            payments.filter(p => CARD_METHODS.includes(p.method)).map(p => ({ ...p, reference: p.card_auth_code || p.reference?.toUpperCase() || null })),
+            lines.filter(line => line.source === 'card'),
+            { strict: false }
+        );
+
+        const describe = ({ payment, line, matched_by }) => ({
+            payment_id: payment.id,
+            sale_id: payment.sale_id,
+            receipt_number: payment.receipt_number,
+            method: payment.method,
+            date: payment.date,
+            amount: payment.amount,
+            reference: payment.reference,
+            ...(line ? { statement_amount: line.amount, statement_reference: line.reference, matched_by } : {})
+        });
+
+        const lineMismatches = [...mpesa.pairs, ...card.pairs]
+            .filter(pair => pair.line && Math.abs(pair.line.amount - pair.payment.amount) >= 0.005)
+            .map(pair => ({ ...describe(pair), difference: roundMoney(pair.line.amount - pair.payment.amount) }));
+
+        const missing = (pairs, source) => pairs
+            .filter(pair => !pair.line && covered(source, pair.payment.date))
+            .map(pair => ({ ...describe(pair), reason: pair.payment.reference ? 'not_in_statement' : 'no_reference' }));
+
+        // Till payments nobody has attached to a sale, whether on a statement or only in the C2B inbox
+        const attachedToNothing = new Map(db.prepare(`
+            SELECT trans_id, id FROM mpesa_c2b_transactions WHERE status = 'unmatched'
+        `).all().map(row => [row.trans_id, row.id]));
+        const onStatement = new Set(lines.filter(line => line.source === 'mpesa').map(line => line.reference));
+
+        const orphanReceipts = [
+            ...mpesa.orphans
+                .filter(line => !line.reference || !db.prepare("SELECT 1 FROM payments WHERE mpesa_receipt = ? AND status = 'completed'").get(line.reference))
+                .map(line => ({
+                    found_in: 'statement', date: line.line_date, receipt: line.reference, amount: line.amount,
+                    counterparty: line.counterparty, c2b_id: attachedToNothing.get(line.reference) ?? null
+                })),
+            ...db.prepare(`
+                SELECT id, trans_id, amount, msisdn, customer_name, DATE(created_at) as date
+                FROM mpesa_c2b_transactions
+                WHERE status = 'unmatched' AND DATE(created_at) BETWEEN ? AND ?
+            `).all(from, to)
+                .filter(c2b => !onStatement.has(c2b.trans_id))
+                .map(c2b => ({
+                    found_in: 'c2b_inbox', date: c2b.date, receipt: c2b.trans_id, amount: c2b.amount,
+                    counterparty: [c2b.msisdn, c2b.customer_name].filter(Boolean).join(' ') || null, c2b_id: c2b.id
+                }))
+        ];
+
+        const unpaidSales = db.prepare(`
+            SELECT s.id as sale_id, s.receipt_number, DATE(s.created_at) as date, s.total, s.status,
+                   ROUND(COALESCE(paid.amount, 0), 2) as paid
+            FROM sales s
+            LEFT JOIN (SELECT sale_id, SUM(amount) as amount FROM payments WHERE status = 'completed' GROUP BY sale_id) paid
+                ON paid.sale_id = s.id
+            WHERE DATE(s.created_at) BETWEEN ? AND ? AND s.status != 'cancelled' AND s.total > 0 AND COALESCE(paid.amount, 0) < s.total - 0.005
+            ORDER BY s.created_at
+        `).all(from, to).map(sale => ({
+            ...sale,
+            outstanding: roundMoney(sale.total - sale.paid),
+            reason: sale.status === 'pending_payment' ? 'awaiting_payment' : 'no_payment_recorded'
+        }));
+
+        // Day by day
+        const sumFor = (rows, date, methods) => roundMoney(rows
+            .filter(row => row.date === date && methods.includes(row.method))
+            .reduce((sum, row) => sum + row.amount, 0));
+        const statementTotal = (source, date) => roundMoney(lines
+            .filter(line => line.source === source && line.line_date === date)
+            .reduce((sum, line) => sum + line.amount, 0));
+
+        const days = listDays(from, to).map((date) => {
+            const methods = [];
+
+            const cashTaken = sumFor(payments, date, ['cash']);
+            const shift = shifts.find(s => s.date === date);
+            if (shift || cashTaken > 0) {
+                methods.push({
+                    method: 'cash',
+                    checked_against: 'cash_count',
+                    taken: cashTaken,
+                    refunded: sumFor(refunds, date, ['cash']),
+                    shifts_closed: shift?.count || 0,
+                    expected: shift ? shift.expected_cash : null,
+                    actual: shift ? shift.counted_cash : null,
+                    ...(shift ? compare(shift.expected_cash, shift.counted_cash) : { difference: null, status: 'not_counted' })
+                });
+            }
+
+            for (const [source, sourceMethods, label] of [['mpesa', ['mpesa'], 'mpesa_statement'], ['card', CARD_METHODS, 'card_settlement']]) {
+                const expected = sumFor(payments, date, sourceMethods);
+                const isCovered = covered(source, date);
+                if (expected === 0 && !isCovered) continue;
+
+                const actual = isCovered ? statementTotal(source, date) : null;
+                methods.push({
+                    method: source,
+                    checked_against: label,
+                    taken: expected,
+                    refunded: sumFor(refunds, date, sourceMethods),
+                    expected,
+                    actual,
+                    ...(isCovered ? compare(expected, actual) : { difference: null, status: 'no_statement' })
+                });
+            }
+
+            const checked = ['cash', 'mpesa', ...CARD_METHODS];
+            const others = [...new Set(payments.filter(p => p.date === date && !checked.includes(p.method)).map(p => p.method))];
+            for (const method of others) {
+                methods.push({
+                    method,
+                    checked_against: null,
+                    taken: sumFor(payments, date, [method]),
+                    refunded: sumFor(refunds, date, [method]),
+                    expected: sumFor(payments, date, [method]),
+                    actual: null,
+                    difference: null,
+                    status: 'unchecked'
+                });
+            }
+
+            return { date, methods };
+        });
+
+        const flags = {
+            mismatches: days.flatMap(day => day.methods
+                .filter(row => row.status === 'mismatch')
+                .map(row => ({ date: day.date, method: row.method, expected: row.expected, actual: row.actual, difference: row.difference }))),
+            line_mismatches: lineMismatches,
+            orphan_mpesa_receipts: orphanReceipts,
+            mpesa_missing_from_statement: missing(mpesa.pairs, 'mpesa'),
+            card_missing_from_settlement: missing(card.pairs, 'card'),
+            unmatched_card_settlements: card.orphans.map(line => ({
+                date: line.line_date, auth_code: line.reference, amount: line.amount, card: line.counterparty, terminal_id: line.terminal_id
+            })),
+            unpaid_sales: unpaidSales
+        };
+
+        return {
+            from,
+            to,
+            days,
+            flags,
+            summary: Object.fromEntries(Object.entries(flags).map(([name, rows]) => [name, rows.length]))
+        };
+    }
+};
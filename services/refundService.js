@@ -0,0 +1,303 @@
+import db from '../database/db.js';
+import { shiftService } from './shiftService.js';
+import { giftCardService } from './giftCardService.js';
+import { loyaltyService } from './loyaltyService.js';
+import { customerAccountService } from './customerAccountService.js';
+import { paymentProviders } from './paymentProviders/index.js';
+import { productionService } from './productionService.js';
+import { batchService } from './batchService.js';
+import { couponService } from './couponService.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const refundError = (message) => {
+    const error = new Error(message);
+    error.code = 'REFUND_INVALID';
+    return error;
+};
+
+// Original tenders are refunded non-cash first so the drawer is touched last;
+// on-account sales come off what the customer still owes. Other providers go with card.
+const REFUND_ORDER = ['account', 'store_credit', 'loyalty_points', 'gift_card', 'card', 'mpesa', 'cash'];
+const refundRank = (method) => REFUND_ORDER.includes(method) ? REFUND_ORDER.indexOf(method) : REFUND_ORDER.indexOf('card');
+
+const logMovement = (type, itemId, movementType, change, after, refundId, userId, notes = null) => {
+    db.prepare(`
+        INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, notes, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, 'refund', ?, ?)
+    `).run(type, itemId, movementType, change, after, refundId, notes, userId);
+};
+
+export const refundService = {
+
+    /**
+     * Work out what each requested line refunds. With no lines the whole
+     * remaining sale is refunded and restocked.
+     */
+    buildRefundLines: (sale, requested) => {
+        const saleItems = db.prepare('SELECT * FROM sale_items WHERE sale_id = ?').all(sale.id);
+
+        const wanted = requested?.length
+            ? requested
+            : saleItems
+                .filter(i => i.quantity - (i.refunded_quantity || 0) > 0)
+                .map(i => ({ sale_item_id: i.id, quantity: i.quantity - (i.refunded_quantity || 0), restock: true }));
+
+        if (wanted.length === 0) {
+            throw refundError('Nothing left to refund on this sale');
+        }
+
+        const ids = wanted.map(req => Number(req.sale_item_id));
+        if (new Set(ids).size !== ids.length) {
+            throw refundError('Each sale item can only appear once in a refund');
+        }
+
+        return wanted.map(req => {
+            const line = saleItems.find(i => i.id === Number(req.sale_item_id));
+            if (!line) {
+                throw refundError(`Item ${req.sale_item_id} is not part of sale #${sale.id}`);
+            }
+
+            const remaining = line.quantity - (line.refunded_quantity || 0);
+            if (req.quantity > remaining) {
+                throw refundError(`Only ${remaining} of ${line.product_name} can still be refunded`);
+            }
+
+            // Lines sold before per-line tax carry no line_total; apply the sale discount instead
+            const lineTotal = line.line_total ?? line.subtotal * (1 - (sale.discount_percent || 0) / 100);
+            const lineTax = line.tax_amount || 0;
+
+            let amount, taxAmount;
+            if (req.quantity === remaining) {
+                // Last units take whatever is left so rounding never drifts
+                const previous = db.prepare(`
+                    SELECT COALESCE(SUM(amount), 0) as amount, COALESCE(SUM(tax_amount), 0) as tax_amount
+                    FROM refund_items WHERE sale_item_id = ?
+                `).get(line.id);
+                amount = roundMoney(lineTotal - previous.amount);
+                taxAmount = roundMoney(lineTax - previous.tax_amount);
+            } else {
+                amount = roundMoney(lineTotal * req.quantity / line.quantity);
+                taxAmount = roundMoney(lineTax * req.quantity / line.quantity);
+            }
+
+            return { line, quantity: req.quantity, restock: req.restock !== false, amount, tax_amount: taxAmount };
+        });
+    },
+
+    /**
+     * Put refunded units back on the shelf in a batch of their own (or write
+     * them off) and return the raw materials their recipe consumed at sale time.
+     */
+    reverseInventory: (refundLine, refundId, userId) => {
+        const { line, quantity, restock } = refundLine;
+
+        let inventory = db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(line.product_id);
+        if (!inventory) {
+            db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 0)').run(line.product_id);
+            inventory = { quantity: 0 };
+        }
+
+        const restocked = inventory.quantity + quantity;
+        db.prepare('UPDATE inventory_finished SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE product_id = ?')
+            .run(restocked, line.product_id);
+        logMovement('finished', line.product_id, 'refund', quantity, restocked, refundId, userId);
+
+        if (restock) {
+            // Back in a batch, so it is sold in expiry order and can be recalled: it
+            // keeps the soonest expiry of the batches the sale took it from, or
+            // gets a fresh shelf life when it didn't come out of one
+            const soldFrom = db.prepare(`
+                SELECT b.expiry_date FROM inventory_batch_movements m
+                JOIN inventory_batches b ON m.batch_id = b.id
+                WHERE m.reference_type = 'sale' AND m.reference_id = ? AND b.type = 'finished' AND b.item_id = ?
+                ORDER BY b.expiry_date IS NULL, b.expiry_date
+                LIMIT 1
+            `).get(line.sale_id, line.product_id);
+            batchService.receive('finished', line.product_id, {
+                quantity,
+                expiry_date: soldFrom?.expiry_date || null,
+                batch_number: `RFD-${refundId}`,
+                source_type: 'refund',
+                source_id: refundId,
+                user_id: userId
+            });
+        } else {
+            // Returned but not sellable: book it straight out as waste
+            db.prepare('UPDATE inventory_finished SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE product_id = ?')
+                .run(inventory.quantity, line.product_id);
+            logMovement('finished', line.product_id, 'waste', -quantity, inventory.quantity, refundId, userId, 'Refunded item written off');
+        }
+
+        // Worked out as the sale did: the effective recipe and the modifiers the line was sold with
+        const modifierIds = db.prepare('SELECT modifier_id FROM sale_item_modifiers WHERE sale_item_id = ? AND modifier_id IS NOT NULL')
+            .all(line.id).map(m => m.modifier_id);
+        for (const [ingredientId, perUnit] of productionService.getIngredientUsage(line.product_id, modifierIds)) {
+            const raw = db.prepare('SELECT quantity FROM inventory_raw WHERE ingredient_id = ?').get(ingredientId);
+            if (!raw) continue;
+
+            const returned = perUnit * quantity;
+            const newRawQuantity = raw.quantity + returned;
+            db.prepare('UPDATE inventory_raw SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE ingredient_id = ?')
+                .run(newRawQuantity, ingredientId);
+            logMovement('raw', ingredientId, 'refund', returned, newRawQuantity, refundId, userId);
+        }
+    },
+
+    /**
+     * Split the refund across the sale's completed tenders, less anything
+     * already refunded to them.
+     */
+    allocateToTenders: (saleId, amount) => {
+        const payments = db.prepare(`
+            SELECT p.id, p.method, p.amount,
+                   COALESCE((SELECT SUM(rp.amount) FROM refund_payments rp WHERE rp.payment_id = p.id AND rp.status != 'failed'), 0) as refunded
+            FROM payments p
+            WHERE p.sale_id = ? AND p.status = 'completed'
+        `).all(saleId);
+
+        payments.sort((a, b) => refundRank(a.method) - refundRank(b.method));
+
+        let outstanding = amount;
+        const allocations = [];
+        for (const payment of payments) {
+            if (outstanding <= 0) break;
+            const available = roundMoney(payment.amount - payment.refunded);
+            if (available <= 0) continue;
+
+            const share = roundMoney(Math.min(available, outstanding));
+            allocations.push({ payment_id: payment.id, method: payment.method, amount: share });
+            outstanding = roundMoney(outstanding - share);
+        }
+
+        if (outstanding > 0) {
+            throw refundError(`Only KES ${roundMoney(amount - outstanding)} was paid on this sale; refund the rest to store credit`);
+        }
+        return allocations;
+    },
+
+    /**
+     * Refund some or all of a sale. Stock, raw materials, tenders and the sale
+     * status are all updated in one transaction; refunding the last of a sale
+     * also gives back its coupon use. Returns null if the sale is unknown or
+     * was rung up in another company than the user's.
+     */
+    refundSale: (saleId, { items, refund_to = 'original', reason, customer_id, mpesa_phone, user, approver }) => {
+        const transaction = db.transaction(() => {
+            const sale = db.prepare(`
+                SELECT s.* FROM sales s
+                JOIN users u ON s.cashier_id = u.id
+                WHERE s.id = ? AND u.company_id = ?
+            `).get(saleId, user.company_id || 1);
+            if (!sale) return null;
+            if (!['completed', 'partial_refund'].includes(sale.status)) {
+                throw refundError(`Sale is ${sale.status.replace('_', ' ')} and cannot be refunded`);
+            }
+
+            const lines = refundService.buildRefundLines(sale, items);
+            const amount = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+            const taxAmount = roundMoney(lines.reduce((sum, l) => sum + l.tax_amount, 0));
+
+            const shift = shiftService.getOpenShift(user.id);
+            const refundResult = db.prepare(`
+                INSERT INTO refunds (sale_id, refund_to, amount, tax_amount, reason, approved_by, created_by, shift_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(sale.id, refund_to, amount, taxAmount, reason || null, approver.id, user.id, shift?.id ?? null);
+            const refundId = refundResult.lastInsertRowid;
+
+            for (const refundLine of lines) {
+                db.prepare(`
+                    INSERT INTO refund_items (refund_id, sale_item_id, product_id, product_name, quantity, amount, tax_amount, restocked)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(refundId, refundLine.line.id, refundLine.line.product_id, refundLine.line.product_name,
+                    refundLine.quantity, refundLine.amount, refundLine.tax_amount, refundLine.restock ? 1 : 0);
+
+                db.prepare('UPDATE sale_items SET refunded_quantity = COALESCE(refunded_quantity, 0) + ? WHERE id = ?')
+                    .run(refundLine.quantity, refundLine.line.id);
+
+                refundService.reverseInventory(refundLine, refundId, user.id);
+            }
+
+            // Pay the money back
+            const allocations = refund_to === 'store_credit'
+                ? [{ payment_id: null, method: 'store_credit', amount }]
+                : refundService.allocateToTenders(sale.id, amount);
+
+            for (const allocation of allocations) {
+                if (allocation.method === 'store_credit' || allocation.method === 'account') {
+                    customerAccountService.creditRefund(sale.customer_id || customer_id, allocation.amount, {
+                        sale_id: sale.id, payment_id: allocation.payment_id, refund_id: refundId, user_id: user.id
+                    });
+                }
+                if (allocation.method === 'gift_card') {
+                    giftCardService.refundToCard(allocation.payment_id, allocation.amount, { refund_id: refundId, user_id: user.id });
+                }
+                if (allocation.method === 'loyalty_points') {
+                    loyaltyService.refundTender(allocation.payment_id, { refund_id: refundId, amount: allocation.amount, user_id: user.id });
+                }
+                // Provider tenders stay pending until the provider says the money went back
+                const provider = paymentProviders.get(allocation.method);
+                const refundPayment = db.prepare(`
+                    INSERT INTO refund_payments (refund_id, payment_id, method, amount, status)
+                    VALUES (?, ?, ?, ?, ?)
+                `).run(refundId, allocation.payment_id, allocation.method, allocation.amount, provider ? 'pending' : 'completed');
+
+                if (provider) {
+                    const refundStatus = provider.refund({
+                        payment: db.prepare('SELECT * FROM payments WHERE id = ?').get(allocation.payment_id),
+                        amount: allocation.amount,
+                        refund_payment_id: refundPayment.lastInsertRowid,
+                        phone: mpesa_phone,
+                        user
+                    });
+                    if (refundStatus !== 'pending') {
+                        db.prepare('UPDATE refund_payments SET status = ? WHERE id = ?').run(refundStatus, refundPayment.lastInsertRowid);
+                    }
+                }
+            }
+
+            // Points earned on the refunded goods are taken back
+            loyaltyService.reverseEarn(sale, amount, { refund_id: refundId, user_id: user.id });
+
+            const { outstanding } = db.prepare(`
+                SELECT COALESCE(SUM(quantity - COALESCE(refunded_quantity, 0)), 0) as outstanding
+                FROM sale_items WHERE sale_id = ?
+            `).get(sale.id);
+            const status = outstanding > 0 ? 'partial_refund' : 'refunded';
+            db.prepare('UPDATE sales SET status = ? WHERE id = ?').run(status, sale.id);
+            // Nothing of the sale is kept, so neither is its coupon use
+            if (status === 'refunded') couponService.release(sale.id);
+
+            return refundId;
+        });
+
+        const refundId = transaction();
+        return refundId ? refundService.getRefund(refundId) : null;
+    },
+
+    getRefund: (id) => {
+        const refund = db.prepare(`
+            SELECT r.*, a.full_name as approved_by_name, u.full_name as created_by_name, s.status as sale_status, s.receipt_number
+            FROM refunds r
+            LEFT JOIN users a ON r.approved_by = a.id
+            LEFT JOIN users u ON r.created_by = u.id
+            LEFT JOIN sales s ON r.sale_id = s.id
+            WHERE r.id = ?
+        `).get(id);
+        if (!refund) return null;
+
+        refund.items = db.prepare('SELECT * FROM refund_items WHERE refund_id = ?').all(id);
+        refund.payments = db.prepare(`
+            SELECT rp.*, d.id as disbursement_id, d.status as disbursement_status, d.mpesa_receipt as disbursement_receipt
+            FROM refund_payments rp
+            LEFT JOIN mpesa_disbursements d ON d.refund_payment_id = rp.id
+            WHERE rp.refund_id = ?
+        `).all(id);
+        return refund;
+    },
+
+    getRefundsForSale: (saleId) => {
+        const ids = db.prepare('SELECT id FROM refunds WHERE sale_id = ? ORDER BY created_at ASC').all(saleId);
+        return ids.map(r => refundService.getRefund(r.id));
+    }
+};
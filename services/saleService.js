@@ -0,0 +1,639 @@
+import db from '../database/db.js';
+import { formatMpesaPhone } from './mpesaService.js';
+import { heldCartService } from './heldCartService.js';
+import { taxService } from './taxService.js';
+import { shiftService } from './shiftService.js';
+import { promotionService } from './promotionService.js';
+import { couponService } from './couponService.js';
+import { giftCardService } from './giftCardService.js';
+import { loyaltyService } from './loyaltyService.js';
+import { customerAccountService } from './customerAccountService.js';
+import { receiptNumberService } from './receiptNumberService.js';
+import { variantService } from './variantService.js';
+import { modifierService } from './modifierService.js';
+import { productionService } from './productionService.js';
+import { batchService } from './batchService.js';
+import { stocktakeService } from './stocktakeService.js';
+import { paymentProviders } from './paymentProviders/index.js';
+
+// Tenders kept on the shop's own books. Anything else is paid through a provider
+// (services/paymentProviders), whose async ones are confirmed after the sale is saved.
+export const INTERNAL_TENDERS = ['cash', 'store_credit', 'gift_card', 'loyalty_points', 'account'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// A cart or its tenders the client got wrong (400), or a sale in the wrong state (409)
+const saleError = (message, code = 'SALE_INVALID') => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Unpaid sales left this long with nothing pending are cancelled (PENDING_SALE_TIMEOUT_MINUTES, 0 turns it off)
+const DEFAULT_PENDING_SALE_TIMEOUT_MINUTES = 30;
+
+export const LINE_DISCOUNT_TYPES = ['percent', 'fixed'];
+
+export const saleService = {
+
+    /**
+     * Largest reduction below list price (as a % of the line) a role may give without approval
+     */
+    getDiscountCap: (role) => {
+        const cap = db.prepare('SELECT max_discount_percent FROM role_discount_caps WHERE role = ?').get(role);
+        return cap ? cap.max_discount_percent : 0;
+    },
+
+    /**
+     * The cashier's own changes to a line: a manual price override and/or a line discount
+     */
+    manualPrice: (product, item) => {
+        const listPrice = product.price;
+        const unitPrice = item.price !== undefined && item.price !== null ? Number(item.price) : listPrice;
+        const isOverride = unitPrice !== listPrice;
+        const base = unitPrice * item.qty;
+
+        let lineDiscount = 0;
+        if (item.discount_type === 'percent') {
+            lineDiscount = base * (Number(item.discount_value) / 100);
+        } else if (item.discount_type === 'fixed') {
+            lineDiscount = Number(item.discount_value);
+        }
+        lineDiscount = Math.min(Math.max(lineDiscount, 0), base);
+
+        if ((isOverride || lineDiscount > 0) && !item.reason) {
+            throw saleError(`A reason is required for the price override or discount on ${product.name}`);
+        }
+
+        return { listPrice, unitPrice, isOverride, base, lineDiscount };
+    },
+
+    /**
+     * Price one cart line: manual price override, then the line discount, then any
+     * promotion discount, then the cart-wide discount. Manual reductions beyond the
+     * cashier's role cap need an approver whose own cap covers them; promotions
+     * don't count towards the cap.
+     */
+    priceLine: (product, item, { discount_percent, cashierRole, approver, promotion_discount = 0 }) => {
+        const { listPrice, unitPrice, isOverride, base, lineDiscount } = saleService.manualPrice(product, item);
+
+        const cartDiscount = (base - lineDiscount - promotion_discount) * (discount_percent / 100);
+        const discountAmount = roundMoney(lineDiscount + promotion_discount + cartDiscount);
+
+        // Effective manual reduction against list price, whatever combination produced it
+        const listAmount = listPrice * item.qty;
+        const manualReduction = listAmount - base + lineDiscount + cartDiscount;
+        const reduction = listAmount > 0 ? roundMoney(manualReduction / listAmount * 100) : 0;
+
+        let approvedBy = null;
+        const cashierCap = saleService.getDiscountCap(cashierRole);
+        if (reduction > cashierCap) {
+            if (!approver || reduction > saleService.getDiscountCap(approver.role)) {
+                const error = new Error(`${reduction}% off ${product.name} is over the ${cashierRole} limit of ${cashierCap}%. Manager approval required`);
+                error.code = 'APPROVAL_REQUIRED';
+                throw error;
+            }
+            approvedBy = approver.id;
+        }
+
+        return {
+            list_price: listPrice,
+            unit_price: unitPrice,
+            subtotal: base,
+            discount_amount: discountAmount,
+            line_discount_type: lineDiscount > 0 ? item.discount_type : null,
+            line_discount_value: lineDiscount > 0 ? Number(item.discount_value) : null,
+            override_reason: isOverride || lineDiscount > 0 ? item.reason : null,
+            approved_by: approvedBy,
+            promotion_discount: roundMoney(promotion_discount),
+            is_override: isOverride
+        };
+    },
+
+    /**
+     * Check that the tenders cover the sale total and work out the change.
+     * Only cash may exceed what is owed — card, M-Pesa and store credit are
+     * charged exactly, and the change can never be more than the cash handed over.
+     */
+    allocateTenders: (total, tenders) => {
+        const amountTendered = roundMoney(tenders.reduce((sum, t) => sum + Number(t.amount), 0));
+        const cashTendered = roundMoney(tenders.filter(t => t.method === 'cash').reduce((sum, t) => sum + Number(t.amount), 0));
+        const nonCash = roundMoney(amountTendered - cashTendered);
+
+        if (nonCash > total) {
+            throw saleError(`Non-cash tenders (KES ${nonCash}) exceed the sale total (KES ${total})`);
+        }
+        if (amountTendered < total) {
+            throw saleError(`Tenders (KES ${amountTendered}) do not cover the sale total (KES ${total})`);
+        }
+
+        const change = roundMoney(amountTendered - total);
+        const lines = tenders
+            .filter(t => t.method !== 'cash')
+            .map(t => ({
+                method: t.method,
+                amount: roundMoney(Number(t.amount)),
+                phone: t.phone ? formatMpesaPhone(t.phone) : null,
+                reference: t.method === 'gift_card' ? giftCardService.normalizeNumber(t.card_number) : (t.reference || null),
+                status: paymentProviders.get(t.method)?.async ? 'pending' : 'completed'
+            }));
+
+        // Cash tenders collapse into one payment for the amount actually kept in the till
+        const cashKept = roundMoney(cashTendered - change);
+        if (cashKept > 0) {
+            lines.unshift({ method: 'cash', amount: cashKept, phone: null, reference: null, status: 'completed' });
+        }
+
+        return { lines, amountTendered, change };
+    },
+
+    /**
+     * Price a cart exactly as createSale would — stock checks, manual prices, role
+     * caps, promotions, coupon and VAT — without saving anything. Call inside a
+     * transaction when the result is about to be written.
+     */
+    priceCart: (data) => {
+        const { items, discount_percent, customer_id, cashier_role, approver, held_cart_id, company_id = 1, coupon_code, gift_cards = [] } = data;
+
+        // Calculate totals
+        let subtotal = 0;
+        const saleItems = [];
+        const pricesIncludeTax = taxService.pricesIncludeTax();
+
+        // The cart being checked out doesn't hold stock back from itself, but only
+        // an open cart of the cashier's own company can be checked out
+        if (held_cart_id) {
+            const cart = heldCartService.getCart(held_cart_id, company_id);
+            if (!cart) {
+                throw saleError(`Held cart ${held_cart_id} not found`);
+            }
+            if (!['held', 'resumed'].includes(cart.status)) {
+                throw saleError(`Held cart ${held_cart_id} is already ${cart.status}`);
+            }
+        }
+
+        const lines = [];
+        // The same product can be on several lines, e.g. with different modifiers
+        const requested = new Map();
+        for (const item of items) {
+            if (!Number.isInteger(item.qty) || item.qty <= 0) {
+                throw saleError('Each item needs a quantity that is a whole number greater than 0');
+            }
+            const row = db.prepare('SELECT * FROM products WHERE id = ?').get(item.id);
+            if (!row) {
+                throw saleError(`Product ${item.id} not found`);
+            }
+            if (variantService.hasVariants(row.id)) {
+                const error = new Error(`Choose a variant of ${row.name}`);
+                error.code = 'VARIANT_INVALID';
+                throw error;
+            }
+
+            // Modifiers are part of the line's list price
+            const selection = modifierService.resolveSelection(row, item.modifiers || []);
+            const product = { ...row, price: roundMoney(row.price + selection.price_delta) };
+
+            if (stocktakeService.isFrozen(item.id)) {
+                const error = new Error(`${product.name} is being counted; it can be sold again once the stocktake is posted`);
+                error.code = 'STOCKTAKE_FROZEN';
+                throw error;
+            }
+
+            // Check stock availability, less expired batches and what other held carts have reserved
+            const inventory = db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(item.id);
+            const available = (inventory?.quantity || 0) - batchService.getExpiredQuantity('finished', item.id)
+                - heldCartService.getReservedQuantity(item.id, held_cart_id);
+            const required = (requested.get(row.id) || 0) + item.qty;
+            requested.set(row.id, required);
+            if (!inventory || available < required) {
+                throw saleError(`Insufficient stock for ${product.name}. Available: ${available}, Required: ${required}`);
+            }
+
+            lines.push({ product, item, modifiers: selection.modifiers, manual: saleService.manualPrice(product, item) });
+        }
+
+        // A coupon runs as one more promotion after the store's own
+        const coupon = coupon_code ? couponService.getRedeemableCoupon(coupon_code, customer_id, company_id) : null;
+        const activePromotions = promotionService.getActivePromotions();
+        if (coupon) activePromotions.push(couponService.asPromotion(coupon));
+
+        const promotions = promotionService.applyPromotions(lines.map(({ product, item, manual }) => ({
+            product_id: product.id,
+            category_id: product.category_id,
+            quantity: item.qty,
+            unit_price: manual.unitPrice,
+            amount: manual.base - manual.lineDiscount,
+            adjusted: manual.isOverride || manual.lineDiscount > 0
+        })), activePromotions);
+
+        const couponDiscount = roundMoney(promotions.flat().filter(p => p.coupon_id).reduce((sum, p) => sum + p.amount, 0));
+        if (coupon && couponDiscount <= 0) {
+            const error = new Error(`Coupon ${coupon.code} does not apply to anything in this cart`);
+            error.code = 'COUPON_INVALID';
+            throw error;
+        }
+
+        for (const [index, { product, item, modifiers }] of lines.entries()) {
+            const promotion_discount = promotions[index].reduce((sum, p) => sum + p.amount, 0);
+            const pricing = saleService.priceLine(product, item, { discount_percent, cashierRole: cashier_role, approver, promotion_discount });
+            subtotal += pricing.subtotal;
+
+            const tax = taxService.computeLine(pricing.subtotal - pricing.discount_amount, product.tax_class, pricesIncludeTax);
+
+            saleItems.push({
+                product_id: product.id,
+                product_name: product.name,
+                quantity: item.qty,
+                ...pricing,
+                tax_class: tax.tax_class,
+                tax_rate: tax.tax_rate,
+                tax_amount: tax.tax_amount,
+                line_total: tax.gross,
+                promotions: promotions[index],
+                modifiers
+            });
+        }
+
+        // Gift card value is stored money, not goods: no discount and no VAT
+        const giftCardTotal = roundMoney(gift_cards.reduce((sum, g) => sum + Number(g.amount), 0));
+        subtotal = roundMoney(subtotal + giftCardTotal);
+
+        const discount_amount = roundMoney(saleItems.reduce((sum, i) => sum + i.discount_amount, 0));
+        const tax_amount = roundMoney(saleItems.reduce((sum, i) => sum + i.tax_amount, 0));
+        const total = roundMoney(saleItems.reduce((sum, i) => sum + i.line_total, 0) + giftCardTotal);
+
+        return { saleItems, subtotal, discount_amount, tax_amount, total, coupon, couponDiscount, giftCardTotal };
+    },
+
+    /**
+     * Create a sale, deduct finished goods and recipe ingredients, and record its
+     * tenders. Without tenders the sale is completed and paid through /api/payments
+     * as before; with tenders it stays pending_payment until async ones confirm.
+     * Stock soft-reserved by other held carts is not available to this sale.
+     * `gift_cards` sells new cards or tops up existing ones as untaxed lines.
+     * VAT is worked out per line on the discounted amount, extracted from or added
+     * to the price depending on the store's prices_include_tax setting.
+     */
+    createSale: (data) => {
+        const { discount_percent, customer_id, cashier_id, tenders, held_cart_id, company_id = 1, gift_cards = [], terminal_id = null, idempotency_key = null } = data;
+
+        const transaction = db.transaction(() => {
+            const { saleItems, subtotal, discount_amount, tax_amount, total, coupon, couponDiscount, giftCardTotal } = saleService.priceCart(data);
+            if (giftCardTotal > 0 && tenders?.some(t => t.method === 'gift_card')) {
+                throw saleError('Gift cards cannot be bought with a gift card');
+            }
+
+            let allocation = null;
+            if (tenders) {
+                allocation = saleService.allocateTenders(total, tenders);
+            }
+            const status = allocation?.lines.some(l => l.status === 'pending') ? 'pending_payment' : 'completed';
+
+            // Tie the sale to the cashier's open till session, if any
+            const shift = shiftService.getOpenShift(cashier_id);
+
+            // Numbered in the same transaction so a failed sale doesn't use up a number.
+            // Sales put on a customer's account also get an invoice number.
+            const receiptNumber = receiptNumberService.allocate('receipt', terminal_id);
+            const invoiceNumber = tenders?.some(t => t.method === 'account') ? receiptNumberService.allocate('invoice', terminal_id) : null;
+
+            // Insert sale
+            const saleResult = db.prepare(`
+        INSERT INTO sales (customer_id, subtotal, discount_percent, discount_amount, tax_amount, total, amount_tendered, change_due, status, cashier_id, shift_id, terminal_id, idempotency_key,
+                           receipt_number, invoice_number)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(customer_id, subtotal, discount_percent, discount_amount, tax_amount, total,
+                allocation ? allocation.amountTendered : null, allocation ? allocation.change : 0, status, cashier_id, shift?.id ?? null, terminal_id, idempotency_key,
+                receiptNumber, invoiceNumber);
+
+            const saleId = saleResult.lastInsertRowid;
+
+            // Insert sale items and deduct inventory
+            for (const saleItem of saleItems) {
+                // Insert sale item
+                const saleItemResult = db.prepare(`
+          INSERT INTO sale_items (sale_id, product_id, product_name, quantity, unit_price, subtotal, discount_amount, tax_class, tax_rate, tax_amount, line_total,
+                                  list_price, line_discount_type, line_discount_value, override_reason, approved_by, promotion_discount)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(saleId, saleItem.product_id, saleItem.product_name, saleItem.quantity, saleItem.unit_price, saleItem.subtotal,
+                    saleItem.discount_amount, saleItem.tax_class, saleItem.tax_rate, saleItem.tax_amount, saleItem.line_total,
+                    saleItem.list_price, saleItem.line_discount_type, saleItem.line_discount_value, saleItem.override_reason, saleItem.approved_by,
+                    saleItem.promotion_discount);
+                const saleItemId = saleItemResult.lastInsertRowid;
+
+                for (const promotion of saleItem.promotions) {
+                    db.prepare(`
+            INSERT INTO sale_item_promotions (sale_id, sale_item_id, promotion_id, coupon_id, promotion_name, discount_amount)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `).run(saleId, saleItemId, promotion.promotion_id, promotion.coupon_id, promotion.promotion_name, promotion.amount);
+                }
+
+                // Deduct finished goods inventory
+                const currentInventory = db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(saleItem.product_id);
+                const newQuantity = currentInventory.quantity - saleItem.quantity;
+
+                db.prepare('UPDATE inventory_finished SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE product_id = ?')
+                    .run(newQuantity, saleItem.product_id);
+                batchService.consume('finished', saleItem.product_id, saleItem.quantity, { movement_type: 'sale', reference_id: saleId, reference_type: 'sale' });
+
+                // Log inventory movement
+                db.prepare(`
+          INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run('finished', saleItem.product_id, 'sale', -saleItem.quantity, newQuantity, saleId, 'sale', cashier_id);
+
+                for (const modifier of saleItem.modifiers) {
+                    db.prepare(`
+            INSERT INTO sale_item_modifiers (sale_id, sale_item_id, modifier_id, group_name, modifier_name, price_delta)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `).run(saleId, saleItemId, modifier.modifier_id, modifier.group_name, modifier.modifier_name, modifier.price_delta);
+                }
+
+                // Deduct raw materials based on recipe, plus or minus what the modifiers change
+                const perUnit = productionService.getIngredientUsage(saleItem.product_id, saleItem.modifiers.map(m => m.modifier_id));
+                for (const [ingredientId, quantityRequired] of perUnit) {
+                    const totalIngredientNeeded = quantityRequired * saleItem.quantity;
+                    const currentRawInventory = db.prepare('SELECT quantity FROM inventory_raw WHERE ingredient_id = ?').get(ingredientId);
+
+                    if (currentRawInventory) {
+                        const newRawQuantity = currentRawInventory.quantity - totalIngredientNeeded;
+
+                        db.prepare('UPDATE inventory_raw SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE ingredient_id = ?')
+                            .run(newRawQuantity, ingredientId);
+                        batchService.consume('raw', ingredientId, totalIngredientNeeded, { movement_type: 'sale', reference_id: saleId, reference_type: 'sale' });
+
+                        // Log raw material movement
+                        db.prepare(`
+              INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run('raw', ingredientId, 'sale', -totalIngredientNeeded, newRawQuantity, saleId, 'sale', cashier_id);
+                    }
+                }
+            }
+
+            // Record tenders
+            const payments = [];
+            for (const line of allocation?.lines || []) {
+                const paymentResult = db.prepare(`
+          INSERT INTO payments (sale_id, method, amount, reference, mpesa_phone, status)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(saleId, line.method, line.amount, line.reference, line.phone, line.status);
+
+                if (line.method === 'gift_card') {
+                    giftCardService.redeem(line.reference, line.amount, { sale_id: saleId, payment_id: paymentResult.lastInsertRowid, user_id: cashier_id, company_id });
+                }
+                if (line.method === 'store_credit') {
+                    customerAccountService.useStoreCredit(customer_id, line.amount, { sale_id: saleId, payment_id: paymentResult.lastInsertRowid, user_id: cashier_id });
+                }
+                if (line.method === 'account') {
+                    customerAccountService.chargeSale(customer_id, line.amount, { sale_id: saleId, payment_id: paymentResult.lastInsertRowid, user_id: cashier_id });
+                }
+                if (line.method === 'loyalty_points') {
+                    line.points = loyaltyService.redeem(customer_id, line.amount, { sale_id: saleId, payment_id: paymentResult.lastInsertRowid, user_id: cashier_id });
+                }
+
+                payments.push({ id: paymentResult.lastInsertRowid, ...line });
+            }
+
+            const giftCardsSold = gift_cards.map(giftCard => giftCardService.sellCard(giftCard, {
+                sale_id: saleId,
+                paid: status === 'completed',
+                user_id: cashier_id,
+                company_id
+            }));
+
+            if (held_cart_id) {
+                heldCartService.completeCart(held_cart_id, saleId, company_id);
+            }
+
+            if (coupon) {
+                couponService.redeem(coupon, { sale_id: saleId, customer_id, discount_amount: couponDiscount, user_id: cashier_id });
+            }
+
+            // Pending sales earn their points in settleSale once paid
+            const loyalty = status === 'completed' ? loyaltyService.earnForSale(saleId, cashier_id) : null;
+
+            return {
+                saleId,
+                receipt_number: receiptNumber,
+                invoice_number: invoiceNumber,
+                subtotal,
+                discount_amount,
+                tax_amount,
+                total,
+                status,
+                shift_id: shift?.id ?? null,
+                gift_cards: giftCardsSold,
+                loyalty,
+                coupon: coupon ? { id: coupon.id, code: coupon.code, discount_amount: couponDiscount } : null,
+                promotions: saleItems.flatMap(i => i.promotions.map(p => ({ product_id: i.product_id, ...p }))),
+                overrides: saleItems.filter(i => i.override_reason).map(i => ({
+                    product_id: i.product_id,
+                    product_name: i.product_name,
+                    list_price: i.list_price,
+                    unit_price: i.unit_price,
+                    line_discount_type: i.line_discount_type,
+                    line_discount_value: i.line_discount_value,
+                    reason: i.override_reason,
+                    approved_by: i.approved_by
+                })),
+                amount_tendered: allocation?.amountTendered ?? null,
+                change: allocation?.change ?? 0,
+                payments
+            };
+        });
+
+        return transaction();
+    },
+
+    /**
+     * Move a pending_payment sale to completed once every tender has confirmed
+     * and the completed payments cover the total. Returns the sale's status.
+     */
+    settleSale: (saleId) => {
+        const sale = db.prepare('SELECT id, total, status FROM sales WHERE id = ?').get(saleId);
+        if (!sale) return null;
+        if (sale.status !== 'pending_payment') return sale.status;
+
+        const { paid, pending } = db.prepare(`
+            SELECT
+                COALESCE(SUM(CASE WHEN status = 'completed' THEN amount END), 0) as paid,
+                COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending
+            FROM payments WHERE sale_id = ?
+        `).get(saleId);
+
+        if (pending === 0 && roundMoney(paid) >= sale.total) {
+            db.transaction(() => {
+                db.prepare("UPDATE sales SET status = 'completed' WHERE id = ?").run(saleId);
+                giftCardService.activateForSale(saleId);
+                loyaltyService.earnForSale(saleId);
+            })();
+            return 'completed';
+        }
+        return sale.status;
+    },
+
+    /**
+     * Cancel a pending_payment sale whose payment failed or never came: stock and
+     * raw materials go back (into the batches they came from), internal tenders
+     * (gift card, store credit, points, account) are given back, the coupon use is
+     * released and gift card loads waiting on the sale are dropped. Cash taken is
+     * handed back at the till. Refused while a provider payment is still pending,
+     * or once one has been paid: finish taking payment and refund instead.
+     * Returns null if the sale is unknown, or was rung up in another company
+     * than company_id when one is given.
+     */
+    cancelSale: (saleId, { user_id = null, company_id = null, reason = null } = {}) => {
+        const transaction = db.transaction(() => {
+            const sale = company_id === null
+                ? db.prepare('SELECT * FROM sales WHERE id = ?').get(saleId)
+                : db.prepare(`
+                    SELECT s.* FROM sales s
+                    JOIN users u ON s.cashier_id = u.id
+                    WHERE s.id = ? AND u.company_id = ?
+                `).get(saleId, company_id);
+            if (!sale) return null;
+            if (sale.status !== 'pending_payment') {
+                throw saleError(`Sale is ${sale.status.replace('_', ' ')}; only sales waiting for payment can be cancelled`, 'SALE_CONFLICT');
+            }
+
+            const payments = db.prepare('SELECT * FROM payments WHERE sale_id = ?').all(sale.id);
+            const waiting = payments.find(p => p.status === 'pending');
+            if (waiting) {
+                throw saleError(`Still waiting for the ${waiting.method} payment of KES ${waiting.amount}; cancel it or let it time out first`, 'SALE_CONFLICT');
+            }
+            const paid = payments.find(p => p.status === 'completed' && !INTERNAL_TENDERS.includes(p.method));
+            if (paid) {
+                throw saleError(`KES ${paid.amount} has already been paid by ${paid.method}; take the rest of the payment and refund the sale instead`, 'SALE_CONFLICT');
+            }
+
+            for (const payment of payments.filter(p => p.status === 'completed')) {
+                if (payment.method === 'gift_card') {
+                    giftCardService.refundToCard(payment.id, payment.amount, { refund_id: null, user_id });
+                }
+                if (payment.method === 'store_credit' || payment.method === 'account') {
+                    customerAccountService.creditRefund(sale.customer_id, payment.amount, { sale_id: sale.id, payment_id: payment.id, refund_id: null, user_id });
+                }
+                if (payment.method === 'loyalty_points') {
+                    loyaltyService.refundTender(payment.id, { refund_id: null, amount: payment.amount, user_id });
+                }
+            }
+            db.prepare("UPDATE payments SET status = 'cancelled' WHERE sale_id = ? AND status = 'completed'").run(sale.id);
+
+            // Everything the sale took off the shelf and out of the store room
+            const taken = db.prepare(`
+                SELECT type, item_id, -SUM(quantity_change) as quantity FROM inventory_logs
+                WHERE reference_type = 'sale' AND reference_id = ?
+                GROUP BY type, item_id
+                HAVING quantity > 0
+            `).all(sale.id);
+            for (const { type, item_id, quantity } of taken) {
+                const [table, key] = type === 'finished' ? ['inventory_finished', 'product_id'] : ['inventory_raw', 'ingredient_id'];
+                const current = db.prepare(`SELECT quantity FROM ${table} WHERE ${key} = ?`).get(item_id);
+                if (!current) continue;
+
+                const restored = current.quantity + quantity;
+                db.prepare(`UPDATE ${table} SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE ${key} = ?`).run(restored, item_id);
+                db.prepare(`
+                    INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, notes, created_by)
+                    VALUES (?, ?, 'sale', ?, ?, ?, 'sale', 'Sale cancelled', ?)
+                `).run(type, item_id, quantity, restored, sale.id, user_id);
+            }
+            batchService.restore('sale', sale.id, { movement_type: 'sale_cancelled' });
+
+            couponService.release(sale.id);
+            giftCardService.cancelForSale(sale.id);
+
+            db.prepare("UPDATE sales SET status = 'cancelled', cancelled_by = ?, cancel_reason = ? WHERE id = ?").run(user_id, reason, sale.id);
+            return db.prepare('SELECT * FROM sales WHERE id = ?').get(sale.id);
+        });
+
+        return transaction();
+    },
+
+    /**
+     * Cancel pending_payment sales left with nothing still pending (every provider
+     * payment failed or timed out) for longer than PENDING_SALE_TIMEOUT_MINUTES.
+     * Returns the ids cancelled.
+     */
+    cancelAbandoned: () => {
+        const minutes = Number(process.env.PENDING_SALE_TIMEOUT_MINUTES ?? DEFAULT_PENDING_SALE_TIMEOUT_MINUTES);
+        if (!minutes) return [];
+
+        // Partly paid through a provider is left for the cashier to finish
+        const abandoned = db.prepare(`
+            SELECT s.id FROM sales s
+            WHERE s.status = 'pending_payment' AND s.created_at <= DATETIME('now', ?)
+              AND NOT EXISTS (
+                  SELECT 1 FROM payments p WHERE p.sale_id = s.id
+                    AND (p.status = 'pending' OR (p.status = 'completed' AND p.method NOT IN (${INTERNAL_TENDERS.map(() => '?').join(', ')})))
+              )
+        `).all(`-${minutes} minutes`, ...INTERNAL_TENDERS);
+
+        return abandoned.map(({ id }) => {
+            saleService.cancelSale(id, { reason: `No payment after ${minutes} minutes` });
+            return id;
+        });
+    },
+
+    /**
+     * Sale, items and payments in the shape printerFormatter.generateReceipt expects
+     */
+    getSaleDetails: (saleId) => {
+        const sale = db.prepare(`
+        SELECT s.*, u.username as user_name
+        FROM sales s
+        LEFT JOIN users u ON s.cashier_id = u.id
+        WHERE s.id = ?
+    `).get(saleId);
+
+        const items = db.prepare(`
+        SELECT si.*, p.name as product_name, COALESCE(c.send_to_kitchen, 0) as send_to_kitchen
+        FROM sale_items si
+        LEFT JOIN products p ON si.product_id = p.id
+        LEFT JOIN categories c ON p.category_id = c.id
+        WHERE si.sale_id = ?
+    `).all(saleId);
+
+        if (sale) {
+            sale.payments = db.prepare("SELECT * FROM payments WHERE sale_id = ? AND status = 'completed'").all(saleId);
+        }
+
+        if (sale) {
+            sale.gift_cards = db.prepare(`
+                SELECT t.type, t.amount, g.id, g.card_number, g.expires_at
+                FROM gift_card_transactions t
+                JOIN gift_cards g ON t.gift_card_id = g.id
+                WHERE t.sale_id = ? AND t.type IN ('issue', 'top_up')
+            `).all(saleId);
+        }
+
+        if (sale?.customer_id) {
+            const entries = db.prepare("SELECT type, points FROM loyalty_ledger WHERE sale_id = ? AND type IN ('earn', 'redeem')").all(saleId);
+            const customer = db.prepare('SELECT loyalty_points, loyalty_tier FROM customers WHERE id = ?').get(sale.customer_id);
+            sale.loyalty = {
+                earned: entries.filter(e => e.type === 'earn').reduce((sum, e) => sum + e.points, 0),
+                redeemed: -entries.filter(e => e.type === 'redeem').reduce((sum, e) => sum + e.points, 0),
+                balance: customer?.loyalty_points ?? 0,
+                tier: customer?.loyalty_tier ?? null
+            };
+        }
+
+        const promotions = db.prepare('SELECT * FROM sale_item_promotions WHERE sale_id = ?').all(saleId);
+        const modifiers = db.prepare('SELECT * FROM sale_item_modifiers WHERE sale_id = ? ORDER BY id').all(saleId);
+        for (const item of items) {
+            item.promotions = promotions.filter(p => p.sale_item_id === item.id);
+            item.modifiers = modifiers.filter(m => m.sale_item_id === item.id);
+        }
+
+        return { sale, items };
+    },
+
+    /**
+     * Lines of a sale the kitchen makes: from categories marked send_to_kitchen,
+     * and anything ordered with modifiers
+     */
+    getKitchenLines: (items) => {
+        return items.filter(item => item.send_to_kitchen || item.modifiers?.length);
+    }
+};
@@ -0,0 +1,201 @@
+import db from '../database/db.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// The frozen Z report is only returned by getZReport
+const withoutSnapshot = (shift) => {
+    if (!shift) return shift;
+    const { z_report, ...rest } = shift;
+    return rest;
+};
+
+export const shiftService = {
+
+    getOpenShift: (cashierId) => {
+        return db.prepare("SELECT * FROM shifts WHERE cashier_id = ? AND status = 'open'").get(cashierId);
+    },
+
+    getShift: (id) => {
+        return withoutSnapshot(db.prepare(`
+            SELECT sh.*, u.full_name as cashier_name, cu.full_name as closed_by_name
+            FROM shifts sh
+            LEFT JOIN users u ON sh.cashier_id = u.id
+            LEFT JOIN users cu ON sh.closed_by = cu.id
+            WHERE sh.id = ?
+        `).get(id));
+    },
+
+    listShifts: ({ company_id, cashier_id, status, limit = 50, offset = 0 }) => {
+        let query = `
+            SELECT sh.*, u.full_name as cashier_name
+            FROM shifts sh
+            LEFT JOIN users u ON sh.cashier_id = u.id
+            WHERE sh.company_id = ?
+        `;
+        const params = [company_id];
+
+        if (cashier_id) {
+            query += ' AND sh.cashier_id = ?';
+            params.push(cashier_id);
+        }
+        if (status) {
+            query += ' AND sh.status = ?';
+            params.push(status);
+        }
+
+        query += ' ORDER BY sh.opened_at DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+        return db.prepare(query).all(...params).map(withoutSnapshot);
+    },
+
+    openShift: ({ user, device_id, opening_float }) => {
+        const transaction = db.transaction(() => {
+            const existing = shiftService.getOpenShift(user.id);
+            if (existing) {
+                throw new Error(`Shift #${existing.id} is already open for this cashier`);
+            }
+
+            const result = db.prepare(`
+                INSERT INTO shifts (company_id, cashier_id, device_id, opening_float)
+                VALUES (?, ?, ?, ?)
+            `).run(user.company_id || 1, user.id, device_id || null, roundMoney(opening_float));
+            return result.lastInsertRowid;
+        });
+
+        return shiftService.getShift(transaction());
+    },
+
+    /**
+     * Record cash leaving the drawer: a drop to the safe or a pay-out to a supplier/staff
+     */
+    addCashMovement: (shiftId, { type, amount, reason, user }) => {
+        const shift = db.prepare('SELECT status FROM shifts WHERE id = ?').get(shiftId);
+        if (!shift) return null;
+        if (shift.status !== 'open') {
+            throw new Error('Cash can only be moved on an open shift');
+        }
+
+        const result = db.prepare(`
+            INSERT INTO shift_cash_movements (shift_id, type, amount, reason, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(shiftId, type, roundMoney(amount), reason || null, user.id);
+
+        return db.prepare('SELECT * FROM shift_cash_movements WHERE id = ?').get(result.lastInsertRowid);
+    },
+
+    /**
+     * Sales, payments by method and cash movements for a shift. Expected cash is
+     * the opening float plus cash taken for sales and customer accounts, less
+     * cash refunds, drops and pay-outs.
+     */
+    getShiftSummary: (shiftId) => {
+        const shift = shiftService.getShift(shiftId);
+        if (!shift) return null;
+
+        const sales = db.prepare(`
+            SELECT
+                COUNT(*) as transactions,
+                COALESCE(SUM(total), 0) as gross_sales,
+                COALESCE(SUM(discount_amount), 0) as discounts,
+                COALESCE(SUM(tax_amount), 0) as tax,
+                COUNT(CASE WHEN status = 'pending_payment' THEN 1 END) as pending_payment
+            FROM sales WHERE shift_id = ? AND status != 'cancelled'
+        `).get(shiftId);
+
+        const payments = db.prepare(`
+            SELECT p.method, COUNT(*) as count, COALESCE(SUM(p.amount), 0) as total
+            FROM payments p
+            JOIN sales s ON p.sale_id = s.id
+            WHERE s.shift_id = ? AND p.status = 'completed'
+            GROUP BY p.method
+            ORDER BY p.method
+        `).all(shiftId);
+
+        const movements = db.prepare(`
+            SELECT m.*, u.full_name as created_by_name
+            FROM shift_cash_movements m
+            LEFT JOIN users u ON m.created_by = u.id
+            WHERE m.shift_id = ?
+            ORDER BY m.created_at ASC
+        `).all(shiftId);
+
+        const refunds = db.prepare(`
+            SELECT rp.method, COUNT(DISTINCT r.id) as count, COALESCE(SUM(rp.amount), 0) as total
+            FROM refund_payments rp
+            JOIN refunds r ON rp.refund_id = r.id
+            WHERE r.shift_id = ? AND rp.status = 'completed'
+            GROUP BY rp.method
+            ORDER BY rp.method
+        `).all(shiftId);
+
+        const accountPayments = db.prepare(`
+            SELECT method, COUNT(*) as count, COALESCE(-SUM(amount), 0) as total
+            FROM customer_ledger
+            WHERE shift_id = ? AND type = 'payment'
+            GROUP BY method
+            ORDER BY method
+        `).all(shiftId);
+
+        const cashSales = payments.find(p => p.method === 'cash')?.total || 0;
+        const cashAccountPayments = accountPayments.find(p => p.method === 'cash')?.total || 0;
+        const cashRefunds = refunds.find(r => r.method === 'cash')?.total || 0;
+        const drops = movements.filter(m => m.type === 'drop').reduce((sum, m) => sum + m.amount, 0);
+        const payouts = movements.filter(m => m.type === 'payout').reduce((sum, m) => sum + m.amount, 0);
+
+        return {
+            shift,
+            sales: { ...sales, gross_sales: roundMoney(sales.gross_sales), discounts: roundMoney(sales.discounts), tax: roundMoney(sales.tax) },
+            payments,
+            refunds,
+            account_payments: accountPayments,
+            movements,
+            cash: {
+                opening_float: shift.opening_float,
+                cash_sales: roundMoney(cashSales),
+                cash_account_payments: roundMoney(cashAccountPayments),
+                cash_refunds: roundMoney(cashRefunds),
+                drops: roundMoney(drops),
+                payouts: roundMoney(payouts),
+                expected_cash: roundMoney(shift.opening_float + cashSales + cashAccountPayments - cashRefunds - drops - payouts)
+            }
+        };
+    },
+
+    /**
+     * Close a shift against the counted drawer and freeze its Z report
+     */
+    closeShift: (shiftId, { counted_cash, notes, user }) => {
+        const transaction = db.transaction(() => {
+            const summary = shiftService.getShiftSummary(shiftId);
+            if (!summary) return null;
+            if (summary.shift.status !== 'open') {
+                throw new Error('Shift is already closed');
+            }
+
+            const expected = summary.cash.expected_cash;
+            const counted = roundMoney(counted_cash);
+            const overShort = roundMoney(counted - expected);
+
+            db.prepare(`
+                UPDATE shifts
+                SET status = 'closed', expected_cash = ?, counted_cash = ?, over_short = ?,
+                    notes = COALESCE(?, notes), closed_at = CURRENT_TIMESTAMP, closed_by = ?
+                WHERE id = ?
+            `).run(expected, counted, overShort, notes || null, user.id, shiftId);
+
+            const report = shiftService.getShiftSummary(shiftId);
+            report.cash.counted_cash = counted;
+            report.cash.over_short = overShort;
+
+            db.prepare('UPDATE shifts SET z_report = ? WHERE id = ?').run(JSON.stringify(report), shiftId);
+            return report;
+        });
+
+        return transaction();
+    },
+
+    getZReport: (shiftId) => {
+        const shift = db.prepare('SELECT z_report FROM shifts WHERE id = ?').get(shiftId);
+        return shift?.z_report ? JSON.parse(shift.z_report) : null;
+    }
+};
@@ -0,0 +1,51 @@
+import axios from 'axios';
+import { formatMpesaPhone } from './mpesaService.js';
+
+// Read lazily: route modules are imported before server.js calls dotenv.config()
+export function getSmsConfig() {
+    const environment = process.env.SMS_ENVIRONMENT || 'sandbox';
+    return {
+        username: process.env.SMS_USERNAME,
+        apiKey: process.env.SMS_API_KEY,
+        senderId: process.env.SMS_SENDER_ID,
+        environment,
+        baseUrl: environment === 'production'
+            ? 'https://api.africastalking.com'
+            : 'https://api.sandbox.africastalking.com'
+    };
+}
+
+export function isSmsConfigured() {
+    const config = getSmsConfig();
+    return Boolean(config.username && config.apiKey);
+}
+
+// Send one SMS through Africa's Talking. Resolves with the provider's message id.
+export async function sendSms(phone, message) {
+    const config = getSmsConfig();
+    if (!config.username || !config.apiKey) {
+        throw new Error('SMS is not configured (set SMS_USERNAME and SMS_API_KEY)');
+    }
+
+    const body = new URLSearchParams({
+        username: config.username,
+        to: `+${formatMpesaPhone(phone)}`,
+        message
+    });
+    if (config.senderId) body.append('from', config.senderId);
+
+    const response = await axios.post(`${config.baseUrl}/version1/messaging`, body.toString(), {
+        headers: {
+            apiKey: config.apiKey,
+            Accept: 'application/json',
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 15000
+    });
+
+    const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+    if (!recipient || recipient.status !== 'Success') {
+        throw new Error(recipient?.status || response.data?.SMSMessageData?.Message || 'SMS was not accepted');
+    }
+    return recipient.messageId;
+}
@@ -0,0 +1,291 @@
+import db from '../database/db.js';
+import { batchService } from './batchService.js';
+
+const stocktakeError = (message, code = 'STOCKTAKE_INVALID') => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const STOCK = {
+    raw: { table: 'inventory_raw', key: 'ingredient_id' },
+    finished: { table: 'inventory_finished', key: 'product_id' }
+};
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// The newest inventory_logs row: movements after it happened after a count
+const logPosition = () => db.prepare('SELECT COALESCE(MAX(id), 0) as id FROM inventory_logs').get().id;
+
+// What's in scope: active products of the category (not variant parents, whose
+// stock is on the variants), or every ingredient
+const scopeItems = (type, categoryId) => {
+    if (type === 'raw') {
+        return db.prepare(`
+            SELECT i.id, COALESCE(ir.quantity, 0) as quantity
+            FROM ingredients i LEFT JOIN inventory_raw ir ON ir.ingredient_id = i.id
+            ORDER BY i.name
+        `).all();
+    }
+    return db.prepare(`
+        SELECT p.id, COALESCE(inf.quantity, 0) as quantity
+        FROM products p LEFT JOIN inventory_finished inf ON inf.product_id = p.id
+        WHERE p.active = 1 ${categoryId ? 'AND p.category_id = ?' : ''}
+          AND NOT EXISTS (SELECT 1 FROM products v WHERE v.parent_id = p.id)
+        ORDER BY p.name
+    `).all(...(categoryId ? [categoryId] : []));
+};
+
+/**
+ * A line as it stands. A counted line is compared with the system quantity at
+ * its latest count: today's quantity less whatever moved since (sales during
+ * the count don't show up as shrinkage).
+ */
+const withVariance = (line) => {
+    const expected = line.counted_quantity === null
+        ? line.current_quantity
+        : roundQuantity(line.current_quantity - line.moved_since_count);
+    const variance = line.status === 'posted'
+        ? line.posted_variance
+        : (line.counted_quantity === null ? null : roundQuantity(line.counted_quantity - expected));
+    const { moved_since_count, unit_value, ...rest } = line;
+    return {
+        ...rest,
+        expected_quantity: expected,
+        variance,
+        variance_value: variance === null ? null : Math.round(variance * (unit_value || 0) * 100) / 100
+    };
+};
+
+export const stocktakeService = {
+
+    /**
+     * Start counting raw materials or finished goods, all of them or one
+     * category of products. Only one count of each type runs at a time.
+     */
+    start: ({ type, category_id = null, freeze_sales = false, notes = null, user_id }) => {
+        if (!STOCK[type]) throw stocktakeError('Type must be raw or finished');
+        if (category_id && type === 'raw') throw stocktakeError('Only finished goods can be counted by category');
+        if (category_id && !db.prepare('SELECT 1 FROM categories WHERE id = ?').get(category_id)) {
+            throw stocktakeError('Category not found');
+        }
+
+        const transaction = db.transaction(() => {
+            const running = db.prepare("SELECT id FROM stocktakes WHERE type = ? AND status = 'counting'").get(type);
+            if (running) {
+                throw stocktakeError(`Stocktake #${running.id} of ${type === 'raw' ? 'raw materials' : 'finished goods'} is still open; post or cancel it first`, 'STOCKTAKE_CONFLICT');
+            }
+
+            const { id } = db.prepare(`
+                INSERT INTO stocktakes (type, category_id, freeze_sales, notes, started_by) VALUES (?, ?, ?, ?, ?) RETURNING id
+            `).get(type, category_id, freeze_sales ? 1 : 0, notes, user_id);
+
+            const insertLine = db.prepare('INSERT INTO stocktake_lines (stocktake_id, item_id, system_quantity) VALUES (?, ?, ?)');
+            for (const item of scopeItems(type, category_id)) {
+                insertLine.run(id, item.id, item.quantity);
+            }
+            return id;
+        });
+
+        return stocktakeService.getStocktake(transaction());
+    },
+
+    getStocktakes: ({ status, limit = 50 } = {}) => {
+        return db.prepare(`
+            SELECT s.*, c.name as category_name, u.full_name as started_by_name,
+                   (SELECT COUNT(*) FROM stocktake_lines l WHERE l.stocktake_id = s.id) as line_count,
+                   (SELECT COUNT(*) FROM stocktake_lines l WHERE l.stocktake_id = s.id AND l.counted_quantity IS NOT NULL) as counted_count
+            FROM stocktakes s
+            LEFT JOIN categories c ON c.id = s.category_id
+            LEFT JOIN users u ON u.id = s.started_by
+            ${status ? 'WHERE s.status = ?' : ''}
+            ORDER BY s.started_at DESC, s.id DESC
+            LIMIT ?
+        `).all(...(status ? [status] : []), Math.min(Number(limit) || 50, 200));
+    },
+
+    /**
+     * A stocktake with every line's expected quantity and variance, for review.
+     * `only`: 'counted', 'uncounted' or 'variances'. Null if there is no such stocktake.
+     */
+    getStocktake: (id, { only } = {}) => {
+        const stocktake = db.prepare(`
+            SELECT s.*, c.name as category_name, u.full_name as started_by_name, pu.full_name as posted_by_name
+            FROM stocktakes s
+            LEFT JOIN categories c ON c.id = s.category_id
+            LEFT JOIN users u ON u.id = s.started_by
+            LEFT JOIN users pu ON pu.id = s.posted_by
+            WHERE s.id = ?
+        `).get(id);
+        if (!stocktake) return null;
+
+        const lines = db.prepare(`
+            SELECT l.*, COALESCE(p.name, i.name) as item_name, p.barcode, i.unit,
+                   COALESCE(CASE WHEN ? = 'finished' THEN inf.quantity ELSE ir.quantity END, 0) as current_quantity,
+                   COALESCE((SELECT SUM(g.quantity_change) FROM inventory_logs g
+                             WHERE g.type = ? AND g.item_id = l.item_id AND g.id > COALESCE(l.last_log_id, 0)), 0) as moved_since_count,
+                   CASE WHEN ? = 'finished' THEN p.price
+                        ELSE (SELECT pi.unit_cost FROM purchase_items pi WHERE pi.ingredient_id = l.item_id ORDER BY pi.id DESC LIMIT 1) END as unit_value
+            FROM stocktake_lines l
+            LEFT JOIN products p ON ? = 'finished' AND p.id = l.item_id
+            LEFT JOIN ingredients i ON ? = 'raw' AND i.id = l.item_id
+            LEFT JOIN inventory_finished inf ON ? = 'finished' AND inf.product_id = l.item_id
+            LEFT JOIN inventory_raw ir ON ? = 'raw' AND ir.ingredient_id = l.item_id
+            WHERE l.stocktake_id = ?
+            ORDER BY item_name
+        `).all(...Array(7).fill(stocktake.type), id).map(withVariance);
+
+        const counted = lines.filter(line => line.counted_quantity !== null);
+        const withDifference = counted.filter(line => line.variance);
+        const filtered = {
+            counted,
+            uncounted: lines.filter(line => line.counted_quantity === null),
+            variances: withDifference
+        }[only] || lines;
+
+        return {
+            ...stocktake,
+            lines: filtered,
+            summary: {
+                lines: lines.length,
+                counted: counted.length,
+                uncounted: lines.length - counted.length,
+                variances: withDifference.length,
+                variance_value: Math.round(withDifference.reduce((sum, line) => sum + line.variance_value, 0) * 100) / 100
+            }
+        };
+    },
+
+    /**
+     * Add a count to a line, by item_id or by a scanned barcode (each scan
+     * counts `quantity`, default 1). Counts from every device add up; a
+     * negative quantity corrects a miscount. Items added to the catalogue
+     * after the count started join it. Returns the line.
+     */
+    addCount: (id, { item_id, barcode, quantity = 1, device_identifier = null, user_id }) => {
+        const transaction = db.transaction(() => {
+            const stocktake = db.prepare('SELECT * FROM stocktakes WHERE id = ?').get(id);
+            if (!stocktake) return null;
+            if (stocktake.status !== 'counting') throw stocktakeError(`Stocktake #${id} is ${stocktake.status}`, 'STOCKTAKE_CONFLICT');
+
+            let itemId = item_id;
+            if (!itemId && barcode) {
+                if (stocktake.type !== 'finished') throw stocktakeError('Raw materials are counted by item_id');
+                const product = db.prepare('SELECT id FROM products WHERE barcode = ? AND active = 1').get(String(barcode));
+                if (!product) throw stocktakeError(`No product has the barcode ${barcode}`);
+                itemId = product.id;
+            }
+            if (!itemId) throw stocktakeError('Give an item_id or a barcode');
+
+            let line = db.prepare('SELECT * FROM stocktake_lines WHERE stocktake_id = ? AND item_id = ?').get(id, itemId);
+            if (!line) {
+                const item = scopeItems(stocktake.type, stocktake.category_id).find(candidate => candidate.id === Number(itemId));
+                if (!item) throw stocktakeError('This item is not part of this stocktake');
+                line = db.prepare('INSERT INTO stocktake_lines (stocktake_id, item_id, system_quantity) VALUES (?, ?, ?) RETURNING *')
+                    .get(id, item.id, item.quantity);
+            }
+
+            const counted = roundQuantity((line.counted_quantity || 0) + Number(quantity));
+            if (counted < 0) throw stocktakeError(`That would leave a count of ${counted}`);
+
+            db.prepare(`
+                INSERT INTO stocktake_counts (stocktake_id, line_id, quantity, barcode, device_identifier, counted_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(id, line.id, Number(quantity), barcode ? String(barcode) : null, device_identifier, user_id);
+            db.prepare('UPDATE stocktake_lines SET counted_quantity = ?, last_log_id = ? WHERE id = ?').run(counted, logPosition(), line.id);
+
+            return line.id;
+        });
+
+        const lineId = transaction();
+        if (lineId === null) return null;
+        return stocktakeService.getStocktake(id).lines.find(line => line.id === lineId);
+    },
+
+    // Who counted what on a line, newest first
+    getCounts: (id, lineId) => {
+        return db.prepare(`
+            SELECT c.*, u.full_name as counted_by_name
+            FROM stocktake_counts c LEFT JOIN users u ON u.id = c.counted_by
+            WHERE c.stocktake_id = ? AND c.line_id = ?
+            ORDER BY c.created_at DESC, c.id DESC
+        `).all(id, lineId);
+    },
+
+    /**
+     * Post the approved lines' variances as adjustments, all in one transaction,
+     * and close the stocktake. `line_ids` are the approved lines (default: every
+     * counted line); other counted lines are skipped and uncounted ones left alone.
+     * Returns the stocktake, or null if there is no such stocktake.
+     */
+    post: (id, { line_ids = null, user_id }) => {
+        const transaction = db.transaction(() => {
+            const stocktake = stocktakeService.getStocktake(id);
+            if (!stocktake) return null;
+            if (stocktake.status !== 'counting') throw stocktakeError(`Stocktake #${id} is ${stocktake.status}`, 'STOCKTAKE_CONFLICT');
+
+            const approved = line_ids ? new Set(line_ids.map(Number)) : null;
+            const unknown = approved && [...approved].filter(lineId => !stocktake.lines.some(line => line.id === lineId));
+            if (unknown?.length) throw stocktakeError(`Lines ${unknown.join(', ')} are not on this stocktake`);
+
+            const { table, key } = STOCK[stocktake.type];
+            for (const line of stocktake.lines) {
+                if (line.counted_quantity === null) {
+                    if (approved?.has(line.id)) throw stocktakeError(`${line.item_name} hasn't been counted`);
+                    continue;
+                }
+                if (approved && !approved.has(line.id)) {
+                    db.prepare("UPDATE stocktake_lines SET status = 'skipped' WHERE id = ?").run(line.id);
+                    continue;
+                }
+
+                if (line.variance) {
+                    const stock = db.prepare(`SELECT quantity FROM ${table} WHERE ${key} = ?`).get(line.item_id);
+                    if (!stock) {
+                        db.prepare(`INSERT INTO ${table} (${key}, quantity) VALUES (?, 0)`).run(line.item_id);
+                    }
+                    const quantityAfter = roundQuantity((stock?.quantity || 0) + line.variance);
+                    db.prepare(`UPDATE ${table} SET quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE ${key} = ?`).run(quantityAfter, line.item_id);
+                    db.prepare(`
+                        INSERT INTO inventory_logs (type, item_id, movement_type, quantity_change, quantity_after, reference_id, reference_type, notes, created_by)
+                        VALUES (?, ?, 'adjustment', ?, ?, ?, 'stocktake', ?, ?)
+                    `).run(stocktake.type, line.item_id, line.variance, quantityAfter, id, `Stocktake #${id}: counted ${line.counted_quantity}`, user_id);
+                    // Missing stock comes out of the batches; stock found goes into a batch of its own
+                    if (line.variance < 0) {
+                        batchService.consume(stocktake.type, line.item_id, -line.variance, {
+                            movement_type: 'adjustment', reference_id: id, reference_type: 'stocktake', includeExpired: true
+                        });
+                    } else {
+                        batchService.receive(stocktake.type, line.item_id, {
+                            quantity: line.variance, batch_number: `STK-${id}`, source_type: 'stocktake', source_id: id, user_id
+                        });
+                    }
+                }
+                db.prepare("UPDATE stocktake_lines SET status = 'posted', posted_variance = ? WHERE id = ?").run(line.variance, line.id);
+            }
+
+            db.prepare("UPDATE stocktakes SET status = 'posted', posted_by = ?, posted_at = CURRENT_TIMESTAMP WHERE id = ?").run(user_id, id);
+            return id;
+        });
+
+        const postedId = transaction();
+        return postedId === null ? null : stocktakeService.getStocktake(postedId);
+    },
+
+    // Abandon a count without changing stock. Null if there is no such stocktake.
+    cancel: (id) => {
+        const stocktake = db.prepare('SELECT status FROM stocktakes WHERE id = ?').get(id);
+        if (!stocktake) return null;
+        if (stocktake.status !== 'counting') throw stocktakeError(`Stocktake #${id} is ${stocktake.status}`, 'STOCKTAKE_CONFLICT');
+
+        return db.prepare("UPDATE stocktakes SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *").get(id);
+    },
+
+    // Whether a product is being counted by a stocktake that pauses its sales
+    isFrozen: (productId) => {
+        return Boolean(db.prepare(`
+            SELECT 1 FROM stocktakes s JOIN stocktake_lines l ON l.stocktake_id = s.id
+            WHERE s.status = 'counting' AND s.freeze_sales = 1 AND s.type = 'finished' AND l.item_id = ?
+        `).get(productId));
+    }
+};
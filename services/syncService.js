@@ -10,7 +10,7 @@
  *  Design Principles:
  *  - Offline-FIRST: local SQLite is always the primary DB
  *  - Non-blocking: sync errors never crash the server
- *  - Idempotent: upsert by { local_id, company_id } — safe to re-run
+ *  - Idempotent: upsert by { local_id, company_id } (sales by receipt number) — safe to re-run
  *  - Live connectivity detection: checks mongoose.connection.readyState
  */
 
@@ -75,11 +75,12 @@ function getCompanyId() {
 }
 
 // ─── Upsert helper ───────────────────────────────────────────────────────────
-async function upsertMany(Model, docs, company_id) {
+// keyOf picks the fields that identify a doc within the company
+async function upsertMany(Model, docs, company_id, keyOf = doc => ({ local_id: doc.local_id })) {
     if (!docs.length) return 0;
     const ops = docs.map(doc => ({
         updateOne: {
-            filter: { local_id: doc.local_id, company_id },
+            filter: { ...keyOf(doc), company_id },
             update: { $set: { ...doc, company_id, synced_at: new Date() } },
             upsert: true
         }
@@ -88,8 +89,8 @@ async function upsertMany(Model, docs, company_id) {
     return res.upsertedCount + res.modifiedCount;
 }
 
-async function upsertOne(Model, doc, company_id) {
-    return upsertMany(Model, [doc], company_id);
+async function upsertOne(Model, doc, company_id, keyOf) {
+    return upsertMany(Model, [doc], company_id, keyOf);
 }
 
 // ─── Sync Queue Helpers ───────────────────────────────────────────────────────
@@ -160,23 +161,41 @@ async function processQueue(company_id) {
 
 
 
-function buildSaleDoc(s, saleItems, payments) {
+// Sale ids repeat across the tills on one account; receipt numbers don't.
+// Sales from before receipt numbering still go by their id.
+const saleKey = doc => (doc.receipt_number ? { receipt_number: doc.receipt_number } : { local_id: doc.local_id });
+
+function buildSaleDoc(s, saleItems, payments, modifiers = []) {
     return {
         local_id: s.id,
+        receipt_number: s.receipt_number,
+        invoice_number: s.invoice_number,
         customer_id: s.customer_id,
         subtotal: s.subtotal,
         discount_percent: s.discount_percent,
         discount_amount: s.discount_amount,
+        tax_amount: s.tax_amount,
         total: s.total,
+        amount_tendered: s.amount_tendered,
+        change_due: s.change_due,
         status: s.status,
         cashier_id: s.cashier_id,
+        idempotency_key: s.idempotency_key,
         created_at: s.created_at ? new Date(s.created_at) : null,
         items: (saleItems || []).map(i => ({
             product_id: i.product_id, product_name: i.product_name,
-            quantity: i.quantity, unit_price: i.unit_price, subtotal: i.subtotal
+            quantity: i.quantity, unit_price: i.unit_price, subtotal: i.subtotal,
+            discount_amount: i.discount_amount, tax_class: i.tax_class, tax_rate: i.tax_rate,
+            tax_amount: i.tax_amount, line_total: i.line_total,
+            list_price: i.list_price, line_discount_type: i.line_discount_type, line_discount_value: i.line_discount_value,
+            override_reason: i.override_reason, approved_by: i.approved_by, promotion_discount: i.promotion_discount,
+            modifiers: modifiers.filter(m => m.sale_item_id === i.id).map(m => ({
+                group_name: m.group_name, modifier_name: m.modifier_name, price_delta: m.price_delta
+            }))
         })),
         payments: (payments || []).map(p => ({
-            method: p.method, amount: p.amount, mpesa_receipt: p.mpesa_receipt, status: p.status
+            method: p.method, amount: p.amount, reference: p.reference, mpesa_receipt: p.mpesa_receipt, status: p.status,
+            idempotency_key: p.idempotency_key
         }))
     };
 }
@@ -186,12 +205,14 @@ async function syncSales(company_id) {
         const sales = db.prepare('SELECT * FROM sales ORDER BY id').all();
         const saleItems = db.prepare('SELECT * FROM sale_items').all();
         const payments = db.prepare('SELECT * FROM payments').all();
+        const modifiers = db.prepare('SELECT * FROM sale_item_modifiers').all();
         const docs = sales.map(s => buildSaleDoc(
             s,
             saleItems.filter(i => i.sale_id === s.id),
-            payments.filter(p => p.sale_id === s.id)
+            payments.filter(p => p.sale_id === s.id),
+            modifiers.filter(m => m.sale_id === s.id)
         ));
-        return await upsertMany(CloudSale, docs, company_id);
+        return await upsertMany(CloudSale, docs, company_id, saleKey);
     } catch (err) {
         console.error(`\n[Sync Error - Sales] ${err.message}\n${err.stack}\n`);
         throw err;
@@ -204,7 +225,8 @@ async function syncProducts(company_id) {
         const docs = rows.map(r => ({
             local_id: r.id, name: r.name, category_id: r.category_id,
             price: r.price, barcode: r.barcode, emoji: r.emoji,
-            description: r.description, active: r.active,
+            description: r.description, active: r.active, tax_class: r.tax_class,
+            parent_id: r.parent_id, variant_options: r.variant_options,
             created_at: r.created_at ? new Date(r.created_at) : null
         }));
         return await upsertMany(CloudProduct, docs, company_id);
@@ -220,7 +242,8 @@ async function syncCustomers(company_id) {
         const docs = rows.map(r => ({
             local_id: r.id, name: r.name, phone: r.phone, email: r.email,
             birthday: r.birthday ? new Date(r.birthday) : null,
-            loyalty_points: r.loyalty_points, store_credit: r.store_credit,
+            loyalty_points: r.loyalty_points, loyalty_tier: r.loyalty_tier, lifetime_spend: r.lifetime_spend, store_credit: r.store_credit,
+            account_balance: r.account_balance, credit_limit: r.credit_limit,
             created_at: r.created_at ? new Date(r.created_at) : null
         }));
         return await upsertMany(CloudCustomer, docs, company_id);
@@ -291,11 +314,12 @@ async function syncPurchases(company_id) {
             local_id: r.id, supplier_id: r.supplier_id,
             supplier_name: r.supplier_name, total_amount: r.total_amount,
             payment_status: r.payment_status, amount_paid: r.amount_paid,
-            created_by: r.created_by,
+            tax_amount: r.tax_amount, created_by: r.created_by,
             created_at: r.created_at ? new Date(r.created_at) : null,
             items: purchaseItems.filter(i => i.purchase_id === r.id).map(i => ({
                 ingredient_id: i.ingredient_id, quantity: i.quantity,
-                unit_cost: i.unit_cost, subtotal: i.subtotal
+                unit_cost: i.unit_cost, subtotal: i.subtotal,
+                tax_class: i.tax_class, tax_rate: i.tax_rate, tax_amount: i.tax_amount, line_total: i.line_total
             }))
         }));
         return await upsertMany(CloudPurchase, docs, company_id);
@@ -363,7 +387,8 @@ export async function syncRecord(table, id) {
                 if (r) await upsertOne(CloudProduct, {
                     local_id: r.id, name: r.name, category_id: r.category_id,
                     price: r.price, barcode: r.barcode, emoji: r.emoji,
-                    description: r.description, active: r.active,
+                    description: r.description, active: r.active, tax_class: r.tax_class,
+                    parent_id: r.parent_id, variant_options: r.variant_options,
                     created_at: r.created_at ? new Date(r.created_at) : null
                 }, company_id);
                 break;
@@ -373,7 +398,8 @@ export async function syncRecord(table, id) {
                 if (s) {
                     const items = db.prepare('SELECT * FROM sale_items WHERE sale_id = ?').all(id);
                     const pmts = db.prepare('SELECT * FROM payments WHERE sale_id = ?').all(id);
-                    await upsertOne(CloudSale, buildSaleDoc(s, items, pmts), company_id);
+                    const modifiers = db.prepare('SELECT * FROM sale_item_modifiers WHERE sale_id = ?').all(id);
+                    await upsertOne(CloudSale, buildSaleDoc(s, items, pmts, modifiers), company_id, saleKey);
                 }
                 break;
             }
@@ -382,7 +408,8 @@ export async function syncRecord(table, id) {
                 if (r) await upsertOne(CloudCustomer, {
                     local_id: r.id, name: r.name, phone: r.phone, email: r.email,
                     birthday: r.birthday ? new Date(r.birthday) : null,
-                    loyalty_points: r.loyalty_points, store_credit: r.store_credit,
+                    loyalty_points: r.loyalty_points, loyalty_tier: r.loyalty_tier, lifetime_spend: r.lifetime_spend, store_credit: r.store_credit,
+                    account_balance: r.account_balance, credit_limit: r.credit_limit,
                     created_at: r.created_at ? new Date(r.created_at) : null
                 }, company_id);
                 break;
@@ -395,6 +422,7 @@ export async function syncRecord(table, id) {
                     deposit_paid: r.deposit_paid, balance: r.balance,
                     pickup_date: r.pickup_date ? new Date(r.pickup_date) : null,
                     status: r.status, notes: r.notes, created_by: r.created_by,
+                    idempotency_key: r.idempotency_key,
                     created_at: r.created_at ? new Date(r.created_at) : null
                 }, company_id);
                 break;
@@ -0,0 +1,141 @@
+import db from '../database/db.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const taxService = {
+
+    getTaxClasses: () => {
+        return db.prepare('SELECT * FROM tax_classes ORDER BY rate DESC, code').all();
+    },
+
+    getTaxClass: (code) => {
+        const taxClass = db.prepare('SELECT * FROM tax_classes WHERE code = ?').get(code || 'standard');
+        if (!taxClass) {
+            throw new Error(`Unknown tax class: ${code}`);
+        }
+        return taxClass;
+    },
+
+    updateRate: (code, rate) => {
+        const result = db.prepare('UPDATE tax_classes SET rate = ?, updated_at = CURRENT_TIMESTAMP WHERE code = ?').run(rate, code);
+        return result.changes > 0;
+    },
+
+    /**
+     * Whether shelf prices already include VAT (store-wide setting, on by default)
+     */
+    pricesIncludeTax: () => {
+        const settings = db.prepare('SELECT prices_include_tax FROM app_settings ORDER BY id DESC LIMIT 1').get();
+        return settings ? settings.prices_include_tax !== 0 : true;
+    },
+
+    /**
+     * Split a line amount into net, tax and gross for a tax class.
+     * Inclusive amounts have the tax extracted; exclusive amounts have it added.
+     */
+    computeLine: (amount, taxClassCode, inclusive) => {
+        const taxClass = taxService.getTaxClass(taxClassCode);
+        const rate = taxClass.rate / 100;
+
+        const net = inclusive ? amount / (1 + rate) : amount;
+        const tax = roundMoney(net * rate);
+        const gross = inclusive ? roundMoney(amount) : roundMoney(amount + tax);
+
+        return {
+            tax_class: taxClass.code,
+            tax_rate: taxClass.rate,
+            net: roundMoney(gross - tax),
+            tax_amount: tax,
+            gross
+        };
+    },
+
+    /**
+     * Output tax (sales less refunds) and input tax (purchases) per tax class for a VAT return.
+     * Dates are inclusive YYYY-MM-DD strings; both are optional.
+     */
+    getVatSummary: ({ start_date, end_date }) => {
+        const params = [];
+        let salesFilter = " WHERE s.status NOT IN ('pending_payment', 'cancelled')";
+        let purchasesFilter = '';
+        let refundsFilter = '';
+        if (start_date && end_date) {
+            salesFilter += ' AND DATE(s.created_at) BETWEEN ? AND ?';
+            purchasesFilter = ' WHERE DATE(p.created_at) BETWEEN ? AND ?';
+            refundsFilter = ' WHERE DATE(r.created_at) BETWEEN ? AND ?';
+            params.push(start_date, end_date);
+        }
+
+        // Lines recorded before tax tracking have no class and are reported as untracked
+        const output = db.prepare(`
+            SELECT
+                COALESCE(si.tax_class, 'untracked') as tax_class,
+                si.tax_rate,
+                COUNT(DISTINCT si.sale_id) as transactions,
+                COALESCE(SUM(COALESCE(si.line_total, si.subtotal) - si.tax_amount), 0) as net_amount,
+                COALESCE(SUM(si.tax_amount), 0) as tax_amount,
+                COALESCE(SUM(COALESCE(si.line_total, si.subtotal)), 0) as gross_amount
+            FROM sale_items si
+            JOIN sales s ON si.sale_id = s.id
+            ${salesFilter}
+            GROUP BY COALESCE(si.tax_class, 'untracked'), si.tax_rate
+            ORDER BY si.tax_rate DESC, tax_class
+        `).all(...params);
+
+        // Refunds reverse output tax in the period they are paid out
+        const refunds = db.prepare(`
+            SELECT
+                COALESCE(si.tax_class, 'untracked') as tax_class,
+                si.tax_rate,
+                COUNT(DISTINCT ri.refund_id) as transactions,
+                COALESCE(SUM(ri.amount - ri.tax_amount), 0) as net_amount,
+                COALESCE(SUM(ri.tax_amount), 0) as tax_amount,
+                COALESCE(SUM(ri.amount), 0) as gross_amount
+            FROM refund_items ri
+            JOIN refunds r ON ri.refund_id = r.id
+            JOIN sale_items si ON ri.sale_item_id = si.id
+            ${refundsFilter}
+            GROUP BY COALESCE(si.tax_class, 'untracked'), si.tax_rate
+            ORDER BY si.tax_rate DESC, tax_class
+        `).all(...params);
+
+        const input = db.prepare(`
+            SELECT
+                COALESCE(pi.tax_class, 'untracked') as tax_class,
+                pi.tax_rate,
+                COUNT(DISTINCT pi.purchase_id) as transactions,
+                COALESCE(SUM(COALESCE(pi.line_total, pi.subtotal) - pi.tax_amount), 0) as net_amount,
+                COALESCE(SUM(pi.tax_amount), 0) as tax_amount,
+                COALESCE(SUM(COALESCE(pi.line_total, pi.subtotal)), 0) as gross_amount
+            FROM purchase_items pi
+            JOIN purchases p ON pi.purchase_id = p.id
+            ${purchasesFilter}
+            GROUP BY COALESCE(pi.tax_class, 'untracked'), pi.tax_rate
+            ORDER BY pi.tax_rate DESC, tax_class
+        `).all(...params);
+
+        const roundRow = (row) => ({
+            ...row,
+            net_amount: roundMoney(row.net_amount),
+            tax_amount: roundMoney(row.tax_amount),
+            gross_amount: roundMoney(row.gross_amount)
+        });
+
+        const refundedTax = roundMoney(refunds.reduce((sum, row) => sum + row.tax_amount, 0));
+        const outputTax = roundMoney(output.reduce((sum, row) => sum + row.tax_amount, 0) - refundedTax);
+        const inputTax = roundMoney(input.reduce((sum, row) => sum + row.tax_amount, 0));
+
+        return {
+            period: { start_date: start_date || null, end_date: end_date || null },
+            output: output.map(roundRow),
+            refunds: refunds.map(roundRow),
+            input: input.map(roundRow),
+            totals: {
+                refunded_tax: refundedTax,
+                output_tax: outputTax,
+                input_tax: inputTax,
+                net_vat_payable: roundMoney(outputTax - inputTax)
+            }
+        };
+    }
+};
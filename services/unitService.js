@@ -0,0 +1,100 @@
+import db from '../database/db.js';
+
+const unitError = (message) => {
+    const error = new Error(message);
+    error.code = 'UNIT_INVALID';
+    return error;
+};
+
+// How ingredient units are commonly typed in, for the ones in the units table
+const ALIASES = {
+    kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+    gm: 'g', gms: 'g', gram: 'g', grams: 'g',
+    milligram: 'mg', milligrams: 'mg',
+    ltr: 'l', ltrs: 'l', litre: 'l', litres: 'l', liter: 'l', liters: 'l',
+    millilitre: 'ml', millilitres: 'ml', milliliter: 'ml', milliliters: 'ml',
+    pc: 'pcs', piece: 'pcs', pieces: 'pcs', each: 'pcs', unit: 'pcs', units: 'pcs'
+};
+
+const normalize = (code) => {
+    const text = String(code ?? '').trim().toLowerCase();
+    return ALIASES[text] || text;
+};
+
+export const unitService = {
+
+    // The standard units, plus the pack sizes of one ingredient when given
+    getUnits: ({ ingredient_id } = {}) => {
+        return db.prepare(`
+            SELECT * FROM units
+            WHERE ingredient_id IS NULL ${ingredient_id ? 'OR ingredient_id = ?' : ''}
+            ORDER BY ingredient_id IS NOT NULL, dimension, factor
+        `).all(...(ingredient_id ? [ingredient_id] : []));
+    },
+
+    /**
+     * Add a unit: a standard one, or a pack size of one ingredient given as how
+     * many of the ingredient's own unit it holds, e.g.
+     * { code: 'crate', ingredient_id: 4, contains: 30 } for eggs kept in pieces.
+     */
+    createUnit: ({ code, name, dimension, factor, ingredient_id = null, contains }) => {
+        if (!code || !String(code).trim()) throw unitError('A unit needs a code');
+
+        if (ingredient_id) {
+            const ingredient = db.prepare('SELECT * FROM ingredients WHERE id = ?').get(ingredient_id);
+            if (!ingredient) throw unitError('Ingredient not found');
+            const base = unitService.resolve(ingredient.unit);
+            if (!base) throw unitError(`${ingredient.name} is kept in '${ingredient.unit}', which isn't a known unit`);
+            if (!(Number(contains) > 0)) throw unitError(`Say how many ${ingredient.unit} one ${code} holds`);
+            dimension = base.dimension;
+            factor = Number(contains) * base.factor;
+        } else if (!['mass', 'volume', 'count'].includes(dimension) || !(Number(factor) > 0)) {
+            throw unitError('A unit needs a dimension (mass, volume or count) and a factor greater than 0');
+        }
+
+        try {
+            return db.prepare(`
+                INSERT INTO units (code, name, dimension, factor, ingredient_id) VALUES (?, ?, ?, ?, ?) RETURNING *
+            `).get(normalize(code), name || String(code).trim(), dimension, Number(factor), ingredient_id);
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') throw unitError(`There is already a unit '${code}'`);
+            throw error;
+        }
+    },
+
+    // A unit by code or common spelling; an ingredient's own pack sizes come first
+    resolve: (code, ingredientId = null) => {
+        const normalized = normalize(code);
+        if (!normalized) return null;
+        return db.prepare(`
+            SELECT * FROM units
+            WHERE code = ? AND (ingredient_id IS NULL OR ingredient_id = ?)
+            ORDER BY ingredient_id IS NULL
+            LIMIT 1
+        `).get(normalized, ingredientId ?? 0) || null;
+    },
+
+    /**
+     * Convert a quantity between units of the same kind (kg and g, a crate and
+     * pieces). The same unit, or no unit, needs no conversion.
+     */
+    convert: (quantity, fromCode, toCode, ingredientId = null) => {
+        if (!fromCode || !toCode || normalize(fromCode) === normalize(toCode)) return quantity;
+
+        const from = unitService.resolve(fromCode, ingredientId);
+        const to = unitService.resolve(toCode, ingredientId);
+        if (!from) throw unitError(`Unknown unit '${fromCode}'`);
+        if (!to) throw unitError(`Unknown unit '${toCode}'`);
+        if (from.dimension !== to.dimension) {
+            throw unitError(`Can't convert ${from.code} (${from.dimension}) to ${to.code} (${to.dimension})`);
+        }
+        return Math.round(quantity * from.factor / to.factor * 1e6) / 1e6;
+    },
+
+    // A quantity of an ingredient in the unit its stock is kept in
+    toStockUnit: (quantity, unit, ingredientId) => {
+        const ingredient = db.prepare('SELECT unit FROM ingredients WHERE id = ?').get(ingredientId);
+        if (!ingredient) throw unitError(`Ingredient ${ingredientId} not found`);
+        return unitService.convert(quantity, unit, ingredient.unit, ingredientId);
+    }
+};
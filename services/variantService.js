@@ -0,0 +1,101 @@
+import db from '../database/db.js';
+
+const variantError = (message) => {
+    const error = new Error(message);
+    error.code = 'VARIANT_INVALID';
+    return error;
+};
+
+// {"size":"L","flavour":"Vanilla"} -> "L, Vanilla"
+const optionsLabel = (options) => Object.values(options).join(', ');
+
+const sameOptions = (a, b) => {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => String(a[key]).toLowerCase() === String(b[key] ?? '').toLowerCase());
+};
+
+export const variantService = {
+
+    getVariants: (parentId, { include_inactive } = {}) => {
+        const variants = db.prepare(`
+            SELECT p.*, COALESCE(i.quantity, 0) as stock
+            FROM products p
+            LEFT JOIN inventory_finished i ON i.product_id = p.id
+            WHERE p.parent_id = ? ${include_inactive ? '' : 'AND p.active = 1'}
+            ORDER BY p.price, p.id
+        `).all(parentId);
+
+        return variants.map(variant => ({ ...variant, variant_options: JSON.parse(variant.variant_options || '{}') }));
+    },
+
+    hasVariants: (productId) => {
+        return !!db.prepare('SELECT 1 FROM products WHERE parent_id = ? AND active = 1 LIMIT 1').get(productId);
+    },
+
+    /**
+     * Add a variant under `parentId`. It is a product in its own right, named
+     * after the parent and its options, with the parent's category and tax class
+     * unless given, the parent's shelf life, and its own (empty) stock row. Returns null if the parent
+     * doesn't exist.
+     */
+    createVariant: (parentId, { options, price, barcode, emoji, description, tax_class, category_id }, companyId = 1) => {
+        const parent = db.prepare('SELECT * FROM products WHERE id = ? AND company_id = ?').get(parentId, companyId);
+        if (!parent) return null;
+        if (parent.parent_id) {
+            throw variantError(`${parent.name} is itself a variant`);
+        }
+        if (variantService.getVariants(parent.id, { include_inactive: true }).some(v => sameOptions(v.variant_options, options))) {
+            throw variantError(`${parent.name} already has a ${optionsLabel(options)} variant`);
+        }
+
+        const transaction = db.transaction(() => {
+            const result = db.prepare(`
+                INSERT INTO products (name, category_id, company_id, price, barcode, emoji, description, tax_class, shelf_life_days, parent_id, variant_options)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                `${parent.name} (${optionsLabel(options)})`,
+                category_id ?? parent.category_id,
+                companyId,
+                price,
+                barcode || null,
+                emoji ?? parent.emoji,
+                description ?? parent.description,
+                tax_class || parent.tax_class,
+                parent.shelf_life_days ?? null,
+                parent.id,
+                JSON.stringify(options)
+            );
+            db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 0)').run(result.lastInsertRowid);
+            return result.lastInsertRowid;
+        });
+
+        return transaction();
+    },
+
+    /**
+     * Change a variant's options (its name follows them), price, barcode or
+     * whether it is still sold. Returns false if it isn't a variant of `parentId`.
+     */
+    updateVariant: (parentId, variantId, { options, price, barcode, active }) => {
+        const variant = db.prepare(`
+            SELECT v.*, p.name as parent_name FROM products v
+            JOIN products p ON v.parent_id = p.id
+            WHERE v.id = ? AND v.parent_id = ?
+        `).get(variantId, parentId);
+        if (!variant) return false;
+
+        if (options && variantService.getVariants(parentId, { include_inactive: true }).some(v => v.id !== variant.id && sameOptions(v.variant_options, options))) {
+            throw variantError(`${variant.parent_name} already has a ${optionsLabel(options)} variant`);
+        }
+
+        db.prepare('UPDATE products SET name = ?, variant_options = ?, price = ?, barcode = ?, active = ? WHERE id = ?').run(
+            options ? `${variant.parent_name} (${optionsLabel(options)})` : variant.name,
+            options ? JSON.stringify(options) : variant.variant_options,
+            price ?? variant.price,
+            barcode === undefined ? variant.barcode : barcode || null,
+            active === undefined ? variant.active : (active ? 1 : 0),
+            variantId
+        );
+        return true;
+    }
+};
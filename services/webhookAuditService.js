@@ -0,0 +1,48 @@
+import db from '../database/db.js';
+
+// Enough of a callback body to see what was attempted
+const MAX_PAYLOAD_LENGTH = 10000;
+
+export const webhookAuditService = {
+
+    /**
+     * Keep a refused callback for review. The endpoint is recorded without the
+     * secret token, so a guessed or leaked one shows as ':token'.
+     */
+    reject: (req, provider, reason) => {
+        const endpoint = `${req.baseUrl}${req.path}`;
+        const payload = JSON.stringify(req.body ?? null);
+        try {
+            db.prepare(`
+                INSERT INTO webhook_rejections (provider, endpoint, reason, ip_address, payload)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(
+                provider,
+                req.params?.token ? endpoint.replace(req.params.token, ':token') : endpoint,
+                reason,
+                req.ip,
+                payload.slice(0, MAX_PAYLOAD_LENGTH)
+            );
+        } catch (error) {
+            console.error('Failed to record webhook rejection:', error);
+        }
+        console.warn(`⚠️  ${provider} callback rejected (${reason}) from`, req.ip);
+    },
+
+    // Newest first: ?provider=, ?reason=, ?from=&to= (YYYY-MM-DD)
+    getRejections: ({ provider, reason, from, to, limit = 100 } = {}) => {
+        const conditions = [];
+        const params = [];
+        if (provider) { conditions.push('provider = ?'); params.push(provider); }
+        if (reason) { conditions.push('reason = ?'); params.push(reason); }
+        if (from) { conditions.push('DATE(created_at) >= ?'); params.push(from); }
+        if (to) { conditions.push('DATE(created_at) <= ?'); params.push(to); }
+
+        return db.prepare(`
+            SELECT * FROM webhook_rejections
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `).all(...params, Math.min(Number(limit) || 100, 500));
+    }
+};
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { batchService } from '../services/batchService.js';
+
+const product = db.prepare("INSERT INTO products (name, price) VALUES ('Milk bread', 80)").run().lastInsertRowid;
+
+const receive = (quantity, expiry_date, batch_number) => batchService.receive('finished', product, { quantity, expiry_date, batch_number });
+const onHand = () => Object.fromEntries(db.prepare("SELECT batch_number, quantity FROM inventory_batches WHERE type = 'finished' AND item_id = ?").all(product)
+    .map(batch => [batch.batch_number, batch.quantity]));
+
+describe('batchService.consume (first expiring, first out)', () => {
+    beforeEach(() => {
+        db.prepare("DELETE FROM inventory_batches WHERE type = 'finished' AND item_id = ?").run(product);
+    });
+
+    it('takes from the batch expiring soonest, then the next', () => {
+        receive(5, '2099-03-01', 'LATE');
+        receive(5, '2099-01-01', 'EARLY');
+        receive(5, null, 'NO-DATE');
+
+        const taken = batchService.consume('finished', product, 7, { movement_type: 'sale' });
+
+        assert.deepEqual(taken.map(t => [t.batch_number, t.quantity]), [['EARLY', 5], ['LATE', 2]]);
+        assert.deepEqual(onHand(), { EARLY: 0, LATE: 3, 'NO-DATE': 5 });
+        assert.equal(db.prepare("SELECT status FROM inventory_batches WHERE batch_number = 'EARLY' AND item_id = ?").get(product).status, 'depleted');
+    });
+
+    it('leaves expired batches for a write-off unless told otherwise', () => {
+        receive(5, '2000-01-01', 'EXPIRED');
+        receive(5, '2099-01-01', 'GOOD');
+
+        assert.deepEqual(batchService.consume('finished', product, 2, { movement_type: 'sale' }).map(t => t.batch_number), ['GOOD']);
+        assert.deepEqual(batchService.consume('finished', product, 2, { movement_type: 'waste', includeExpired: true }).map(t => t.batch_number), ['EXPIRED']);
+    });
+
+    it('draws on a chosen batch first', () => {
+        receive(5, '2099-01-01', 'EARLY');
+        const late = receive(5, '2099-03-01', 'LATE');
+
+        const taken = batchService.consume('finished', product, 6, { movement_type: 'sale', batchId: late.id });
+
+        assert.deepEqual(taken.map(t => [t.batch_number, t.quantity]), [['LATE', 5], ['EARLY', 1]]);
+    });
+
+    it('returns only what the batches hold when they run short', () => {
+        receive(3, '2099-01-01', 'ONLY');
+
+        const taken = batchService.consume('finished', product, 5, { movement_type: 'sale' });
+
+        assert.deepEqual(taken.map(t => t.quantity), [3]);
+        assert.deepEqual(onHand(), { ONLY: 0 });
+    });
+
+    it('puts a consumption back into the batches it came from', () => {
+        receive(5, '2099-01-01', 'EARLY');
+        batchService.consume('finished', product, 5, { movement_type: 'sale', reference_type: 'sale', reference_id: 42 });
+
+        batchService.restore('sale', 42, { movement_type: 'sale_cancelled' });
+
+        assert.deepEqual(onHand(), { EARLY: 5 });
+        assert.equal(db.prepare("SELECT status FROM inventory_batches WHERE batch_number = 'EARLY' AND item_id = ?").get(product).status, 'active');
+    });
+
+    it('dates a batch received without an expiry by the shelf life', () => {
+        const cake = db.prepare("INSERT INTO products (name, price, shelf_life_days) VALUES ('Cream cake', 900, 4)").run().lastInsertRowid;
+
+        const batch = batchService.receive('finished', cake, { quantity: 1, received_date: '2099-01-01' });
+
+        assert.equal(batch.expiry_date, '2099-01-05');
+    });
+});
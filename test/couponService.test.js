@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { saleService } from '../services/saleService.js';
+import { couponService } from '../services/couponService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+const outsider = { ...admin, company_id: 2 };
+
+const scone = db.prepare("INSERT INTO products (name, price) VALUES ('Scone', 100)").run().lastInsertRowid;
+db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 1000)').run(scone);
+
+const sellWithCoupon = (coupon_code, company_id = 1) => saleService.createSale({
+    items: [{ id: scone, qty: 2 }], discount_percent: 0, coupon_code, company_id,
+    cashier_id: admin.id, cashier_role: 'admin', tenders: [{ method: 'cash', amount: 200 }]
+});
+
+describe('couponService per company', () => {
+    it('lets two companies use the same code', () => {
+        const ours = couponService.createCoupon({ code: 'WELCOME', type: 'percentage', value: 10 }, admin);
+        const theirs = couponService.createCoupon({ code: 'welcome', type: 'fixed_amount', value: 50 }, outsider);
+
+        assert.notEqual(ours.id, theirs.id);
+        assert.equal(couponService.getByCode('WELCOME', 1).id, ours.id);
+        assert.equal(couponService.getByCode('WELCOME', 2).id, theirs.id);
+        assert.throws(() => couponService.createCoupon({ code: 'WELCOME', type: 'percentage', value: 5 }, admin), /already exists/);
+    });
+
+    it("won't redeem another company's coupon", () => {
+        couponService.createCoupon({ code: 'THEIRS', type: 'percentage', value: 10 }, outsider);
+
+        assert.throws(() => sellWithCoupon('THEIRS'), { code: 'COUPON_INVALID', message: /does not exist/ });
+    });
+
+    it("won't show or disable another company's coupon", () => {
+        const coupon = couponService.createCoupon({ code: 'MINE', type: 'percentage', value: 10 }, admin);
+
+        assert.equal(couponService.getCoupon(coupon.id, 2), undefined);
+        assert.equal(couponService.setStatus(coupon.id, 'disabled', 2), null);
+        assert.equal(couponService.getCoupon(coupon.id, 1).status, 'active');
+    });
+});
+
+describe('couponService.getCampaign', () => {
+    it('counts a redemption given back by a cancelled or refunded sale as unused', () => {
+        const coupon = couponService.createCoupon({ code: 'SMS1', type: 'percentage', value: 10, max_uses: 1 }, admin);
+        const campaignId = db.prepare("INSERT INTO sms_campaigns (name, message, recipients) VALUES ('Promo', 'Use {code}', 1)").run().lastInsertRowid;
+        db.prepare("INSERT INTO sms_campaign_recipients (campaign_id, phone, coupon_id, message) VALUES (?, '254712345678', ?, 'Use SMS1')").run(campaignId, coupon.id);
+        const redeemed = () => couponService.getCampaign(campaignId, 1).recipients_detail[0].redeemed;
+
+        const { saleId } = sellWithCoupon('SMS1');
+        assert.equal(redeemed(), 1);
+
+        db.transaction(() => couponService.release(saleId))();
+        assert.equal(redeemed(), 0);
+        assert.equal(couponService.getCampaign(campaignId, 2), null);
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { saleService } from '../services/saleService.js';
+import { refundService } from '../services/refundService.js';
+import { giftCardService } from '../services/giftCardService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+const outsider = { ...admin, company_id: 2 };
+
+const cake = db.prepare("INSERT INTO products (name, price) VALUES ('Cake slice', 200)").run().lastInsertRowid;
+db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 1000)').run(cake);
+
+const sellCard = (amount) => {
+    const { gift_cards } = saleService.createSale({
+        items: [], discount_percent: 0, gift_cards: [{ amount }],
+        cashier_id: admin.id, cashier_role: 'admin', tenders: [{ method: 'cash', amount }]
+    });
+    return gift_cards[0].card_number;
+};
+
+const payWithCard = (cardNumber, qty, company_id = 1) => saleService.createSale({
+    items: [{ id: cake, qty }], discount_percent: 0, company_id,
+    cashier_id: admin.id, cashier_role: 'admin', tenders: [{ method: 'gift_card', card_number: cardNumber, amount: 200 * qty }]
+});
+
+const balanceOf = (cardNumber) => giftCardService.getByNumber(cardNumber, 1).balance;
+
+describe('giftCardService redeem and refund', () => {
+    it('loads a card sold and paid for', () => {
+        const cardNumber = sellCard(1000);
+
+        const card = giftCardService.getByNumber(cardNumber, 1);
+        assert.equal(card.status, 'active');
+        assert.equal(card.balance, 1000);
+    });
+
+    it('takes a tender off the card', () => {
+        const cardNumber = sellCard(1000);
+
+        payWithCard(cardNumber, 2);
+
+        assert.equal(balanceOf(cardNumber), 600);
+        const [, redeem] = giftCardService.getLedger(giftCardService.getByNumber(cardNumber, 1).id);
+        assert.equal(redeem.type, 'redeem');
+        assert.equal(redeem.amount, -400);
+    });
+
+    it('refuses more than the balance', () => {
+        const cardNumber = sellCard(300);
+
+        assert.throws(() => payWithCard(cardNumber, 2), { code: 'GIFT_CARD_INVALID', message: /Insufficient/ });
+        assert.equal(balanceOf(cardNumber), 300);
+    });
+
+    it('puts a refunded tender back on the card', () => {
+        const cardNumber = sellCard(1000);
+        const { saleId } = payWithCard(cardNumber, 3);
+        const line = db.prepare('SELECT id FROM sale_items WHERE sale_id = ?').get(saleId);
+
+        refundService.refundSale(saleId, { items: [{ sale_item_id: line.id, quantity: 1 }], user: admin, approver: admin });
+        assert.equal(balanceOf(cardNumber), 600);
+
+        refundService.refundSale(saleId, { user: admin, approver: admin });
+        assert.equal(balanceOf(cardNumber), 1000);
+    });
+
+    it("is not good in another company's till", () => {
+        const cardNumber = sellCard(1000);
+
+        assert.throws(() => payWithCard(cardNumber, 1, outsider.company_id), { code: 'GIFT_CARD_INVALID', message: /not found/ });
+        assert.equal(balanceOf(cardNumber), 1000);
+    });
+
+    it("expires only the user's company's cards", () => {
+        const cardNumber = sellCard(500);
+        db.prepare("UPDATE gift_cards SET expires_at = '2000-01-01' WHERE card_number = ?").run(cardNumber);
+
+        assert.deepEqual(giftCardService.expireCards(outsider), []);
+        assert.equal(balanceOf(cardNumber), 500);
+
+        const expired = giftCardService.expireCards(admin);
+        assert.deepEqual(expired.map(c => [c.card_number, c.amount]), [[cardNumber, 500]]);
+        assert.equal(balanceOf(cardNumber), 0);
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { saleService } from '../services/saleService.js';
+import { heldCartService } from '../services/heldCartService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+const outsider = { ...admin, company_id: 2 };
+
+const loaf = db.prepare("INSERT INTO products (name, price) VALUES ('Loaf', 60)").run().lastInsertRowid;
+db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 0)').run(loaf);
+
+const checkout = (held_cart_id, qty, company_id = 1) => saleService.createSale({
+    items: [{ id: loaf, qty }], discount_percent: 0, held_cart_id, company_id,
+    cashier_id: admin.id, cashier_role: 'admin', tenders: [{ method: 'cash', amount: 60 * qty }]
+});
+
+describe('heldCartService reservations at checkout', () => {
+    beforeEach(() => {
+        db.prepare("UPDATE held_carts SET status = 'discarded', reserved_until = NULL").run();
+        db.prepare('UPDATE inventory_finished SET quantity = 5 WHERE product_id = ?').run(loaf);
+    });
+
+    it('holds reserved stock back from other sales', () => {
+        heldCartService.holdCart({ items: [{ id: loaf, qty: 4 }], reserve_minutes: 30, user: admin });
+
+        assert.throws(() => checkout(null, 2), { code: 'SALE_INVALID', message: /Available: 1/ });
+    });
+
+    it('lets the cart being checked out use its own reservation and closes it', () => {
+        const cart = heldCartService.holdCart({ items: [{ id: loaf, qty: 4 }], reserve_minutes: 30, user: admin });
+
+        const { saleId } = checkout(cart.id, 4);
+
+        const closed = heldCartService.getCart(cart.id, 1);
+        assert.equal(closed.status, 'completed');
+        assert.equal(closed.sale_id, saleId);
+    });
+
+    it("refuses another company's cart, so its reservation still counts", () => {
+        const cart = heldCartService.holdCart({ items: [{ id: loaf, qty: 4 }], reserve_minutes: 30, user: admin });
+
+        assert.throws(() => checkout(cart.id, 4, outsider.company_id), { code: 'SALE_INVALID', message: /not found/ });
+        assert.equal(heldCartService.getCart(cart.id, 1).status, 'held');
+    });
+
+    it('refuses a cart that has already been checked out', () => {
+        const cart = heldCartService.holdCart({ items: [{ id: loaf, qty: 1 }], user: admin });
+        checkout(cart.id, 1);
+
+        assert.throws(() => checkout(cart.id, 1), { code: 'SALE_INVALID', message: /already completed/ });
+    });
+});
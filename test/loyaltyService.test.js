@@ -0,0 +1,75 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { saleService } from '../services/saleService.js';
+import { refundService } from '../services/refundService.js';
+import { loyaltyService } from '../services/loyaltyService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+
+const points = (customerId) => db.prepare('SELECT loyalty_points FROM customers WHERE id = ?').get(customerId).loyalty_points;
+
+// A KES 1,000 cake (10 points at the default 1 point per KES 100) bought by a new customer
+const sellCakes = (customerId, qty = 1) => {
+    const sale = saleService.createSale({
+        items: [{ id: cake, qty }], discount_percent: 0, customer_id: customerId,
+        cashier_id: admin.id, cashier_role: 'admin', tenders: [{ method: 'cash', amount: 1000 * qty }]
+    });
+    return db.prepare('SELECT * FROM sales WHERE id = ?').get(sale.saleId);
+};
+
+const cake = db.prepare("INSERT INTO products (name, price) VALUES ('Cake', 1000)").run().lastInsertRowid;
+db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 1000)').run(cake);
+
+describe('loyaltyService earn and reverse', () => {
+    let customerId;
+    beforeEach(() => {
+        customerId = db.prepare("INSERT INTO customers (name) VALUES ('Wanjiru')").run().lastInsertRowid;
+    });
+
+    it('credits points and lifetime spend for a completed sale', () => {
+        sellCakes(customerId, 2);
+
+        assert.equal(points(customerId), 20);
+        assert.equal(db.prepare('SELECT lifetime_spend FROM customers WHERE id = ?').get(customerId).lifetime_spend, 2000);
+    });
+
+    it('credits a sale only once', () => {
+        const sale = sellCakes(customerId);
+
+        assert.equal(loyaltyService.earnForSale(sale.id), null);
+        assert.equal(points(customerId), 10);
+    });
+
+    it('takes back the points on the refunded share of a sale', () => {
+        const sale = sellCakes(customerId, 2);
+        const line = db.prepare('SELECT id FROM sale_items WHERE sale_id = ?').get(sale.id);
+
+        refundService.refundSale(sale.id, { items: [{ sale_item_id: line.id, quantity: 1 }], user: admin, approver: admin });
+
+        assert.equal(points(customerId), 10);
+        assert.equal(db.prepare('SELECT lifetime_spend FROM customers WHERE id = ?').get(customerId).lifetime_spend, 1000);
+        assert.deepEqual(db.prepare("SELECT points FROM loyalty_ledger WHERE sale_id = ? AND type = 'reversal'").all(sale.id), [{ points: -10 }]);
+    });
+
+    it('never takes the balance below zero', () => {
+        const sale = sellCakes(customerId);
+        loyaltyService.adjust(customerId, -6, { reason: 'Spent elsewhere', user_id: admin.id });
+
+        loyaltyService.reverseEarn(sale, sale.total, { refund_id: null, user_id: admin.id });
+
+        assert.equal(points(customerId), 0);
+    });
+
+    it('applies the category multiplier to what is earned', () => {
+        const category = db.prepare("INSERT INTO categories (name) VALUES ('Celebration cakes')").run().lastInsertRowid;
+        db.prepare('UPDATE products SET category_id = ? WHERE id = ?').run(category, cake);
+        loyaltyService.setCategoryMultiplier(category, 2);
+        try {
+            sellCakes(customerId);
+            assert.equal(points(customerId), 20);
+        } finally {
+            db.prepare('UPDATE products SET category_id = NULL WHERE id = ?').run(cake);
+        }
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { saleService } from '../services/saleService.js';
+import { mpesaC2bService } from '../services/mpesaC2bService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+
+const mandazi = db.prepare("INSERT INTO products (name, price) VALUES ('Mandazi', 50)").run().lastInsertRowid;
+db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 1000)').run(mandazi);
+
+// A KES 500 sale waiting on an STK push
+const sellOnMpesa = () => saleService.createSale({
+    items: [{ id: mandazi, qty: 10 }], discount_percent: 0, cashier_id: admin.id, cashier_role: 'admin',
+    tenders: [{ method: 'mpesa', amount: 500, phone: '0712345678' }]
+}).saleId;
+
+let code = 0;
+const tillPayment = (amount) => mpesaC2bService.record({
+    TransID: `TIL${String(++code).padStart(7, '0')}`, TransactionType: 'Buy Goods', TransTime: '20261019101500',
+    TransAmount: String(amount), BusinessShortCode: '174379', MSISDN: '254712345678', FirstName: 'Achieng'
+}).transaction;
+
+describe('mpesaC2bService.record', () => {
+    it('keeps one inbox row for a confirmation Daraja sends twice', () => {
+        const first = mpesaC2bService.record({ TransID: 'dup0000001', TransAmount: '120.00', MSISDN: '254712345678' });
+        const again = mpesaC2bService.record({ TransID: 'DUP0000001', TransAmount: '120.00', MSISDN: '254712345678' });
+
+        assert.equal(first.created, true);
+        assert.equal(again.created, false);
+        assert.equal(again.transaction.id, first.transaction.id);
+        assert.equal(first.transaction.trans_id, 'DUP0000001');
+        assert.equal(first.transaction.status, 'unmatched');
+    });
+});
+
+describe('mpesaC2bService.attachToSale', () => {
+    it('pays the sale and drops the STK prompt the customer paid the Till instead of', () => {
+        const saleId = sellOnMpesa();
+        const c2b = tillPayment(500);
+
+        const matched = mpesaC2bService.attachToSale(c2b.id, saleId, admin.id);
+
+        assert.equal(matched.status, 'matched');
+        assert.equal(matched.sale_id, saleId);
+        assert.equal(matched.matched_by, admin.id);
+        const payments = db.prepare('SELECT id, amount, mpesa_receipt, status FROM payments WHERE sale_id = ? ORDER BY id').all(saleId);
+        assert.deepEqual(payments.map(p => [p.amount, p.mpesa_receipt, p.status]), [[500, null, 'failed'], [500, c2b.trans_id, 'completed']]);
+        assert.equal(payments[1].id, matched.payment_id);
+        assert.equal(saleService.settleSale(saleId), 'completed');
+    });
+
+    it('keeps the STK prompt waiting when the Till payment covers only part of the sale', () => {
+        const saleId = sellOnMpesa();
+
+        mpesaC2bService.attachToSale(tillPayment(200).id, saleId, admin.id);
+
+        assert.equal(db.prepare('SELECT status FROM payments WHERE sale_id = ? AND mpesa_receipt IS NULL').get(saleId).status, 'pending');
+        assert.equal(saleService.settleSale(saleId), 'pending_payment');
+    });
+
+    it('attaches a transaction to one sale only', () => {
+        const c2b = tillPayment(500);
+        const saleId = sellOnMpesa();
+        mpesaC2bService.attachToSale(c2b.id, saleId, admin.id);
+
+        assert.throws(() => mpesaC2bService.attachToSale(c2b.id, sellOnMpesa(), admin.id), { code: 'C2B_INVALID', message: /already attached/ });
+    });
+
+    it('refuses an M-Pesa code already taken as an STK payment', () => {
+        const c2b = tillPayment(500);
+        const saleId = sellOnMpesa();
+        db.prepare("UPDATE payments SET status = 'completed', mpesa_receipt = ? WHERE sale_id = ?").run(c2b.trans_id, saleId);
+
+        assert.throws(() => mpesaC2bService.attachToSale(c2b.id, sellOnMpesa(), admin.id), { code: 'C2B_INVALID', message: /already been used/ });
+        assert.equal(mpesaC2bService.getTransaction(c2b.id).status, 'unmatched');
+    });
+
+    it('refuses a sale that is not waiting for payment', () => {
+        const c2b = tillPayment(500);
+        const { saleId } = saleService.createSale({
+            items: [{ id: mandazi, qty: 10 }], discount_percent: 0, cashier_id: admin.id, cashier_role: 'admin',
+            tenders: [{ method: 'cash', amount: 500 }]
+        });
+
+        assert.throws(() => mpesaC2bService.attachToSale(c2b.id, saleId, admin.id), { code: 'C2B_INVALID', message: /not awaiting payment/ });
+        assert.equal(db.prepare('SELECT COUNT(*) as count FROM payments WHERE sale_id = ?').get(saleId).count, 1);
+    });
+
+    it('returns null for an unknown transaction', () => {
+        assert.equal(mpesaC2bService.attachToSale(999999, sellOnMpesa(), admin.id), null);
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { mpesaDisbursementService } from '../services/mpesaDisbursementService.js';
+
+const transferWith = (status) => {
+    const id = mpesaDisbursementService.enqueue({ purpose: 'refund', phone: '0712345678', amount: 250 });
+    db.prepare('UPDATE mpesa_disbursements SET status = ?, attempts = 1 WHERE id = ?').run(status, id);
+    return id;
+};
+
+describe('mpesaDisbursementService.retry', () => {
+    it('queues a failed transfer again', () => {
+        const retried = mpesaDisbursementService.retry(transferWith('failed'));
+
+        assert.equal(retried.status, 'queued');
+        assert.equal(retried.attempts, 0);
+    });
+
+    it('holds a timed-out transfer until it is confirmed not sent', () => {
+        const id = transferWith('timed_out');
+
+        assert.throws(() => mpesaDisbursementService.retry(id), { code: 'DISBURSEMENT_INVALID', message: /may have been sent/ });
+        assert.equal(mpesaDisbursementService.getDisbursement(id).status, 'timed_out');
+
+        assert.equal(mpesaDisbursementService.retry(id, { confirmed_not_sent: true }).status, 'queued');
+    });
+
+    it('refuses a transfer that went through', () => {
+        assert.throws(() => mpesaDisbursementService.retry(transferWith('completed'), { confirmed_not_sent: true }), { code: 'DISBURSEMENT_INVALID' });
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { saleService } from '../services/saleService.js';
+import { paymentService } from '../services/paymentService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+
+const bread = db.prepare("INSERT INTO products (name, price) VALUES ('Bread', 400)").run().lastInsertRowid;
+db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 1000)').run(bread);
+
+// KES 800 of bread: KES 500 cash handed over (200 change) and 500 by STK push
+const sellSplit = () => {
+    const { saleId, payments } = saleService.createSale({
+        items: [{ id: bread, qty: 2 }], discount_percent: 0, cashier_id: admin.id, cashier_role: 'admin',
+        tenders: [{ method: 'cash', amount: 500 }, { method: 'mpesa', amount: 500, phone: '0712345678' }]
+    });
+    return { saleId, mpesa: payments.find(p => p.method === 'mpesa') };
+};
+
+const saleStatus = (saleId) => db.prepare('SELECT status FROM sales WHERE id = ?').get(saleId).status;
+
+describe('split tenders settled by M-Pesa callback', () => {
+    it('keeps the sale waiting for the STK push and takes only the cash owed', () => {
+        const { saleId, mpesa } = sellSplit();
+
+        assert.equal(saleStatus(saleId), 'pending_payment');
+        assert.equal(mpesa.status, 'pending');
+        const payments = db.prepare('SELECT method, amount, status FROM payments WHERE sale_id = ? ORDER BY id').all(saleId);
+        assert.deepEqual(payments.map(p => [p.method, p.amount, p.status]), [['cash', 300, 'completed'], ['mpesa', 500, 'pending']]);
+    });
+
+    it('completes the sale when the callback confirms the M-Pesa tender', () => {
+        const { saleId, mpesa } = sellSplit();
+
+        const payment = paymentService.complete(mpesa.id, { receipt: 'SAB1CD2EF3', transaction_id: '20261019101500' });
+
+        assert.equal(payment.status, 'completed');
+        assert.equal(payment.mpesa_receipt, 'SAB1CD2EF3');
+        assert.equal(saleStatus(saleId), 'completed');
+    });
+
+    it('ignores a repeated callback', () => {
+        const { mpesa } = sellSplit();
+        paymentService.complete(mpesa.id, { receipt: 'SAB1CD2EF4' });
+
+        assert.equal(paymentService.complete(mpesa.id, { receipt: 'SAB1CD2EF5' }), null);
+        assert.equal(db.prepare('SELECT mpesa_receipt FROM payments WHERE id = ?').get(mpesa.id).mpesa_receipt, 'SAB1CD2EF4');
+    });
+
+    it('fills in the receipt when the callback comes after a status query settled it', () => {
+        const { saleId, mpesa } = sellSplit();
+        paymentService.complete(mpesa.id, { result_desc: 'The service request is processed successfully.' });
+
+        paymentService.complete(mpesa.id, { receipt: 'SAB1CD2EF6' });
+
+        assert.equal(db.prepare('SELECT mpesa_receipt FROM payments WHERE id = ?').get(mpesa.id).mpesa_receipt, 'SAB1CD2EF6');
+        assert.equal(saleStatus(saleId), 'completed');
+    });
+
+    it('leaves the sale waiting for payment when the customer cancels the prompt', () => {
+        const { saleId, mpesa } = sellSplit();
+
+        assert.equal(paymentService.fail(mpesa.id, 'Request cancelled by user').status, 'failed');
+        assert.equal(saleStatus(saleId), 'pending_payment');
+        assert.equal(paymentService.complete(mpesa.id, { receipt: 'SAB1CD2EF7' }), null);
+    });
+});
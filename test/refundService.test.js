@@ -0,0 +1,93 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { saleService } from '../services/saleService.js';
+import { refundService } from '../services/refundService.js';
+import { productionService } from '../services/productionService.js';
+import { variantService } from '../services/variantService.js';
+import { modifierService } from '../services/modifierService.js';
+import { batchService } from '../services/batchService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+
+// Tea takes 100 g of sugar; the large size has no recipe of its own, and
+// "Extra sugar" adds 50 g
+const sugar = productionService.createIngredient({ name: 'Sugar', unit: 'g' }).id;
+db.prepare('INSERT INTO inventory_raw (ingredient_id, quantity) VALUES (?, 0)').run(sugar);
+const tea = db.prepare("INSERT INTO products (name, price) VALUES ('Tea', 100)").run().lastInsertRowid;
+db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 0)').run(tea);
+productionService.saveRecipe(tea, [{ ingredient_id: sugar, quantity_required: 100 }]);
+const largeTea = variantService.createVariant(tea, { options: { size: 'L' }, price: 150 });
+const group = modifierService.createGroup({ name: 'Sweetness', modifiers: [{ name: 'Extra sugar', ingredients: [{ ingredient_id: sugar, quantity: 50 }] }] });
+modifierService.setProductGroups(tea, [group.id]);
+const extraSugar = group.modifiers[0].id;
+
+const sugarLeft = () => db.prepare('SELECT quantity FROM inventory_raw WHERE ingredient_id = ?').get(sugar).quantity;
+const teaLeft = () => db.prepare('SELECT quantity FROM inventory_finished WHERE product_id = ?').get(largeTea).quantity;
+
+const sellLargeTea = (qty, modifiers = []) => {
+    const { saleId } = saleService.createSale({
+        items: [{ id: largeTea, qty, modifiers }], discount_percent: 0,
+        cashier_id: admin.id, cashier_role: 'admin', tenders: [{ method: 'cash', amount: 1000 }]
+    });
+    return saleId;
+};
+
+describe('refundService inventory reversal', () => {
+    beforeEach(() => {
+        db.prepare('UPDATE inventory_raw SET quantity = 10000 WHERE ingredient_id = ?').run(sugar);
+        db.prepare('UPDATE inventory_finished SET quantity = 10 WHERE product_id = ?').run(largeTea);
+    });
+
+    it('puts back what the sale took, through the parent recipe and the modifiers', () => {
+        const saleId = sellLargeTea(2, [extraSugar]);
+        assert.equal(sugarLeft(), 9700);
+        assert.equal(teaLeft(), 8);
+
+        refundService.refundSale(saleId, { user: admin, approver: admin });
+
+        assert.equal(sugarLeft(), 10000);
+        assert.equal(teaLeft(), 10);
+    });
+
+    it('puts back only the refunded units', () => {
+        const saleId = sellLargeTea(3);
+        const line = db.prepare('SELECT id FROM sale_items WHERE sale_id = ?').get(saleId);
+
+        refundService.refundSale(saleId, { items: [{ sale_item_id: line.id, quantity: 1 }], user: admin, approver: admin });
+
+        assert.equal(sugarLeft(), 9800);
+        assert.equal(teaLeft(), 8);
+    });
+
+    it('restocks into a batch expiring with the one the sale took it from', () => {
+        batchService.receive('finished', largeTea, { quantity: 10, expiry_date: '2099-02-01' });
+        const saleId = sellLargeTea(1);
+
+        const refund = refundService.refundSale(saleId, { user: admin, approver: admin });
+
+        const batch = db.prepare("SELECT * FROM inventory_batches WHERE source_type = 'refund' AND source_id = ?").get(refund.id);
+        assert.equal(batch.item_id, largeTea);
+        assert.equal(batch.quantity, 1);
+        assert.equal(batch.expiry_date, '2099-02-01');
+    });
+
+    it('writes off returned goods that are not restocked', () => {
+        const saleId = sellLargeTea(1);
+        const line = db.prepare('SELECT id FROM sale_items WHERE sale_id = ?').get(saleId);
+
+        const refund = refundService.refundSale(saleId, { items: [{ sale_item_id: line.id, quantity: 1, restock: false }], user: admin, approver: admin });
+
+        assert.equal(teaLeft(), 9);
+        assert.equal(sugarLeft(), 10000);
+        assert.ok(db.prepare("SELECT 1 FROM inventory_logs WHERE reference_type = 'refund' AND reference_id = ? AND movement_type = 'waste'").get(refund.id));
+    });
+
+    it("leaves another company's sale alone", () => {
+        const saleId = sellLargeTea(1);
+        const outsider = { ...admin, company_id: 2 };
+
+        assert.equal(refundService.refundSale(saleId, { user: outsider, approver: outsider }), null);
+        assert.equal(db.prepare('SELECT status FROM sales WHERE id = ?').get(saleId).status, 'completed');
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { saleService } from '../services/saleService.js';
+
+describe('saleService.allocateTenders', () => {
+    it('gives change from cash and keeps only what the sale needs in the till', () => {
+        const { lines, amountTendered, change } = saleService.allocateTenders(450, [{ method: 'cash', amount: 500 }]);
+
+        assert.equal(amountTendered, 500);
+        assert.equal(change, 50);
+        assert.deepEqual(lines, [{ method: 'cash', amount: 450, phone: null, reference: null, status: 'completed' }]);
+    });
+
+    it('charges other tenders exactly and takes the change out of the cash', () => {
+        const { lines, change } = saleService.allocateTenders(300, [
+            { method: 'cash', amount: 100 },
+            { method: 'card', amount: 250, reference: 'AUTH1' }
+        ]);
+
+        assert.equal(change, 50);
+        assert.deepEqual(lines.map(l => [l.method, l.amount, l.status]), [['cash', 50, 'completed'], ['card', 250, 'completed']]);
+        assert.equal(lines[1].reference, 'AUTH1');
+    });
+
+    it('collapses several cash tenders into one payment', () => {
+        const { lines } = saleService.allocateTenders(120, [{ method: 'cash', amount: 100 }, { method: 'cash', amount: 50 }]);
+
+        assert.deepEqual(lines.map(l => [l.method, l.amount]), [['cash', 120]]);
+    });
+
+    it('leaves M-Pesa pending with the phone in 254 form', () => {
+        const { lines, change } = saleService.allocateTenders(200, [{ method: 'mpesa', amount: 200, phone: '0712345678' }]);
+
+        assert.equal(change, 0);
+        assert.equal(lines[0].status, 'pending');
+        assert.equal(lines[0].phone, '254712345678');
+    });
+
+    it('records no cash payment when the cash only covers the change', () => {
+        const { lines, change } = saleService.allocateTenders(100, [{ method: 'card', amount: 100 }, { method: 'cash', amount: 20 }]);
+
+        assert.equal(change, 20);
+        assert.deepEqual(lines.map(l => l.method), ['card']);
+    });
+
+    it('refuses tenders that fall short of the total', () => {
+        assert.throws(() => saleService.allocateTenders(500, [{ method: 'cash', amount: 499.99 }]),
+            { code: 'SALE_INVALID', message: /do not cover/ });
+    });
+
+    it('refuses non-cash tenders that exceed the total', () => {
+        assert.throws(() => saleService.allocateTenders(100, [{ method: 'card', amount: 150 }]),
+            { code: 'SALE_INVALID', message: /exceed the sale total/ });
+    });
+
+    it('rounds to the cent', () => {
+        const { amountTendered, change } = saleService.allocateTenders(0.3, [{ method: 'cash', amount: 0.1 }, { method: 'cash', amount: 0.2 }]);
+
+        assert.equal(amountTendered, 0.3);
+        assert.equal(change, 0);
+    });
+});
+
+describe('saleService.priceCart stock check', () => {
+    const bun = db.prepare("INSERT INTO products (name, price) VALUES ('Bun', 50)").run().lastInsertRowid;
+    db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 3)').run(bun);
+
+    it('adds up the lines of one product before checking what is on the shelf', () => {
+        assert.throws(() => saleService.priceCart({ items: [{ id: bun, qty: 2 }, { id: bun, qty: 2 }], discount_percent: 0, cashier_role: 'admin' }),
+            { code: 'SALE_INVALID', message: /Available: 3, Required: 4/ });
+    });
+
+    it('prices lines that fit in the stock together', () => {
+        const { subtotal } = saleService.priceCart({ items: [{ id: bun, qty: 2 }, { id: bun, qty: 1 }], discount_percent: 0, cashier_role: 'admin' });
+
+        assert.equal(subtotal, 150);
+    });
+});
@@ -0,0 +1,12 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Loaded before every test file (npm test): each file gets a database of its
+// own in the temp directory, removed when it finishes
+const dbPath = path.join(os.tmpdir(), `quickbiza-test-${process.pid}-${Date.now()}.db`);
+process.env.DB_PATH = dbPath;
+
+process.on('exit', () => {
+    for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) fs.rmSync(file, { force: true });
+});
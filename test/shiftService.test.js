@@ -0,0 +1,89 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { shiftService } from '../services/shiftService.js';
+import { customerAccountService } from '../services/customerAccountService.js';
+import { saleService } from '../services/saleService.js';
+import { refundService } from '../services/refundService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+const customer = db.prepare("INSERT INTO customers (name, phone) VALUES ('Wanjiku', '0700000001')").run().lastInsertRowid;
+
+const pie = db.prepare("INSERT INTO products (name, price) VALUES ('Meat pie', 150)").run().lastInsertRowid;
+db.prepare('INSERT INTO inventory_finished (product_id, quantity) VALUES (?, 1000)').run(pie);
+
+const sellPies = (qty, tenders) => saleService.createSale({
+    items: [{ id: pie, qty }], discount_percent: 0, cashier_id: admin.id, cashier_role: 'admin', tenders
+}).saleId;
+
+describe('shiftService expected cash', () => {
+    let shift;
+
+    beforeEach(() => {
+        db.prepare("UPDATE shifts SET status = 'closed' WHERE status = 'open'").run();
+        shift = shiftService.openShift({ user: admin, opening_float: 1000 });
+    });
+
+    it('counts cash taken against customer accounts in the drawer', () => {
+        customerAccountService.receivePayment(customer, { amount: 300, method: 'cash' }, admin);
+        customerAccountService.receivePayment(customer, { amount: 200, method: 'mpesa', reference: 'QWE123' }, admin);
+
+        const { cash, account_payments } = shiftService.getShiftSummary(shift.id);
+
+        assert.equal(cash.cash_account_payments, 300);
+        assert.equal(cash.expected_cash, 1300);
+        assert.deepEqual(account_payments.map(p => [p.method, p.total]), [['cash', 300], ['mpesa', 200]]);
+    });
+
+    it('leaves out account payments taken with no shift open', () => {
+        db.prepare("UPDATE shifts SET status = 'closed' WHERE id = ?").run(shift.id);
+        customerAccountService.receivePayment(customer, { amount: 300, method: 'cash' }, admin);
+        db.prepare("UPDATE shifts SET status = 'open' WHERE id = ?").run(shift.id);
+
+        assert.equal(shiftService.getShiftSummary(shift.id).cash.expected_cash, 1000);
+    });
+});
+
+describe('shiftService.closeShift', () => {
+    let shift;
+
+    beforeEach(() => {
+        db.prepare("UPDATE shifts SET status = 'closed' WHERE status = 'open'").run();
+        shift = shiftService.openShift({ user: admin, opening_float: 2000 });
+    });
+
+    it('expects the float plus cash sales, less cash refunds, drops and pay-outs', () => {
+        sellPies(4, [{ method: 'cash', amount: 1000 }]);
+        sellPies(2, [{ method: 'card', amount: 100 }, { method: 'cash', amount: 200 }]);
+        const refunded = sellPies(1, [{ method: 'cash', amount: 150 }]);
+        refundService.refundSale(refunded, { user: admin, approver: admin });
+        shiftService.addCashMovement(shift.id, { type: 'drop', amount: 500, user: admin });
+        shiftService.addCashMovement(shift.id, { type: 'payout', amount: 50, reason: 'Milk', user: admin });
+
+        const report = shiftService.closeShift(shift.id, { counted_cash: 2140, user: admin });
+
+        // 2000 + 600 + 200 + 150 - 150 - 500 - 50
+        assert.equal(report.cash.cash_sales, 950);
+        assert.equal(report.cash.cash_refunds, 150);
+        assert.equal(report.cash.expected_cash, 2250);
+        assert.equal(report.cash.over_short, -110);
+        assert.deepEqual(report.payments.map(p => [p.method, p.total]), [['card', 100], ['cash', 950]]);
+    });
+
+    it('freezes the Z report and closes the drawer', () => {
+        sellPies(1, [{ method: 'cash', amount: 150 }]);
+        shiftService.closeShift(shift.id, { counted_cash: 2150, user: admin });
+
+        const closed = shiftService.getShift(shift.id);
+        assert.equal(closed.status, 'closed');
+        assert.equal(closed.over_short, 0);
+        assert.equal(shiftService.getZReport(shift.id).cash.expected_cash, 2150);
+        assert.equal(shiftService.getOpenShift(admin.id), undefined);
+    });
+
+    it('closes a shift only once', () => {
+        shiftService.closeShift(shift.id, { counted_cash: 2000, user: admin });
+
+        assert.throws(() => shiftService.closeShift(shift.id, { counted_cash: 2000, user: admin }), /already closed/);
+    });
+});
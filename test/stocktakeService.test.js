@@ -0,0 +1,44 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database/db.js';
+import { stocktakeService } from '../services/stocktakeService.js';
+import { productionService } from '../services/productionService.js';
+import { batchService } from '../services/batchService.js';
+
+const admin = db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+const flour = productionService.createIngredient({ name: 'Flour', unit: 'kg' }).id;
+db.prepare('INSERT INTO inventory_raw (ingredient_id, quantity) VALUES (?, 0)').run(flour);
+
+const flourLeft = () => db.prepare('SELECT quantity FROM inventory_raw WHERE ingredient_id = ?').get(flour).quantity;
+
+const countFlour = (counted) => {
+    const stocktake = stocktakeService.start({ type: 'raw', user_id: admin.id });
+    stocktakeService.addCount(stocktake.id, { item_id: flour, quantity: counted, user_id: admin.id });
+    return stocktakeService.post(stocktake.id, { user_id: admin.id });
+};
+
+describe('stocktakeService.post', () => {
+    beforeEach(() => {
+        db.prepare("UPDATE inventory_batches SET quantity = 0, status = 'depleted' WHERE type = 'raw' AND item_id = ?").run(flour);
+        db.prepare('UPDATE inventory_raw SET quantity = 10 WHERE ingredient_id = ?').run(flour);
+        batchService.receive('raw', flour, { quantity: 10, expiry_date: '2099-01-01' });
+    });
+
+    it('puts stock found on the shelf into a batch of its own', () => {
+        const stocktake = countFlour(12);
+
+        assert.equal(flourLeft(), 12);
+        const batch = db.prepare("SELECT * FROM inventory_batches WHERE source_type = 'stocktake' AND source_id = ?").get(stocktake.id);
+        assert.equal(batch.item_id, flour);
+        assert.equal(batch.quantity, 2);
+        assert.equal(batch.batch_number, `STK-${stocktake.id}`);
+    });
+
+    it('takes missing stock out of the batches', () => {
+        countFlour(7);
+
+        assert.equal(flourLeft(), 7);
+        const { held } = db.prepare("SELECT SUM(quantity) as held FROM inventory_batches WHERE type = 'raw' AND item_id = ? AND status = 'active'").get(flour);
+        assert.equal(held, 7);
+    });
+});